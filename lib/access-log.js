@@ -0,0 +1,61 @@
+'use strict';
+const Http2 = require('http2');
+const { logAccess } = require('./logging');
+const Status = require('./status');
+const {
+  HTTP2_HEADER_AUTHORITY,
+  HTTP2_HEADER_PATH,
+  HTTP2_HEADER_USER_AGENT
+} = Http2.constants;
+
+
+// Logs a single structured record when the call completes.
+function trackAccessLog (call, headers) {
+  const startTime = Date.now();
+  const start = process.hrtime();
+  const record = {
+    path: headers[HTTP2_HEADER_PATH],
+    peer: call.getPeer(),
+    authority: headers[HTTP2_HEADER_AUTHORITY],
+    userAgent: headers[HTTP2_HEADER_USER_AGENT],
+    startTime: new Date(startTime).toISOString(),
+    deadline: null,
+    duration: 0,
+    requestMessages: 0,
+    requestBytes: 0,
+    responseMessages: 0,
+    responseBytes: 0,
+    requestEncoding: 'identity',
+    responseEncoding: 'identity',
+    code: Status.OK,
+    details: 'OK'
+  };
+
+  function onComplete (status) {
+    const [seconds, nanoseconds] = process.hrtime(start);
+
+    record.duration = seconds * 1e3 + nanoseconds / 1e6;
+    record.deadline = Number.isFinite(call.deadline) ?
+      new Date(call.deadline).toISOString() : null;
+    record.requestEncoding = call.compression.receive.name;
+    record.responseEncoding = call.compression.send.name;
+    record.code = status.code;
+    record.details = status.details;
+    logAccess(record);
+  }
+
+  call.on('receiveMessage', (size) => {
+    record.requestMessages++;
+    record.requestBytes += size;
+  });
+
+  call.on('sendMessage', (size) => {
+    record.responseMessages++;
+    record.responseBytes += size;
+  });
+
+  call.once('complete', onComplete);
+}
+
+
+module.exports = { trackAccessLog };
@@ -0,0 +1,492 @@
+'use strict';
+const Net = require('net');
+const { decodeMessage, encodeMessage } = require('./protobuf');
+const Status = require('./status');
+const kServiceName = 'grpc.channelz.v1.Channelz';
+const kDefaultPageSize = 100;
+
+// Servers and sockets are registered in a process wide registry, so that a
+// single Channelz service can report on every server in the process.
+const registry = {
+  nextId: 1,
+  servers: new Map(),   // Server id -> { ref, getInfo }.
+  sockets: new Map()    // Socket id -> { ref, getInfo }.
+};
+
+
+class ChannelzCallTracker {
+  constructor () {
+    this.callsStarted = 0;
+    this.callsSucceeded = 0;
+    this.callsFailed = 0;
+    this.lastCallStartedTimestamp = null;
+  }
+
+  addCallStarted () {
+    this.callsStarted++;
+    this.lastCallStartedTimestamp = Date.now();
+  }
+
+  addCallSucceeded () {
+    this.callsSucceeded++;
+  }
+
+  addCallFailed () {
+    this.callsFailed++;
+  }
+}
+
+
+class ChannelzSocketTracker {
+  constructor () {
+    this.streamsStarted = 0;
+    this.streamsSucceeded = 0;
+    this.streamsFailed = 0;
+    this.messagesSent = 0;
+    this.messagesReceived = 0;
+    this.keepAlivesSent = 0;
+    this.lastRemoteStreamCreatedTimestamp = null;
+    this.lastMessageSentTimestamp = null;
+    this.lastMessageReceivedTimestamp = null;
+  }
+
+  addStreamStarted () {
+    this.streamsStarted++;
+    this.lastRemoteStreamCreatedTimestamp = Date.now();
+  }
+
+  addStreamSucceeded () {
+    this.streamsSucceeded++;
+  }
+
+  addStreamFailed () {
+    this.streamsFailed++;
+  }
+
+  addMessageSent () {
+    this.messagesSent++;
+    this.lastMessageSentTimestamp = Date.now();
+  }
+
+  addMessageReceived () {
+    this.messagesReceived++;
+    this.lastMessageReceivedTimestamp = Date.now();
+  }
+
+  addKeepAliveSent () {
+    this.keepAlivesSent++;
+  }
+}
+
+
+// getInfo() is called for each request, and returns an object containing a
+// ChannelzCallTracker as `calls`, and arrays of socket refs as
+// `listenSockets` and `sockets`.
+function registerChannelzServer (getInfo) {
+  const ref = { serverId: registry.nextId++, name: '' };
+
+  registry.servers.set(ref.serverId, { ref, getInfo });
+  return ref;
+}
+
+
+function unregisterChannelzServer (ref) {
+  registry.servers.delete(ref.serverId);
+}
+
+
+// getInfo() is called for each request, and returns an object containing
+// the socket's `local` and `remote` addresses, `security` details, and
+// ChannelzSocketTracker as `data`. The tracker is omitted for listen sockets.
+function registerChannelzSocket (name, getInfo) {
+  const ref = { socketId: registry.nextId++, name };
+
+  registry.sockets.set(ref.socketId, { ref, getInfo });
+  return ref;
+}
+
+
+function unregisterChannelzSocket (ref) {
+  registry.sockets.delete(ref.socketId);
+}
+
+
+// Schemas map property names to [field number, type, repeated]. Types are
+// either scalar type names or nested schemas.
+const Timestamp = { seconds: [1, 'int64'], nanos: [2, 'int32'] };
+const Int64Value = { value: [1, 'int64'] };
+const ChannelRef = { channelId: [1, 'int64'], name: [2, 'string'] };
+const SubchannelRef = { subchannelId: [7, 'int64'], name: [8, 'string'] };
+const SocketRef = { socketId: [3, 'int64'], name: [4, 'string'] };
+const ServerRef = { serverId: [5, 'int64'], name: [6, 'string'] };
+const Channel = { ref: [1, ChannelRef] };
+const Subchannel = { ref: [1, SubchannelRef] };
+const ServerData = {
+  callsStarted: [2, 'int64'],
+  callsSucceeded: [3, 'int64'],
+  callsFailed: [4, 'int64'],
+  lastCallStartedTimestamp: [5, Timestamp]
+};
+const Server = {
+  ref: [1, ServerRef],
+  data: [2, ServerData],
+  listenSocket: [3, SocketRef, true]
+};
+const SocketData = {
+  streamsStarted: [1, 'int64'],
+  streamsSucceeded: [2, 'int64'],
+  streamsFailed: [3, 'int64'],
+  messagesSent: [4, 'int64'],
+  messagesReceived: [5, 'int64'],
+  keepAlivesSent: [6, 'int64'],
+  lastLocalStreamCreatedTimestamp: [7, Timestamp],
+  lastRemoteStreamCreatedTimestamp: [8, Timestamp],
+  lastMessageSentTimestamp: [9, Timestamp],
+  lastMessageReceivedTimestamp: [10, Timestamp],
+  localFlowControlWindow: [11, Int64Value],
+  remoteFlowControlWindow: [12, Int64Value]
+};
+const Address = {
+  tcpipAddress: [1, { ipAddress: [1, 'bytes'], port: [2, 'int32'] }],
+  udsAddress: [2, { filename: [1, 'string'] }]
+};
+const Security = {
+  tls: [1, {
+    standardName: [1, 'string'],
+    otherName: [2, 'string'],
+    localCertificate: [3, 'bytes'],
+    remoteCertificate: [4, 'bytes']
+  }]
+};
+const Socket = {
+  ref: [1, SocketRef],
+  data: [2, SocketData],
+  local: [3, Address],
+  remote: [4, Address],
+  security: [5, Security],
+  remoteName: [6, 'string']
+};
+const methodSchemas = {
+  GetTopChannels: [
+    { startChannelId: [1, 'int64'], maxResults: [2, 'int64'] },
+    { channel: [1, Channel, true], end: [2, 'bool'] }
+  ],
+  GetServers: [
+    { startServerId: [1, 'int64'], maxResults: [2, 'int64'] },
+    { server: [1, Server, true], end: [2, 'bool'] }
+  ],
+  GetServer: [
+    { serverId: [1, 'int64'] },
+    { server: [1, Server] }
+  ],
+  GetServerSockets: [
+    {
+      serverId: [1, 'int64'],
+      startSocketId: [2, 'int64'],
+      maxResults: [3, 'int64']
+    },
+    { socketRef: [1, SocketRef, true], end: [2, 'bool'] }
+  ],
+  GetChannel: [
+    { channelId: [1, 'int64'] },
+    { channel: [1, Channel] }
+  ],
+  GetSubchannel: [
+    { subchannelId: [1, 'int64'] },
+    { subchannel: [1, Subchannel] }
+  ],
+  GetSocket: [
+    { socketId: [1, 'int64'], summary: [2, 'bool'] },
+    { socket: [1, Socket] }
+  ]
+};
+
+
+const channelzServiceDefinition = {};
+
+Object.keys(methodSchemas).forEach((name) => {
+  const [requestSchema, responseSchema] = methodSchemas[name];
+
+  function serializeRequest (value) {
+    return encodeMessage(requestSchema, value).finish();
+  }
+
+  function deserializeRequest (bytes) {
+    return decodeMessage(requestSchema, bytes);
+  }
+
+  function serializeResponse (value) {
+    return encodeMessage(responseSchema, value).finish();
+  }
+
+  function deserializeResponse (bytes) {
+    return decodeMessage(responseSchema, bytes);
+  }
+
+  channelzServiceDefinition[name] = {
+    path: `/${kServiceName}/${name}`,
+    requestStream: false,
+    responseStream: false,
+    requestSerialize: serializeRequest,
+    requestDeserialize: deserializeRequest,
+    responseSerialize: serializeResponse,
+    responseDeserialize: deserializeResponse,
+    originalName: name[0].toLowerCase() + name.slice(1)
+  };
+});
+
+
+class ChannelzService {
+  constructor () {
+    this.registry = registry;
+  }
+
+  // Only servers are tracked, so there are never any channels to report.
+  getTopChannels (call, callback) { // eslint-disable-line class-methods-use-this
+    callback(null, { channel: [], end: true });
+  }
+
+  getChannel (call, callback) { // eslint-disable-line class-methods-use-this
+    callback(createNotFoundError('channel', call.request.channelId));
+  }
+
+  getSubchannel (call, callback) { // eslint-disable-line class-methods-use-this
+    callback(createNotFoundError('subchannel', call.request.subchannelId));
+  }
+
+  getServers (call, callback) {
+    const { startServerId, maxResults } = call.request;
+    const servers = Array.from(this.registry.servers.values());
+    const { items, end } = paginate(servers, (entry) => {
+      return entry.ref.serverId;
+    }, startServerId, maxResults);
+
+    callback(null, { server: items.map(getServerMessage), end });
+  }
+
+  getServer (call, callback) {
+    const { serverId } = call.request;
+    const entry = this.registry.servers.get(serverId);
+
+    if (entry === undefined) {
+      callback(createNotFoundError('server', serverId));
+      return;
+    }
+
+    callback(null, { server: getServerMessage(entry) });
+  }
+
+  getServerSockets (call, callback) {
+    const { serverId, startSocketId, maxResults } = call.request;
+    const entry = this.registry.servers.get(serverId);
+
+    if (entry === undefined) {
+      callback(createNotFoundError('server', serverId));
+      return;
+    }
+
+    const { items, end } = paginate(entry.getInfo().sockets, (ref) => {
+      return ref.socketId;
+    }, startSocketId, maxResults);
+
+    callback(null, { socketRef: items, end });
+  }
+
+  getSocket (call, callback) {
+    const { socketId } = call.request;
+    const entry = this.registry.sockets.get(socketId);
+
+    if (entry === undefined) {
+      callback(createNotFoundError('socket', socketId));
+      return;
+    }
+
+    callback(null, { socket: getSocketMessage(entry) });
+  }
+}
+
+
+module.exports = {
+  ChannelzCallTracker,
+  ChannelzService,
+  channelzServiceDefinition,
+  ChannelzSocketTracker,
+  registerChannelzServer,
+  registerChannelzSocket,
+  unregisterChannelzServer,
+  unregisterChannelzSocket
+};
+
+
+function createNotFoundError (type, id) {
+  const err = new Error(`No ${type} data found for id ${id}`);
+
+  err.code = Status.NOT_FOUND;
+  return err;
+}
+
+
+function paginate (items, getId, startId, maxResults) {
+  const pageSize = maxResults > 0 ? maxResults : kDefaultPageSize;
+  const remaining = items.filter((item) => {
+    return getId(item) >= startId;
+  }).sort((a, b) => {
+    return getId(a) - getId(b);
+  });
+
+  return {
+    items: remaining.slice(0, pageSize),
+    end: remaining.length <= pageSize
+  };
+}
+
+
+function getServerMessage (entry) {
+  const { calls, listenSockets } = entry.getInfo();
+
+  return {
+    ref: entry.ref,
+    data: {
+      callsStarted: calls.callsStarted,
+      callsSucceeded: calls.callsSucceeded,
+      callsFailed: calls.callsFailed,
+      lastCallStartedTimestamp: toTimestamp(calls.lastCallStartedTimestamp)
+    },
+    listenSocket: listenSockets
+  };
+}
+
+
+function getSocketMessage (entry) {
+  const { data, local, remote, security, flowControl } = entry.getInfo();
+  const socket = {
+    ref: entry.ref,
+    local: toAddress(local),
+    remote: toAddress(remote),
+    security: toSecurity(security)
+  };
+
+  if (data !== undefined) {
+    socket.data = {
+      streamsStarted: data.streamsStarted,
+      streamsSucceeded: data.streamsSucceeded,
+      streamsFailed: data.streamsFailed,
+      messagesSent: data.messagesSent,
+      messagesReceived: data.messagesReceived,
+      keepAlivesSent: data.keepAlivesSent,
+      lastRemoteStreamCreatedTimestamp:
+        toTimestamp(data.lastRemoteStreamCreatedTimestamp),
+      lastMessageSentTimestamp: toTimestamp(data.lastMessageSentTimestamp),
+      lastMessageReceivedTimestamp:
+        toTimestamp(data.lastMessageReceivedTimestamp)
+    };
+
+    if (flowControl !== undefined) {
+      socket.data.localFlowControlWindow = toInt64Value(flowControl.local);
+      socket.data.remoteFlowControlWindow = toInt64Value(flowControl.remote);
+    }
+  }
+
+  return socket;
+}
+
+
+function toTimestamp (ms) {
+  if (ms === null || ms === undefined) {
+    return null;
+  }
+
+  return {
+    seconds: Math.floor(ms / 1000),
+    nanos: (ms % 1000) * 1000000
+  };
+}
+
+
+function toInt64Value (value) {
+  return typeof value === 'number' ? { value } : null;
+}
+
+
+// Converts an address returned by net.Server.prototype.address(), or an
+// object with `address` and `port` properties, to an Address message.
+function toAddress (address) {
+  if (typeof address === 'string') {
+    return { udsAddress: { filename: address } };
+  }
+
+  if (address === null || address === undefined) {
+    return null;
+  }
+
+  const ipAddress = ipAddressToBuffer(address.address);
+
+  if (ipAddress === null) {
+    return null;
+  }
+
+  return { tcpipAddress: { ipAddress, port: address.port } };
+}
+
+
+function ipAddressToBuffer (ip) {
+  if (typeof ip !== 'string') {
+    return null;
+  }
+
+  // Remove any IPv6 zone index, such as the '%eth0' in 'fe80::1%eth0'.
+  ip = ip.replace(/%.*$/, '');
+
+  if (Net.isIPv4(ip)) {
+    return Buffer.from(ip.split('.').map(Number));
+  }
+
+  if (!Net.isIPv6(ip)) {
+    return null;
+  }
+
+  // Convert an embedded IPv4 address, as in '::ffff:127.0.0.1', to hex.
+  if (ip.includes('.')) {
+    const index = ip.lastIndexOf(':') + 1;
+    const bytes = ip.slice(index).split('.').map(Number);
+
+    ip = ip.slice(0, index) + ((bytes[0] << 8) | bytes[1]).toString(16) +
+      ':' + ((bytes[2] << 8) | bytes[3]).toString(16);
+  }
+
+  const [head, tail] = ip.split('::');
+  const headGroups = head === '' ? [] : head.split(':');
+  const tailGroups = tail === undefined || tail === '' ? [] : tail.split(':');
+  const zeroGroups = 8 - headGroups.length - tailGroups.length;
+  const groups = headGroups.concat(new Array(zeroGroups).fill('0'),
+    tailGroups);
+  const buffer = Buffer.alloc(16);
+
+  groups.forEach((group, i) => {
+    buffer.writeUInt16BE(parseInt(group, 16), i * 2);
+  });
+
+  return buffer;
+}
+
+
+function toSecurity (security) {
+  if (security === null || security === undefined) {
+    return null;
+  }
+
+  const cipher = security.cipher || {};
+  const tls = {
+    localCertificate: security.localCertificate,
+    remoteCertificate: security.remoteCertificate
+  };
+
+  // The standard cipher suite name is not available in older versions of Node.
+  if (typeof cipher.standardName === 'string') {
+    tls.standardName = cipher.standardName;
+  } else {
+    tls.otherName = cipher.name;
+  }
+
+  return { tls };
+}
@@ -0,0 +1,58 @@
+'use strict';
+const kContentSubtypeRegex = /^application\/grpc\+([^;\s]+)/i;
+const kDefaultContentSubtype = 'proto';
+
+
+// A codec for JSON-friendly services. Messages are sent as UTF-8 encoded JSON
+// text instead of protobuf.
+const jsonCodec = {
+  serialize (value) {
+    return Buffer.from(JSON.stringify(value), 'utf8');
+  },
+
+  deserialize (bytes) {
+    return JSON.parse(bytes.toString('utf8'));
+  }
+};
+
+
+// Returns the content-subtype of a gRPC content-type. For example,
+// application/grpc+json has a content-subtype of json. If the content-type
+// does not include one, the subtype is proto.
+function getContentSubtype (contentType) {
+  const match = kContentSubtypeRegex.exec(contentType);
+
+  return match === null ? kDefaultContentSubtype : match[1].toLowerCase();
+}
+
+
+// Converts an object mapping content-subtypes to codecs into a Map.
+function createCodecMap (codecs) {
+  const map = new Map();
+
+  if (codecs === undefined) {
+    return map;
+  }
+
+  if (codecs === null || typeof codecs !== 'object') {
+    throw new TypeError('codecs must be an object');
+  }
+
+  Object.keys(codecs).forEach((subtype) => {
+    const codec = codecs[subtype];
+
+    if (codec === null || typeof codec !== 'object' ||
+        typeof codec.serialize !== 'function' ||
+        typeof codec.deserialize !== 'function') {
+      throw new TypeError(`codec for ${subtype} must be an object with ` +
+        'serialize() and deserialize() methods');
+    }
+
+    map.set(subtype.toLowerCase(), codec);
+  });
+
+  return map;
+}
+
+
+module.exports = { createCodecMap, getContentSubtype, jsonCodec };
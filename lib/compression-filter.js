@@ -1,30 +1,56 @@
 'use strict';
 const Zlib = require('zlib');
+const { frameMessage } = require('./http-adapter');
+const { trace } = require('./logging');
+const Status = require('./status');
 const kGrpcEncodingHeader = 'grpc-encoding';
 const kGrpcAcceptEncodingHeader = 'grpc-accept-encoding';
+const CompressionAlgorithms = {
+  identity: 0,
+  deflate: 1,
+  gzip: 2
+};
+const CompressionLevels = {
+  NONE: 0,
+  LOW: 1,
+  MEDIUM: 2,
+  HIGH: 3
+};
+const WriteFlags = {
+  BUFFER_HINT: 1,
+  NO_COMPRESS: 2
+};
+const compressionLevelToZlibLevel = {
+  [CompressionLevels.LOW]: Zlib.constants.Z_BEST_SPEED,
+  [CompressionLevels.MEDIUM]: Zlib.constants.Z_DEFAULT_COMPRESSION,
+  [CompressionLevels.HIGH]: Zlib.constants.Z_BEST_COMPRESSION
+};
 
 
 class CompressionHandler {
+  constructor (options = {}) {
+    this.level = options.level;
+  }
+
   async writeMessage (message, compress) {
     if (compress) {
       message = await this.compressMessage(message);
     }
 
-    const output = Buffer.allocUnsafe(message.byteLength + 5);
-
-    output.writeUInt8(compress ? 1 : 0, 0);
-    output.writeUInt32BE(message.byteLength, 1);
-    message.copy(output, 5);
-
-    return output;
+    return frameMessage(message, compress ? 1 : 0);
   }
 
-  async readMessage (data) {
+  async readMessage (data, maxLength = Infinity) {
     const compressed = data.readUInt8(0) === 1;
     let message = data.slice(5);
 
     if (compressed) {
-      message = await this.decompressMessage(message);
+      message = await this.decompressMessage(message, maxLength);
+
+      // Custom compression methods might not enforce the limit themselves.
+      if (message.length > maxLength) {
+        throw createMessageTooLargeError(maxLength);
+      }
     }
 
     return message;
@@ -33,8 +59,8 @@ class CompressionHandler {
 
 
 class IdentityHandler extends CompressionHandler {
-  constructor () {
-    super();
+  constructor (options) {
+    super(options);
     this.name = 'identity';
   }
 
@@ -48,27 +74,21 @@ class IdentityHandler extends CompressionHandler {
 
   // eslint-disable-next-line class-methods-use-this
   writeMessage (message, compress) {
-    const output = Buffer.allocUnsafe(message.byteLength + 5);
-
     // Identity compression messages should be marked as uncompressed.
-    output.writeUInt8(0, 0);
-    output.writeUInt32BE(message.length, 1);
-    message.copy(output, 5);
-
-    return output;
+    return frameMessage(message, 0);
   }
 }
 
 
 class GzipHandler extends CompressionHandler {
-  constructor () {
-    super();
+  constructor (options) {
+    super(options);
     this.name = 'gzip';
   }
 
-  compressMessage (message) { // eslint-disable-line class-methods-use-this
+  compressMessage (message) {
     return new Promise((resolve, reject) => {
-      Zlib.gzip(message, (err, output) => {
+      Zlib.gzip(message, { level: this.level }, (err, output) => {
         if (err) {
           reject(err);
         } else {
@@ -78,29 +98,22 @@ class GzipHandler extends CompressionHandler {
     });
   }
 
-  decompressMessage (message) { // eslint-disable-line class-methods-use-this
-    return new Promise((resolve, reject) => {
-      Zlib.unzip(message, (err, output) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(output);
-        }
-      });
-    });
+  // eslint-disable-next-line class-methods-use-this
+  decompressMessage (message, maxLength) {
+    return decompress(Zlib.createUnzip(), message, maxLength);
   }
 }
 
 
 class DeflateHandler extends CompressionHandler {
-  constructor () {
-    super();
+  constructor (options) {
+    super(options);
     this.name = 'deflate';
   }
 
-  compressMessage (message) { // eslint-disable-line class-methods-use-this
+  compressMessage (message) {
     return new Promise((resolve, reject) => {
-      Zlib.deflate(message, (err, output) => {
+      Zlib.deflate(message, { level: this.level }, (err, output) => {
         if (err) {
           reject(err);
         } else {
@@ -110,22 +123,16 @@ class DeflateHandler extends CompressionHandler {
     });
   }
 
-  decompressMessage (message) { // eslint-disable-line class-methods-use-this
-    return new Promise((resolve, reject) => {
-      Zlib.inflate(message, (err, output) => {
-        if (err) {
-          reject(err);
-        } else {
-          resolve(output);
-        }
-      });
-    });
+  // eslint-disable-next-line class-methods-use-this
+  decompressMessage (message, maxLength) {
+    return decompress(Zlib.createInflate(), message, maxLength);
   }
 }
 
 
-// This class tracks all compression methods supported by a server.
-// TODO: Export this class and make it configurable by the Server class.
+// This class tracks all compression methods supported by a server. Each Server
+// uses its own instance, which can be passed in via the
+// 'grpc-node.compression_methods' option.
 class CompressionMethodMap {
   constructor () {
     this.default = null;
@@ -150,14 +157,37 @@ class CompressionMethodMap {
     this.accepts = Array.from(this.map.keys());
   }
 
+  unregister (compressionName) {
+    if (typeof compressionName !== 'string') {
+      throw new TypeError('Compression method must be a string');
+    }
+
+    if (compressionName === this.default) {
+      throw new Error('Cannot unregister the default compression method');
+    }
+
+    // Uncompressed messages are always handled by the identity method.
+    if (compressionName === 'identity') {
+      throw new Error('Cannot unregister the identity compression method');
+    }
+
+    const deleted = this.map.delete(compressionName);
+
+    this.accepts = Array.from(this.map.keys());
+    return deleted;
+  }
+
+  has (compressionName) {
+    return this.map.has(compressionName);
+  }
+
   setDefault (compressionName) {
     if (typeof compressionName !== 'string') {
       throw new TypeError('Compression method must be a string');
     }
 
     if (!this.map.has(compressionName)) {
-      // TODO: This error code must be UNIMPLEMENTED.
-      throw new Error(`Compression method not supported: ${compressionName}`);
+      throw createUnsupportedError(compressionName);
     }
 
     this.default = compressionName;
@@ -167,7 +197,7 @@ class CompressionMethodMap {
     return this.getInstance(this.default);
   }
 
-  getInstance (compressionName) {
+  getInstance (compressionName, options) {
     if (typeof compressionName !== 'string') {
       throw new TypeError('Compression method must be a string');
     }
@@ -175,26 +205,38 @@ class CompressionMethodMap {
     const Ctor = this.map.get(compressionName);
 
     if (Ctor === undefined) {
-      // TODO: This error code must be UNIMPLEMENTED.
-      throw new Error(`Compression method not supported: ${compressionName}`);
+      throw createUnsupportedError(compressionName);
     }
 
-    return new Ctor();
+    return new Ctor(options);
   }
 }
 
 
-const compressionMethods = new CompressionMethodMap();
-const defaultCompression = compressionMethods.getDefaultInstance();
-const defaultAcceptedEncoding = compressionMethods.accepts;
+const defaultFilterOptions = {
+  compressionMethods: undefined,
+  defaultCompressionAlgorithm: 'identity',
+  defaultCompressionLevel: undefined,
+  maxReceiveMessageLength: Infinity
+};
 
 
 class CompressionFilter {
-  constructor () {
-    this.supportedMethods = compressionMethods;
-    this.send = defaultCompression;
-    this.receive = defaultCompression;
-    this.accepts = defaultAcceptedEncoding;
+  constructor (options) {
+    options = { ...defaultFilterOptions, ...options };
+    const level = options.defaultCompressionLevel;
+
+    // Servers always provide their own map. Filters that are created without
+    // one do not share state with any server.
+    this.supportedMethods = options.compressionMethods === undefined ?
+      new CompressionMethodMap() : options.compressionMethods;
+    this.send = this.supportedMethods.getDefaultInstance();
+    this.receive = this.send;
+    this.accepts = this.supportedMethods.accepts;
+    this.defaultAlgorithm = options.defaultCompressionAlgorithm;
+    this.compressionEnabled = level !== CompressionLevels.NONE;
+    this.handlerOptions = { level: compressionLevelToZlibLevel[level] };
+    this.maxReceiveMessageLength = options.maxReceiveMessageLength;
   }
 
   receiveMetadata (metadata) {
@@ -210,43 +252,140 @@ class CompressionFilter {
 
     const acceptedEncoding = metadata.get(kGrpcAcceptEncodingHeader);
 
-    if (acceptedEncoding.length > 0) {
-      this.accepts = acceptedEncoding;
+    // Clients that do not send grpc-accept-encoding only accept uncompressed
+    // responses.
+    this.accepts = acceptedEncoding.length > 0 ?
+      parseAcceptedEncoding(acceptedEncoding) : ['identity'];
+
+    // Respond using the same compression as the request if the client
+    // supports it. Otherwise, fall back to the server's default algorithm, and
+    // finally to uncompressed data.
+    let sendEncoding = 'identity';
+
+    if (this.receive.name !== 'identity' &&
+        this.accepts.includes(this.receive.name)) {
+      sendEncoding = this.receive.name;
+    } else if (this.accepts.includes(this.defaultAlgorithm)) {
+      sendEncoding = this.defaultAlgorithm;
     }
 
-    // Check that the client supports the incoming compression type.
-    if (this.accepts.includes(this.receive.name)) {
-      if (this.send.name !== this.receive.name) {
-        this.send = this.supportedMethods.getInstance(this.receive.name);
-      }
-    } else {
-      // The client does not support this compression type, so send
-      // back uncompressed data.
-      if (this.send.name !== 'identity') {
-        this.send = this.supportedMethods.getInstance(this.receive.name);
-      }
+    if (this.send.name !== sendEncoding) {
+      this.send = this.supportedMethods.getInstance(sendEncoding,
+        this.handlerOptions);
     }
 
+    trace('compression', `Receiving ${this.receive.name}, sending ` +
+      `${this.send.name}, client accepts ${this.accepts.join(',')}`);
     metadata.remove(kGrpcEncodingHeader);
     metadata.remove(kGrpcAcceptEncodingHeader);
 
     return metadata;
   }
 
-  serializeMessage (message) {
-    // TODO: Add support for flags (compression) later.
-    return this.send.writeMessage(message, false);
+  serializeMessage (message, flags) {
+    const compress = this.shouldCompress(flags);
+
+    trace('compression', `Writing ${message.length} byte message using ` +
+      (compress ? this.send.name : 'identity'));
+    return this.send.writeMessage(message, compress);
   }
 
   deserializeMessage (message) {
-    return this.receive.readMessage(message);
+    // The first byte of the framed message is the compressed flag.
+    trace('compression', `Reading ${message.length} byte framed message using ` +
+      (message[0] === 1 ? this.receive.name : 'identity'));
+    return this.receive.readMessage(message, this.maxReceiveMessageLength);
   }
+
+  shouldCompress (flags) {
+    if (this.compressionEnabled === false) {
+      return false;
+    }
+
+    // Flags can be either an object such as { compress: false }, or a number
+    // containing WriteFlags bits.
+    if (flags !== null && typeof flags === 'object') {
+      return flags.compress !== false;
+    }
+
+    return (flags & WriteFlags.NO_COMPRESS) === 0;
+  }
+}
+
+
+// Decompresses a message using a zlib stream, so that decompression can be
+// aborted as soon as the output exceeds the maximum length. Otherwise, a small
+// compressed message could inflate into a very large amount of memory.
+function decompress (decompressor, message, maxLength = Infinity) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let totalLength = 0;
+
+    decompressor.on('data', (chunk) => {
+      totalLength += chunk.length;
+
+      if (totalLength > maxLength) {
+        decompressor.destroy();
+        reject(createMessageTooLargeError(maxLength));
+        return;
+      }
+
+      chunks.push(chunk);
+    });
+
+    decompressor.once('error', reject);
+    decompressor.once('end', () => {
+      resolve(Buffer.concat(chunks, totalLength));
+    });
+
+    decompressor.end(message);
+  });
+}
+
+
+function createMessageTooLargeError (maxLength) {
+  const err = new Error('Decompressed message larger than max ' +
+    `(${maxLength})`);
+
+  err.code = Status.RESOURCE_EXHAUSTED;
+  return err;
+}
+
+
+function createUnsupportedError (compressionName) {
+  const err = new Error(`Compression method not supported: ${compressionName}`);
+
+  err.code = Status.UNIMPLEMENTED;
+  return err;
+}
+
+
+function parseAcceptedEncoding (values) {
+  // The grpc-accept-encoding header is a comma separated list, which may also
+  // be split across multiple header values.
+  const encodings = [];
+
+  values.forEach((value) => {
+    value.split(',').forEach((encoding) => {
+      encoding = encoding.trim();
+
+      if (encoding.length > 0) {
+        encodings.push(encoding);
+      }
+    });
+  });
+
+  return encodings;
 }
 
 module.exports = {
+  CompressionAlgorithms,
   CompressionFilter,
+  CompressionHandler,
+  CompressionLevels,
   CompressionMethodMap,
   DeflateHandler,
   GzipHandler,
-  IdentityHandler
+  IdentityHandler,
+  WriteFlags
 };
@@ -0,0 +1,444 @@
+'use strict';
+const Http2 = require('http2');
+const { decodeStatusDetails } = require('./error-details');
+const {
+  HttpStreamAdapter,
+  frameMessage,
+  readBody,
+  sendHeaders
+} = require('./http-adapter');
+const { trace } = require('./logging');
+const Status = require('./status');
+const {
+  decodeGrpcMessage,
+  encodeGrpcMessage,
+  getHttpStatusCode
+} = require('./utils');
+const kConnectContentTypeRegex =
+  /^application\/(connect\+)?([^;\s+]+)\s*(?:;|$)/i;
+const kConnectTimeoutRegex = /^\d{1,10}$/;
+const kMaxGrpcTimeoutValue = 99999999;
+const kCompressedFlag = 0x01;
+const kEndStreamFlag = 0x02;
+const kProtocolVersionHeader = 'connect-protocol-version';
+const kTrailerPrefix = 'trailer-';
+// Connect headers that are translated to gRPC headers, rather than being
+// forwarded as metadata.
+const kConnectHeaders = [
+  'accept-encoding',
+  'connect-accept-encoding',
+  'connect-content-encoding',
+  'connect-protocol-version',
+  'connect-timeout-ms',
+  'content-encoding',
+  'content-length'
+];
+const {
+  HTTP2_HEADER_CONTENT_TYPE,
+  HTTP2_HEADER_METHOD,
+  HTTP2_HEADER_PATH,
+  HTTP2_HEADER_STATUS,
+  HTTP2_HEADER_TE,
+  HTTP2_METHOD_POST,
+  HTTP_STATUS_OK
+} = Http2.constants;
+// Connect uses the lowercase gRPC status code names, with US spelling.
+const codeNames = Object.keys(Status).reduce((names, name) => {
+  names[Status[name]] = name === 'CANCELLED' ? 'canceled' : name.toLowerCase();
+  return names;
+}, {});
+
+
+// Adapts a Connect request to the subset of the Http2Stream API used by
+// ServerCall. Streaming requests and responses use the same envelopes as
+// gRPC, so messages are passed through unchanged, and the status is sent in a
+// final end-stream envelope. Unary requests and responses are not enveloped,
+// so the request message is provided up front, and the response is buffered
+// until the status is known, since it is sent in the HTTP status and headers.
+class ConnectStream extends HttpStreamAdapter {
+  constructor (source, response, options) {
+    super(source, response);
+    this.codec = options.codec;
+    this.streaming = options.streaming;
+    this.responseHeaders = null;
+    this.messages = [];
+
+    if (this.streaming === true) {
+      this.readSource(identity);
+    } else {
+      this.push(options.message);
+      this.push(null);
+    }
+  }
+
+  respond (headers, options = {}) {
+    this.headersSent = true;
+    this.waitForTrailers = options.waitForTrailers === true;
+
+    // Requests that were rejected before a call was created do not have a
+    // status. Connect requests are only rejected if the method does not have a
+    // codec for the content-subtype, so this is sent as a Connect error.
+    if (headers['grpc-status'] === undefined &&
+        headers[HTTP2_HEADER_STATUS] !== HTTP_STATUS_OK) {
+      sendError(this.source, this.response, this.streaming, this.codec, {
+        'grpc-status': Status.UNIMPLEMENTED,
+        'grpc-message': encodeGrpcMessage(`Unsupported codec: ${this.codec}`)
+      });
+      return;
+    }
+
+    // Calls that fail before sending a message have no trailers, so the
+    // status is read from the headers.
+    if (options.endStream === true) {
+      this.sendStatus({}, headers);
+      return;
+    }
+
+    this.responseHeaders = headers;
+
+    if (this.streaming === true) {
+      this.sendHeaders(getStreamingHeaders(this.codec, headers), false);
+    }
+  }
+
+  sendTrailers (trailers) {
+    this.sendStatus(this.responseHeaders, trailers);
+  }
+
+  sendStatus (headers, trailers) {
+    if (this.sink.destroyed === true) {
+      return;
+    }
+
+    if (this.streaming === true) {
+      if (this.responseHeaders === null) {
+        this.sendHeaders(getStreamingHeaders(this.codec, headers), false);
+      }
+
+      this.endSink(createEndStreamMessage(trailers));
+      return;
+    }
+
+    const code = Number(trailers['grpc-status']);
+    const responseHeaders = {
+      ...getMetadataHeaders(headers),
+      ...getTrailerHeaders(trailers)
+    };
+
+    if (code !== Status.OK) {
+      sendError(this.source, this.response, false, this.codec, trailers,
+        responseHeaders);
+      return;
+    }
+
+    const [message] = this.messages;
+
+    responseHeaders[HTTP2_HEADER_STATUS] = HTTP_STATUS_OK;
+    responseHeaders[HTTP2_HEADER_CONTENT_TYPE] = `application/${this.codec}`;
+
+    if (headers['grpc-accept-encoding'] !== undefined) {
+      responseHeaders['accept-encoding'] = headers['grpc-accept-encoding'];
+    }
+
+    if (message.readUInt8(0) === kCompressedFlag) {
+      responseHeaders['content-encoding'] = headers['grpc-encoding'];
+    }
+
+    this.sendHeaders(responseHeaders, false);
+    this.endSink(message.slice(5));
+  }
+
+  _write (chunk, encoding, callback) {
+    if (this.streaming === true) {
+      this.writeToSink(chunk, callback);
+      return;
+    }
+
+    this.messages.push(chunk);
+    callback();
+  }
+
+  _final (callback) {
+    if (this.waitForTrailers === true) {
+      this.emit('wantTrailers');
+    }
+
+    callback();
+  }
+}
+
+
+// Returns true if the request uses the Connect protocol. Connect clients send
+// the connect-protocol-version header. Otherwise, unary requests, which use
+// generic content-types such as application/json, must be for a registered
+// method.
+function isConnectRequest (headers, handlers) {
+  if (headers[HTTP2_HEADER_METHOD] !== HTTP2_METHOD_POST) {
+    return false;
+  }
+
+  const mode = getConnectMode(headers[HTTP2_HEADER_CONTENT_TYPE]);
+
+  return mode !== null && (mode.streaming === true ||
+    headers[kProtocolVersionHeader] !== undefined ||
+    handlers.has(headers[HTTP2_HEADER_PATH]));
+}
+
+
+// Converts a Connect request into a stream and headers that can be handled in
+// the same way as a gRPC request. `response` is null for HTTP/2 requests.
+// `options.unaryMethod` is false if the request is for a streaming method.
+function handleConnectRequest (source, response, headers, options, callback) {
+  const { codec, streaming } =
+    getConnectMode(headers[HTTP2_HEADER_CONTENT_TYPE]);
+  const { maxLength, unaryMethod } = options;
+  const version = headers[kProtocolVersionHeader];
+  const timeout = headers['connect-timeout-ms'];
+
+  if (version !== undefined && version !== '1') {
+    sendError(source, response, streaming, codec, getInvalidArgumentTrailers(
+      `Unsupported ${kProtocolVersionHeader}: ${version}`));
+    return;
+  }
+
+  if (timeout !== undefined && !kConnectTimeoutRegex.test(timeout)) {
+    sendError(source, response, streaming, codec, getInvalidArgumentTrailers(
+      `Invalid connect-timeout-ms: ${timeout}`));
+    return;
+  }
+
+  // Unary requests contain exactly one message, and their responses can only
+  // contain one message, so they cannot be used to call streaming methods.
+  if (streaming === false && unaryMethod === false) {
+    sendError(source, response, streaming, codec, {
+      'grpc-status': Status.UNIMPLEMENTED,
+      'grpc-message': encodeGrpcMessage(`${headers[HTTP2_HEADER_PATH]} is a ` +
+        `streaming method and requires application/connect+${codec}`)
+    });
+    return;
+  }
+
+  const grpcHeaders = getGrpcHeaders(headers, codec, streaming);
+
+  if (streaming === true) {
+    callback(new ConnectStream(source, response, { codec, streaming }),
+      grpcHeaders);
+    return;
+  }
+
+  // Unary requests are sent as a single, unframed message, which is framed so
+  // that it can be handled like a gRPC request.
+  readBody(source, response, maxLength, (err, message) => {
+    if (err !== null) {
+      sendError(source, response, streaming, codec, {
+        'grpc-status': err.code,
+        'grpc-message': encodeGrpcMessage(err.message)
+      });
+      return;
+    }
+
+    const flags = grpcHeaders['grpc-encoding'] === undefined ?
+      0 : kCompressedFlag;
+
+    callback(new ConnectStream(source, response, {
+      codec,
+      streaming,
+      message: frameMessage(message, flags)
+    }), grpcHeaders);
+  });
+}
+
+
+module.exports = { handleConnectRequest, isConnectRequest };
+
+
+function identity (data) {
+  return data;
+}
+
+
+// Returns the codec and type of a Connect request, or null if the
+// content-type is not supported by Connect.
+function getConnectMode (contentType) {
+  if (typeof contentType !== 'string') {
+    return null;
+  }
+
+  const match = kConnectContentTypeRegex.exec(contentType);
+
+  if (match === null || match[2].toLowerCase().startsWith('grpc')) {
+    return null;
+  }
+
+  return { codec: match[2].toLowerCase(), streaming: match[1] !== undefined };
+}
+
+
+function getGrpcHeaders (headers, codec, streaming) {
+  const grpcHeaders = { ...headers };
+  const prefix = streaming === true ? 'connect-' : '';
+  const encoding = headers[`${prefix}content-encoding`];
+  const acceptEncoding = headers[`${prefix}accept-encoding`];
+  const timeout = headers['connect-timeout-ms'];
+
+  kConnectHeaders.forEach((name) => {
+    delete grpcHeaders[name];
+  });
+
+  grpcHeaders[HTTP2_HEADER_CONTENT_TYPE] = `application/grpc+${codec}`;
+  grpcHeaders[HTTP2_HEADER_TE] = 'trailers';
+
+  if (encoding !== undefined && encoding !== 'identity') {
+    grpcHeaders['grpc-encoding'] = encoding;
+  }
+
+  if (acceptEncoding !== undefined) {
+    grpcHeaders['grpc-accept-encoding'] =
+      acceptEncoding.split(',').map((name) => { return name.trim(); }).join(',');
+  }
+
+  // grpc-timeout is limited to eight digits, so long timeouts are rounded up
+  // to the nearest second.
+  if (timeout !== undefined) {
+    const ms = Number(timeout);
+
+    grpcHeaders['grpc-timeout'] = ms <= kMaxGrpcTimeoutValue ?
+      `${ms}m` : `${Math.ceil(ms / 1000)}S`;
+  }
+
+  return grpcHeaders;
+}
+
+
+function getStreamingHeaders (codec, headers) {
+  const streamingHeaders = {
+    ...getMetadataHeaders(headers),
+    [HTTP2_HEADER_STATUS]: HTTP_STATUS_OK,
+    [HTTP2_HEADER_CONTENT_TYPE]: `application/connect+${codec}`
+  };
+
+  if (headers['grpc-encoding'] !== undefined) {
+    streamingHeaders['connect-content-encoding'] = headers['grpc-encoding'];
+  }
+
+  if (headers['grpc-accept-encoding'] !== undefined) {
+    streamingHeaders['connect-accept-encoding'] =
+      headers['grpc-accept-encoding'];
+  }
+
+  return streamingHeaders;
+}
+
+
+// Returns the custom metadata in gRPC headers or trailers.
+function getMetadataHeaders (headers) {
+  const metadata = {};
+
+  Object.keys(headers).forEach((name) => {
+    if (name.charAt(0) !== ':' && !name.startsWith('grpc-') &&
+        name !== HTTP2_HEADER_CONTENT_TYPE) {
+      metadata[name] = headers[name];
+    }
+  });
+
+  return metadata;
+}
+
+
+function getTrailerHeaders (trailers) {
+  const metadata = getMetadataHeaders(trailers);
+  const trailerHeaders = {};
+
+  Object.keys(metadata).forEach((name) => {
+    trailerHeaders[kTrailerPrefix + name] = metadata[name];
+  });
+
+  return trailerHeaders;
+}
+
+
+// Converts the status in gRPC trailers to a Connect error.
+function getError (trailers) {
+  const code = Number(trailers['grpc-status']);
+  const error = { code: codeNames[code] || codeNames[Status.UNKNOWN] };
+  const message = decodeGrpcMessage(trailers['grpc-message'] || '');
+  const details = getErrorDetails(trailers['grpc-status-details-bin']);
+
+  if (message !== '') {
+    error.message = message;
+  }
+
+  if (details.length > 0) {
+    error.details = details;
+  }
+
+  return error;
+}
+
+
+function getErrorDetails (value) {
+  if (typeof value !== 'string') {
+    return [];
+  }
+
+  // Connect uses the message name instead of the type URL, and base64 without
+  // padding.
+  return decodeStatusDetails(Buffer.from(value, 'base64')).map((detail) => {
+    return {
+      type: detail.typeUrl.slice(detail.typeUrl.lastIndexOf('/') + 1),
+      value: detail.value.toString('base64').replace(/=+$/, '')
+    };
+  });
+}
+
+
+function createEndStreamMessage (trailers) {
+  const code = Number(trailers['grpc-status']);
+  const metadata = getMetadataHeaders(trailers);
+  const endStream = { metadata: {} };
+
+  Object.keys(metadata).forEach((name) => {
+    endStream.metadata[name] = Array.isArray(metadata[name]) ?
+      metadata[name] : [metadata[name]];
+  });
+
+  if (code !== Status.OK) {
+    endStream.error = getError(trailers);
+  }
+
+  return frameMessage(Buffer.from(JSON.stringify(endStream)), kEndStreamFlag);
+}
+
+
+function getInvalidArgumentTrailers (message) {
+  return {
+    'grpc-status': Status.INVALID_ARGUMENT,
+    'grpc-message': encodeGrpcMessage(message)
+  };
+}
+
+
+function sendError (source, response, streaming, codec, trailers,
+  headers = {}) {
+  const sink = response === null ? source : response;
+  let body;
+
+  trace('server', `Sending Connect error ${trailers['grpc-status']}`);
+
+  // Streaming errors are sent in the end-stream message with an HTTP 200.
+  if (streaming === true) {
+    sendHeaders(source, response, getStreamingHeaders(codec, headers), false);
+    body = createEndStreamMessage(trailers);
+  } else {
+    sendHeaders(source, response, {
+      ...headers,
+      [HTTP2_HEADER_STATUS]: getHttpStatusCode(Number(trailers['grpc-status'])),
+      [HTTP2_HEADER_CONTENT_TYPE]: 'application/json'
+    }, false);
+    body = Buffer.from(JSON.stringify(getError(trailers)));
+  }
+
+  if (sink.destroyed !== true) {
+    sink.end(body);
+  }
+}
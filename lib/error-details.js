@@ -0,0 +1,200 @@
+'use strict';
+const { decodeMessage, encodeMessage } = require('./protobuf');
+const Status = require('./status');
+const { hasGrpcStatusCode } = require('./utils');
+const kTypeUrlPrefix = 'type.googleapis.com/google.rpc.';
+
+// Schemas for google.rpc.Status and the standard error details defined in
+// google/rpc/error_details.proto.
+const durationSchema = {
+  seconds: [1, 'int64'],
+  nanos: [2, 'int32']
+};
+const anySchema = {
+  typeUrl: [1, 'string'],
+  value: [2, 'bytes']
+};
+const statusSchema = {
+  code: [1, 'int32'],
+  message: [2, 'string'],
+  details: [3, anySchema, true]
+};
+const detailSchemas = {
+  BadRequest: {
+    fieldViolations: [1, {
+      field: [1, 'string'],
+      description: [2, 'string']
+    }, true]
+  },
+  DebugInfo: {
+    stackEntries: [1, 'string', true],
+    detail: [2, 'string']
+  },
+  ErrorInfo: {
+    reason: [1, 'string'],
+    domain: [2, 'string'],
+    // map<string, string> is encoded as repeated key/value entries.
+    metadata: [3, { key: [1, 'string'], value: [2, 'string'] }, true]
+  },
+  Help: {
+    links: [1, { description: [1, 'string'], url: [2, 'string'] }, true]
+  },
+  LocalizedMessage: {
+    locale: [1, 'string'],
+    message: [2, 'string']
+  },
+  PreconditionFailure: {
+    violations: [1, {
+      type: [1, 'string'],
+      subject: [2, 'string'],
+      description: [3, 'string']
+    }, true]
+  },
+  QuotaFailure: {
+    violations: [1, {
+      subject: [1, 'string'],
+      description: [2, 'string']
+    }, true]
+  },
+  RequestInfo: {
+    requestId: [1, 'string'],
+    servingData: [2, 'string']
+  },
+  ResourceInfo: {
+    resourceType: [1, 'string'],
+    resourceName: [2, 'string'],
+    owner: [3, 'string'],
+    description: [4, 'string']
+  },
+  RetryInfo: {
+    retryDelay: [1, durationSchema]
+  }
+};
+
+
+class StatusErrorBuilder {
+  constructor (code, message = '') {
+    if (!hasGrpcStatusCode({ code }) || code === Status.OK) {
+      throw new TypeError('code must be a non-OK status code');
+    }
+
+    if (typeof message !== 'string') {
+      throw new TypeError('message must be a string');
+    }
+
+    this.code = code;
+    this.message = message;
+    this.details = [];
+  }
+
+  addBadRequest (badRequest) {
+    return addStandardDetail(this, 'BadRequest', badRequest);
+  }
+
+  addDebugInfo (debugInfo) {
+    return addStandardDetail(this, 'DebugInfo', debugInfo);
+  }
+
+  addErrorInfo (errorInfo) {
+    validateDetail(errorInfo);
+
+    const { metadata = {} } = errorInfo;
+    const entries = Object.keys(metadata).map((key) => {
+      return { key, value: metadata[key] };
+    });
+
+    return addStandardDetail(this, 'ErrorInfo', {
+      ...errorInfo,
+      metadata: entries
+    });
+  }
+
+  addHelp (help) {
+    return addStandardDetail(this, 'Help', help);
+  }
+
+  addLocalizedMessage (localizedMessage) {
+    return addStandardDetail(this, 'LocalizedMessage', localizedMessage);
+  }
+
+  addPreconditionFailure (preconditionFailure) {
+    return addStandardDetail(this, 'PreconditionFailure', preconditionFailure);
+  }
+
+  addQuotaFailure (quotaFailure) {
+    return addStandardDetail(this, 'QuotaFailure', quotaFailure);
+  }
+
+  addRequestInfo (requestInfo) {
+    return addStandardDetail(this, 'RequestInfo', requestInfo);
+  }
+
+  addResourceInfo (resourceInfo) {
+    return addStandardDetail(this, 'ResourceInfo', resourceInfo);
+  }
+
+  addRetryInfo (retryInfo) {
+    return addStandardDetail(this, 'RetryInfo', retryInfo);
+  }
+
+  // Adds a detail that is already serialized, such as a custom message.
+  addDetail (typeUrl, value) {
+    if (typeof typeUrl !== 'string') {
+      throw new TypeError('typeUrl must be a string');
+    }
+
+    if (!Buffer.isBuffer(value)) {
+      throw new TypeError('value must be a Buffer');
+    }
+
+    this.details.push({ typeUrl, value });
+    return this;
+  }
+
+  build () {
+    const err = new Error(this.message);
+
+    err.code = this.code;
+    err.details = this.message;
+    err.statusDetails = this.details.slice();
+    return err;
+  }
+}
+
+
+// Serializes a google.rpc.Status. The code and message come from the final
+// call status, so that they always match grpc-status and grpc-message.
+function encodeStatusDetails (status, details) {
+  return encodeMessage(statusSchema, {
+    code: status.code,
+    message: status.details,
+    details
+  }).finish();
+}
+
+
+// Returns the details in a serialized google.rpc.Status.
+function decodeStatusDetails (bytes) {
+  return decodeMessage(statusSchema, bytes).details;
+}
+
+
+module.exports = {
+  decodeStatusDetails,
+  encodeStatusDetails,
+  StatusErrorBuilder
+};
+
+
+function addStandardDetail (builder, type, detail) {
+  validateDetail(detail);
+  return builder.addDetail(kTypeUrlPrefix + type,
+    encodeMessage(detailSchemas[type], detail).finish());
+}
+
+
+function validateDetail (detail) {
+  if (detail === null || typeof detail !== 'object') {
+    throw new TypeError('detail must be an object');
+  }
+}
@@ -0,0 +1,376 @@
+'use strict';
+const Http = require('http');
+const Http2 = require('http2');
+const {
+  HttpStreamAdapter,
+  frameMessage,
+  sendHeaders
+} = require('./http-adapter');
+const { trace } = require('./logging');
+const kGrpcWebContentTypeRegex =
+  /^application\/grpc-web(-text)?(?:\+([^;\s]+))?\s*(?:;|$)/i;
+const kTrailersFrameFlag = 0x80;
+const kHttp2Preface = 'PRI';
+// Before Node 16, HTTP/2 sessions ignore data that was read from the socket
+// before the session was created, so the preface cannot be sniffed.
+const kPlaintextHttp1Supported =
+  Number(process.versions.node.split('.')[0]) >= 16;
+const kHttp1Connections = Symbol('http1Connections');
+const kActiveRequests = Symbol('activeRequests');
+// Connection specific HTTP/1.1 headers that are not forwarded as metadata.
+const kHopByHopHeaders = [
+  'connection',
+  'host',
+  'keep-alive',
+  'proxy-connection',
+  'transfer-encoding',
+  'upgrade'
+];
+const {
+  HTTP2_HEADER_AUTHORITY,
+  HTTP2_HEADER_CONTENT_TYPE,
+  HTTP2_HEADER_METHOD,
+  HTTP2_HEADER_PATH,
+  HTTP2_HEADER_STATUS,
+  HTTP2_HEADER_TE,
+  HTTP_STATUS_FORBIDDEN,
+  HTTP_STATUS_NO_CONTENT
+} = Http2.constants;
+
+
+// Adapts a gRPC-Web request to the subset of the Http2Stream API used by
+// ServerCall. Messages are passed through unchanged, except for base64 encoding
+// in text mode, while trailers are sent as a length-prefixed frame in the
+// response body.
+class GrpcWebStream extends HttpStreamAdapter {
+  constructor (source, response, options) {
+    super(source, response);
+    this.text = options.text;
+    this.contentType = options.contentType;
+    this.allowedOrigin = options.allowedOrigin;
+    this.readSource(this.text === true ? createBase64Decoder() : identity);
+  }
+
+  respond (headers, options = {}) {
+    const responseHeaders = { ...headers };
+
+    if (responseHeaders[HTTP2_HEADER_CONTENT_TYPE] !== undefined) {
+      responseHeaders[HTTP2_HEADER_CONTENT_TYPE] = this.contentType;
+    }
+
+    if (this.allowedOrigin !== null) {
+      addCorsHeaders(responseHeaders, this.allowedOrigin);
+    }
+
+    this.headersSent = true;
+    this.waitForTrailers = options.waitForTrailers === true;
+    this.sendHeaders(responseHeaders, options.endStream === true);
+  }
+
+  sendTrailers (trailers) {
+    this.writeToSink(this.encode(createTrailersFrame(trailers)), noop);
+  }
+
+  encode (data) {
+    return this.text === true ? Buffer.from(data.toString('base64')) : data;
+  }
+
+  _write (chunk, encoding, callback) {
+    this.writeToSink(this.encode(chunk), callback);
+  }
+
+  _final (callback) {
+    // Trailers are written as the last frame of the response body.
+    if (this.sink.destroyed !== true && this.waitForTrailers === true) {
+      this.emit('wantTrailers');
+    }
+
+    this.endSink();
+    callback();
+  }
+}
+
+
+function noop () {}
+
+
+function identity (data) {
+  return data;
+}
+
+
+// Returns the mode of a gRPC-Web request, or null if the content-type is not
+// gRPC-Web. The content-subtype defaults to proto.
+function getGrpcWebMode (contentType) {
+  if (typeof contentType !== 'string') {
+    return null;
+  }
+
+  const match = kGrpcWebContentTypeRegex.exec(contentType);
+
+  if (match === null) {
+    return null;
+  }
+
+  const text = match[1] !== undefined;
+  const subtype = match[2] === undefined ? 'proto' : match[2].toLowerCase();
+
+  return {
+    text,
+    subtype,
+    contentType: `application/grpc-web${text ? '-text' : ''}+${subtype}`
+  };
+}
+
+
+function isPreflightRequest (headers) {
+  return headers[HTTP2_HEADER_METHOD] === 'OPTIONS' &&
+    headers['access-control-request-method'] !== undefined;
+}
+
+
+function isGrpcWebRequest (headers) {
+  return isPreflightRequest(headers) ||
+    getGrpcWebMode(headers[HTTP2_HEADER_CONTENT_TYPE]) !== null;
+}
+
+
+// Converts a gRPC-Web request into a stream and headers that can be handled
+// in the same way as a gRPC request. `response` is null for HTTP/2 requests.
+function handleGrpcWebRequest (source, response, headers, cors, callback) {
+  const origin = headers.origin;
+  const allowedOrigin = isOriginAllowed(cors, origin) ? origin : null;
+
+  if (isPreflightRequest(headers)) {
+    trace('server', `Responding to CORS preflight from ${origin}`);
+    sendHeaders(source, response, getPreflightHeaders(cors, headers,
+      allowedOrigin), true);
+    return;
+  }
+
+  const mode = getGrpcWebMode(headers[HTTP2_HEADER_CONTENT_TYPE]);
+  const stream = new GrpcWebStream(source, response, {
+    text: mode.text,
+    contentType: mode.contentType,
+    allowedOrigin
+  });
+
+  // gRPC-Web requests are translated to gRPC. Browsers cannot send the te
+  // header, so it is added here.
+  callback(stream, {
+    ...headers,
+    [HTTP2_HEADER_CONTENT_TYPE]: `application/grpc+${mode.subtype}`,
+    [HTTP2_HEADER_TE]: 'trailers'
+  });
+}
+
+
+// Routes HTTP/1.1 connections on an HTTP/2 server to `onRequest`. TLS
+// connections are routed using ALPN. Plaintext connections are routed by
+// checking for the HTTP/2 connection preface.
+function acceptHttp1 (http2Server, isSecure, onRequest) {
+  if (isSecure !== true && kPlaintextHttp1Supported !== true) {
+    trace('server', 'HTTP/1.1 over plaintext requires Node 16 or newer');
+    return;
+  }
+
+  const event = isSecure === true ? 'secureConnection' : 'connection';
+  const [http2ConnectionListener] = http2Server.listeners(event);
+  const connections = {
+    closing: false,
+    sockets: new Set(),
+    close () {
+      this.closing = true;
+      this.sockets.forEach((socket) => {
+        if (socket[kActiveRequests] === 0) {
+          socket.end();
+        }
+      });
+    },
+    destroy () {
+      this.sockets.forEach((socket) => {
+        socket.destroy();
+      });
+    }
+  };
+  const http1Server = Http.createServer((req, res) => {
+    const headers = {
+      ...req.headers,
+      [HTTP2_HEADER_METHOD]: req.method,
+      [HTTP2_HEADER_PATH]: req.url,
+      [HTTP2_HEADER_AUTHORITY]: req.headers.host
+    };
+
+    kHopByHopHeaders.forEach((name) => {
+      delete headers[name];
+    });
+
+    req.socket[kActiveRequests]++;
+    res.once('close', () => {
+      req.socket[kActiveRequests]--;
+
+      if (connections.closing === true && req.socket[kActiveRequests] === 0) {
+        req.socket.end();
+      }
+    });
+
+    onRequest(req, res, headers);
+  });
+
+  // Streaming calls can take longer than the default HTTP/1.1 timeout.
+  http1Server.timeout = 0;
+  http1Server.requestTimeout = 0;
+
+  function routeToHttp1 (socket) {
+    trace('server', 'Accepted HTTP/1.1 connection');
+    socket[kActiveRequests] = 0;
+    connections.sockets.add(socket);
+    socket.once('close', () => {
+      connections.sockets.delete(socket);
+    });
+    http1Server.emit('connection', socket);
+    socket.resume();
+  }
+
+  http2Server.removeListener(event, http2ConnectionListener);
+  http2Server.on(event, (socket) => {
+    if (isSecure === true) {
+      if (socket.alpnProtocol === 'h2') {
+        http2ConnectionListener.call(http2Server, socket);
+      } else {
+        routeToHttp1(socket);
+      }
+
+      return;
+    }
+
+    socket.once('readable', function onReadable () {
+      const data = socket.read(kHttp2Preface.length);
+
+      if (data === null) {
+        // Wait for enough data to check for the preface.
+        if (socket.readableEnded !== true) {
+          socket.once('readable', onReadable);
+        }
+
+        return;
+      }
+
+      socket.unshift(data);
+
+      if (data.toString('latin1') === kHttp2Preface) {
+        http2ConnectionListener.call(http2Server, socket);
+      } else {
+        routeToHttp1(socket);
+      }
+    });
+  });
+
+  http2Server[kHttp1Connections] = connections;
+}
+
+
+// Gracefully closes any HTTP/1.1 connections once their requests finish.
+function closeHttp1Connections (http2Server) {
+  if (http2Server[kHttp1Connections] !== undefined) {
+    http2Server[kHttp1Connections].close();
+  }
+}
+
+
+function destroyHttp1Connections (http2Server) {
+  if (http2Server[kHttp1Connections] !== undefined) {
+    http2Server[kHttp1Connections].destroy();
+  }
+}
+
+
+module.exports = {
+  acceptHttp1,
+  closeHttp1Connections,
+  destroyHttp1Connections,
+  handleGrpcWebRequest,
+  isGrpcWebRequest
+};
+
+
+function isOriginAllowed (cors, origin) {
+  if (cors === null || typeof origin !== 'string') {
+    return false;
+  }
+
+  return cors.origins.includes('*') || cors.origins.includes(origin);
+}
+
+
+function addCorsHeaders (headers, allowedOrigin) {
+  // Browsers only expose response headers that are listed explicitly.
+  const exposedHeaders = Object.keys(headers).filter((name) => {
+    return name.charAt(0) !== ':' && name !== HTTP2_HEADER_CONTENT_TYPE;
+  });
+
+  headers['access-control-allow-origin'] = allowedOrigin;
+  headers['access-control-expose-headers'] = exposedHeaders.join(',');
+  headers.vary = 'origin';
+}
+
+
+function getPreflightHeaders (cors, requestHeaders, allowedOrigin) {
+  if (allowedOrigin === null) {
+    return { [HTTP2_HEADER_STATUS]: HTTP_STATUS_FORBIDDEN };
+  }
+
+  const headers = {
+    [HTTP2_HEADER_STATUS]: HTTP_STATUS_NO_CONTENT,
+    'access-control-allow-origin': allowedOrigin,
+    'access-control-allow-methods': 'POST',
+    'access-control-max-age': cors.maxAge,
+    vary: 'origin'
+  };
+  const allowHeaders = requestHeaders['access-control-request-headers'];
+
+  if (allowHeaders !== undefined) {
+    headers['access-control-allow-headers'] = allowHeaders;
+  }
+
+  return headers;
+}
+
+
+function createTrailersFrame (trailers) {
+  let text = '';
+
+  Object.keys(trailers).forEach((name) => {
+    const values = Array.isArray(trailers[name]) ?
+      trailers[name] : [trailers[name]];
+
+    values.forEach((value) => {
+      text += `${name}: ${value}\r\n`;
+    });
+  });
+
+  return frameMessage(Buffer.from(text), kTrailersFrameFlag);
+}
+
+
+function createBase64Decoder () {
+  let remainder = '';
+
+  return function decodeBase64 (data) {
+    const text = remainder + data.toString('latin1').replace(/\s/g, '');
+    const length = text.length - (text.length % 4);
+
+    remainder = text.slice(length);
+
+    if (length === 0) {
+      return Buffer.alloc(0);
+    }
+
+    // Clients can encode each chunk separately, so padding can appear in the
+    // middle of the text. Each padded segment is decoded on its own.
+    return Buffer.concat(text.slice(0, length).match(/[^=]*=+|[^=]+/g)
+      .map((segment) => {
+        return Buffer.from(segment, 'base64');
+      }));
+  };
+}
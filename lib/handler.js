@@ -3,11 +3,23 @@ const EventEmitter = require('events');
 const { Duplex, Readable, Writable } = require('stream');
 const Status = require('./status');
 const { StreamDecoder } = require('./stream-decoder');
-const { hasGrpcStatusCode } = require('./utils');
+const { hasGrpcStatusCode, waitForEvents } = require('./utils');
 const kCall = Symbol('call');
 const kReadableState = Symbol('readableState');
 const kReadablePushOrBufferMessage = Symbol('readablePushOrBufferMessage');
 const kReadablePushMessage = Symbol('readablePushMessage');
+const kReadableEvents = ['readable', 'end', 'error', 'close', 'cancelled'];
+
+
+// Handlers that return a Promise can resolve to an instance of this class in
+// order to send trailing metadata and flags along with the response.
+class UnaryResponse {
+  constructor (value, trailer, flags) {
+    this.value = value;
+    this.trailer = trailer;
+    this.flags = flags;
+  }
+}
 
 
 class ServerUnaryCall extends EventEmitter {
@@ -21,6 +33,7 @@ class ServerUnaryCall extends EventEmitter {
 ServerUnaryCall.prototype.sendMetadata = sendMetadata;
 ServerUnaryCall.prototype.getPeer = getPeer;
 ServerUnaryCall.prototype.getDeadline = getDeadline;
+ServerUnaryCall.prototype.getSpan = getSpan;
 
 
 class ServerReadableStream extends Readable {
@@ -54,11 +67,58 @@ class ServerReadableStream extends Readable {
 
     return this[kCall].handler.deserialize(input);
   }
+
+  async *[Symbol.asyncIterator] () {
+    // This is implemented here instead of relying on Readable's iterator, so
+    // that cancellation is reported the same way on all supported versions of
+    // Node, and errors carry a gRPC status code.
+    const state = { ended: false, error: null };
+
+    function onEnd () {
+      state.ended = true;
+    }
+
+    function onError (err) {
+      state.error = err;
+    }
+
+    this.once('end', onEnd);
+    this.once('error', onError);
+
+    try {
+      while (true) {
+        if (state.error !== null) {
+          throw state.error;
+        }
+
+        const message = this.read();
+
+        if (message !== null) {
+          yield message;
+          continue;
+        }
+
+        if (state.ended === true) {
+          return;
+        }
+
+        if (this.cancelled === true || this.destroyed === true) {
+          throw createCancellationError(this);
+        }
+
+        await waitForEvents(this, kReadableEvents);
+      }
+    } finally {
+      this.removeListener('end', onEnd);
+      this.removeListener('error', onError);
+    }
+  }
 }
 
 ServerReadableStream.prototype.sendMetadata = sendMetadata;
 ServerReadableStream.prototype.getPeer = getPeer;
 ServerReadableStream.prototype.getDeadline = getDeadline;
+ServerReadableStream.prototype.getSpan = getSpan;
 ServerReadableStream.prototype[kReadablePushOrBufferMessage] =
   readablePushOrBufferMessage;
 ServerReadableStream.prototype[kReadablePushMessage] = readablePushMessage;
@@ -72,6 +132,17 @@ class ServerWritableStream extends Writable {
     this.request = undefined;
   }
 
+  write (message, flags, callback) {
+    if (typeof flags === 'function') {
+      callback = flags;
+      flags = undefined;
+    }
+
+    // Writable only accepts string encodings as the second argument, so the
+    // flags are passed to _write() along with the message.
+    return Writable.prototype.write.call(this, { message, flags }, callback);
+  }
+
   async _write (chunk, encoding, callback) {
     // This function is asynchronous in order to support async compression.
     // The following code does not work with `write()` being asynchronous, but
@@ -80,7 +151,8 @@ class ServerWritableStream extends Writable {
     //    stream.write(data);
     //    stream.emit('error', err);
     try {
-      const response = await this[kCall].serializeMessage(chunk);
+      const response =
+        await this[kCall].serializeMessage(chunk.message, chunk.flags);
 
       if (this[kCall].write(response) === false) {
         this[kCall].once('drain', callback);
@@ -119,6 +191,7 @@ class ServerWritableStream extends Writable {
 ServerWritableStream.prototype.sendMetadata = sendMetadata;
 ServerWritableStream.prototype.getPeer = getPeer;
 ServerWritableStream.prototype.getDeadline = getDeadline;
+ServerWritableStream.prototype.getSpan = getSpan;
 
 
 class ServerDuplexStream extends Duplex {
@@ -133,7 +206,9 @@ class ServerDuplexStream extends Duplex {
 ServerDuplexStream.prototype.sendMetadata = sendMetadata;
 ServerDuplexStream.prototype.getPeer = getPeer;
 ServerDuplexStream.prototype.getDeadline = getDeadline;
+ServerDuplexStream.prototype.getSpan = getSpan;
 ServerDuplexStream.prototype._read = ServerReadableStream.prototype._read;
+ServerDuplexStream.prototype.write = ServerWritableStream.prototype.write;
 ServerDuplexStream.prototype._write = ServerWritableStream.prototype._write;
 ServerDuplexStream.prototype._final = ServerWritableStream.prototype._final;
 ServerDuplexStream.prototype.end = ServerWritableStream.prototype.end;
@@ -141,6 +216,8 @@ ServerDuplexStream.prototype.serialize =
   ServerWritableStream.prototype.serialize;
 ServerDuplexStream.prototype.deserialize =
   ServerReadableStream.prototype.deserialize;
+ServerDuplexStream.prototype[Symbol.asyncIterator] =
+  ServerReadableStream.prototype[Symbol.asyncIterator];
 ServerDuplexStream.prototype[kReadablePushOrBufferMessage] =
   ServerReadableStream.prototype[kReadablePushOrBufferMessage];
 ServerDuplexStream.prototype[kReadablePushMessage] =
@@ -153,17 +230,7 @@ function sendMetadata (responseMetadata) {
 
 
 function getPeer () {
-  const { socket } = this.call.session;
-
-  if (!(socket && socket.remoteAddress)) {
-    return 'unknown';
-  }
-
-  if (socket.remotePort) {
-    return `${socket.remoteAddress}:${socket.remotePort}`;
-  }
-
-  return socket.remoteAddress;
+  return this[kCall].getPeer();
 }
 
 
@@ -172,6 +239,11 @@ function getDeadline () {
 }
 
 
+function getSpan () {
+  return this[kCall].span;
+}
+
+
 function setUpHandler (handler, call, metadata) {
   handler[kCall] = call;
   handler.call = call.stream;
@@ -189,7 +261,7 @@ function setUpHandler (handler, call, metadata) {
 
 function setUpReadable (stream) {
   const decoder = new StreamDecoder();
-  const { maxReceiveMessageLength } = stream[kCall];
+  const { maxReceiveMessageLength, strictRequestValidation } = stream[kCall];
 
   stream[kReadableState] = {
     canPush: false,       // Can data be pushed to the readable stream.
@@ -217,6 +289,12 @@ function setUpReadable (stream) {
         return;
       }
 
+      // The compressed flag must be either 0 or 1.
+      if (strictRequestValidation === true && messages[i][0] > 1) {
+        sendFramingError(stream);
+        return;
+      }
+
       stream[kReadablePushOrBufferMessage](messages[i]);
     }
   });
@@ -229,11 +307,24 @@ function setUpReadable (stream) {
       return;
     }
 
+    // The client ended the stream in the middle of a message.
+    if (strictRequestValidation === true && decoder.hasPartialMessage()) {
+      sendFramingError(stream);
+      return;
+    }
+
     stream[kReadablePushOrBufferMessage](null);
   });
 }
 
 
+function sendFramingError (stream) {
+  const err = new Error('Malformed request message framing');
+
+  stream[kCall].sendError(err, Status.INTERNAL);
+}
+
+
 function readablePushOrBufferMessage (messageBytes) {
   const { bufferedMessages, isPushPending } = this[kReadableState];
 
@@ -290,6 +381,16 @@ async function readablePushMessage (messageBytes) {
 }
 
 
+function createCancellationError (stream) {
+  const deadlineExceeded = stream.cancelledReason === 'deadline';
+  const err = new Error(deadlineExceeded ? 'Deadline exceeded' :
+    'Call cancelled');
+
+  err.code = deadlineExceeded ? Status.DEADLINE_EXCEEDED : Status.CANCELLED;
+  return err;
+}
+
+
 function setUpWritable (stream) {
   stream.on('error', (err) => {
     stream[kCall].sendError(err);
@@ -302,5 +403,6 @@ module.exports = {
   ServerDuplexStream,
   ServerReadableStream,
   ServerUnaryCall,
-  ServerWritableStream
+  ServerWritableStream,
+  UnaryResponse
 };
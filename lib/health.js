@@ -0,0 +1,258 @@
+'use strict';
+const { decodeFields, ProtobufWriter } = require('./protobuf');
+const Status = require('./status');
+const ServingStatus = {
+  UNKNOWN: 0,
+  SERVING: 1,
+  NOT_SERVING: 2,
+  SERVICE_UNKNOWN: 3
+};
+const servingStatusNames = Object.keys(ServingStatus);
+const kPackageName = 'grpc.health.v1';
+const kServiceName = `${kPackageName}.Health`;
+const kRequestType = `.${kPackageName}.HealthCheckRequest`;
+const kResponseType = `.${kPackageName}.HealthCheckResponse`;
+
+
+// The FileDescriptorProto of grpc/health/v1/health.proto, which makes the
+// service discoverable through server reflection.
+const healthFileDescriptor = buildFileDescriptor();
+const healthTypeInfo = { fileDescriptorProtos: [healthFileDescriptor] };
+
+
+// grpc.health.v1.HealthCheckRequest { string service = 1; }
+function serializeRequest (value) {
+  return new ProtobufWriter().string(1, value.service).finish();
+}
+
+
+function deserializeRequest (bytes) {
+  const request = { service: '' };
+
+  decodeFields(bytes).forEach(({ field, value }) => {
+    if (field === 1) {
+      request.service = value.toString('utf8');
+    }
+  });
+
+  return request;
+}
+
+
+// grpc.health.v1.HealthCheckResponse { ServingStatus status = 1; }
+function serializeResponse (value) {
+  return new ProtobufWriter().uint(1, ServingStatus[value.status]).finish();
+}
+
+
+function deserializeResponse (bytes) {
+  const response = { status: 'UNKNOWN' };
+
+  decodeFields(bytes).forEach(({ field, value }) => {
+    if (field === 1) {
+      response.status = servingStatusNames[value] || 'UNKNOWN';
+    }
+  });
+
+  return response;
+}
+
+
+const healthServiceDefinition = {
+  Check: {
+    path: `/${kServiceName}/Check`,
+    requestStream: false,
+    responseStream: false,
+    requestSerialize: serializeRequest,
+    requestDeserialize: deserializeRequest,
+    responseSerialize: serializeResponse,
+    responseDeserialize: deserializeResponse,
+    originalName: 'check',
+    requestType: healthTypeInfo,
+    responseType: healthTypeInfo
+  },
+  Watch: {
+    path: `/${kServiceName}/Watch`,
+    requestStream: false,
+    responseStream: true,
+    requestSerialize: serializeRequest,
+    requestDeserialize: deserializeRequest,
+    responseSerialize: serializeResponse,
+    responseDeserialize: deserializeResponse,
+    originalName: 'watch',
+    requestType: healthTypeInfo,
+    responseType: healthTypeInfo
+  }
+};
+
+
+class HealthImplementation {
+  constructor (statusMap = {}) {
+    if (statusMap === null || typeof statusMap !== 'object') {
+      throw new TypeError('statusMap must be an object');
+    }
+
+    this.statuses = new Map();
+    this.watchers = new Map();
+    this.shuttingDown = false;
+    this.setStatus('', 'SERVING');
+
+    Object.keys(statusMap).forEach((service) => {
+      this.setStatus(service, statusMap[service]);
+    });
+  }
+
+  setStatus (service, status) {
+    if (typeof service !== 'string') {
+      throw new TypeError('service must be a string');
+    }
+
+    if (!(status in ServingStatus) || status === 'SERVICE_UNKNOWN') {
+      throw new TypeError(`invalid serving status: ${status}`);
+    }
+
+    // Once shutdown has begun, every service remains NOT_SERVING.
+    if (this.shuttingDown === true) {
+      return;
+    }
+
+    const previous = this.statuses.get(service);
+
+    this.statuses.set(service, status);
+
+    if (status !== previous) {
+      this.notifyWatchers(service, status);
+    }
+  }
+
+  clearStatus (service) {
+    if (this.statuses.delete(service)) {
+      this.notifyWatchers(service, 'SERVICE_UNKNOWN');
+    }
+  }
+
+  enterShutdown () {
+    if (this.shuttingDown === true) {
+      return;
+    }
+
+    this.statuses.forEach((status, service) => {
+      this.setStatus(service, 'NOT_SERVING');
+    });
+
+    this.shuttingDown = true;
+
+    // Watch calls never end on their own. End them after the NOT_SERVING
+    // status is sent so that they do not block a graceful shutdown.
+    this.watchers.forEach((watchers) => {
+      watchers.forEach((stream) => {
+        stream.end();
+      });
+    });
+  }
+
+  notifyWatchers (service, status) {
+    const watchers = this.watchers.get(service);
+
+    if (watchers !== undefined) {
+      watchers.forEach((stream) => {
+        stream.write({ status });
+      });
+    }
+  }
+
+  check (call, callback) {
+    const { service } = call.request;
+    const status = this.statuses.get(service);
+
+    if (status === undefined) {
+      callback({
+        code: Status.NOT_FOUND,
+        details: `Health status unknown for service ${service}`
+      });
+      return;
+    }
+
+    callback(null, { status });
+  }
+
+  watch (call) {
+    const { service } = call.request;
+    let watchers = this.watchers.get(service);
+
+    if (watchers === undefined) {
+      watchers = new Set();
+      this.watchers.set(service, watchers);
+    }
+
+    watchers.add(call);
+
+    // The HTTP2 stream is always closed, regardless of how the call ends.
+    call.call.once('close', () => {
+      watchers.delete(call);
+
+      if (watchers.size === 0 && this.watchers.get(service) === watchers) {
+        this.watchers.delete(service);
+      }
+    });
+
+    call.write({ status: this.statuses.get(service) || 'SERVICE_UNKNOWN' });
+  }
+}
+
+HealthImplementation.ServingStatus = ServingStatus;
+
+module.exports = { HealthImplementation, healthServiceDefinition };
+
+
+function buildFileDescriptor () {
+  const kLabelOptional = 1;
+  const kTypeString = 9;
+  const kTypeEnum = 14;
+  const requestMessage = new ProtobufWriter()
+    .string(1, 'HealthCheckRequest')
+    .message(2, new ProtobufWriter()
+      .string(1, 'service')
+      .uint(3, 1)
+      .uint(4, kLabelOptional)
+      .uint(5, kTypeString)
+      .string(10, 'service'));
+  const servingStatusEnum = new ProtobufWriter().string(1, 'ServingStatus');
+
+  servingStatusNames.forEach((name) => {
+    servingStatusEnum.message(2, new ProtobufWriter()
+      .string(1, name)
+      .uint(2, ServingStatus[name]));
+  });
+
+  const responseMessage = new ProtobufWriter()
+    .string(1, 'HealthCheckResponse')
+    .message(2, new ProtobufWriter()
+      .string(1, 'status')
+      .uint(3, 1)
+      .uint(4, kLabelOptional)
+      .uint(5, kTypeEnum)
+      .string(6, `${kResponseType}.ServingStatus`)
+      .string(10, 'status'))
+    .message(4, servingStatusEnum);
+  const service = new ProtobufWriter()
+    .string(1, 'Health')
+    .message(2, new ProtobufWriter()
+      .string(1, 'Check')
+      .string(2, kRequestType)
+      .string(3, kResponseType))
+    .message(2, new ProtobufWriter()
+      .string(1, 'Watch')
+      .string(2, kRequestType)
+      .string(3, kResponseType)
+      .bool(6, true));
+
+  return new ProtobufWriter()
+    .string(1, 'grpc/health/v1/health.proto')
+    .string(2, kPackageName)
+    .message(4, requestMessage)
+    .message(4, responseMessage)
+    .message(6, service)
+    .string(12, 'proto3')
+    .finish();
+}
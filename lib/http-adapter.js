@@ -0,0 +1,208 @@
+'use strict';
+const Http2 = require('http2');
+const { Duplex } = require('stream');
+const Status = require('./status');
+const {
+  HTTP2_HEADER_STATUS,
+  NGHTTP2_CANCEL,
+  NGHTTP2_NO_ERROR
+} = Http2.constants;
+
+
+// Base class for streams that adapt another protocol to the subset of the
+// Http2Stream API used by ServerCall. Requests can arrive over HTTP/2, in which
+// case `source` is the Http2Stream, or over HTTP/1.1, in which case `source`
+// is the IncomingMessage and `response` is the ServerResponse.
+class HttpStreamAdapter extends Duplex {
+  constructor (source, response) {
+    super({ autoDestroy: false });
+    this.source = source;
+    this.response = response;
+    this.sink = response === null ? source : response;
+    this.headersSent = false;
+    this.waitForTrailers = false;
+    this.aborted = false;
+    this.responseFinished = false;
+    this.sink.once('close', onSinkClose.bind(this));
+
+    if (response !== null) {
+      response.once('finish', () => {
+        this.responseFinished = true;
+      });
+    }
+
+    // The underlying request closes after an error, which closes this stream.
+    source.on('error', noop);
+    this.sink.on('error', noop);
+  }
+
+  get session () {
+    if (this.response === null) {
+      return this.source.session;
+    }
+
+    const { socket } = this.source;
+
+    return { socket, destroyed: socket.destroyed };
+  }
+
+  get rstCode () {
+    if (this.response === null) {
+      return this.source.rstCode;
+    }
+
+    return this.aborted === true ? NGHTTP2_CANCEL : NGHTTP2_NO_ERROR;
+  }
+
+  // Passes the request body through `transform()` as this stream is read.
+  readSource (transform) {
+    const { source } = this;
+
+    source.on('data', (data) => {
+      const transformed = transform(data);
+
+      if (transformed.length > 0 && this.push(transformed) === false) {
+        source.pause();
+      }
+    });
+
+    source.once('end', () => {
+      this.push(null);
+    });
+
+    source.pause();
+  }
+
+  sendHeaders (headers, endStream) {
+    sendHeaders(this.source, this.response, headers, endStream);
+  }
+
+  writeToSink (data, callback) {
+    if (this.sink.destroyed === true) {
+      callback();
+      return;
+    }
+
+    if (this.sink.write(data) === true) {
+      callback();
+    } else {
+      this.sink.once('drain', callback);
+    }
+  }
+
+  endSink (data) {
+    if (this.sink.destroyed !== true) {
+      this.sink.end(data);
+    }
+  }
+
+  _read () {
+    this.source.resume();
+  }
+}
+
+
+// Sends response headers over HTTP/2, or HTTP/1.1 if `response` is not null.
+function sendHeaders (source, response, headers, endStream) {
+  if (response === null) {
+    if (source.destroyed !== true) {
+      source.respond(headers, { endStream });
+    }
+
+    return;
+  }
+
+  const { [HTTP2_HEADER_STATUS]: status, ...http1Headers } = headers;
+
+  response.writeHead(status, http1Headers);
+
+  if (endStream === true) {
+    response.end();
+  }
+}
+
+
+// Prepends the five byte length-prefixed message header to a message.
+function frameMessage (message, flags) {
+  const frame = Buffer.allocUnsafe(message.length + 5);
+
+  frame.writeUInt8(flags, 0);
+  frame.writeUInt32BE(message.length, 1);
+  message.copy(frame, 5);
+  return frame;
+}
+
+
+// Buffers a request body of up to `maxLength` bytes. Larger bodies fail with
+// RESOURCE_EXHAUSTED as soon as the limit is exceeded, and the rest of the body
+// is not read.
+function readBody (source, response, maxLength, callback) {
+  const chunks = [];
+  let totalLength = 0;
+
+  function onData (data) {
+    totalLength += data.length;
+
+    if (totalLength > maxLength) {
+      const err = new Error('Received message larger than max ' +
+        `(${totalLength} vs. ${maxLength})`);
+
+      err.code = Status.RESOURCE_EXHAUSTED;
+      source.removeListener('data', onData);
+      source.removeListener('end', onEnd);
+      stopReading(source, response);
+      callback(err);
+      return;
+    }
+
+    chunks.push(data);
+  }
+
+  function onEnd () {
+    callback(null, Buffer.concat(chunks, totalLength));
+  }
+
+  source.on('error', noop);
+  source.on('data', onData);
+  source.once('end', onEnd);
+}
+
+
+module.exports = {
+  HttpStreamAdapter,
+  frameMessage,
+  readBody,
+  sendHeaders
+};
+
+
+function noop () {}
+
+
+function onSinkClose () {
+  // `this` is bound to the HttpStreamAdapter instance, not the sink.
+  if (this.response !== null && this.responseFinished === false) {
+    this.aborted = true;
+  }
+
+  this.destroy();
+}
+
+
+// Stops reading a request body that will not be used, such as a body that is
+// too large. This must be called before the response is sent. Once the
+// response is sent, HTTP/2 streams are reset with NO_ERROR, and HTTP/1.1
+// connections are closed instead of reading the rest of the body.
+function stopReading (source, response) {
+  source.pause();
+
+  if (response === null) {
+    source.once('finish', () => {
+      if (source.destroyed !== true) {
+        source.close(NGHTTP2_NO_ERROR);
+      }
+    });
+  } else {
+    response.setHeader('connection', 'close');
+  }
+}
@@ -1,4 +1,5 @@
 /// <reference types="node" />
+import { EventEmitter } from 'events';
 import * as http2 from 'http2';
 import { Duplex, Readable, Writable } from 'stream';
 
@@ -80,8 +81,97 @@ export declare enum LogVerbosity {
   ERROR = 2
 }
 
+export declare enum CompressionAlgorithms {
+  identity = 0,
+  deflate = 1,
+  gzip = 2
+}
+
+export declare enum CompressionLevels {
+  NONE = 0,
+  LOW = 1,
+  MEDIUM = 2,
+  HIGH = 3
+}
+
+export declare enum WriteFlags {
+  BUFFER_HINT = 1,
+  NO_COMPRESS = 2
+}
+
+export interface CompressionHandlerOptions {
+  level?: number;
+}
+
+export declare abstract class CompressionHandler {
+  constructor(options?: CompressionHandlerOptions);
+  name: string;
+  level?: number;
+  abstract compressMessage(message: Buffer): Buffer | Promise<Buffer>;
+  abstract decompressMessage(message: Buffer,
+                             maxLength?: number): Buffer | Promise<Buffer>;
+  writeMessage(message: Buffer, compress: boolean): Buffer | Promise<Buffer>;
+  readMessage(data: Buffer, maxLength?: number): Promise<Buffer>;
+}
+
+export declare class IdentityHandler extends CompressionHandler {
+  compressMessage(message: Buffer): never;
+  decompressMessage(message: Buffer, maxLength?: number): never;
+}
+
+export declare class DeflateHandler extends CompressionHandler {
+  compressMessage(message: Buffer): Promise<Buffer>;
+  decompressMessage(message: Buffer, maxLength?: number): Promise<Buffer>;
+}
+
+export declare class GzipHandler extends CompressionHandler {
+  compressMessage(message: Buffer): Promise<Buffer>;
+  decompressMessage(message: Buffer, maxLength?: number): Promise<Buffer>;
+}
+
+export declare type CompressionHandlerConstructor =
+    new (options?: CompressionHandlerOptions) => CompressionHandler;
+
+export declare class CompressionMethodMap {
+  constructor();
+  readonly default: string;
+  readonly accepts: string[];
+  register(compressionName: string,
+           compressionMethodConstructor: CompressionHandlerConstructor): void;
+  unregister(compressionName: string): boolean;
+  has(compressionName: string): boolean;
+  setDefault(compressionName: string): void;
+  getDefaultInstance(): CompressionHandler;
+  getInstance(compressionName: string,
+              options?: CompressionHandlerOptions): CompressionHandler;
+}
+
+export declare type WriteOptions = WriteFlags | number | { compress?: boolean };
+
+
+export interface AccessLogRecord {
+  path: string;
+  peer: string;
+  authority: string | undefined;
+  userAgent: string | undefined;
+  startTime: string;
+  deadline: string | null;
+  duration: number;
+  requestMessages: number;
+  requestBytes: number;
+  responseMessages: number;
+  responseBytes: number;
+  requestEncoding: string;
+  responseEncoding: string;
+  code: Status;
+  details: string;
+}
+
 export declare const setLogger: (logger: Partial<Console>) => void;
 export declare const setLogVerbosity: (verbosity: LogVerbosity) => void;
+export declare const setTrace: (tracers: string) => void;
+export declare const encodeGrpcMessage: (message: string) => string;
+export declare const decodeGrpcMessage: (message: string) => string;
 
 
 export declare enum Status {
@@ -121,18 +211,25 @@ declare type ServerSurfaceCall = {
   getPeer(): string;
   sendMetadata(responseMetadata: Metadata): void;
   getDeadline(): Deadline;
+  getSpan(): Span | null;
 };
 export declare type ServerUnaryCall<RequestType, ResponseType> =
     ServerSurfaceCall & { request: RequestType | null; };
 export declare type ServerReadableStream<RequestType, ResponseType> =
-    ServerSurfaceCall & Readable;
+    ServerSurfaceCall & Readable & AsyncIterable<RequestType>;
+declare type ServerWritableMethods<ResponseType> = {
+  write(message: ResponseType, callback?: (error?: Error) => void): boolean;
+  write(message: ResponseType, flags: WriteOptions,
+        callback?: (error?: Error) => void): boolean;
+  end: (metadata?: Metadata) => void;
+};
 export declare type ServerWritableStream<RequestType, ResponseType> =
-    ServerSurfaceCall & Writable & {
+    ServerSurfaceCall & Writable & ServerWritableMethods<ResponseType> & {
       request: RequestType | null;
-      end: (metadata?: Metadata) => void;
     };
 export declare type ServerDuplexStream<RequestType, ResponseType> =
-    ServerSurfaceCall & Duplex & { end: (metadata?: Metadata) => void; };
+    ServerSurfaceCall & Duplex & AsyncIterable<RequestType> &
+    ServerWritableMethods<ResponseType>;
 
 
 export declare type sendUnaryData<ResponseType> =
@@ -140,16 +237,36 @@ export declare type sendUnaryData<ResponseType> =
      value: ResponseType | null,
      trailer?: Metadata,
      flags?: number) => void;
+export declare class UnaryResponse<ResponseType> {
+  constructor(value: ResponseType, trailer?: Metadata, flags?: number);
+  value: ResponseType;
+  trailer?: Metadata;
+  flags?: number;
+}
+export interface UnaryResponseObject<ResponseType> {
+  value: ResponseType;
+  trailer?: Metadata;
+  flags?: number;
+}
+export declare type UnaryHandlerResult<ResponseType> =
+    void | Promise<ResponseType | UnaryResponse<ResponseType> |
+                   UnaryResponseObject<ResponseType> | void>;
 export declare type handleUnaryCall<RequestType, ResponseType> =
     (call: ServerUnaryCall<RequestType, ResponseType>,
-     callback: sendUnaryData<ResponseType>) => void;
+     callback: sendUnaryData<ResponseType>) =>
+      UnaryHandlerResult<ResponseType>;
 export declare type handleClientStreamingCall<RequestType, ResponseType> =
     (call: ServerReadableStream<RequestType, ResponseType>,
-     callback: sendUnaryData<ResponseType>) => void;
+     callback: sendUnaryData<ResponseType>) =>
+      UnaryHandlerResult<ResponseType>;
+export declare type StreamingHandlerResult<ResponseType> =
+    void | Promise<void> | AsyncIterator<ResponseType>;
 export declare type handleServerStreamingCall<RequestType, ResponseType> =
-    (call: ServerWritableStream<RequestType, ResponseType>) => void;
+    (call: ServerWritableStream<RequestType, ResponseType>) =>
+      StreamingHandlerResult<ResponseType>;
 export declare type handleBidiStreamingCall<RequestType, ResponseType> =
-    (call: ServerDuplexStream<RequestType, ResponseType>) => void;
+    (call: ServerDuplexStream<RequestType, ResponseType>) =>
+      StreamingHandlerResult<ResponseType>;
 
 
 export declare type HandleCall<RequestType, ResponseType> =
@@ -169,14 +286,40 @@ export declare type ServiceDefinition<ImplementationType = UntypedServiceImpleme
 }
 
 
+export declare type ServerMethodType =
+    'unary' | 'clientStream' | 'serverStream' | 'bidi';
+
+export interface ServerInterceptorContext {
+  readonly path: string;
+  readonly type: ServerMethodType | null;
+  readonly metadata: Metadata;
+  getPeer(): string;
+  getDeadline(): Deadline;
+  getSpan(): Span | null;
+}
+
+export interface ServerInterceptorHooks {
+  onReceiveMessage?: (message: any) => any | Promise<any>;
+  onSendMessage?: (message: any) => any | Promise<any>;
+  onSendStatus?: (status: StatusObject) => void;
+}
+
+export declare type ServerInterceptor =
+    (context: ServerInterceptorContext) =>
+      ServerInterceptorHooks | void | Promise<ServerInterceptorHooks | void>;
+
+
 export interface ChannelOptions {
   'grpc.http2.max_frame_size'?: string;
+  'grpc.http2.max_ping_strikes'?: number;
+  'grpc.http2.min_ping_interval_without_data_ms'?: number;
   'grpc.ssl_target_name_override'?: string;
   'grpc.primary_user_agent'?: string;
   'grpc.secondary_user_agent'?: string;
   'grpc.default_authority'?: string;
   'grpc.keepalive_time_ms'?: number;
   'grpc.keepalive_timeout_ms'?: number;
+  'grpc.keepalive_permit_without_calls'?: number;
   'grpc.service_config'?: string;
   'grpc.max_concurrent_streams'?: number;
   'grpc.initial_reconnect_backoff_ms'?: number;
@@ -184,21 +327,229 @@ export interface ChannelOptions {
   'grpc.use_local_subchannel_pool'?: number;
   'grpc.max_send_message_length'?: number;
   'grpc.max_receive_message_length'?: number;
-  [key: string]: string | number | undefined;
+  'grpc.max_connection_idle_ms'?: number;
+  'grpc.max_connection_age_ms'?: number;
+  'grpc.max_connection_age_grace_ms'?: number;
+  'grpc.default_compression_algorithm'?: CompressionAlgorithms | string;
+  'grpc.default_compression_level'?: CompressionLevels;
+  'grpc.enable_channelz'?: number;
+  'grpc-node.access_log'?: number;
+  'grpc-node.compression_methods'?: CompressionMethodMap;
+  'grpc-node.max_session_rejected_streams'?: number;
+  'grpc-node.max_session_short_lived_streams'?: number;
+  'grpc-node.max_session_stream_resets'?: number;
+  'grpc-node.metrics'?: ServerMetrics;
+  'grpc-node.stream_abuse_window_ms'?: number;
+  'grpc-node.strict_request_validation'?: number;
+  'grpc-node.tracer'?: Tracer;
+  [key: string]: string | number | CompressionMethodMap | ServerMetrics |
+    Tracer | undefined;
+}
+
+
+export declare type ServingStatus =
+    'UNKNOWN' | 'SERVING' | 'NOT_SERVING' | 'SERVICE_UNKNOWN';
+
+export declare const healthServiceDefinition: ServiceDefinition;
+
+export declare class HealthImplementation {
+  static readonly ServingStatus: { [status in ServingStatus]: number };
+  constructor(statusMap?: { [service: string]: ServingStatus });
+  setStatus(service: string, status: ServingStatus): void;
+  clearStatus(service: string): void;
+  enterShutdown(): void;
+  check: handleUnaryCall<{ service: string }, { status: ServingStatus }>;
+  watch: handleServerStreamingCall<{ service: string },
+                                   { status: ServingStatus }>;
+}
+
+
+export declare const reflectionServiceDefinitions: {
+  v1: ServiceDefinition;
+  v1alpha: ServiceDefinition;
+};
+
+export declare class ReflectionService {
+  constructor(server: Server);
+  serverReflectionInfo: handleBidiStreamingCall<any, any>;
 }
 
 
-export declare class Server {
+export declare const channelzServiceDefinition: ServiceDefinition;
+
+export declare class ChannelzService {
+  constructor();
+  getTopChannels: handleUnaryCall<any, any>;
+  getServers: handleUnaryCall<any, any>;
+  getServer: handleUnaryCall<any, any>;
+  getServerSockets: handleUnaryCall<any, any>;
+  getChannel: handleUnaryCall<any, any>;
+  getSubchannel: handleUnaryCall<any, any>;
+  getSocket: handleUnaryCall<any, any>;
+}
+
+
+export interface ServerMetricsOptions {
+  buckets?: number[];
+}
+
+export declare class ServerMetrics {
+  constructor(options?: ServerMetricsOptions);
+  render(): string;
+  createServer(): import('http').Server;
+}
+
+
+export interface SpanContext {
+  traceId: string;
+  spanId: string;
+  traceFlags: number;
+  traceState?: string;
+  isRemote: boolean;
+}
+
+export interface SpanStartOptions {
+  parent: SpanContext | null;
+  attributes: { [key: string]: string };
+}
+
+export interface Span {
+  addEvent(name: string, attributes: { [key: string]: string | number }): void;
+  end(status: { code: Status; details: string }): void;
+}
+
+export interface Tracer {
+  startSpan(name: string, options: SpanStartOptions): Span;
+  withSpan?(span: Span, fn: () => void): unknown;
+}
+
+
+export interface Duration {
+  seconds: number;
+  nanos?: number;
+}
+
+export interface StatusErrorDetail {
+  typeUrl: string;
+  value: Buffer;
+}
+
+export interface StatusError extends ServiceError {
+  statusDetails: StatusErrorDetail[];
+}
+
+export declare class StatusErrorBuilder {
+  constructor(code: Status, message?: string);
+  addBadRequest(badRequest: {
+    fieldViolations: { field: string; description: string }[];
+  }): this;
+  addDebugInfo(debugInfo: { stackEntries?: string[]; detail?: string }): this;
+  addErrorInfo(errorInfo: {
+    reason: string;
+    domain: string;
+    metadata?: { [key: string]: string };
+  }): this;
+  addHelp(help: { links: { description: string; url: string }[] }): this;
+  addLocalizedMessage(localizedMessage: {
+    locale: string;
+    message: string;
+  }): this;
+  addPreconditionFailure(preconditionFailure: {
+    violations: { type: string; subject: string; description: string }[];
+  }): this;
+  addQuotaFailure(quotaFailure: {
+    violations: { subject: string; description: string }[];
+  }): this;
+  addRequestInfo(requestInfo: {
+    requestId: string;
+    servingData?: string;
+  }): this;
+  addResourceInfo(resourceInfo: {
+    resourceType: string;
+    resourceName: string;
+    owner?: string;
+    description?: string;
+  }): this;
+  addRetryInfo(retryInfo: { retryDelay: Duration }): this;
+  addDetail(typeUrl: string, value: Buffer): this;
+  build(): StatusError;
+}
+
+
+export interface ServerShutdownOptions {
+  gracePeriodMs?: number;
+}
+
+export interface ServerShutdownResult {
+  abortedCalls: number;
+}
+
+export interface Codec {
+  serialize(value: any): Buffer;
+  deserialize(bytes: Buffer): any;
+}
+
+export declare const jsonCodec: Codec;
+
+export interface HttpRule {
+  get?: string;
+  put?: string;
+  post?: string;
+  delete?: string;
+  patch?: string;
+  custom?: { kind: string; path: string };
+  body?: string;
+  responseBody?: string;
+  response_body?: string;
+  additionalBindings?: HttpRule[];
+  additional_bindings?: HttpRule[];
+}
+
+export interface AddServiceOptions {
+  codecs?: { [contentSubtype: string]: Codec };
+  httpRules?: { [methodName: string]: HttpRule };
+}
+
+export interface CorsOptions {
+  origins: string[];
+  maxAge?: number;
+}
+
+export interface BindOptions {
+  connect?: boolean;
+  grpcWeb?: boolean;
+  transcoding?: boolean;
+  allowHTTP1?: boolean;
+  cors?: CorsOptions;
+}
+
+
+export interface SessionAbuseEvent {
+  peer: string;
+  reason: 'resets' | 'rejected' | 'shortLived';
+  count: number;
+}
+
+
+export declare class Server extends EventEmitter {
   constructor(options?: ChannelOptions);
+  on(event: 'sessionAbuse', listener: (event: SessionAbuseEvent) => void): this;
+  on(event: string | symbol, listener: (...args: any[]) => void): this;
   addProtoService(): void;
   addService(service: ServiceDefinition,
-             implementation: UntypedServiceImplementation): void;
+             implementation: UntypedServiceImplementation,
+             options?: AddServiceOptions): void;
   removeService(service: ServiceDefinition): void;
   bind(port: string, creds: ServerCredentials): Promise<void>;
   bindAsync(port: string,
             creds: ServerCredentials,
             callback: (error: Error | null, port: number) => void): void;
+  bindAsync(port: string,
+            creds: ServerCredentials,
+            options: BindOptions,
+            callback: (error: Error | null, port: number) => void): void;
   forceShutdown(): void;
+  addInterceptor(interceptor: ServerInterceptor): void;
   register<RequestType, ResponseType>(
     name: string,
     handler: HandleCall<RequestType, ResponseType>,
@@ -209,10 +560,14 @@ export declare class Server {
   unregister(name: string): boolean;
   start(): void;
   tryShutdown(callback: (error?: Error) => void): void;
+  shutdown(options?: ServerShutdownOptions): Promise<ServerShutdownResult>;
   addHttp2Port(): void;
 }
 
 export {
+  CompressionAlgorithms as compressionAlgorithms,
+  CompressionLevels as compressionLevels,
   LogVerbosity as logVerbosity,
-  Status as status
+  Status as status,
+  WriteFlags as writeFlags
 };
@@ -1,17 +1,64 @@
 'use strict';
-const { LogVerbosity, setLogger, setLogVerbosity } = require('./logging');
+const { ChannelzService, channelzServiceDefinition } = require('./channelz');
+const { jsonCodec } = require('./codec');
+const {
+  CompressionAlgorithms,
+  CompressionHandler,
+  CompressionLevels,
+  CompressionMethodMap,
+  DeflateHandler,
+  GzipHandler,
+  IdentityHandler,
+  WriteFlags
+} = require('./compression-filter');
+const { StatusErrorBuilder } = require('./error-details');
+const { UnaryResponse } = require('./handler');
+const { HealthImplementation, healthServiceDefinition } = require('./health');
+const {
+  LogVerbosity,
+  setLogger,
+  setLogVerbosity,
+  setTrace
+} = require('./logging');
 const { Metadata } = require('./metadata');
+const { ServerMetrics } = require('./metrics');
+const {
+  ReflectionService,
+  reflectionServiceDefinitions
+} = require('./reflection');
 const { Server } = require('./server');
 const { ServerCredentials } = require('./server-credentials');
 const Status = require('./status');
+const { decodeGrpcMessage, encodeGrpcMessage } = require('./utils');
 
 
 module.exports = {
+  ChannelzService,
+  channelzServiceDefinition,
+  compressionAlgorithms: { ...CompressionAlgorithms },
+  CompressionHandler,
+  compressionLevels: { ...CompressionLevels },
+  CompressionMethodMap,
+  decodeGrpcMessage,
+  DeflateHandler,
+  encodeGrpcMessage,
+  GzipHandler,
+  HealthImplementation,
+  healthServiceDefinition,
+  IdentityHandler,
+  jsonCodec,
   logVerbosity: { ...LogVerbosity },
   Metadata,
+  ReflectionService,
+  reflectionServiceDefinitions,
   Server,
   ServerCredentials,
+  ServerMetrics,
   setLogger,
   setLogVerbosity,
-  status: { ...Status }
+  setTrace,
+  status: { ...Status },
+  StatusErrorBuilder,
+  UnaryResponse,
+  writeFlags: { ...WriteFlags }
 };
@@ -0,0 +1,101 @@
+'use strict';
+const kCall = Symbol('call');
+const methodTypeNames = ['unary', 'clientStream', 'serverStream', 'bidi'];
+
+
+// An instance of this class is passed to each interceptor when a call begins.
+// It exposes the information that is known before the handler is invoked.
+class ServerInterceptorContext {
+  constructor (call, path, metadata) {
+    this[kCall] = call;
+    this.path = path;
+    this.type = call.handler === null ? null :
+      methodTypeNames[call.handler.type];
+    this.metadata = metadata;
+  }
+
+  getPeer () {
+    return this[kCall].getPeer();
+  }
+
+  getDeadline () {
+    return this[kCall].deadline;
+  }
+
+  getSpan () {
+    return this[kCall].span;
+  }
+}
+
+
+async function interceptCall (interceptors, call, path, metadata) {
+  const context = new ServerInterceptorContext(call, path, metadata);
+
+  // Interceptors are started in the order they were added. Each one can
+  // return an object of hooks (or a Promise that resolves to one), or throw
+  // an error to end the call with a status before the handler is invoked.
+  for (let i = 0; i < interceptors.length; i++) {
+    const hooks = await interceptors[i](context);
+
+    if (hooks !== null && typeof hooks === 'object') {
+      call.interceptors.push(hooks);
+    }
+  }
+}
+
+
+async function interceptReceivedMessage (hooksList, message) {
+  for (let i = 0; i < hooksList.length; i++) {
+    const hook = hooksList[i].onReceiveMessage;
+
+    if (typeof hook === 'function') {
+      const result = await hook(message);
+
+      if (result !== undefined) {
+        message = result;
+      }
+    }
+  }
+
+  return message;
+}
+
+
+async function interceptSentMessage (hooksList, message) {
+  // Outgoing data passes through the interceptors in reverse order.
+  for (let i = hooksList.length - 1; i >= 0; i--) {
+    const hook = hooksList[i].onSendMessage;
+
+    if (typeof hook === 'function') {
+      const result = await hook(message);
+
+      if (result !== undefined) {
+        message = result;
+      }
+    }
+  }
+
+  return message;
+}
+
+
+function interceptStatus (hooksList, status) {
+  // The status is sent synchronously from the 'wantTrailers' event, so these
+  // hooks cannot be asynchronous. They can modify the status object in place.
+  for (let i = hooksList.length - 1; i >= 0; i--) {
+    const hook = hooksList[i].onSendStatus;
+
+    if (typeof hook === 'function') {
+      hook(status);
+    }
+  }
+}
+
+
+module.exports = {
+  interceptCall,
+  interceptReceivedMessage,
+  interceptSentMessage,
+  interceptStatus,
+  ServerInterceptorContext
+};
@@ -8,6 +8,9 @@ const envVerbosity = LogVerbosity[process.env.GRPC_VERBOSITY];
 let _logger = console;
 let _logVerbosity = envVerbosity !== undefined ? envVerbosity :
   LogVerbosity.ERROR;
+let _enabledTracers = new Set();
+let _disabledTracers = new Set();
+let _allTracersEnabled = false;
 
 
 function getLogger () {
@@ -32,10 +35,68 @@ function log (severity, ...args) {
 }
 
 
+// Access log records are passed to the logger's info() method as a single
+// object, so that structured loggers can serialize their fields.
+function logAccess (record) {
+  if (typeof _logger.info === 'function') {
+    _logger.info(record);
+  }
+}
+
+
+// Parses a comma separated list of tracer names, using the same format as the
+// GRPC_TRACE environment variable. 'all' enables every tracer, and names
+// prefixed with '-' are disabled, even if 'all' is used.
+function setTrace (tracers) {
+  const names = typeof tracers === 'string' ? tracers.split(',') : [];
+
+  _enabledTracers = new Set();
+  _disabledTracers = new Set();
+  _allTracersEnabled = false;
+
+  names.forEach((name) => {
+    name = name.trim();
+
+    if (name === '') {
+      return;
+    }
+
+    if (name.startsWith('-')) {
+      _disabledTracers.add(name.substring(1));
+    } else if (name === 'all') {
+      _allTracersEnabled = true;
+    } else {
+      _enabledTracers.add(name);
+    }
+  });
+}
+
+
+function isTracerEnabled (tracer) {
+  return !_disabledTracers.has(tracer) &&
+    (_allTracersEnabled || _enabledTracers.has(tracer));
+}
+
+
+// Trace output is not gated by the log verbosity, because enabling a tracer is
+// already an explicit request for debug output.
+function trace (tracer, text) {
+  if (isTracerEnabled(tracer) && typeof _logger.error === 'function') {
+    _logger.error(`D ${new Date().toISOString()} | ${tracer} | ${text}`);
+  }
+}
+
+
+setTrace(process.env.GRPC_TRACE);
+
 module.exports = {
   getLogger,
+  isTracerEnabled,
   log,
+  logAccess,
   LogVerbosity,
   setLogger,
-  setLogVerbosity
+  setLogVerbosity,
+  setTrace,
+  trace
 };
@@ -0,0 +1,226 @@
+'use strict';
+const Http = require('http');
+const Status = require('./status');
+const kContentType = 'text/plain; version=0.0.4; charset=utf-8';
+const kMethodPathRegex = /^\/([^/]+)\/([^/]+)$/;
+const kUnknownLabel = 'unknown';
+const methodTypeLabels = ['unary', 'client_stream', 'server_stream',
+  'bidi_stream'];
+const statusNames = Object.keys(Status).reduce((names, name) => {
+  names[Status[name]] = name;
+  return names;
+}, []);
+// The default Prometheus client buckets, in seconds.
+const defaultBuckets = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5,
+  10];
+const counterDescriptions = {
+  started: ['grpc_server_started_total',
+    'Total number of RPCs started on the server.'],
+  handled: ['grpc_server_handled_total',
+    'Total number of RPCs completed on the server, regardless of success ' +
+    'or failure.'],
+  msgReceived: ['grpc_server_msg_received_total',
+    'Total number of RPC stream messages received on the server.'],
+  msgSent: ['grpc_server_msg_sent_total',
+    'Total number of gRPC stream messages sent by the server.'],
+  receivedBytes: ['grpc_server_received_bytes_total',
+    'Total number of message bytes received on the server.'],
+  sentBytes: ['grpc_server_sent_bytes_total',
+    'Total number of message bytes sent by the server.']
+};
+
+
+class ServerMetrics {
+  constructor (options = {}) {
+    if (options === null || typeof options !== 'object') {
+      throw new TypeError('options must be an object');
+    }
+
+    const { buckets = defaultBuckets } = options;
+
+    if (!Array.isArray(buckets) || !buckets.every(isIncreasingBucket)) {
+      throw new TypeError('buckets must be an array of increasing numbers');
+    }
+
+    this.buckets = buckets.slice();
+    this.counters = {
+      started: new Map(),
+      handled: new Map(),
+      msgReceived: new Map(),
+      msgSent: new Map(),
+      receivedBytes: new Map(),
+      sentBytes: new Map()
+    };
+    this.handlingSeconds = new Map();
+    this.openSessions = 0;
+    this.inflightCalls = 0;
+  }
+
+  trackSession (grpcSession) {
+    this.openSessions++;
+    grpcSession.once('close', () => {
+      this.openSessions--;
+    });
+  }
+
+  trackCall (call, path) {
+    const labels = getMethodLabels(call.handler, path);
+    const start = process.hrtime();
+
+    this.inflightCalls++;
+    this.increment('started', labels);
+
+    call.on('sendMessage', (size) => {
+      this.increment('msgSent', labels);
+      this.increment('sentBytes', labels, size);
+    });
+
+    call.on('receiveMessage', (size) => {
+      this.increment('msgReceived', labels);
+      this.increment('receivedBytes', labels, size);
+    });
+
+    call.once('complete', (status) => {
+      const [seconds, nanoseconds] = process.hrtime(start);
+      const code = statusNames[status.code] || 'UNKNOWN';
+
+      this.increment('handled', `${labels},grpc_code="${code}"`);
+      this.observe(labels, seconds + nanoseconds / 1e9);
+    });
+
+    call.stream.once('close', () => {
+      this.inflightCalls--;
+    });
+  }
+
+  trackRejectedCall () {
+    // Requests that are not gRPC requests, such as requests with an invalid
+    // content-type, receive an HTTP error, which clients map to UNKNOWN.
+    const labels = getMethodLabels(null, null);
+
+    this.increment('started', labels);
+    this.increment('handled', `${labels},grpc_code="UNKNOWN"`);
+  }
+
+  increment (counter, labels, amount = 1) {
+    const series = this.counters[counter];
+
+    series.set(labels, (series.get(labels) || 0) + amount);
+  }
+
+  observe (labels, seconds) {
+    let histogram = this.handlingSeconds.get(labels);
+
+    if (histogram === undefined) {
+      histogram = {
+        buckets: new Array(this.buckets.length).fill(0),
+        sum: 0,
+        count: 0
+      };
+      this.handlingSeconds.set(labels, histogram);
+    }
+
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (seconds <= this.buckets[i]) {
+        histogram.buckets[i]++;
+      }
+    }
+
+    histogram.sum += seconds;
+    histogram.count++;
+  }
+
+  render () {
+    const lines = [];
+
+    Object.keys(counterDescriptions).forEach((counter) => {
+      const [name, help] = counterDescriptions[counter];
+
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} counter`);
+      this.counters[counter].forEach((value, labels) => {
+        lines.push(`${name}{${labels}} ${value}`);
+      });
+    });
+
+    const histogramName = 'grpc_server_handling_seconds';
+
+    lines.push(`# HELP ${histogramName} Histogram of response latency ` +
+      '(seconds) of gRPC that had been application-level handled by the ' +
+      'server.', `# TYPE ${histogramName} histogram`);
+    this.handlingSeconds.forEach((histogram, labels) => {
+      this.buckets.forEach((bucket, i) => {
+        lines.push(`${histogramName}_bucket{${labels},le="${bucket}"} ` +
+          histogram.buckets[i]);
+      });
+
+      lines.push(
+        `${histogramName}_bucket{${labels},le="+Inf"} ${histogram.count}`,
+        `${histogramName}_sum{${labels}} ${histogram.sum}`,
+        `${histogramName}_count{${labels}} ${histogram.count}`
+      );
+    });
+
+    lines.push(
+      '# HELP grpc_server_open_sessions Number of open HTTP/2 sessions.',
+      '# TYPE grpc_server_open_sessions gauge',
+      `grpc_server_open_sessions ${this.openSessions}`,
+      '# HELP grpc_server_inflight_calls Number of RPCs in progress.',
+      '# TYPE grpc_server_inflight_calls gauge',
+      `grpc_server_inflight_calls ${this.inflightCalls}`
+    );
+
+    return lines.join('\n') + '\n';
+  }
+
+  createServer () {
+    return Http.createServer((req, res) => {
+      if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+        res.statusCode = 404;
+        res.end();
+        return;
+      }
+
+      res.setHeader('content-type', kContentType);
+      res.end(this.render());
+    });
+  }
+}
+
+module.exports = { ServerMetrics };
+
+
+function isIncreasingBucket (bucket, i, buckets) {
+  return typeof bucket === 'number' && Number.isFinite(bucket) &&
+    (i === 0 || bucket > buckets[i - 1]);
+}
+
+
+function getMethodLabels (handler, path) {
+  let type = kUnknownLabel;
+  let service = kUnknownLabel;
+  let method = kUnknownLabel;
+
+  // Unimplemented methods are not labeled with their path, so that clients
+  // cannot create an unbounded number of series.
+  if (handler !== null && handler !== undefined) {
+    const match = kMethodPathRegex.exec(path);
+
+    type = methodTypeLabels[handler.type];
+
+    if (match === null) {
+      method = path;
+    } else {
+      service = match[1];
+      method = match[2];
+    }
+  }
+
+  return `grpc_type="${type}",grpc_service="${escapeLabel(service)}",` +
+    `grpc_method="${escapeLabel(method)}"`;
+}
+
+
+function escapeLabel (value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')
+    .replace(/\n/g, '\\n');
+}
@@ -1,13 +1,39 @@
 'use strict';
 const Http2 = require('http2');
+const {
+  CompressionAlgorithms,
+  CompressionLevels,
+  CompressionMethodMap
+} = require('./compression-filter');
+const { ServerMetrics } = require('./metrics');
 const defaultHttp2Settings = Http2.getDefaultSettings();
+const compressionLevelValues = Object.values(CompressionLevels);
+const kDefaultCorsMaxAge = 600;  // 10 minutes in seconds.
 const defaultServerOptions = {
+  'grpc-node.access_log': 0,
+  'grpc-node.compression_methods': undefined,
+  'grpc-node.max_session_rejected_streams': 100,
+  'grpc-node.max_session_short_lived_streams': 200,
+  'grpc-node.max_session_stream_resets': 100,
+  'grpc-node.metrics': undefined,
+  'grpc-node.strict_request_validation': 0,
+  'grpc-node.stream_abuse_window_ms': 1000,
+  'grpc-node.tracer': undefined,
+  'grpc.default_compression_algorithm': CompressionAlgorithms.identity,
+  'grpc.default_compression_level': undefined,
+  'grpc.enable_channelz': 0,
   'grpc.max_concurrent_streams': undefined,
   'grpc.http2.max_frame_size': defaultHttp2Settings.maxFrameSize,
+  'grpc.http2.max_ping_strikes': 2,
+  'grpc.http2.min_ping_interval_without_data_ms': 300000, // 5 minutes in ms.
   'grpc.keepalive_time_ms': 7200000,  // 2 hours in ms (spec default).
   'grpc.keepalive_timeout_ms': 20000, // 20 seconds in ms (spec default).
+  'grpc.keepalive_permit_without_calls': 0,
   'grpc.max_send_message_length': Infinity,
-  'grpc.max_receive_message_length': 4 * 1024 * 1024  // 4 MB
+  'grpc.max_receive_message_length': 4 * 1024 * 1024,  // 4 MB
+  'grpc.max_connection_idle_ms': Infinity,
+  'grpc.max_connection_age_ms': Infinity,
+  'grpc.max_connection_age_grace_ms': Infinity
 };
 
 
@@ -21,16 +47,74 @@ function parseOptions (inputOptions) {
     }
   }
 
+  let compressionMethods = mergedOptions['grpc-node.compression_methods'];
+
+  if (compressionMethods === undefined) {
+    compressionMethods = new CompressionMethodMap();
+  } else if (!(compressionMethods instanceof CompressionMethodMap)) {
+    throw new TypeError('grpc-node.compression_methods must be a ' +
+      'CompressionMethodMap');
+  }
+
+  const metrics = mergedOptions['grpc-node.metrics'];
+
+  if (metrics !== undefined && !(metrics instanceof ServerMetrics)) {
+    throw new TypeError('grpc-node.metrics must be a ServerMetrics');
+  }
+
+  const tracer = mergedOptions['grpc-node.tracer'];
+
+  if (tracer !== undefined && (tracer === null || typeof tracer !== 'object' ||
+      typeof tracer.startSpan !== 'function')) {
+    throw new TypeError('grpc-node.tracer must be an object with a ' +
+      'startSpan() method');
+  }
+
   // Map the gRPC option names to normal camelCase property names.
   const options = {
+    compressionMethods,
+    defaultCompressionAlgorithm: getCompressionAlgorithmName(
+      mergedOptions['grpc.default_compression_algorithm']),
+    defaultCompressionLevel: mergedOptions['grpc.default_compression_level'],
     maxConcurrentStreams: mergedOptions['grpc.max_concurrent_streams'],
     maxFrameSize: mergedOptions['grpc.http2.max_frame_size'],
     keepaliveTimeMs: mergedOptions['grpc.keepalive_time_ms'],
     keepaliveTimeoutMs: mergedOptions['grpc.keepalive_timeout_ms'],
+    keepalivePermitWithoutCalls:
+      Boolean(mergedOptions['grpc.keepalive_permit_without_calls']),
+    maxPingStrikes: mergedOptions['grpc.http2.max_ping_strikes'],
+    minPingIntervalWithoutDataMs:
+      mergedOptions['grpc.http2.min_ping_interval_without_data_ms'],
     maxSendMessageLength: mergedOptions['grpc.max_send_message_length'],
-    maxReceiveMessageLength: mergedOptions['grpc.max_receive_message_length']
+    maxReceiveMessageLength: mergedOptions['grpc.max_receive_message_length'],
+    maxConnectionIdleMs: mergedOptions['grpc.max_connection_idle_ms'],
+    maxConnectionAgeMs: mergedOptions['grpc.max_connection_age_ms'],
+    maxConnectionAgeGraceMs: mergedOptions['grpc.max_connection_age_grace_ms'],
+    maxSessionRejectedStreams:
+      mergedOptions['grpc-node.max_session_rejected_streams'],
+    maxSessionShortLivedStreams:
+      mergedOptions['grpc-node.max_session_short_lived_streams'],
+    maxSessionStreamResets: mergedOptions['grpc-node.max_session_stream_resets'],
+    streamAbuseWindowMs: mergedOptions['grpc-node.stream_abuse_window_ms'],
+    enableChannelz: Boolean(mergedOptions['grpc.enable_channelz']),
+    metrics,
+    tracer,
+    accessLog: Boolean(mergedOptions['grpc-node.access_log']),
+    strictRequestValidation:
+      Boolean(mergedOptions['grpc-node.strict_request_validation'])
   };
 
+  if (!compressionMethods.has(options.defaultCompressionAlgorithm)) {
+    throw new Error('invalid compression algorithm: ' +
+      mergedOptions['grpc.default_compression_algorithm']);
+  }
+
+  if (options.defaultCompressionLevel !== undefined &&
+      !compressionLevelValues.includes(options.defaultCompressionLevel)) {
+    throw new Error('invalid compression level: ' +
+      options.defaultCompressionLevel);
+  }
+
   // grpc.max_send_message_length uses -1 to represent no max size.
   if (options.maxSendMessageLength === -1) {
     options.maxSendMessageLength = Infinity;
@@ -44,4 +128,92 @@ function parseOptions (inputOptions) {
   return options;
 }
 
-module.exports = { parseOptions };
+function parseBindOptions (inputOptions) {
+  if (inputOptions === null || typeof inputOptions !== 'object') {
+    throw new TypeError('options must be an object');
+  }
+
+  const {
+    connect = false,
+    grpcWeb = false,
+    transcoding = false,
+    cors
+  } = inputOptions;
+
+  if (typeof connect !== 'boolean') {
+    throw new TypeError('options.connect must be a boolean');
+  }
+
+  if (typeof grpcWeb !== 'boolean') {
+    throw new TypeError('options.grpcWeb must be a boolean');
+  }
+
+  if (typeof transcoding !== 'boolean') {
+    throw new TypeError('options.transcoding must be a boolean');
+  }
+
+  const { allowHTTP1 = connect || grpcWeb || transcoding } = inputOptions;
+
+  if (typeof allowHTTP1 !== 'boolean') {
+    throw new TypeError('options.allowHTTP1 must be a boolean');
+  }
+
+  // gRPC itself requires HTTP/2, and CORS only applies to gRPC-Web.
+  if (allowHTTP1 === true && connect === false && grpcWeb === false &&
+      transcoding === false) {
+    throw new Error('options.allowHTTP1 requires options.connect, ' +
+      'options.grpcWeb, or options.transcoding');
+  }
+
+  if (cors !== undefined && grpcWeb === false) {
+    throw new Error('options.cors requires options.grpcWeb');
+  }
+
+  return {
+    connect,
+    grpcWeb,
+    transcoding,
+    allowHTTP1,
+    cors: parseCorsOptions(cors)
+  };
+}
+
+module.exports = { parseBindOptions, parseOptions };
+
+
+function parseCorsOptions (cors) {
+  if (cors === undefined) {
+    return null;
+  }
+
+  if (cors === null || typeof cors !== 'object') {
+    throw new TypeError('options.cors must be an object');
+  }
+
+  const { origins, maxAge = kDefaultCorsMaxAge } = cors;
+
+  if (!Array.isArray(origins) || !origins.every((origin) => {
+    return typeof origin === 'string';
+  })) {
+    throw new TypeError('options.cors.origins must be an array of strings');
+  }
+
+  if (!Number.isInteger(maxAge) || maxAge < 0) {
+    throw new TypeError('options.cors.maxAge must be a non-negative integer');
+  }
+
+  return { origins, maxAge };
+}
+
+
+function getCompressionAlgorithmName (algorithm) {
+  // Algorithms registered with a custom CompressionMethodMap can be referred
+  // to by name, since they do not have a numeric value.
+  if (typeof algorithm === 'string') {
+    return algorithm;
+  }
+
+  return Object.keys(CompressionAlgorithms).find((name) => {
+    return CompressionAlgorithms[name] === algorithm;
+  });
+}
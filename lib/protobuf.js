@@ -0,0 +1,305 @@
+'use strict';
+// A minimal protobuf wire format encoder and decoder. This is only intended
+// to support the well known messages used by the services that ship with this
+// module, so that protobufjs does not become a production dependency.
+const kWireTypeVarint = 0;
+const kWireTypeFixed64 = 1;
+const kWireTypeLengthDelimited = 2;
+const kWireTypeFixed32 = 5;
+const kMaxVarintLength = 10;
+const kUint32Max = 0x100000000;
+
+
+class ProtobufWriter {
+  constructor () {
+    this.chunks = [];
+    this.length = 0;
+  }
+
+  // Scalar fields follow proto3 semantics, and are not written when they are
+  // set to their default values.
+  uint (field, value) {
+    if (+value < 0) {
+      throw new TypeError(`field ${field} must not be negative`);
+    }
+
+    return this.int(field, value);
+  }
+
+  // Negative values are written as ten byte two's complement varints, as
+  // required for int32 and int64 fields.
+  int (field, value) {
+    if (value === undefined || value === null || +value === 0) {
+      return this;
+    }
+
+    this.tag(field, kWireTypeVarint);
+    this.varint(+value);
+    return this;
+  }
+
+  bool (field, value) {
+    return this.uint(field, value === true ? 1 : 0);
+  }
+
+  string (field, value) {
+    if (typeof value !== 'string' || value.length === 0) {
+      return this;
+    }
+
+    return this.bytes(field, Buffer.from(value, 'utf8'));
+  }
+
+  bytes (field, value) {
+    if (!Buffer.isBuffer(value) || value.length === 0) {
+      return this;
+    }
+
+    this.tag(field, kWireTypeLengthDelimited);
+    this.varint(value.length);
+    this.push(value);
+    return this;
+  }
+
+  // Embedded messages are always written, even if they are empty.
+  message (field, value) {
+    const buffer = value instanceof ProtobufWriter ? value.finish() : value;
+
+    this.tag(field, kWireTypeLengthDelimited);
+    this.varint(buffer.length);
+    this.push(buffer);
+    return this;
+  }
+
+  tag (field, wireType) {
+    this.varint((field << 3) | wireType);
+  }
+
+  varint (value) {
+    const bytes = [];
+    let lo = Math.abs(value) % kUint32Max;
+    let hi = Math.floor(Math.abs(value) / kUint32Max);
+
+    if (value < 0) {
+      lo = (~lo + 1) >>> 0;
+      hi = (~hi + (lo === 0 ? 1 : 0)) >>> 0;
+    }
+
+    while (hi > 0) {
+      bytes.push((lo & 0x7f) | 0x80);
+      lo = ((lo >>> 7) | (hi << 25)) >>> 0;
+      hi >>>= 7;
+    }
+
+    while (lo > 0x7f) {
+      bytes.push((lo & 0x7f) | 0x80);
+      lo >>>= 7;
+    }
+
+    bytes.push(lo);
+    this.push(Buffer.from(bytes));
+  }
+
+  push (buffer) {
+    this.chunks.push(buffer);
+    this.length += buffer.length;
+  }
+
+  finish () {
+    return Buffer.concat(this.chunks, this.length);
+  }
+}
+
+
+// Decodes a message into an array of { field, wireType, value } objects.
+// Varints are returned as numbers, and all other wire types as Buffers.
+// Varints are read as signed 64 bit integers, so that negative int32 and int64
+// values are decoded correctly.
+function decodeFields (buffer) {
+  const fields = [];
+  let offset = 0;
+
+  function readVarint () {
+    let lo = 0;
+    let hi = 0;
+    let shift = 0;
+    let byte;
+
+    do {
+      if (offset >= buffer.length) {
+        throw new Error('Invalid protobuf: truncated varint');
+      }
+
+      if (shift >= kMaxVarintLength * 7) {
+        throw new Error('Invalid protobuf: varint is too long');
+      }
+
+      byte = buffer[offset++];
+
+      const bits = byte & 0x7f;
+
+      if (shift < 32) {
+        lo = (lo | (bits << shift)) >>> 0;
+
+        if (shift > 25) {
+          hi = (hi | (bits >>> (32 - shift))) >>> 0;
+        }
+      } else {
+        hi = (hi | (bits << (shift - 32))) >>> 0;
+      }
+
+      shift += 7;
+    } while (byte & 0x80);
+
+    if (hi >= 0x80000000) {
+      return -((~hi >>> 0) * kUint32Max + (~lo >>> 0) + 1);
+    }
+
+    return hi * kUint32Max + lo;
+  }
+
+  function readBytes (length) {
+    if (offset + length > buffer.length) {
+      throw new Error('Invalid protobuf: truncated field');
+    }
+
+    const value = buffer.slice(offset, offset + length);
+
+    offset += length;
+    return value;
+  }
+
+  while (offset < buffer.length) {
+    const tag = readVarint();
+    const field = Math.floor(tag / 8);
+    const wireType = tag & 0x7;
+    let value;
+
+    switch (wireType) {
+      case kWireTypeVarint :
+        value = readVarint();
+        break;
+      case kWireTypeFixed64 :
+        value = readBytes(8);
+        break;
+      case kWireTypeLengthDelimited :
+        value = readBytes(readVarint());
+        break;
+      case kWireTypeFixed32 :
+        value = readBytes(4);
+        break;
+      default :
+        throw new Error(`Invalid protobuf: unsupported wire type ${wireType}`);
+    }
+
+    fields.push({ field, wireType, value });
+  }
+
+  return fields;
+}
+
+
+// Messages are described by schemas that map property names to
+// [field number, type, repeated] tuples. The type is a scalar type name, or
+// the schema of an embedded message.
+function encodeMessage (schema, value) {
+  const writer = new ProtobufWriter();
+
+  Object.keys(schema).forEach((name) => {
+    const [field, type, repeated] = schema[name];
+    const fieldValue = value[name];
+
+    if (fieldValue === undefined || fieldValue === null) {
+      return;
+    }
+
+    const values = repeated === true ? fieldValue : [fieldValue];
+
+    values.forEach((item) => {
+      switch (type) {
+        case 'int32' :
+        case 'int64' :
+          writer.int(field, item);
+          break;
+        case 'bool' :
+          writer.bool(field, item);
+          break;
+        case 'string' :
+          writer.string(field, item);
+          break;
+        case 'bytes' :
+          writer.bytes(field, item);
+          break;
+        default :
+          writer.message(field, encodeMessage(type, item));
+      }
+    });
+  });
+
+  return writer;
+}
+
+
+function decodeMessage (schema, bytes) {
+  const message = {};
+  const fieldNames = {};
+
+  // Start with the proto3 default values.
+  Object.keys(schema).forEach((name) => {
+    const [field, type, repeated] = schema[name];
+
+    fieldNames[field] = name;
+
+    if (repeated === true) {
+      message[name] = [];
+    } else if (type === 'int32' || type === 'int64') {
+      message[name] = 0;
+    } else if (type === 'bool') {
+      message[name] = false;
+    } else if (type === 'string') {
+      message[name] = '';
+    } else if (type === 'bytes') {
+      message[name] = Buffer.alloc(0);
+    } else {
+      message[name] = null;
+    }
+  });
+
+  decodeFields(bytes).forEach(({ field, value }) => {
+    const name = fieldNames[field];
+
+    if (name === undefined) {
+      return;
+    }
+
+    const [, type, repeated] = schema[name];
+    let decoded;
+
+    switch (type) {
+      case 'int32' :
+      case 'int64' :
+      case 'bytes' :
+        decoded = value;
+        break;
+      case 'bool' :
+        decoded = value !== 0;
+        break;
+      case 'string' :
+        decoded = value.toString('utf8');
+        break;
+      default :
+        decoded = decodeMessage(type, value);
+    }
+
+    if (repeated === true) {
+      message[name].push(decoded);
+    } else {
+      message[name] = decoded;
+    }
+  });
+
+  return message;
+}
+
+
+module.exports = { decodeFields, decodeMessage, encodeMessage, ProtobufWriter };
@@ -0,0 +1,618 @@
+'use strict';
+const { decodeFields, ProtobufWriter } = require('./protobuf');
+const Status = require('./status');
+const { hasGrpcStatusCode } = require('./utils');
+const kServicePathRegex = /^\/([^/]+)\/[^/]+$/;
+const kMethodName = 'ServerReflectionInfo';
+const messageRequestFields = {
+  3: 'fileByFilename',
+  4: 'fileContainingSymbol',
+  5: 'fileContainingExtension',
+  6: 'allExtensionNumbersOfType',
+  7: 'listServices'
+};
+const messageRequestFieldNumbers = {
+  fileByFilename: 3,
+  fileContainingSymbol: 4,
+  allExtensionNumbersOfType: 6,
+  listServices: 7
+};
+const messageResponseFields = {
+  4: 'fileDescriptorResponse',
+  5: 'allExtensionNumbersResponse',
+  6: 'listServicesResponse',
+  7: 'errorResponse'
+};
+
+// Parsed descriptors are cached, as they are reused by every request.
+const parsedFileDescriptors = new WeakMap();
+
+
+class ReflectionService {
+  constructor (server) {
+    if (server === null || typeof server !== 'object' ||
+        typeof server._getMethodDefinitions !== 'function') {
+      throw new TypeError('server must be a Server instance');
+    }
+
+    this.server = server;
+  }
+
+  serverReflectionInfo (stream) {
+    stream.on('data', (request) => {
+      stream.write(this.handleRequest(request));
+    });
+
+    stream.on('end', () => {
+      stream.end();
+    });
+  }
+
+  handleRequest (request) {
+    const response = {
+      validHost: request.host,
+      originalRequest: request,
+      messageResponse: 'errorResponse',
+      errorResponse: null
+    };
+
+    try {
+      // The index is rebuilt for each request so that services added or
+      // removed after the reflection service was registered are always
+      // reflected.
+      const index = buildIndex(this.server);
+
+      switch (request.messageRequest) {
+        case 'fileByFilename' :
+          setFileResponse(response, index,
+            getFile(index, request.fileByFilename));
+          break;
+        case 'fileContainingSymbol' :
+          setFileResponse(response, index,
+            getFileBySymbol(index, request.fileContainingSymbol));
+          break;
+        case 'fileContainingExtension' :
+          setFileResponse(response, index,
+            getFileByExtension(index, request.fileContainingExtension));
+          break;
+        case 'allExtensionNumbersOfType' :
+          setExtensionNumbersResponse(response, index,
+            request.allExtensionNumbersOfType);
+          break;
+        case 'listServices' :
+          response.messageResponse = 'listServicesResponse';
+          response.listServicesResponse = {
+            service: Array.from(index.services).sort().map((name) => {
+              return { name };
+            })
+          };
+          break;
+        default :
+          throw createError(Status.INVALID_ARGUMENT,
+            'Invalid reflection request');
+      }
+    } catch (err) {
+      response.messageResponse = 'errorResponse';
+      response.errorResponse = {
+        errorCode: hasGrpcStatusCode(err) ? err.code : Status.INTERNAL,
+        errorMessage: err.message
+      };
+    }
+
+    return response;
+  }
+}
+
+
+function createServiceDefinition (packageName) {
+  return {
+    [kMethodName]: {
+      path: `/${packageName}.ServerReflection/${kMethodName}`,
+      requestStream: true,
+      responseStream: true,
+      requestSerialize: serializeRequest,
+      requestDeserialize: deserializeRequest,
+      responseSerialize: serializeResponse,
+      responseDeserialize: deserializeResponse,
+      originalName: 'serverReflectionInfo'
+    }
+  };
+}
+
+
+const reflectionServiceDefinitions = {
+  v1: createServiceDefinition('grpc.reflection.v1'),
+  v1alpha: createServiceDefinition('grpc.reflection.v1alpha')
+};
+
+module.exports = { ReflectionService, reflectionServiceDefinitions };
+
+
+function createError (code, message) {
+  const err = new Error(message);
+
+  err.code = code;
+  return err;
+}
+
+
+function buildIndex (server) {
+  const index = {
+    services: new Set(),
+    files: new Map(),     // File name -> { bytes, descriptor }.
+    symbols: new Map(),   // Fully qualified symbol name -> file name.
+    extensions: new Map() // Extended type name -> Map(number -> file name).
+  };
+
+  server._getMethodDefinitions().forEach((definition, path) => {
+    const match = path.match(kServicePathRegex);
+
+    if (match !== null) {
+      index.services.add(match[1]);
+    }
+
+    if (definition === null) {
+      return;
+    }
+
+    [definition.requestType, definition.responseType].forEach((type) => {
+      if (type && Array.isArray(type.fileDescriptorProtos)) {
+        type.fileDescriptorProtos.forEach((bytes) => {
+          addFileToIndex(index, bytes);
+        });
+      }
+    });
+  });
+
+  return index;
+}
+
+
+function addFileToIndex (index, bytes) {
+  let descriptor = parsedFileDescriptors.get(bytes);
+
+  if (descriptor === undefined) {
+    descriptor = parseFileDescriptor(bytes);
+    parsedFileDescriptors.set(bytes, descriptor);
+  }
+
+  if (index.files.has(descriptor.name)) {
+    return;
+  }
+
+  index.files.set(descriptor.name, { bytes, descriptor });
+
+  descriptor.symbols.forEach((symbol) => {
+    index.symbols.set(symbol, descriptor.name);
+  });
+
+  descriptor.extensions.forEach(({ extendee, number }) => {
+    let numbers = index.extensions.get(extendee);
+
+    if (numbers === undefined) {
+      numbers = new Map();
+      index.extensions.set(extendee, numbers);
+    }
+
+    numbers.set(number, descriptor.name);
+  });
+}
+
+
+function getFile (index, fileName) {
+  const file = index.files.get(fileName);
+
+  if (file === undefined) {
+    throw createError(Status.NOT_FOUND, `File not found: ${fileName}`);
+  }
+
+  return file;
+}
+
+
+function getFileBySymbol (index, symbol) {
+  const fileName = index.symbols.get(symbol);
+
+  if (fileName === undefined) {
+    throw createError(Status.NOT_FOUND, `Symbol not found: ${symbol}`);
+  }
+
+  return index.files.get(fileName);
+}
+
+
+function getFileByExtension (index, request) {
+  const { containingType, extensionNumber } = request;
+  const numbers = index.extensions.get(containingType);
+  const fileName = numbers === undefined ? undefined :
+    numbers.get(extensionNumber);
+
+  if (fileName === undefined) {
+    throw createError(Status.NOT_FOUND,
+      `Extension not found: ${containingType}(${extensionNumber})`);
+  }
+
+  return index.files.get(fileName);
+}
+
+
+function setFileResponse (response, index, file) {
+  // Respond with the requested file, followed by its transitive dependencies.
+  const fileNames = new Set();
+  const queue = [file];
+
+  while (queue.length > 0) {
+    const { descriptor } = queue.shift();
+
+    if (fileNames.has(descriptor.name)) {
+      continue;
+    }
+
+    fileNames.add(descriptor.name);
+    descriptor.dependencies.forEach((dependency) => {
+      const dependencyFile = index.files.get(dependency);
+
+      if (dependencyFile !== undefined) {
+        queue.push(dependencyFile);
+      }
+    });
+
+    // Descriptors generated by protobufjs do not list their dependencies, so
+    // the files defining any referenced types are included as well.
+    descriptor.references.forEach((typeName) => {
+      const fileName = index.symbols.get(typeName);
+
+      if (fileName !== undefined) {
+        queue.push(index.files.get(fileName));
+      }
+    });
+  }
+
+  response.messageResponse = 'fileDescriptorResponse';
+  response.fileDescriptorResponse = {
+    fileDescriptorProto: Array.from(fileNames).map((fileName) => {
+      return index.files.get(fileName).bytes;
+    })
+  };
+}
+
+
+function setExtensionNumbersResponse (response, index, typeName) {
+  if (!index.symbols.has(typeName)) {
+    throw createError(Status.NOT_FOUND, `Type not found: ${typeName}`);
+  }
+
+  const numbers = index.extensions.get(typeName);
+
+  response.messageResponse = 'allExtensionNumbersResponse';
+  response.allExtensionNumbersResponse = {
+    baseTypeName: typeName,
+    extensionNumber: numbers === undefined ? [] :
+      Array.from(numbers.keys()).sort((a, b) => { return a - b; })
+  };
+}
+
+
+function parseFileDescriptor (bytes) {
+  const descriptor = {
+    name: '',
+    dependencies: [],
+    references: [],
+    symbols: [],
+    extensions: []
+  };
+  const messages = [];
+  const enums = [];
+  const services = [];
+  const extensions = [];
+  let packageName = '';
+
+  // google.protobuf.FileDescriptorProto
+  decodeFields(bytes).forEach(({ field, value }) => {
+    switch (field) {
+      case 1 :
+        descriptor.name = value.toString('utf8');
+        break;
+      case 2 :
+        packageName = value.toString('utf8');
+        break;
+      case 3 :
+        descriptor.dependencies.push(value.toString('utf8'));
+        break;
+      case 4 :
+        messages.push(value);
+        break;
+      case 5 :
+        enums.push(value);
+        break;
+      case 6 :
+        services.push(value);
+        break;
+      case 7 :
+        extensions.push(value);
+        break;
+    }
+  });
+
+  const prefix = packageName === '' ? '' : `${packageName}.`;
+
+  messages.forEach((message) => {
+    addMessageSymbols(descriptor, prefix, message);
+  });
+
+  enums.forEach((enumType) => {
+    descriptor.symbols.push(prefix + getName(enumType));
+  });
+
+  services.forEach((service) => {
+    addServiceSymbols(descriptor, prefix, service);
+  });
+
+  extensions.forEach((extension) => {
+    addExtension(descriptor, prefix, extension);
+  });
+
+  return descriptor;
+}
+
+
+function getName (bytes) {
+  const nameField = decodeFields(bytes).find(({ field }) => {
+    return field === 1;
+  });
+
+  return nameField === undefined ? '' : nameField.value.toString('utf8');
+}
+
+
+function addMessageSymbols (descriptor, prefix, bytes) {
+  // google.protobuf.DescriptorProto
+  const fields = decodeFields(bytes);
+  const fullName = prefix + getName(bytes);
+  const nestedPrefix = `${fullName}.`;
+
+  descriptor.symbols.push(fullName);
+  fields.forEach(({ field, value }) => {
+    switch (field) {
+      case 2 :
+        addFieldReferences(descriptor, value);
+        break;
+      case 3 :
+        addMessageSymbols(descriptor, nestedPrefix, value);
+        break;
+      case 4 :
+        descriptor.symbols.push(nestedPrefix + getName(value));
+        break;
+      case 6 :
+        addExtension(descriptor, nestedPrefix, value);
+        break;
+    }
+  });
+}
+
+
+function addServiceSymbols (descriptor, prefix, bytes) {
+  // google.protobuf.ServiceDescriptorProto
+  const fullName = prefix + getName(bytes);
+
+  descriptor.symbols.push(fullName);
+  decodeFields(bytes).forEach(({ field, value }) => {
+    if (field === 2) {
+      // google.protobuf.MethodDescriptorProto
+      descriptor.symbols.push(`${fullName}.${getName(value)}`);
+      decodeFields(value).forEach(({ field, value }) => {
+        if (field === 2 || field === 3) {
+          addReference(descriptor, value);
+        }
+      });
+    }
+  });
+}
+
+
+function addReference (descriptor, typeName) {
+  descriptor.references.push(typeName.toString('utf8').replace(/^\./, ''));
+}
+
+
+function addFieldReferences (descriptor, bytes) {
+  // google.protobuf.FieldDescriptorProto
+  decodeFields(bytes).forEach(({ field, value }) => {
+    if (field === 2 || field === 6) {
+      addReference(descriptor, value);
+    }
+  });
+}
+
+
+function addExtension (descriptor, prefix, bytes) {
+  // google.protobuf.FieldDescriptorProto
+  let extendee = '';
+  let number = 0;
+
+  decodeFields(bytes).forEach(({ field, value }) => {
+    if (field === 2) {
+      extendee = value.toString('utf8').replace(/^\./, '');
+    } else if (field === 3) {
+      number = value;
+    }
+  });
+
+  descriptor.symbols.push(prefix + getName(bytes));
+  descriptor.extensions.push({ extendee, number });
+  addFieldReferences(descriptor, bytes);
+}
+
+
+function writeRequest (writer, value) {
+  writer.string(1, value.host);
+
+  switch (value.messageRequest) {
+    case 'fileContainingExtension' :
+      writer.message(5, new ProtobufWriter()
+        .string(1, value.fileContainingExtension.containingType)
+        .uint(2, value.fileContainingExtension.extensionNumber));
+      break;
+    case 'fileByFilename' :
+    case 'fileContainingSymbol' :
+    case 'allExtensionNumbersOfType' :
+    case 'listServices' :
+      // Strings are written as messages, so that empty strings are not
+      // omitted, and the oneof is preserved.
+      writer.message(messageRequestFieldNumbers[value.messageRequest],
+        Buffer.from(value[value.messageRequest], 'utf8'));
+      break;
+  }
+
+  return writer;
+}
+
+
+// grpc.reflection.v1.ServerReflectionRequest
+function serializeRequest (value) {
+  return writeRequest(new ProtobufWriter(), value).finish();
+}
+
+
+function deserializeRequest (bytes) {
+  const request = { host: '', messageRequest: undefined };
+
+  decodeFields(bytes).forEach(({ field, value }) => {
+    if (field === 1) {
+      request.host = value.toString('utf8');
+      return;
+    }
+
+    const name = messageRequestFields[field];
+
+    if (name === undefined) {
+      return;
+    }
+
+    request.messageRequest = name;
+
+    if (name === 'fileContainingExtension') {
+      const extension = { containingType: '', extensionNumber: 0 };
+
+      decodeFields(value).forEach(({ field, value }) => {
+        if (field === 1) {
+          extension.containingType = value.toString('utf8');
+        } else if (field === 2) {
+          extension.extensionNumber = value;
+        }
+      });
+
+      request[name] = extension;
+    } else {
+      request[name] = value.toString('utf8');
+    }
+  });
+
+  return request;
+}
+
+
+// grpc.reflection.v1.ServerReflectionResponse
+function serializeResponse (value) {
+  const writer = new ProtobufWriter()
+    .string(1, value.validHost)
+    .message(2, writeRequest(new ProtobufWriter(), value.originalRequest));
+  const body = new ProtobufWriter();
+
+  switch (value.messageResponse) {
+    case 'fileDescriptorResponse' :
+      value.fileDescriptorResponse.fileDescriptorProto.forEach((bytes) => {
+        body.bytes(1, bytes);
+      });
+      writer.message(4, body);
+      break;
+    case 'allExtensionNumbersResponse' :
+      body.string(1, value.allExtensionNumbersResponse.baseTypeName);
+      value.allExtensionNumbersResponse.extensionNumber.forEach((number) => {
+        body.uint(2, number);
+      });
+      writer.message(5, body);
+      break;
+    case 'listServicesResponse' :
+      value.listServicesResponse.service.forEach((service) => {
+        body.message(1, new ProtobufWriter().string(1, service.name));
+      });
+      writer.message(6, body);
+      break;
+    default :
+      body.uint(1, value.errorResponse.errorCode);
+      body.string(2, value.errorResponse.errorMessage);
+      writer.message(7, body);
+      break;
+  }
+
+  return writer.finish();
+}
+
+
+function deserializeResponse (bytes) {
+  const response = {
+    validHost: '',
+    originalRequest: null,
+    messageResponse: undefined
+  };
+
+  decodeFields(bytes).forEach(({ field, value }) => {
+    if (field === 1) {
+      response.validHost = value.toString('utf8');
+      return;
+    }
+
+    if (field === 2) {
+      response.originalRequest = deserializeRequest(value);
+      return;
+    }
+
+    const name = messageResponseFields[field];
+
+    if (name === undefined) {
+      return;
+    }
+
+    const fields = decodeFields(value);
+
+    response.messageResponse = name;
+
+    switch (name) {
+      case 'fileDescriptorResponse' :
+        response[name] = {
+          fileDescriptorProto: fields.map(({ value }) => { return value; })
+        };
+        break;
+      case 'allExtensionNumbersResponse' :
+        response[name] = { baseTypeName: '', extensionNumber: [] };
+        fields.forEach(({ field, value }) => {
+          if (field === 1) {
+            response[name].baseTypeName = value.toString('utf8');
+          } else {
+            response[name].extensionNumber.push(value);
+          }
+        });
+        break;
+      case 'listServicesResponse' :
+        response[name] = {
+          service: fields.map(({ value }) => {
+            return { name: getName(value) };
+          })
+        };
+        break;
+      default :
+        response[name] = { errorCode: 0, errorMessage: '' };
+        fields.forEach(({ field, value }) => {
+          if (field === 1) {
+            response[name].errorCode = value;
+          } else {
+            response[name].errorMessage = value.toString('utf8');
+          }
+        });
+        break;
+    }
+  });
+
+  return response;
+}
@@ -2,14 +2,26 @@
 const EventEmitter = require('events');
 const Http2 = require('http2');
 const { CompressionFilter } = require('./compression-filter');
+const { encodeStatusDetails } = require('./error-details');
+const {
+  interceptReceivedMessage,
+  interceptSentMessage,
+  interceptStatus
+} = require('./interceptors');
+const { isTracerEnabled, trace } = require('./logging');
 const { Metadata } = require('./metadata');
 const Status = require('./status');
+const { startCallSpan } = require('./tracing');
+const { encodeGrpcMessage } = require('./utils');
 const kGrpcMessageHeader = 'grpc-message';
 const kGrpcStatusHeader = 'grpc-status';
 const kGrpcTimeoutHeader = 'grpc-timeout';
 const kGrpcEncodingHeader = 'grpc-encoding';
 const kGrpcAcceptEncodingHeader = 'grpc-accept-encoding';
+const kGrpcStatusDetailsHeader = 'grpc-status-details-bin';
+const kTracerName = 'server_call';
 const kDeadlineRegex = /(\d{1,8})\s*([HMSmun])/;
+const kStrictDeadlineRegex = /^(\d{1,8})([HMSmun])$/;
 const deadlineUnitsToMs = {
   H: 3600000,
   M: 60000,
@@ -19,9 +31,11 @@ const deadlineUnitsToMs = {
   n: 0.000001
 };
 const defaultResponseOptions = { waitForTrailers: true };
+let nextCallId = 1;
 const {
   HTTP2_HEADER_CONTENT_TYPE,
   HTTP2_HEADER_STATUS,
+  HTTP2_HEADER_TE,
   HTTP_STATUS_OK,
   NGHTTP2_CANCEL
 } = Http2.constants;
@@ -30,16 +44,25 @@ const {
 class ServerCall extends EventEmitter {
   constructor (stream, options) {
     super();
+    this.id = nextCallId++;
     this.handler = null;
+    this.codec = null;
+    this.contentType = 'application/grpc+proto';
     this.stream = stream;
     this.cancelled = false;
     this.deadline = Infinity;
     this.deadlineTimer = null;
-    this.compression = new CompressionFilter();
+    this.compression = new CompressionFilter(options);
     this.metadataSent = false;
+    this.interceptors = [];
     this.status = { code: Status.OK, details: 'OK', metadata: null };
+    this.statusDetails = null;
+    this.completed = false;
     this.maxSendMessageLength = options.maxSendMessageLength;
     this.maxReceiveMessageLength = options.maxReceiveMessageLength;
+    this.strictRequestValidation = options.strictRequestValidation;
+    this.tracer = options.tracer;
+    this.span = null;
     this.stream.on('drain', onStreamDrain.bind(this));
     this.stream.once('error', onStreamError.bind(this));
     this.stream.once('close', onStreamClose.bind(this));
@@ -55,12 +78,16 @@ class ServerCall extends EventEmitter {
 
     const headers = {
       [kGrpcEncodingHeader]: this.compression.send.name,
-      [kGrpcAcceptEncodingHeader]: this.compression.accepts.join(','),
+      [kGrpcAcceptEncodingHeader]:
+        this.compression.supportedMethods.accepts.join(','),
       [HTTP2_HEADER_STATUS]: HTTP_STATUS_OK,
-      [HTTP2_HEADER_CONTENT_TYPE]: 'application/grpc+proto'
+      [HTTP2_HEADER_CONTENT_TYPE]: this.contentType
     };
 
     this.stream.once('wantTrailers', onWantTrailers.bind(this));
+    this.emit('send');
+    this.trace('Sending metadata');
+    traceMetadata(this, 'Sent', customMetadata);
 
     if (customMetadata === undefined || customMetadata === null) {
       this.stream.respond(headers, defaultResponseOptions);
@@ -75,20 +102,42 @@ class ServerCall extends EventEmitter {
   receiveMetadata (headers) {
     let metadata = Metadata.fromHttp2Headers(headers);
 
+    if (isTracerEnabled(kTracerName)) {
+      this.trace(`Received call to ${headers[':path']} from ${this.getPeer()}`);
+    }
+
+    traceMetadata(this, 'Received', metadata);
+
+    if (this.tracer !== undefined) {
+      this.span = startCallSpan(this, this.tracer, headers[':path'], metadata);
+    }
+
+    if (this.strictRequestValidation === true) {
+      validateRequestHeaders(headers);
+    }
+
     metadata = this.compression.receiveMetadata(metadata);
 
     const timeoutHeader = metadata.get(kGrpcTimeoutHeader);
 
     if (timeoutHeader.length > 0) {
-      const match = timeoutHeader[0].match(kDeadlineRegex);
+      const deadlineRegex = this.strictRequestValidation === true ?
+        kStrictDeadlineRegex : kDeadlineRegex;
+      const match = timeoutHeader[0].match(deadlineRegex);
 
       if (match === null) {
-        this.sendError(new Error('Invalid deadline'), Status.OUT_OF_RANGE);
-        return;
+        const err = new Error('Invalid deadline');
+
+        err.code = Status.OUT_OF_RANGE;
+        throw err;
       }
 
       const timeout = (+match[1] * deadlineUnitsToMs[match[2]]) | 0;
 
+      if (isTracerEnabled(kTracerName)) {
+        this.trace(`Deadline set to ${timeout}ms`);
+      }
+
       this.deadline = Date.now() + timeout;
       this.deadlineTimer = setTimeout(handleExpiredDeadline, timeout, this);
       metadata.remove(kGrpcTimeoutHeader);
@@ -115,27 +164,59 @@ class ServerCall extends EventEmitter {
         return;
       }
 
-      try {
-        const requestBytes = Buffer.concat(chunks, totalLength);
+      const requestBytes = Buffer.concat(chunks, totalLength);
+
+      // Unary requests must contain exactly one length-prefixed message.
+      if (this.strictRequestValidation === true &&
+          !isSingleFramedMessage(requestBytes)) {
+        const err = new Error('Malformed request message framing');
+
+        this.sendError(err, Status.INTERNAL);
+        callback(err, null);
+        return;
+      }
 
-        callback(null, await this.deserializeMessage(requestBytes));
+      let request;
+
+      try {
+        request = await this.deserializeMessage(requestBytes);
       } catch (err) {
         this.sendError(err, Status.INTERNAL);
         callback(err, null);
+        return;
       }
+
+      // The callback runs outside of the try...catch so that errors thrown by
+      // the handler are not mistaken for deserialization errors.
+      callback(null, request);
     });
   }
 
-  serializeMessage (value) {
-    const messageBuffer = this.handler.serialize(value);
+  async serializeMessage (value, flags) {
+    if (this.interceptors.length > 0) {
+      value = await interceptSentMessage(this.interceptors, value);
+    }
 
-    return this.compression.serializeMessage(messageBuffer);
+    // Services can register codecs for content-subtypes other than proto.
+    const messageBuffer = this.codec === null ?
+      this.handler.serialize(value) : this.codec.serialize(value);
+
+    return this.compression.serializeMessage(messageBuffer, flags);
   }
 
   async deserializeMessage (bytes) {
+    this.emit('receiveMessage', bytes.length);
+
     const receivedMessage = await this.compression.deserializeMessage(bytes);
+    const message = this.codec === null ?
+      this.handler.deserialize(receivedMessage) :
+      this.codec.deserialize(receivedMessage);
 
-    return this.handler.deserialize(receivedMessage);
+    if (this.interceptors.length > 0) {
+      return interceptReceivedMessage(this.interceptors, message);
+    }
+
+    return message;
   }
 
   async sendUnaryMessage (err, value, metadata, flags) {
@@ -149,7 +230,7 @@ class ServerCall extends EventEmitter {
     }
 
     try {
-      const response = await this.serializeMessage(value);
+      const response = await this.serializeMessage(value, flags);
 
       if (metadata) {
         this.status.metadata = metadata;
@@ -162,6 +243,14 @@ class ServerCall extends EventEmitter {
     }
   }
 
+  abort (error, code) {
+    // Ends the call with an error status, and notifies the handler that the
+    // call has been cancelled so that it can stop processing.
+    this.sendError(error, code);
+    this.cancelled = true;
+    this.emit('cancelled', 'aborted');
+  }
+
   sendError (error, code = Status.UNKNOWN) {
     const { status } = this;
 
@@ -185,6 +274,10 @@ class ServerCall extends EventEmitter {
       status.metadata = error.metadata;
     }
 
+    if (Array.isArray(error.statusDetails)) {
+      this.statusDetails = error.statusDetails;
+    }
+
     this.end();
   }
 
@@ -201,17 +294,61 @@ class ServerCall extends EventEmitter {
     }
 
     this.sendMetadata();
+    this.emit('send');
+    this.emit('sendMessage', chunk.length);
     return this.stream.write(chunk);
   }
 
+  getPeer () {
+    const { socket } = this.stream.session;
+
+    if (!(socket && socket.remoteAddress)) {
+      return 'unknown';
+    }
+
+    if (socket.remotePort) {
+      return `${socket.remoteAddress}:${socket.remotePort}`;
+    }
+
+    return socket.remoteAddress;
+  }
+
+  trace (text) {
+    // Trace output is built only when the tracer is enabled. Callers that
+    // build their text check isTracerEnabled() themselves.
+    if (isTracerEnabled(kTracerName)) {
+      trace(kTracerName, `[${this.id}] ${text}`);
+    }
+  }
+
   end () {
     if (this.cancelled === true || this.stream.destroyed === true) {
       return;
     }
 
+    // Errors that occur before the response headers are sent use a
+    // Trailers-Only response, which sends the status in a single HEADERS frame.
+    if (this.metadataSent === false && this.status.code !== Status.OK) {
+      this.sendTrailersOnly();
+      return;
+    }
+
     this.sendMetadata();
     return this.stream.end();
   }
+
+  sendTrailersOnly () {
+    this.metadataSent = true;
+    this.emit('send');
+    this.trace('Sending Trailers-Only response');
+    this.stream.respond({
+      [kGrpcAcceptEncodingHeader]:
+        this.compression.supportedMethods.accepts.join(','),
+      [HTTP2_HEADER_STATUS]: HTTP_STATUS_OK,
+      [HTTP2_HEADER_CONTENT_TYPE]: this.contentType,
+      ...getTrailers(this)
+    }, { endStream: true });
+  }
 }
 
 module.exports = { ServerCall };
@@ -231,31 +368,106 @@ function onStreamError (err) {
 function onStreamClose () {
   // `this` is bound to the Call instance, not the stream itself.
   if (this.stream.rstCode === NGHTTP2_CANCEL) {
+    this.trace('Cancelled by client');
     this.cancelled = true;
     this.emit('cancelled', 'cancelled');
   }
+
+  // Calls that end without sending a status were cancelled by the client.
+  completeCall(this, { code: Status.CANCELLED, details: 'Cancelled' });
 }
 
 
 function onWantTrailers () {
   // `this` is bound to the Call instance, not the stream itself.
+  this.stream.sendTrailers(getTrailers(this));
+}
+
+
+// Finalizes the call status and returns the headers used to send it.
+function getTrailers (call) {
+  const { status } = call;
+
+  if (call.interceptors.length > 0) {
+    try {
+      interceptStatus(call.interceptors, status);
+    } catch (err) {
+      status.code = Status.INTERNAL;
+      status.details = err.message;
+    }
+  }
+
   let trailersToSend = {
-    [kGrpcStatusHeader]: this.status.code,
-    [kGrpcMessageHeader]: encodeURI(this.status.details)
+    [kGrpcStatusHeader]: status.code,
+    [kGrpcMessageHeader]: encodeGrpcMessage(status.details)
   };
-  const metadata = this.status.metadata;
+  const metadata = status.metadata;
 
-  if (this.status.metadata !== null) {
+  if (metadata !== null) {
     trailersToSend = { ...trailersToSend, ...metadata.toHttp2Headers() };
   }
 
-  clearTimeout(this.deadlineTimer);
-  this.stream.sendTrailers(trailersToSend);
+  // The details are encoded last, using the final status, so that they are
+  // consistent with grpc-status and grpc-message.
+  if (call.statusDetails !== null && status.code !== Status.OK) {
+    trailersToSend[kGrpcStatusDetailsHeader] =
+      encodeStatusDetails(status, call.statusDetails).toString('base64');
+  }
+
+  clearTimeout(call.deadlineTimer);
+  if (isTracerEnabled(kTracerName)) {
+    call.trace(`Sending status ${status.code}: ${status.details}`);
+  }
+
+  traceMetadata(call, 'Sent trailing', metadata);
+  completeCall(call, status);
+  return trailersToSend;
+}
+
+
+// Emits 'complete' with the final status. Observers such as metrics, tracing,
+// and access logging use it to record each call exactly once.
+function completeCall (call, status) {
+  if (call.completed === true) {
+    return;
+  }
+
+  call.completed = true;
+  call.emit('complete', status);
 }
 
 
 function handleExpiredDeadline (call) {
+  call.trace('Deadline exceeded');
   call.sendError(new Error('Deadline exceeded'), Status.DEADLINE_EXCEEDED);
   call.cancelled = true;
   call.emit('cancelled', 'deadline');
 }
+
+
+function validateRequestHeaders (headers) {
+  if (headers[HTTP2_HEADER_TE] !== 'trailers') {
+    const err = new Error('Expected header te: trailers');
+
+    err.code = Status.INTERNAL;
+    throw err;
+  }
+}
+
+
+function isSingleFramedMessage (bytes) {
+  return bytes.length >= 5 && bytes[0] <= 1 &&
+    bytes.readUInt32BE(1) === bytes.length - 5;
+}
+
+
+function traceMetadata (call, prefix, metadata) {
+  // Metadata is only serialized when the tracer is enabled.
+  if (metadata === undefined || metadata === null ||
+      !isTracerEnabled('metadata')) {
+    return;
+  }
+
+  trace('metadata', `[${call.id}] ${prefix} metadata: ` +
+    JSON.stringify(metadata.toHttp2Headers()));
+}
@@ -1,5 +1,30 @@
 'use strict';
 const EventEmitter = require('events');
+const Http2 = require('http2');
+const {
+  ChannelzSocketTracker,
+  registerChannelzSocket,
+  unregisterChannelzSocket
+} = require('./channelz');
+const { trace } = require('./logging');
+const kMaxConnectionAgeJitter = 0.1;
+const kMinPingIntervalWithoutCallsMs = 7200000;  // 2 hours in ms.
+const kTooManyPingsData = Buffer.from('too_many_pings');
+const kStreamAbuseTypes = {
+  resets: {
+    option: 'maxSessionStreamResets',
+    data: Buffer.from('too_many_resets')
+  },
+  rejected: {
+    option: 'maxSessionRejectedStreams',
+    data: Buffer.from('too_many_rejected_streams')
+  },
+  shortLived: {
+    option: 'maxSessionShortLivedStreams',
+    data: Buffer.from('too_many_short_lived_streams')
+  }
+};
+const { NGHTTP2_ENHANCE_YOUR_CALM, NGHTTP2_NO_ERROR } = Http2.constants;
 
 class ServerSession extends EventEmitter {
   constructor (http2Session, options) {
@@ -8,10 +33,52 @@ class ServerSession extends EventEmitter {
     this.options = options;
     this.keepaliveInterval = null;
     this.keepaliveTimeout = null;
+    this.activeStreams = 0;
+    this.idleTimeout = null;
+    this.maxAgeTimeout = null;
+    this.maxAgeGraceTimeout = null;
+    this.pingStrikes = 0;
+    this.lastPingTime = -Infinity;
+    this.streamCounts = { resets: 0, rejected: 0, shortLived: 0 };
+    this.streamCountsWindowStart = -Infinity;
+    this.abusive = false;
+    this.channelz = new ChannelzSocketTracker();
+    this.channelzRef = null;
+    this.peer = this.getPeer();
+    this.trace('server', 'Session created');
+
+    if (options.enableChannelz === true) {
+      this.channelzRef = registerChannelzSocket(this.peer, () => {
+        return getChannelzInfo(this);
+      });
+    }
 
     const teardown = onSessionClose.bind(this);
     this.http2Session.on('close', teardown);
     this.http2Session.on('error', teardown);
+    this.http2Session.on('stream', onSessionStream.bind(this));
+    this.http2Session.on('ping', onSessionPing.bind(this));
+  }
+
+  trackCall (call) {
+    call.on('send', () => {
+      this.resetPingStrikes();
+    });
+
+    call.on('sendMessage', () => {
+      this.channelz.addMessageSent();
+    });
+
+    call.on('receiveMessage', () => {
+      this.channelz.addMessageReceived();
+    });
+  }
+
+  resetPingStrikes () {
+    // Called when headers or data are sent. Clients are allowed to ping after
+    // receiving data, so the ping policy starts over.
+    this.pingStrikes = 0;
+    this.lastPingTime = -Infinity;
   }
 
   startKeepalivePings () {
@@ -29,8 +96,11 @@ class ServerSession extends EventEmitter {
   }
 
   sendPing () {
+    this.trace('keepalive', 'Sending ping');
+    this.channelz.addKeepAliveSent();
     this.keepaliveTimeout = setTimeout(() => {
       // The ping timed out.
+      this.trace('keepalive', 'Ping timed out, closing session');
       this.stopKeepalivePings();
       this.http2Session.destroy();
     }, this.options.keepaliveTimeoutMs);
@@ -40,17 +110,247 @@ class ServerSession extends EventEmitter {
 
       if (err) {
         // The ping errored.
+        this.trace('keepalive', `Ping failed: ${err.message}`);
         this.stopKeepalivePings();
         this.http2Session.destroy();
+        return;
       }
+
+      this.trace('keepalive', `Received ping response after ${duration}ms`);
     });
   }
+
+  getPeer () {
+    const { socket } = this.http2Session;
+
+    if (!(socket && socket.remoteAddress)) {
+      return 'unknown';
+    }
+
+    if (socket.remotePort) {
+      return `${socket.remoteAddress}:${socket.remotePort}`;
+    }
+
+    return socket.remoteAddress;
+  }
+
+  recordStreamAbuse (type) {
+    // Counts are kept over a fixed window, so that long lived sessions are not
+    // penalized for occasional resets.
+    const now = Date.now();
+
+    if (now - this.streamCountsWindowStart >= this.options.streamAbuseWindowMs) {
+      this.streamCounts.resets = 0;
+      this.streamCounts.rejected = 0;
+      this.streamCounts.shortLived = 0;
+      this.streamCountsWindowStart = now;
+    }
+
+    const { option, data } = kStreamAbuseTypes[type];
+    const count = ++this.streamCounts[type];
+
+    if (count > this.options[option] && !this.abusive &&
+        !this.http2Session.destroyed) {
+      this.trace('server', `Closing session due to stream abuse: ${type} ` +
+        `(${count})`);
+      this.abusive = true;
+      this.emit('abuse', type, count);
+      this.http2Session.goaway(NGHTTP2_ENHANCE_YOUR_CALM, 0, data);
+      // Newer versions of Node hang if the session is destroyed from a stream
+      // 'close' handler, so the session is destroyed on the next turn of the
+      // event loop.
+      setImmediate(destroySession, this.http2Session);
+    }
+  }
+
+  startConnectionTimers () {
+    const { maxConnectionAgeMs } = this.options;
+
+    this.startIdleTimer();
+
+    if (maxConnectionAgeMs !== Infinity) {
+      // Jitter the max age by +/- 10% so that connections that were created
+      // at the same time do not all reconnect at the same time.
+      const jitter = 1 + kMaxConnectionAgeJitter * (Math.random() * 2 - 1);
+
+      this.maxAgeTimeout = setTimeout(onMaxConnectionAge,
+        maxConnectionAgeMs * jitter, this);
+    }
+  }
+
+  startIdleTimer () {
+    const { maxConnectionIdleMs } = this.options;
+
+    if (maxConnectionIdleMs !== Infinity) {
+      this.idleTimeout = setTimeout(onMaxConnectionIdle, maxConnectionIdleMs,
+        this);
+    }
+  }
+
+  trace (tracer, text) {
+    trace(tracer, `(${this.peer}) ${text}`);
+  }
+
+  stopConnectionTimers () {
+    clearTimeout(this.idleTimeout);
+    clearTimeout(this.maxAgeTimeout);
+    clearTimeout(this.maxAgeGraceTimeout);
+    this.idleTimeout = null;
+    this.maxAgeTimeout = null;
+    this.maxAgeGraceTimeout = null;
+  }
 }
 
 module.exports = { ServerSession };
 
 
 function onSessionClose () {
+  this.trace('server', 'Session closed');
   this.stopKeepalivePings();
+  this.stopConnectionTimers();
+
+  if (this.channelzRef !== null) {
+    unregisterChannelzSocket(this.channelzRef);
+    this.channelzRef = null;
+  }
+
   this.emit('close');
 }
+
+
+function onSessionStream (stream) {
+  // `this` is bound to the ServerSession instance, not the stream.
+  this.activeStreams++;
+  this.channelz.addStreamStarted();
+  clearTimeout(this.idleTimeout);
+  this.idleTimeout = null;
+
+  // Streams that are rejected without a call, or refused when the session is
+  // closed, have no other 'error' listener. Their errors must not crash the
+  // server.
+  stream.on('error', noop);
+  stream.once('close', () => {
+    this.activeStreams--;
+
+    if (stream.rstCode === NGHTTP2_NO_ERROR) {
+      this.channelz.addStreamSucceeded();
+    } else {
+      this.channelz.addStreamFailed();
+    }
+
+    // Streams reset before a response is sent are counted, in order to detect
+    // clients that open and immediately reset streams (the HTTP/2 rapid reset
+    // attack). Cancelling a call after the response starts is normal, so those
+    // streams are counted separately, against a higher limit.
+    if (stream.rstCode !== NGHTTP2_NO_ERROR && !this.http2Session.destroyed) {
+      this.recordStreamAbuse(stream.headersSent ? 'shortLived' : 'resets');
+    }
+
+    if (this.activeStreams === 0 && !this.http2Session.closed) {
+      this.startIdleTimer();
+    }
+  });
+}
+
+
+function getChannelzInfo (session) {
+  const { socket } = session.http2Session;
+  const state = session.http2Session.state;
+  let security = null;
+
+  if (socket && socket.encrypted === true) {
+    const localCertificate = socket.getCertificate();
+    const remoteCertificate = socket.getPeerCertificate();
+
+    security = {
+      cipher: socket.getCipher(),
+      localCertificate: localCertificate ? localCertificate.raw : undefined,
+      remoteCertificate: remoteCertificate ? remoteCertificate.raw : undefined
+    };
+  }
+
+  return {
+    data: session.channelz,
+    local: socket && getLocalAddress(socket),
+    remote: socket &&
+      { address: socket.remoteAddress, port: socket.remotePort },
+    security,
+    flowControl: {
+      local: state.remoteWindowSize,
+      remote: state.effectiveLocalWindowSize
+    }
+  };
+}
+
+
+function getLocalAddress (socket) {
+  // Connections to Unix domain sockets do not have a local address, so the
+  // path that the server is listening on is reported instead.
+  if (socket.localAddress === undefined && socket.server &&
+      typeof socket.server.address === 'function') {
+    return socket.server.address();
+  }
+
+  return { address: socket.localAddress, port: socket.localPort };
+}
+
+
+function onSessionPing () {
+  // `this` is bound to the ServerSession instance, not the http2 session.
+  const {
+    keepalivePermitWithoutCalls,
+    maxPingStrikes,
+    minPingIntervalWithoutDataMs
+  } = this.options;
+  const now = Date.now();
+  const minInterval = this.activeStreams === 0 && !keepalivePermitWithoutCalls ?
+    kMinPingIntervalWithoutCallsMs : minPingIntervalWithoutDataMs;
+
+  if (now - this.lastPingTime < minInterval) {
+    this.pingStrikes++;
+  }
+
+  this.trace('keepalive', `Received ping, strikes: ${this.pingStrikes}`);
+
+  this.lastPingTime = now;
+
+  if (maxPingStrikes !== 0 && this.pingStrikes > maxPingStrikes) {
+    // The client is sending pings too often. Tell it why, and close the
+    // session immediately.
+    this.trace('keepalive', 'Closing session due to too many pings');
+    this.http2Session.goaway(NGHTTP2_ENHANCE_YOUR_CALM, 0, kTooManyPingsData);
+    this.http2Session.destroy();
+  }
+}
+
+
+function noop () {}
+
+
+function destroySession (http2Session) {
+  http2Session.destroy();
+}
+
+
+function onMaxConnectionIdle (session) {
+  // Send GOAWAY and close the session. There are no active streams, so the
+  // session closes right away.
+  session.trace('server', 'Closing idle session');
+  session.http2Session.close();
+}
+
+
+function onMaxConnectionAge (session) {
+  const { maxConnectionAgeGraceMs } = session.options;
+
+  // Send GOAWAY so that the client stops creating new streams on this session,
+  // and give in-flight streams the grace period to finish.
+  session.trace('server', 'Closing session that reached the max age');
+  session.http2Session.close();
+
+  if (maxConnectionAgeGraceMs !== Infinity) {
+    session.maxAgeGraceTimeout = setTimeout(() => {
+      session.http2Session.destroy();
+    }, maxConnectionAgeGraceMs);
+  }
+}
@@ -1,18 +1,53 @@
 'use strict';
+const EventEmitter = require('events');
 const Http2 = require('http2');
+const { trackAccessLog } = require('./access-log');
+const { createCodecMap, getContentSubtype } = require('./codec');
+const {
+  ChannelzCallTracker,
+  registerChannelzServer,
+  registerChannelzSocket,
+  unregisterChannelzServer,
+  unregisterChannelzSocket
+} = require('./channelz');
+const { handleConnectRequest, isConnectRequest } = require('./connect');
+const {
+  acceptHttp1,
+  closeHttp1Connections,
+  destroyHttp1Connections,
+  handleGrpcWebRequest,
+  isGrpcWebRequest
+} = require('./grpc-web');
 const {
   ServerDuplexStream,
   ServerReadableStream,
   ServerUnaryCall,
-  ServerWritableStream
+  ServerWritableStream,
+  UnaryResponse
 } = require('./handler');
-const { parseOptions } = require('./options');
+const { HealthImplementation } = require('./health');
+const { sendHeaders } = require('./http-adapter');
+const { interceptCall } = require('./interceptors');
+const { trace } = require('./logging');
+const { parseBindOptions, parseOptions } = require('./options');
 const { ServerCall } = require('./server-call');
 const { ServerCredentials } = require('./server-credentials');
 const { resolveToListenOptions } = require('./server-resolver');
 const { ServerSession } = require('./server-session');
 const Status = require('./status');
+const { runInSpan } = require('./tracing');
+const {
+  getHttpRules,
+  handleTranscodedRequest,
+  isHttpJsonRequest
+} = require('./transcoding');
+const { waitForEvents } = require('./utils');
+const kCalls = Symbol('calls');
+const kChannelzCalls = Symbol('channelzCalls');
+const kChannelzRef = Symbol('channelzRef');
 const kHandlers = Symbol('handlers');
+const kHealthServices = Symbol('healthServices');
+const kInterceptors = Symbol('interceptors');
 const kServers = Symbol('servers');
 const kStarted = Symbol('started');
 const kOptions = Symbol('options');
@@ -22,10 +57,17 @@ const kClientStreamHandlerType = 1;
 const kServerStreamHandlerType = 2;
 const kBidiHandlerType = 3;
 const kValidContentTypePrefix = 'application/grpc';
+const kValidContentTypeRegex = /^application\/grpc(?:[+;]|$)/;
+const kDrainEvents = ['drain', 'close', 'cancelled'];
+const kUnaryResponseKeys = new Set(['value', 'trailer', 'flags']);
 const {
+  HTTP2_HEADER_ALLOW,
   HTTP2_HEADER_CONTENT_TYPE,
+  HTTP2_HEADER_METHOD,
   HTTP2_HEADER_STATUS,
   HTTP2_HEADER_PATH,
+  HTTP2_METHOD_POST,
+  HTTP_STATUS_METHOD_NOT_ALLOWED,
   HTTP_STATUS_UNSUPPORTED_MEDIA_TYPE,
   NGHTTP2_CANCEL
 } = Http2.constants;
@@ -37,20 +79,31 @@ const defaultHttp2Settings = {
 const unsuportedMediaTypeResponse = {
   [HTTP2_HEADER_STATUS]: HTTP_STATUS_UNSUPPORTED_MEDIA_TYPE
 };
-const unsuportedMediaTypeResponseOptions = { endStream: true };
+const rejectedResponseOptions = { endStream: true };
+const methodNotAllowedResponse = {
+  [HTTP2_HEADER_STATUS]: HTTP_STATUS_METHOD_NOT_ALLOWED,
+  [HTTP2_HEADER_ALLOW]: HTTP2_METHOD_POST
+};
 
 function noop () {}
 
 
-class Server {
+class Server extends EventEmitter {
   constructor (options = {}) {
     if (options === null || typeof options !== 'object') {
       throw new TypeError('options must be an object');
     }
 
+    super();
+
     this[kServers] = [];
+    this[kCalls] = new Set();
+    this[kChannelzCalls] = new ChannelzCallTracker();
+    this[kChannelzRef] = null;
     this[kHandlers] = new Map();
-    this[kSessions] = new Set();
+    this[kInterceptors] = [];
+    this[kHealthServices] = new Map();
+    this[kSessions] = new Map();
     this[kStarted] = false;
     this[kOptions] = parseOptions(options);
   }
@@ -79,7 +132,12 @@ class Server {
     });
   }
 
-  bindAsync (port, creds, callback) {
+  bindAsync (port, creds, options, callback) {
+    if (typeof options === 'function') {
+      callback = options;
+      options = {};
+    }
+
     if (this[kStarted] === true) {
       throw new Error('server is already started');
     }
@@ -96,9 +154,10 @@ class Server {
       throw new TypeError('callback must be a function');
     }
 
+    const bindOptions = parseBindOptions(options);
     const listenOptions = resolveToListenOptions(port, creds._isSecure());
     const http2ServerOptions = {
-      allowHTTP1: false,
+      allowHTTP1: bindOptions.allowHTTP1,
       settings: {
         ...defaultHttp2Settings,
         enablePush: false,
@@ -119,9 +178,10 @@ class Server {
     }
 
     server.timeout = 0;
-    setupHandlers(this, server);
+    setupHandlers(this, server, creds._isSecure(), bindOptions);
 
     function onError (err) {
+      trace('server', `Failed to bind ${port}: ${err.message}`);
       callback(err, -1);
     }
 
@@ -129,8 +189,15 @@ class Server {
     server.listen(listenOptions, () => {
       const port = server.address().port;
 
+      trace('server', 'Listening on ' + (listenOptions.path ||
+        `${listenOptions.host}:${port}`));
       server.removeListener('error', onError);
       this[kServers].push(server);
+
+      if (this[kOptions].enableChannelz === true) {
+        registerListenSocket(server);
+      }
+
       callback(null, port);
     });
   }
@@ -150,21 +217,44 @@ class Server {
     }
 
     this[kStarted] = true;
+    trace('server', 'Server started');
+
+    if (this[kOptions].enableChannelz === true) {
+      this[kChannelzRef] = registerChannelzServer(() => {
+        return getChannelzInfo(this);
+      });
+    }
   }
 
-  addService (service, implementation) {
+  addService (service, implementation, options = {}) {
     if (service === null || typeof service !== 'object' ||
         implementation === null || typeof implementation !== 'object') {
       throw new Error('addService requires two objects as arguments');
     }
 
+    if (options === null || typeof options !== 'object') {
+      throw new TypeError('options must be an object');
+    }
+
     const serviceKeys = Object.keys(service);
 
     if (serviceKeys.length === 0) {
       throw new Error('Cannot add an empty service to a server');
     }
 
-    serviceKeys.forEach((name) => {
+    const codecs = createCodecMap(options.codecs);
+    const { httpRules = {} } = options;
+
+    if (httpRules === null || typeof httpRules !== 'object') {
+      throw new TypeError('httpRules must be an object');
+    }
+
+    // HTTP rules are validated before any of the methods are registered.
+    const methodHttpRules = serviceKeys.map((name) => {
+      return getHttpRules(service[name], httpRules[name]);
+    });
+
+    serviceKeys.forEach((name, i) => {
       const attrs = service[name];
       let methodType;
 
@@ -197,7 +287,20 @@ class Server {
       if (success === false) {
         throw new Error(`Method handler for ${attrs.path} already provided.`);
       }
+
+      const handler = this[kHandlers].get(attrs.path);
+
+      // Keep the full definition, which includes any descriptors that
+      // reflection can use.
+      handler.definition = attrs;
+      handler.codecs = codecs;
+      handler.httpRules = methodHttpRules[i];
     });
+
+    // Health services are notified when the server begins shutting down.
+    if (implementation instanceof HealthImplementation) {
+      this[kHealthServices].set(service, implementation);
+    }
   }
 
   removeService (service) {
@@ -208,6 +311,8 @@ class Server {
     Object.keys(service).forEach((name) => {
       this.unregister(service[name].path);
     });
+
+    this[kHealthServices].delete(service);
   }
 
   register (name, handler, serialize, deserialize, type) {
@@ -220,7 +325,10 @@ class Server {
       serialize,
       deserialize,
       type,
-      path: name
+      path: name,
+      definition: null,
+      codecs: new Map(),
+      httpRules: []
     });
 
     return true;
@@ -230,12 +338,41 @@ class Server {
     return this[kHandlers].delete(name);
   }
 
+  _getMethodDefinitions () {
+    const definitions = new Map();
+
+    this[kHandlers].forEach((handler, path) => {
+      definitions.set(path, handler.definition);
+    });
+
+    return definitions;
+  }
+
+  addInterceptor (interceptor) {
+    if (typeof interceptor !== 'function') {
+      throw new TypeError('interceptor must be a function');
+    }
+
+    this[kInterceptors].push(interceptor);
+  }
+
   tryShutdown (callback) {
-    callback = typeof callback === 'function' ? callback : noop;
+    const userCallback = typeof callback === 'function' ? callback : noop;
 
     let pendingChecks = 0;
     let callbackError = null;
 
+    // The server is reported by channelz until it finishes shutting down.
+    callback = (err) => {
+      unregisterChannelz(this);
+      userCallback(err);
+    };
+
+    trace('server', 'Shutting down gracefully');
+    this[kHealthServices].forEach((health) => {
+      health.enterShutdown();
+    });
+
     function maybeCallback (err) {
       if (err) {
         callbackError = err;
@@ -255,10 +392,14 @@ class Server {
         pendingChecks++;
         server.close(maybeCallback);
       }
+
+      // HTTP/1.1 connections are not tracked as sessions, so they are closed
+      // once their in-flight requests finish.
+      closeHttp1Connections(server);
     });
 
     // If any sessions are active, close them gracefully.
-    this[kSessions].forEach((session) => {
+    this[kSessions].forEach((grpcSession, session) => {
       if (!session.closed) {
         session.close(maybeCallback);
         pendingChecks++;
@@ -271,23 +412,78 @@ class Server {
     }
   }
 
+  shutdown (options = {}) {
+    if (options === null || typeof options !== 'object') {
+      throw new TypeError('options must be an object');
+    }
+
+    const { gracePeriodMs = Infinity } = options;
+
+    if (typeof gracePeriodMs !== 'number' || !(gracePeriodMs >= 0)) {
+      throw new TypeError('gracePeriodMs must be a non-negative number');
+    }
+
+    return new Promise((resolve, reject) => {
+      let abortedCalls = 0;
+      let finished = false;
+      let timer = null;
+
+      // tryShutdown() sends GOAWAY to every session, which prevents new
+      // streams from being created, and waits for in-flight calls to finish.
+      this.tryShutdown((err) => {
+        finished = true;
+        clearTimeout(timer);
+
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve({ abortedCalls });
+      });
+
+      if (finished === true || gracePeriodMs === Infinity) {
+        return;
+      }
+
+      timer = setTimeout(() => {
+        this[kCalls].forEach((call) => {
+          if (call.cancelled === true) {
+            return;
+          }
+
+          abortedCalls++;
+          call.abort(new Error('Server shutting down'), Status.UNAVAILABLE);
+        });
+      }, gracePeriodMs);
+    });
+  }
+
   forceShutdown () {
+    trace('server', 'Shutting down forcefully');
+    this[kHealthServices].forEach((health) => {
+      health.enterShutdown();
+    });
+
     // Close the server if it is still running.
     this[kServers].forEach((server) => {
       if (server.listening === true) {
         server.close();
       }
+
+      destroyHttp1Connections(server);
     });
 
     this[kStarted] = false;
 
     // Always destroy any available sessions. It's possible that one or more
     // tryShutdown() calls are in progress. Don't wait on them to finish.
-    this[kSessions].forEach((session) => {
+    this[kSessions].forEach((grpcSession, session) => {
       session.destroy(NGHTTP2_CANCEL);
     });
 
     this[kSessions].clear();
+    unregisterChannelz(this);
   }
 
   addHttp2Port () {     // eslint-disable-line class-methods-use-this
@@ -310,35 +506,51 @@ const handlerTypes = [
 ];
 
 
-function setupHandlers (grpcServer, http2Server) {
-  http2Server.on('stream', (stream, headers) => {
-    const contentType = headers[HTTP2_HEADER_CONTENT_TYPE];
-
-    if (typeof contentType !== 'string' ||
-        !contentType.startsWith(kValidContentTypePrefix)) {
-      stream.respond(unsuportedMediaTypeResponse,
-        unsuportedMediaTypeResponseOptions);
-      return;
+function setupHandlers (grpcServer, http2Server, isSecure, bindOptions) {
+  const { allowHTTP1, connect, cors, grpcWeb, transcoding } = bindOptions;
+  const handlers = grpcServer[kHandlers];
+  const onStream = handleStream.bind(null, grpcServer);
+
+  // Routes a request to the protocol that it uses. `response` is null for
+  // HTTP/2 requests.
+  function onRequest (source, response, headers) {
+    if (grpcWeb === true && isGrpcWebRequest(headers)) {
+      handleGrpcWebRequest(source, response, headers, cors, onStream);
+    } else if (connect === true && isConnectRequest(headers, handlers)) {
+      const handler = handlers.get(headers[HTTP2_HEADER_PATH]);
+
+      // Calls to unknown methods fail with UNIMPLEMENTED like unary calls.
+      handleConnectRequest(source, response, headers, {
+        maxLength: grpcServer[kOptions].maxReceiveMessageLength,
+        unaryMethod: handler === undefined || handler.type === kUnaryHandlerType
+      }, onStream);
+    } else if (transcoding === true && isHttpJsonRequest(headers, handlers)) {
+      handleTranscodedRequest(source, response, headers, handlers,
+        grpcServer[kOptions].maxReceiveMessageLength, onStream);
+    } else if (response === null) {
+      onStream(source, headers);
+    } else {
+      // gRPC requires HTTP/2.
+      trace('server', 'Rejected HTTP/1.1 request with content-type ' +
+        headers[HTTP2_HEADER_CONTENT_TYPE]);
+      sendHeaders(source, response, unsuportedMediaTypeResponse, true);
     }
+  }
 
-    const call = new ServerCall(stream, grpcServer[kOptions]);
-
-    try {
-      const path = headers[HTTP2_HEADER_PATH];
-      const handler = grpcServer[kHandlers].get(path);
+  http2Server.on('stream', (stream, headers) => {
+    onRequest(stream, null, headers);
+  });
 
-      if (handler === undefined) {
-        return call.sendError(getUnimplementedStatusResponse(path));
+  if (allowHTTP1 === true) {
+    acceptHttp1(http2Server, isSecure, (req, res, headers) => {
+      if (grpcServer[kStarted] !== true) {
+        req.socket.destroy();
+        return;
       }
 
-      const metadata = call.receiveMetadata(headers);
-
-      call.handler = handler;
-      handlerTypes[handler.type](call, handler, metadata);
-    } catch (err) {
-      call.sendError(err, Status.INTERNAL);
-    }
-  });
+      onRequest(req, res, headers);
+    });
+  }
 
   http2Server.on('session', (session) => {
     if (grpcServer[kStarted] !== true) {
@@ -347,11 +559,25 @@ function setupHandlers (grpcServer, http2Server) {
     }
 
     const grpcSession = new ServerSession(session, grpcServer[kOptions]);
+    const { metrics } = grpcServer[kOptions];
 
-    // The client has connected, so begin sending keepalive pings.
-    grpcSession.startKeepalivePings();
+    if (metrics !== undefined) {
+      metrics.trackSession(grpcSession);
+    }
 
-    grpcServer[kSessions].add(session);
+    // The client has connected, so begin sending keepalive pings, and
+    // enforce the max connection age and idle time.
+    grpcSession.startKeepalivePings();
+    grpcSession.startConnectionTimers();
+
+    grpcServer[kSessions].set(session, grpcSession);
+    grpcSession.on('abuse', (reason, count) => {
+      grpcServer.emit('sessionAbuse', {
+        peer: grpcSession.getPeer(),
+        reason,
+        count
+      });
+    });
     grpcSession.once('close', () => {
       grpcServer[kSessions].delete(session);
     });
@@ -359,6 +585,220 @@ function setupHandlers (grpcServer, http2Server) {
 }
 
 
+// Handles a gRPC request. gRPC-Web requests are converted to gRPC before
+// reaching this point.
+function handleStream (grpcServer, stream, headers) {
+  const contentType = headers[HTTP2_HEADER_CONTENT_TYPE];
+  const grpcSession = grpcServer[kSessions].get(stream.session);
+  const {
+    accessLog,
+    metrics,
+    strictRequestValidation
+  } = grpcServer[kOptions];
+
+  if (strictRequestValidation === true &&
+      headers[HTTP2_HEADER_METHOD] !== HTTP2_METHOD_POST) {
+    trace('server',
+      `Rejected stream with method ${headers[HTTP2_HEADER_METHOD]}`);
+    rejectStream(grpcServer, stream, grpcSession, methodNotAllowedResponse);
+    return;
+  }
+
+  if (!isValidContentType(contentType, strictRequestValidation)) {
+    trace('server', `Rejected stream with content-type ${contentType}`);
+    rejectStream(grpcServer, stream, grpcSession,
+      unsuportedMediaTypeResponse);
+    return;
+  }
+
+  const path = headers[HTTP2_HEADER_PATH];
+  const handler = grpcServer[kHandlers].get(path);
+  const contentSubtype = getContentSubtype(contentType);
+  const codec = handler === undefined ?
+    undefined : handler.codecs.get(contentSubtype);
+
+  // Unless a codec is registered for it, the proto content-subtype uses the
+  // service's own serializers. Other content-subtypes require a codec.
+  if (handler !== undefined && codec === undefined &&
+      contentSubtype !== 'proto') {
+    trace('server', `Rejected stream with content-subtype ${contentSubtype}`);
+    rejectStream(grpcServer, stream, grpcSession,
+      unsuportedMediaTypeResponse);
+    return;
+  }
+
+  // Don't allocate a call for streams that arrive on a session that was
+  // destroyed, for example because the client was abusive.
+  if (stream.session.destroyed === true) {
+    return;
+  }
+
+  const call = new ServerCall(stream, grpcServer[kOptions]);
+  const calls = grpcServer[kCalls];
+  const channelzCalls = grpcServer[kChannelzCalls];
+
+  call.handler = handler === undefined ? null : handler;
+  call.codec = codec === undefined ? null : codec;
+  call.contentType = `application/grpc+${contentSubtype}`;
+
+  if (grpcSession !== undefined) {
+    grpcSession.trackCall(call);
+  }
+
+  if (metrics !== undefined) {
+    metrics.trackCall(call, path);
+  }
+
+  if (accessLog === true) {
+    trackAccessLog(call, headers);
+  }
+
+  calls.add(call);
+  channelzCalls.addCallStarted();
+  stream.once('close', () => {
+    calls.delete(call);
+
+    if (call.cancelled === false && call.status.code === Status.OK) {
+      channelzCalls.addCallSucceeded();
+    } else {
+      channelzCalls.addCallFailed();
+    }
+  });
+
+  let metadata;
+
+  try {
+    metadata = call.receiveMetadata(headers);
+  } catch (err) {
+    // Calls to unknown methods fail with UNIMPLEMENTED, regardless of whether
+    // their headers are valid.
+    if (handler === undefined) {
+      trace('server', `Received call to unimplemented method ${path}`);
+      call.sendError(getUnimplementedStatusResponse(path));
+    } else {
+      call.sendError(err, Status.INTERNAL);
+    }
+
+    return;
+  }
+
+  try {
+    const interceptors = grpcServer[kInterceptors];
+
+    // Interceptors and handlers run with the call's span active, if the
+    // tracer supports it.
+    if (interceptors.length === 0) {
+      runInSpan(call, () => { return invokeHandler(call, path, metadata); });
+      return;
+    }
+
+    runInSpan(call, () => {
+      return interceptCall(interceptors, call, path, metadata);
+    }).then(() => {
+      if (call.cancelled === true) {
+        return;
+      }
+
+      runInSpan(call, () => { return invokeHandler(call, path, metadata); });
+    }, (err) => {
+      call.sendError(err);
+    });
+  } catch (err) {
+    call.sendError(err, Status.INTERNAL);
+  }
+}
+
+
+function isValidContentType (contentType, strict) {
+  if (typeof contentType !== 'string') {
+    return false;
+  }
+
+  // In strict mode, application/grpc must be followed by a content-subtype,
+  // parameters, or nothing at all.
+  if (strict === true) {
+    return kValidContentTypeRegex.test(contentType);
+  }
+
+  return contentType.startsWith(kValidContentTypePrefix);
+}
+
+
+function rejectStream (grpcServer, stream, grpcSession, response) {
+  const { metrics } = grpcServer[kOptions];
+
+  stream.respond(response, rejectedResponseOptions);
+
+  if (grpcSession !== undefined) {
+    grpcSession.recordStreamAbuse('rejected');
+  }
+
+  if (metrics !== undefined) {
+    metrics.trackRejectedCall();
+  }
+}
+
+
+function registerListenSocket (http2Server) {
+  const address = http2Server.address();
+  const name = typeof address === 'string' ? address :
+    `${address.address}:${address.port}`;
+  const ref = registerChannelzSocket(name, () => {
+    return { local: http2Server.address() };
+  });
+
+  http2Server[kChannelzRef] = ref;
+  http2Server.once('close', () => {
+    unregisterChannelzSocket(ref);
+  });
+}
+
+
+function getChannelzInfo (grpcServer) {
+  const listenSockets = [];
+  const sockets = [];
+
+  grpcServer[kServers].forEach((http2Server) => {
+    if (http2Server[kChannelzRef] !== undefined && http2Server.listening) {
+      listenSockets.push(http2Server[kChannelzRef]);
+    }
+  });
+
+  grpcServer[kSessions].forEach((grpcSession) => {
+    if (grpcSession.channelzRef !== null) {
+      sockets.push(grpcSession.channelzRef);
+    }
+  });
+
+  return { calls: grpcServer[kChannelzCalls], listenSockets, sockets };
+}
+
+
+function unregisterChannelz (grpcServer) {
+  if (grpcServer[kChannelzRef] !== null) {
+    unregisterChannelzServer(grpcServer[kChannelzRef]);
+    grpcServer[kChannelzRef] = null;
+  }
+}
+
+
+function invokeHandler (call, path, metadata) {
+  const { handler } = call;
+
+  if (handler === null) {
+    trace('server', `Received call to unimplemented method ${path}`);
+    call.sendError(getUnimplementedStatusResponse(path));
+    return;
+  }
+
+  try {
+    handlerTypes[handler.type](call, handler, metadata);
+  } catch (err) {
+    call.sendError(err, Status.INTERNAL);
+  }
+}
+
+
 function handleUnary (call, handler, metadata) {
   call.receiveUnaryMessage((err, request) => {
     if (err !== null || call.cancelled === true) {
@@ -368,25 +808,25 @@ function handleUnary (call, handler, metadata) {
     const emitter = new ServerUnaryCall(call, metadata);
 
     emitter.request = request;
-    handler.func(emitter, call.sendUnaryMessage.bind(call));
+    callUnaryHandler(handler.func, emitter,
+      createResponder(call.sendUnaryMessage.bind(call)));
   });
 }
 
 
 function handleClientStreaming (call, handler, metadata) {
   const stream = new ServerReadableStream(call, metadata);
-
-  function respond (err, value, trailer, flags) {
+  const respond = createResponder((err, value, trailer, flags) => {
     stream.destroy();
     call.sendUnaryMessage(err, value, trailer, flags);
-  }
+  });
 
   if (call.cancelled === true) {
     return;
   }
 
   stream.on('error', respond);
-  handler.func(stream, respond);
+  callUnaryHandler(handler.func, stream, respond);
 }
 
 
@@ -399,7 +839,7 @@ function handleServerStreaming (call, handler, metadata) {
     const stream = new ServerWritableStream(call, metadata);
 
     stream.request = request;
-    handler.func(stream);
+    callStreamingHandler(handler.func, stream);
   });
 }
 
@@ -411,7 +851,142 @@ function handleBidiStreaming (call, handler, metadata) {
     return;
   }
 
-  handler.func(stream);
+  callStreamingHandler(handler.func, stream);
+}
+
+
+function createResponder (sendUnaryData) {
+  let responded = false;
+
+  // Only the first response is sent, whether it comes from the callback, an
+  // exception, or a returned Promise.
+  return function respond (err, value, trailer, flags) {
+    if (responded === true) {
+      return;
+    }
+
+    responded = true;
+    sendUnaryData(err ? toHandlerError(err) : null, value, trailer, flags);
+  };
+}
+
+
+function callUnaryHandler (func, call, respond) {
+  let result;
+
+  try {
+    result = func(call, respond);
+  } catch (err) {
+    respond(toHandlerError(err));
+    return;
+  }
+
+  if (isPromiseLike(result)) {
+    result.then((response) => {
+      // A Promise that resolves to undefined indicates that the handler uses
+      // the callback to respond.
+      if (isUnaryResponse(response)) {
+        respond(null, response.value, response.trailer, response.flags);
+      } else if (response !== undefined) {
+        respond(null, response);
+      }
+    }, (err) => {
+      respond(toHandlerError(err));
+    });
+  }
+}
+
+
+function callStreamingHandler (func, stream) {
+  let result;
+
+  try {
+    result = func(stream);
+  } catch (err) {
+    stream.emit('error', toHandlerError(err));
+    return;
+  }
+
+  if (isAsyncIterator(result)) {
+    writeAsyncIterator(result, stream);
+  } else if (isPromiseLike(result)) {
+    result.then(noop, (err) => {
+      stream.emit('error', toHandlerError(err));
+    });
+  }
+}
+
+
+async function writeAsyncIterator (iterator, stream) {
+  // Async generator handlers yield response messages. Returning ends the call
+  // with an OK status, and throwing ends the call with the thrown error.
+  try {
+    let result = await iterator.next();
+
+    while (result.done !== true) {
+      if (stream.cancelled === true || stream.destroyed === true) {
+        await iterator.return();
+        return;
+      }
+
+      if (stream.write(result.value) === false) {
+        await waitForEvents(stream, kDrainEvents);
+      }
+
+      result = await iterator.next();
+    }
+
+    stream.end();
+  } catch (err) {
+    stream.emit('error', toHandlerError(err));
+  }
+}
+
+
+function isAsyncIterator (value) {
+  return value !== null && typeof value === 'object' &&
+    typeof value[Symbol.asyncIterator] === 'function' &&
+    typeof value.next === 'function';
+}
+
+
+function isPromiseLike (value) {
+  return value !== null && typeof value === 'object' &&
+    typeof value.then === 'function';
+}
+
+
+// Handlers can resolve to a UnaryResponse, or a plain object with the same
+// shape. Plain objects must include trailing metadata or flags, and no other
+// properties, so that they are not confused with response messages.
+function isUnaryResponse (value) {
+  if (value instanceof UnaryResponse) {
+    return true;
+  }
+
+  if (value === null || typeof value !== 'object' ||
+      Object.getPrototypeOf(value) !== Object.prototype) {
+    return false;
+  }
+
+  const { trailer, flags } = value;
+
+  return 'value' in value &&
+    Object.keys(value).every((key) => { return kUnaryResponseKeys.has(key); }) &&
+    ((trailer !== null && typeof trailer === 'object' &&
+      typeof trailer.toHttp2Headers === 'function') ||
+     typeof flags === 'number');
+}
+
+
+function toHandlerError (err) {
+  // Handlers can fail with Error objects or plain status objects. Anything
+  // else is converted to an Error so that it can be reported as a status.
+  if (err !== null && typeof err === 'object') {
+    return err;
+  }
+
+  return new Error(String(err));
 }
 
 
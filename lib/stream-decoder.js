@@ -1,4 +1,5 @@
 'use strict';
+const { trace } = require('./logging');
 const kNoData = 1;
 const kReadingSize = 2;
 const kReadingMessage = 3;
@@ -50,6 +51,7 @@ class StreamDecoder {
                 [this.readCompressFlag, this.readPartialSize], 5);
 
               this.readState = kNoData;
+              trace('stream_decoder', 'Decoded empty message');
               result.push(message);
             }
           }
@@ -71,6 +73,8 @@ class StreamDecoder {
               framedMessageBuffers, this.readMessageSize + 5);
 
             this.readState = kNoData;
+            trace('stream_decoder',
+              `Decoded ${this.readMessageSize} byte message`);
             result.push(framedMessage);
           }
           break;
@@ -81,6 +85,11 @@ class StreamDecoder {
 
     return result;
   }
+
+  // Returns true if the decoder is in the middle of reading a message.
+  hasPartialMessage () {
+    return this.readState !== kNoData;
+  }
 }
 
 module.exports = { StreamDecoder };
@@ -0,0 +1,162 @@
+'use strict';
+const kTraceparentRegex =
+  /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const kInvalidTraceId = '0'.repeat(32);
+const kInvalidSpanId = '0'.repeat(16);
+const kTraceIdField = 0;
+const kSpanIdField = 1;
+const kTraceOptionsField = 2;
+
+
+// Starts a span for a call using a tracer adapter. The adapter's startSpan()
+// receives the span name and an object containing the remote `parent` span
+// context (or null) and the span `attributes`. The returned span must
+// implement addEvent(name, attributes) and end(status).
+function startCallSpan (call, tracer, path, metadata) {
+  const name = typeof path === 'string' ? path.replace(/^\//, '') : '';
+  const [service = '', method = ''] = name.split('/');
+  const span = tracer.startSpan(name, {
+    parent: extractTraceContext(metadata),
+    attributes: {
+      'rpc.system': 'grpc',
+      'rpc.service': service,
+      'rpc.method': method
+    }
+  });
+  let messagesSent = 0;
+  let messagesReceived = 0;
+
+  call.on('sendMessage', (size) => {
+    span.addEvent('message', {
+      'message.type': 'SENT',
+      'message.id': ++messagesSent,
+      'message.compressed_size': size
+    });
+  });
+
+  call.on('receiveMessage', (size) => {
+    span.addEvent('message', {
+      'message.type': 'RECEIVED',
+      'message.id': ++messagesReceived,
+      'message.compressed_size': size
+    });
+  });
+
+  call.once('complete', (status) => {
+    span.end({ code: status.code, details: status.details });
+  });
+
+  return span;
+}
+
+
+// Returns the remote span context from the W3C `traceparent` header, falling
+// back to the binary `grpc-trace-bin` header. The returned object has the same
+// shape as an OpenTelemetry SpanContext.
+function extractTraceContext (metadata) {
+  const [traceparent] = metadata.get('traceparent');
+
+  if (typeof traceparent === 'string') {
+    const context = parseTraceparent(traceparent);
+
+    if (context !== null) {
+      const tracestate = metadata.get('tracestate');
+
+      if (tracestate.length > 0) {
+        context.traceState = tracestate.join(',');
+      }
+
+      return context;
+    }
+  }
+
+  const [traceBin] = metadata.get('grpc-trace-bin');
+
+  if (Buffer.isBuffer(traceBin)) {
+    return parseGrpcTraceBin(traceBin);
+  }
+
+  return null;
+}
+
+
+function parseTraceparent (value) {
+  const match = kTraceparentRegex.exec(value.trim());
+
+  if (match === null) {
+    return null;
+  }
+
+  const [, version, traceId, spanId, flags, extra] = match;
+
+  // Version ff is invalid, and version 00 does not have any additional fields.
+  if (version === 'ff' || (version === '00' && extra !== undefined) ||
+      traceId === kInvalidTraceId || spanId === kInvalidSpanId) {
+    return null;
+  }
+
+  return { traceId, spanId, traceFlags: parseInt(flags, 16), isRemote: true };
+}
+
+
+function parseGrpcTraceBin (buffer) {
+  // The binary format is a version byte of 0, followed by fields that each
+  // start with a one byte field id: 0 = trace id (16 bytes), 1 = span id
+  // (8 bytes), and 2 = trace options (1 byte).
+  if (buffer.length === 0 || buffer[0] !== 0) {
+    return null;
+  }
+
+  let traceId = null;
+  let spanId = null;
+  let traceFlags = 0;
+  let offset = 1;
+
+  while (offset < buffer.length) {
+    const field = buffer[offset++];
+
+    if (field === kTraceIdField && offset + 16 <= buffer.length) {
+      traceId = buffer.toString('hex', offset, offset + 16);
+      offset += 16;
+    } else if (field === kSpanIdField && offset + 8 <= buffer.length) {
+      spanId = buffer.toString('hex', offset, offset + 8);
+      offset += 8;
+    } else if (field === kTraceOptionsField && offset < buffer.length) {
+      traceFlags = buffer[offset];
+      offset++;
+    } else {
+      // The length of unknown fields is not known, so parsing has to stop.
+      break;
+    }
+  }
+
+  if (traceId === null || spanId === null || traceId === kInvalidTraceId ||
+      spanId === kInvalidSpanId) {
+    return null;
+  }
+
+  return { traceId, spanId, traceFlags, isRemote: true };
+}
+
+
+// Runs fn() with the call's span active, if the tracer supports it. The result
+// of fn() is returned directly, since tracers are not required to return it
+// from withSpan().
+function runInSpan (call, fn) {
+  const { span, tracer } = call;
+
+  if (span !== null && typeof tracer.withSpan === 'function') {
+    let result;
+
+    tracer.withSpan(span, () => {
+      result = fn();
+    });
+
+    return result;
+  }
+
+  return fn();
+}
+
+
+module.exports = { runInSpan, startCallSpan };
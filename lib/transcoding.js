@@ -0,0 +1,627 @@
+'use strict';
+const Http2 = require('http2');
+const {
+  HttpStreamAdapter,
+  frameMessage,
+  readBody,
+  sendHeaders
+} = require('./http-adapter');
+const { trace } = require('./logging');
+const Status = require('./status');
+const { decodeGrpcMessage, getHttpStatusCode } = require('./utils');
+const kHttpRuleOption = '(google.api.http)';
+const kHttpRuleMethods = ['get', 'put', 'post', 'delete', 'patch'];
+const kTemplateTokenRegex = /\{([^{}=]+)(?:=([^{}]+))?\}|[^/{}]+|\//g;
+const kFieldPathRegex = /^[A-Za-z_][\w]*(?:\.[A-Za-z_][\w]*)*$/;
+const kRegexSpecialCharsRegex = /[\\^$.*+?()[\]{}|]/g;
+const kJsonContentTypeRegex = /^application\/json\s*(?:;|$)/i;
+// Field names that would modify an object's prototype instead of a field.
+const kReservedFieldNames = new Set(['__proto__', 'constructor', 'prototype']);
+// HTTP headers that are not forwarded to handlers as metadata.
+const kIgnoredRequestHeaders = [
+  'accept-encoding',
+  'content-length',
+  'content-type',
+  'grpc-accept-encoding',
+  'grpc-encoding',
+  'te'
+];
+const {
+  HTTP2_HEADER_CONTENT_TYPE,
+  HTTP2_HEADER_METHOD,
+  HTTP2_HEADER_PATH,
+  HTTP2_HEADER_STATUS,
+  HTTP2_HEADER_TE,
+  HTTP2_METHOD_POST
+} = Http2.constants;
+
+
+// Adapts a transcoded HTTP/JSON request to the subset of the Http2Stream API
+// used by ServerCall. The request message is provided up front. Unary
+// responses are buffered until the call finishes, at which point they are sent
+// as JSON. Server streaming responses are sent as a JSON array, whose elements
+// are written as they are produced.
+class TranscodedStream extends HttpStreamAdapter {
+  constructor (source, response, route, message) {
+    super(source, response);
+    this.route = route;
+    this.streaming = route.definition.responseStream === true;
+    this.responseHeaders = null;
+    this.messages = [];
+    this.bodyStarted = false;
+    this.responseAborted = false;
+    this.push(message);
+    this.push(null);
+  }
+
+  respond (headers, options = {}) {
+    this.headersSent = true;
+    this.waitForTrailers = options.waitForTrailers === true;
+
+    // Errors that occur before any messages are sent end the call with the
+    // response headers, so the response is sent right away.
+    if (options.endStream === true) {
+      this.sendResponse(headers);
+    } else {
+      this.responseHeaders = headers;
+    }
+  }
+
+  sendTrailers (trailers) {
+    this.sendResponse({ ...this.responseHeaders, ...trailers });
+  }
+
+  sendResponse (headers) {
+    if (this.sink.destroyed === true || this.responseAborted === true) {
+      return;
+    }
+
+    const code = Number(headers['grpc-status']);
+
+    if (this.bodyStarted === true) {
+      if (code === Status.OK) {
+        this.endSink(']');
+      } else {
+        this.abortResponse();
+      }
+
+      return;
+    }
+
+    if (code !== Status.OK) {
+      sendError(this.source, this.response, code,
+        decodeGrpcMessage(headers['grpc-message'] || ''), headers);
+      return;
+    }
+
+    let body;
+
+    try {
+      body = renderResponse(this.route, this.messages);
+    } catch (err) {
+      sendError(this.source, this.response, Status.INTERNAL, err.message);
+      return;
+    }
+
+    sendJson(this.source, this.response, getHttpStatusCode(Status.OK), body,
+      headers);
+  }
+
+  // The HTTP status is sent with the first element of a streaming response,
+  // so errors after that point can only be reported by aborting the response.
+  abortResponse () {
+    trace('server', 'Aborting streaming HTTP/JSON response');
+    this.responseAborted = true;
+
+    // Destroying an HTTP/2 stream with an error resets it with
+    // INTERNAL_ERROR. Closing it would end the response normally first.
+    if (this.response === null) {
+      this.source.destroy(new Error('Streaming response failed'));
+    } else {
+      this.response.destroy();
+    }
+  }
+
+  _write (chunk, encoding, callback) {
+    if (this.streaming === false) {
+      this.messages.push(chunk);
+      callback();
+      return;
+    }
+
+    if (this.sink.destroyed === true || this.responseAborted === true) {
+      callback();
+      return;
+    }
+
+    let body;
+
+    try {
+      body = JSON.stringify(renderMessage(this.route, chunk), jsonReplacer);
+    } catch (err) {
+      this.abortResponse();
+      callback();
+      return;
+    }
+
+    if (this.bodyStarted === true) {
+      this.writeToSink(Buffer.from(`,${body}`), callback);
+      return;
+    }
+
+    this.bodyStarted = true;
+    this.sendHeaders(getResponseHeaders(getHttpStatusCode(Status.OK),
+      this.responseHeaders), false);
+    this.writeToSink(Buffer.from(`[${body}`), callback);
+  }
+
+  _final (callback) {
+    if (this.waitForTrailers === true) {
+      this.emit('wantTrailers');
+    }
+
+    callback();
+  }
+}
+
+
+// Returns the HTTP rules for a method. Rules passed to addService() take
+// precedence over google.api.http annotations, which are available when the
+// service is loaded with method options.
+function getHttpRules (definition, rule) {
+  if (rule === undefined && definition.options !== null &&
+      typeof definition.options === 'object') {
+    rule = definition.options[kHttpRuleOption];
+  }
+
+  if (rule === undefined) {
+    return [];
+  }
+
+  if (definition.requestStream === true) {
+    throw new Error('HTTP rules are not supported for client streaming ' +
+      `method ${definition.path}`);
+  }
+
+  const bindings = [parseHttpRule(rule, definition.path)];
+  const additionalBindings = rule.additionalBindings ||
+    rule.additional_bindings || [];
+
+  if (!Array.isArray(additionalBindings)) {
+    throw new TypeError(`additional bindings for ${definition.path} must ` +
+      'be an array');
+  }
+
+  additionalBindings.forEach((binding) => {
+    bindings.push(parseHttpRule(binding, definition.path));
+  });
+
+  return bindings;
+}
+
+
+// Returns true if the request matches an HTTP rule. Requests with a body must
+// be JSON, while requests without a body, such as GET requests, usually do
+// not have a content-type. Other requests are handled as gRPC requests.
+function isHttpJsonRequest (headers, handlers) {
+  const contentType = headers[HTTP2_HEADER_CONTENT_TYPE];
+  const [path] = splitPath(headers[HTTP2_HEADER_PATH]);
+
+  if (contentType !== undefined && !kJsonContentTypeRegex.test(contentType)) {
+    return false;
+  }
+
+  return findRoute(handlers, headers[HTTP2_HEADER_METHOD], path) !== null;
+}
+
+
+// Converts an HTTP/JSON request into a stream and headers that can be handled
+// in the same way as a gRPC request. `response` is null for HTTP/2 requests.
+function handleTranscodedRequest (source, response, headers, handlers,
+  maxLength, callback) {
+  const method = headers[HTTP2_HEADER_METHOD];
+  const [path, query] = splitPath(headers[HTTP2_HEADER_PATH]);
+  const match = findRoute(handlers, method, path);
+
+  if (match === null) {
+    trace('server', `No HTTP rule matches ${method} ${path}`);
+    sendError(source, response, Status.NOT_FOUND, 'Not Found');
+    return;
+  }
+
+  readBody(source, response, maxLength, (err, data) => {
+    if (err !== null) {
+      sendError(source, response, err.code, err.message);
+      return;
+    }
+
+    const { handler, route, params } = match;
+    let message;
+
+    try {
+      message = createRequestMessage(handler.definition, route, params,
+        new URLSearchParams(query), parseBody(data));
+    } catch (err) {
+      sendError(source, response, Status.INVALID_ARGUMENT, err.message);
+      return;
+    }
+
+    trace('server', `Transcoding ${method} ${path} to ${handler.path}`);
+
+    const stream = new TranscodedStream(source, response, {
+      ...route,
+      definition: handler.definition
+    }, message);
+
+    callback(stream, getGrpcHeaders(headers, handler.path));
+  });
+}
+
+
+module.exports = { getHttpRules, handleTranscodedRequest, isHttpJsonRequest };
+
+
+function parseHttpRule (rule, name) {
+  if (rule === null || typeof rule !== 'object') {
+    throw new TypeError(`HTTP rule for ${name} must be an object`);
+  }
+
+  let method = kHttpRuleMethods.find((name) => {
+    return rule[name] !== undefined;
+  });
+  let template = rule[method];
+
+  if (method === undefined && rule.custom !== undefined) {
+    method = rule.custom !== null && rule.custom.kind;
+    template = rule.custom !== null && rule.custom.path;
+  }
+
+  if (typeof method !== 'string' || typeof template !== 'string') {
+    throw new TypeError(`HTTP rule for ${name} must specify a method and ` +
+      'path template');
+  }
+
+  const { body = '' } = rule;
+  const responseBody = rule.responseBody || rule.response_body || '';
+
+  if (typeof body !== 'string' || !(body === '' || body === '*' ||
+      isValidFieldPath(body))) {
+    throw new TypeError(`invalid body in HTTP rule for ${name}: ${body}`);
+  }
+
+  if (typeof responseBody !== 'string' ||
+      !(responseBody === '' || isValidFieldPath(responseBody))) {
+    throw new TypeError(`invalid response body in HTTP rule for ${name}: ` +
+      responseBody);
+  }
+
+  return {
+    method: method.toUpperCase(),
+    template: compilePathTemplate(template, name),
+    body,
+    responseBody
+  };
+}
+
+
+// Compiles a path template, such as /v1/{name=shelves/*}/books:get, into a
+// regular expression and the list of fields bound by its variables.
+function compilePathTemplate (template, name) {
+  const verbIndex = template.lastIndexOf(':');
+  let path = template;
+  let verb = '';
+
+  if (verbIndex > template.lastIndexOf('/') &&
+      verbIndex > template.lastIndexOf('}')) {
+    path = template.slice(0, verbIndex);
+    verb = template.slice(verbIndex);
+  }
+
+  if (path.charAt(0) !== '/') {
+    throw new TypeError(`invalid path template for ${name}: ${template}`);
+  }
+
+  const fields = [];
+  let pattern = '';
+  let offset = 0;
+  let token;
+
+  kTemplateTokenRegex.lastIndex = 0;
+
+  while ((token = kTemplateTokenRegex.exec(path)) !== null) {
+    if (token.index !== offset) {
+      break;
+    }
+
+    const [text, field, segments] = token;
+
+    offset += text.length;
+
+    if (field === undefined) {
+      pattern += text === '/' ? '/' : compileSegment(text);
+      continue;
+    }
+
+    if (!isValidFieldPath(field)) {
+      throw new TypeError(`invalid path template for ${name}: ${template}`);
+    }
+
+    fields.push(field);
+    pattern += `(${(segments || '*').split('/').map(compileSegment).join('/')})`;
+  }
+
+  if (offset !== path.length) {
+    throw new TypeError(`invalid path template for ${name}: ${template}`);
+  }
+
+  return {
+    regex: new RegExp(`^${pattern}${escapeRegex(verb)}$`),
+    fields
+  };
+}
+
+
+function compileSegment (segment) {
+  if (segment === '*') {
+    return '[^/]+';
+  }
+
+  if (segment === '**') {
+    return '.+';
+  }
+
+  return escapeRegex(segment);
+}
+
+
+function escapeRegex (text) {
+  return text.replace(kRegexSpecialCharsRegex, '\\$&');
+}
+
+
+function findRoute (handlers, method, path) {
+  if (typeof path !== 'string') {
+    return null;
+  }
+
+  for (const handler of handlers.values()) {
+    for (const route of handler.httpRules) {
+      if (route.method !== method) {
+        continue;
+      }
+
+      const match = route.template.regex.exec(path);
+
+      if (match === null) {
+        continue;
+      }
+
+      const params = route.template.fields.map((field, i) => {
+        return [field, decodePathParam(match[i + 1])];
+      });
+
+      if (params.every(([, value]) => { return value !== null; })) {
+        return { handler, route, params };
+      }
+    }
+  }
+
+  return null;
+}
+
+
+// Splits the :path header into the path and query string. CONNECT requests do
+// not have a :path.
+function splitPath (requestPath) {
+  if (typeof requestPath !== 'string') {
+    return [undefined, ''];
+  }
+
+  const [path, query = ''] = requestPath.split('?', 2);
+
+  return [path, query];
+}
+
+
+function decodePathParam (value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+
+function parseBody (data) {
+  if (data.length === 0) {
+    return undefined;
+  }
+
+  return JSON.parse(data);
+}
+
+
+// Builds the request message from the body, query parameters, and path
+// parameters, and returns it as a framed message.
+function createRequestMessage (definition, route, params, query, body) {
+  let message = {};
+
+  if (route.body === '*') {
+    if (body !== undefined) {
+      if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+        throw new Error('Request body must be a JSON object');
+      }
+
+      message = body;
+    }
+  } else if (route.body !== '' && body !== undefined) {
+    setField(message, route.body, body);
+  }
+
+  // Query parameters bind fields that are not bound by the path or body.
+  if (route.body !== '*') {
+    const boundFields = params.map(([field]) => { return field; });
+
+    if (route.body !== '') {
+      boundFields.push(route.body);
+    }
+
+    query.forEach((value, field) => {
+      if (!isValidFieldPath(field) || boundFields.some((bound) => {
+        return field === bound || field.startsWith(`${bound}.`);
+      })) {
+        return;
+      }
+
+      const values = query.getAll(field).map((value) => {
+        return parseParam(definition, field, value);
+      });
+
+      setField(message, field, values.length === 1 ? values[0] : values);
+    });
+  }
+
+  params.forEach(([field, value]) => {
+    setField(message, field, parseParam(definition, field, value));
+  });
+
+  return frameMessage(definition.requestSerialize(message), 0);
+}
+
+
+function isValidFieldPath (fieldPath) {
+  return kFieldPathRegex.test(fieldPath) &&
+    fieldPath.split('.').every((name) => {
+      return !kReservedFieldNames.has(name);
+    });
+}
+
+
+function setField (message, fieldPath, value) {
+  const names = fieldPath.split('.');
+  const last = names.pop();
+  let target = message;
+
+  // Only own properties are followed, so inherited objects are never written.
+  names.forEach((name) => {
+    if (!Object.prototype.hasOwnProperty.call(target, name) ||
+        target[name] === null || typeof target[name] !== 'object') {
+      target[name] = {};
+    }
+
+    target = target[name];
+  });
+
+  target[last] = value;
+}
+
+
+// Path and query parameters are strings. Numeric fields are converted when the
+// message is serialized, but boolean fields need to be converted here.
+function parseParam (definition, fieldPath, value) {
+  const { requestType } = definition;
+
+  if (requestType === undefined || requestType === null ||
+      requestType.type === undefined || requestType.type === null ||
+      !Array.isArray(requestType.type.field)) {
+    return value;
+  }
+
+  const field = requestType.type.field.find((field) => {
+    return field.name === fieldPath || field.jsonName === fieldPath;
+  });
+
+  if (field !== undefined && field.type === 'TYPE_BOOL') {
+    return value === 'true';
+  }
+
+  return value;
+}
+
+
+function renderResponse (route, messages) {
+  const results = messages.map((frame) => {
+    return renderMessage(route, frame);
+  });
+
+  // Server streaming responses are rendered as a JSON array.
+  return route.definition.responseStream === true ? results : results[0];
+}
+
+
+function renderMessage (route, frame) {
+  const { definition, responseBody } = route;
+  const result = definition.responseDeserialize(frame.slice(5));
+
+  if (responseBody === '') {
+    return result;
+  }
+
+  return responseBody.split('.').reduce((value, name) => {
+    return value === undefined || value === null ? value : value[name];
+  }, result);
+}
+
+
+function getGrpcHeaders (headers, path) {
+  const grpcHeaders = { ...headers };
+
+  kIgnoredRequestHeaders.forEach((name) => {
+    delete grpcHeaders[name];
+  });
+
+  // The response is decoded by the transcoder, so it is never compressed.
+  return {
+    ...grpcHeaders,
+    [HTTP2_HEADER_METHOD]: HTTP2_METHOD_POST,
+    [HTTP2_HEADER_PATH]: path,
+    [HTTP2_HEADER_CONTENT_TYPE]: 'application/grpc+proto',
+    [HTTP2_HEADER_TE]: 'trailers',
+    'grpc-accept-encoding': 'identity'
+  };
+}
+
+
+function sendError (source, response, code, message, headers = {}) {
+  sendJson(source, response, getHttpStatusCode(code),
+    { code, message, details: [] }, headers);
+}
+
+
+function sendJson (source, response, httpStatus, body, headers) {
+  const sink = response === null ? source : response;
+
+  sendHeaders(source, response, getResponseHeaders(httpStatus, headers),
+    false);
+
+  if (sink.destroyed !== true) {
+    sink.end(Buffer.from(JSON.stringify(body, jsonReplacer)));
+  }
+}
+
+
+function getResponseHeaders (httpStatus, headers) {
+  const responseHeaders = {};
+
+  // Custom metadata is sent as HTTP headers.
+  Object.keys(headers).forEach((name) => {
+    if (name.charAt(0) !== ':' && !name.startsWith('grpc-') &&
+        name !== HTTP2_HEADER_CONTENT_TYPE) {
+      responseHeaders[name] = headers[name];
+    }
+  });
+
+  responseHeaders[HTTP2_HEADER_CONTENT_TYPE] = 'application/json';
+  responseHeaders[HTTP2_HEADER_STATUS] = httpStatus;
+  return responseHeaders;
+}
+
+
+function jsonReplacer (key, value) {
+  // bytes fields are represented as base64 strings in JSON.
+  if (Buffer.isBuffer(this[key])) {
+    return this[key].toString('base64');
+  }
+
+  return value;
+}
@@ -1,5 +1,30 @@
 'use strict';
 const Status = require('./status');
+// Printable ASCII characters, other than '%', are sent as-is in grpc-message.
+const kUnreservedMessageRegex = /^[\x20-\x24\x26-\x7e]*$/;
+const kPercentEncodedByteRegex = /%([0-9a-fA-F]{2})/g;
+const kEdgeSpacesRegex = /^ +| +$/g;
+// Mapping from gRPC status codes to HTTP status codes, as used by
+// google.api.http transcoders and the Connect protocol.
+const httpStatusCodes = {
+  [Status.OK]: 200,
+  [Status.CANCELLED]: 499,
+  [Status.UNKNOWN]: 500,
+  [Status.INVALID_ARGUMENT]: 400,
+  [Status.DEADLINE_EXCEEDED]: 504,
+  [Status.NOT_FOUND]: 404,
+  [Status.ALREADY_EXISTS]: 409,
+  [Status.PERMISSION_DENIED]: 403,
+  [Status.RESOURCE_EXHAUSTED]: 429,
+  [Status.FAILED_PRECONDITION]: 400,
+  [Status.ABORTED]: 409,
+  [Status.OUT_OF_RANGE]: 400,
+  [Status.UNIMPLEMENTED]: 501,
+  [Status.INTERNAL]: 500,
+  [Status.UNAVAILABLE]: 503,
+  [Status.DATA_LOSS]: 500,
+  [Status.UNAUTHENTICATED]: 401
+};
 
 
 function hasGrpcStatusCode (obj) {
@@ -10,4 +35,90 @@ function hasGrpcStatusCode (obj) {
 }
 
 
-module.exports = { hasGrpcStatusCode };
+// Returns a Promise that resolves the first time any of the events is emitted.
+function waitForEvents (emitter, events) {
+  return new Promise((resolve) => {
+    function onEvent () {
+      events.forEach((event) => {
+        emitter.removeListener(event, onEvent);
+      });
+
+      resolve();
+    }
+
+    events.forEach((event) => {
+      emitter.on(event, onEvent);
+    });
+  });
+}
+
+
+// Percent-encodes a status message as described in the gRPC over HTTP2 spec.
+// The message is encoded as UTF-8 first, which replaces invalid Unicode, such
+// as lone surrogates, with U+FFFD instead of throwing like encodeURI().
+function encodeGrpcMessage (message) {
+  message = String(message);
+
+  let result = message;
+
+  if (!kUnreservedMessageRegex.test(message)) {
+    result = '';
+
+    for (const byte of Buffer.from(message, 'utf8')) {
+      if (byte >= 0x20 && byte <= 0x7e && byte !== 0x25) {
+        result += String.fromCharCode(byte);
+      } else {
+        result += `%${byte < 0x10 ? '0' : ''}` +
+          byte.toString(16).toUpperCase();
+      }
+    }
+  }
+
+  // HTTP/2 does not allow header values to start or end with whitespace, so
+  // those spaces are also encoded. Decoders accept any percent-encoded byte.
+  return result.replace(kEdgeSpacesRegex, (spaces) => {
+    return '%20'.repeat(spaces.length);
+  });
+}
+
+
+// Decodes a percent-encoded status message. Malformed percent-encodings are
+// kept as-is, and invalid UTF-8 is replaced with U+FFFD, as the spec requires
+// receivers to accept any value.
+function decodeGrpcMessage (message) {
+  if (!message.includes('%')) {
+    return message;
+  }
+
+  const chunks = [];
+  let lastIndex = 0;
+
+  message.replace(kPercentEncodedByteRegex, (match, hex, offset) => {
+    chunks.push(Buffer.from(message.slice(lastIndex, offset), 'utf8'));
+    chunks.push(Buffer.from([parseInt(hex, 16)]));
+    lastIndex = offset + match.length;
+    return match;
+  });
+
+  chunks.push(Buffer.from(message.slice(lastIndex), 'utf8'));
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+
+// Maps a gRPC status code to an HTTP status code, for protocols that report
+// errors using the HTTP status.
+function getHttpStatusCode (code) {
+  const httpStatus = httpStatusCodes[code];
+
+  return httpStatus === undefined ? httpStatusCodes[Status.UNKNOWN] :
+    httpStatus;
+}
+
+
+module.exports = {
+  decodeGrpcMessage,
+  encodeGrpcMessage,
+  getHttpStatusCode,
+  hasGrpcStatusCode,
+  waitForEvents
+};
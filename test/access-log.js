@@ -0,0 +1,241 @@
+'use strict';
+const Assert = require('assert');
+const Path = require('path');
+const Barrier = require('cb-barrier');
+const Lab = require('@hapi/lab');
+const Grpc = require('@grpc/grpc-js');
+const {
+  logVerbosity,
+  Server,
+  ServerCredentials,
+  setLogger,
+  setLogVerbosity
+} = require('../lib');
+const { loadProtoFile } = require('./common');
+
+// Test shortcuts
+const lab = exports.lab = Lab.script();
+const { describe, it, before, after, beforeEach, afterEach } = lab;
+
+
+const clientInsecureCreds = Grpc.credentials.createInsecure();
+const serverInsecureCreds = ServerCredentials.createInsecure();
+const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
+const { EchoService } = loadProtoFile(protoFile);
+
+
+function delay (ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+
+describe('Access Logging', () => {
+  let server;
+  let port;
+  let client;
+  let records;
+
+  before(async () => {
+    server = new Server({ 'grpc-node.access_log': 1 });
+    server.addService(EchoService.service, {
+      echo (call, callback) {
+        if (call.request.value === 'error') {
+          const err = new Error('test error');
+
+          err.code = Grpc.status.NOT_FOUND;
+          callback(err);
+          return;
+        }
+
+        if (call.request.value === 'hang') {
+          return;
+        }
+
+        callback(null, call.request);
+      },
+      echoServerStream (stream) {
+        stream.write(stream.request);
+        stream.write(stream.request);
+        stream.end();
+      }
+    });
+    port = await server.bind('localhost:0', serverInsecureCreds);
+    server.start();
+    client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+  });
+
+  after(() => {
+    client.close();
+    server.forceShutdown();
+  });
+
+  beforeEach(() => {
+    records = [];
+    setLogger({
+      info (...args) {
+        records.push(args);
+      }
+    });
+  });
+
+  afterEach(() => {
+    setLogger(console);
+    setLogVerbosity(logVerbosity.ERROR);
+  });
+
+  it('logs a structured record for each call', async () => {
+    const deadline = Date.now() + 10000;
+    const gzipClient = new EchoService(`localhost:${port}`,
+      clientInsecureCreds, { 'grpc.default_compression_algorithm': 2 });
+
+    try {
+      await new Promise((resolve, reject) => {
+        gzipClient.echo({ value: 'foo' }, { deadline }, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          resolve();
+        });
+      });
+    } finally {
+      gzipClient.close();
+    }
+
+    // The record is logged when the HTTP2 stream closes, which can happen
+    // after the client receives the response.
+    await delay(50);
+    Assert.strictEqual(records.length, 1);
+    Assert.strictEqual(records[0].length, 1);
+
+    const [record] = records[0];
+
+    Assert.strictEqual(record.path, '/EchoService/Echo');
+    Assert(/^127\.0\.0\.1:\d+$|^::1:\d+$/.test(record.peer));
+    Assert.strictEqual(record.authority, `localhost:${port}`);
+    Assert(record.userAgent.includes('grpc-node-js'));
+    Assert(Date.parse(record.startTime) > 0);
+    Assert(Math.abs(Date.parse(record.deadline) - deadline) < 1000);
+    Assert(record.duration >= 0);
+    Assert.strictEqual(record.requestMessages, 1);
+    Assert(record.requestBytes > 0);
+    Assert.strictEqual(record.responseMessages, 1);
+    Assert(record.responseBytes > 0);
+    Assert.strictEqual(record.requestEncoding, 'gzip');
+    Assert.strictEqual(record.responseEncoding, 'gzip');
+    Assert.strictEqual(record.code, Grpc.status.OK);
+    Assert.strictEqual(record.details, 'OK');
+  });
+
+  it('logs the final status of failed calls', async () => {
+    await new Promise((resolve) => {
+      client.echo({ value: 'error' }, (err) => {
+        Assert.strictEqual(err.code, Grpc.status.NOT_FOUND);
+        resolve();
+      });
+    });
+    await delay(50);
+
+    const [[record]] = records;
+
+    Assert.strictEqual(record.deadline, null);
+    Assert.strictEqual(record.requestEncoding, 'identity');
+    Assert.strictEqual(record.responseMessages, 0);
+    Assert.strictEqual(record.code, Grpc.status.NOT_FOUND);
+    Assert.strictEqual(record.details, 'test error');
+  });
+
+  it('counts streamed messages', () => {
+    const barrier = new Barrier();
+    const call = client.echoServerStream({ value: 'foo' });
+
+    call.on('data', () => {});
+    call.on('status', async () => {
+      await delay(50);
+
+      const [[record]] = records;
+
+      Assert.strictEqual(record.path, '/EchoService/EchoServerStream');
+      Assert.strictEqual(record.requestMessages, 1);
+      Assert.strictEqual(record.responseMessages, 2);
+      Assert.strictEqual(record.code, Grpc.status.OK);
+      barrier.pass();
+    });
+
+    return barrier;
+  });
+
+  it('logs cancelled calls', () => {
+    const barrier = new Barrier();
+    const call = client.echo({ value: 'hang' }, async () => {
+      // Let the server observe the stream closing.
+      await delay(50);
+      Assert.strictEqual(records.length, 1);
+
+      const [[record]] = records;
+
+      Assert.strictEqual(record.code, Grpc.status.CANCELLED);
+      Assert.strictEqual(record.details, 'Cancelled');
+      barrier.pass();
+    });
+
+    setTimeout(() => {
+      call.cancel();
+    }, 50);
+
+    return barrier;
+  });
+
+  it('is not affected by the log verbosity', async () => {
+    setLogVerbosity(logVerbosity.ERROR + 1);
+    await new Promise((resolve) => {
+      client.echo({ value: 'foo' }, resolve);
+    });
+    await delay(50);
+    Assert.strictEqual(records.length, 1);
+  });
+
+  it('handles loggers with no info() function', async () => {
+    setLogger({});
+    await new Promise((resolve, reject) => {
+      client.echo({ value: 'foo' }, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve();
+      });
+    });
+    await delay(50);
+  });
+
+  it('does not log calls by default', async () => {
+    const server = new Server();
+
+    server.addService(EchoService.service, {
+      echo (call, callback) {
+        callback(null, call.request);
+      }
+    });
+
+    const port = await server.bind('localhost:0', serverInsecureCreds);
+    const client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+
+    server.start();
+
+    try {
+      await new Promise((resolve) => {
+        client.echo({ value: 'foo' }, resolve);
+      });
+      await delay(50);
+      Assert.strictEqual(records.length, 0);
+    } finally {
+      client.close();
+      server.forceShutdown();
+    }
+  });
+});
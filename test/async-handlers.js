@@ -0,0 +1,591 @@
+'use strict';
+const Assert = require('assert');
+const Http2 = require('http2');
+const Path = require('path');
+const Barrier = require('cb-barrier');
+const Lab = require('@hapi/lab');
+const Grpc = require('@grpc/grpc-js');
+const { Server, ServerCredentials, UnaryResponse } = require('../lib');
+const { loadProtoFile } = require('./common');
+
+// Test shortcuts
+const lab = exports.lab = Lab.script();
+const { describe, it, before, after, afterEach } = lab;
+
+
+const protoFile = Path.join(__dirname, 'proto', 'test_service.proto');
+const { TestService } = loadProtoFile(protoFile);
+const clientInsecureCreds = Grpc.credentials.createInsecure();
+const serverInsecureCreds = ServerCredentials.createInsecure();
+
+
+function createError (message, code) {
+  const err = new Error(message);
+
+  err.code = code;
+  return err;
+}
+
+
+// Returns a Promise that settles asynchronously, based on the request.
+function respondTo (message, count) {
+  return new Promise((resolve, reject) => {
+    setImmediate(() => {
+      switch (message) {
+        case 'reject' :
+          reject(createError('rejected', Grpc.status.PERMISSION_DENIED));
+          break;
+        case 'reject-primitive' :
+          reject('primitive');
+          break;
+        case 'trailer' : {
+          const trailer = new Grpc.Metadata();
+
+          trailer.set('x-trailer', 'yes');
+          resolve(new UnaryResponse({ count }, trailer));
+          break;
+        }
+        case 'trailer-object' : {
+          const trailer = new Grpc.Metadata();
+
+          trailer.set('x-trailer', 'object');
+          resolve({ value: { count }, trailer, flags: 0 });
+          break;
+        }
+        default :
+          resolve({ count });
+      }
+    });
+  });
+}
+
+
+describe('Promise handlers', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = new Server();
+    server.addService(TestService.service, {
+      unary (call, callback) {
+        const { message } = call.request;
+
+        if (message === 'throw') {
+          throw createError('thrown', Grpc.status.FAILED_PRECONDITION);
+        }
+
+        if (message === 'throw-primitive') {
+          throw 'primitive'; // eslint-disable-line no-throw-literal
+        }
+
+        if (message === 'callback') {
+          // An async function that uses the callback resolves to undefined.
+          return Promise.resolve().then(() => {
+            callback(null, { count: 7 });
+          });
+        }
+
+        if (message === 'callback-and-resolve') {
+          callback(null, { count: 1 });
+          return Promise.resolve({ count: 2 });
+        }
+
+        return respondTo(message, 5);
+      },
+
+      async clientStream (stream) {
+        let count = 0;
+        let message = '';
+
+        await new Promise((resolve) => {
+          stream.on('data', (request) => {
+            count++;
+            message = request.message;
+          });
+
+          stream.on('end', resolve);
+        });
+
+        if (message === 'throw') {
+          throw createError('thrown', Grpc.status.ABORTED);
+        }
+
+        return respondTo(message, count);
+      },
+
+      serverStream (stream) {
+        if (stream.request.message === 'throw') {
+          throw createError('thrown', Grpc.status.OUT_OF_RANGE);
+        }
+
+        return Promise.reject(new Error('rejected stream'));
+      },
+
+      bidiStream (stream) {
+        throw new Error('thrown bidi');
+      }
+    });
+
+    const port = await server.bind('localhost:0', serverInsecureCreds);
+    client = new TestService(`localhost:${port}`, clientInsecureCreds);
+    server.start();
+  });
+
+  after(() => {
+    client.close();
+    server.forceShutdown();
+  });
+
+  function unary (message) {
+    return new Promise((resolve) => {
+      const call = client.unary({ message }, (err, response) => {
+        resolve({ err, response, call });
+      });
+
+      call.on('status', (status) => {
+        call.status = status;
+      });
+    });
+  }
+
+  function clientStream (message) {
+    return new Promise((resolve) => {
+      const call = client.clientStream((err, response) => {
+        setImmediate(() => {
+          resolve({ err, response, status: call.status });
+        });
+      });
+
+      call.on('status', (status) => {
+        call.status = status;
+      });
+
+      call.write({});
+      call.write({ message });
+      call.end();
+    });
+  }
+
+  describe('unary', () => {
+    it('responds with the resolved value', async () => {
+      const { err, response } = await unary('');
+
+      Assert.ifError(err);
+      Assert.deepStrictEqual(response, { count: 5 });
+    });
+
+    it('responds with a UnaryResponse', () => {
+      const barrier = new Barrier();
+      const call = client.unary({ message: 'trailer' }, (err, response) => {
+        Assert.ifError(err);
+        Assert.deepStrictEqual(response, { count: 5 });
+      });
+
+      call.on('status', (status) => {
+        Assert.strictEqual(status.code, Grpc.status.OK);
+        Assert.deepStrictEqual(status.metadata.get('x-trailer'), ['yes']);
+        barrier.pass();
+      });
+
+      return barrier;
+    });
+
+    it('responds with a plain object with trailing metadata', () => {
+      const barrier = new Barrier();
+      const call = client.unary({ message: 'trailer-object' }, (err, response) => {
+        Assert.ifError(err);
+        Assert.deepStrictEqual(response, { count: 5 });
+      });
+
+      call.on('status', (status) => {
+        Assert.deepStrictEqual(status.metadata.get('x-trailer'), ['object']);
+        barrier.pass();
+      });
+
+      return barrier;
+    });
+
+    it('responds with the rejection as the status', async () => {
+      const { err, response } = await unary('reject');
+
+      Assert.strictEqual(err.code, Grpc.status.PERMISSION_DENIED);
+      Assert.strictEqual(err.details, 'rejected');
+      Assert.strictEqual(response, undefined);
+
+      const result = await unary('reject-primitive');
+
+      Assert.strictEqual(result.err.code, Grpc.status.UNKNOWN);
+      Assert.strictEqual(result.err.details, 'primitive');
+    });
+
+    it('responds with synchronously thrown errors as the status', async () => {
+      const { err } = await unary('throw');
+
+      Assert.strictEqual(err.code, Grpc.status.FAILED_PRECONDITION);
+      Assert.strictEqual(err.details, 'thrown');
+
+      const result = await unary('throw-primitive');
+
+      Assert.strictEqual(result.err.code, Grpc.status.UNKNOWN);
+      Assert.strictEqual(result.err.details, 'primitive');
+    });
+
+    it('supports the callback when the Promise resolves to undefined', async () => {
+      const { err, response } = await unary('callback');
+
+      Assert.ifError(err);
+      Assert.deepStrictEqual(response, { count: 7 });
+    });
+
+    it('only sends the first response', async () => {
+      const { err, response } = await unary('callback-and-resolve');
+
+      Assert.ifError(err);
+      Assert.deepStrictEqual(response, { count: 1 });
+    });
+  });
+
+  describe('client streaming', () => {
+    it('responds with the resolved value', async () => {
+      const { err, response } = await clientStream('');
+
+      Assert.ifError(err);
+      Assert.deepStrictEqual(response, { count: 2 });
+    });
+
+    it('responds with a UnaryResponse', async () => {
+      const { err, response, status } = await clientStream('trailer');
+
+      Assert.ifError(err);
+      Assert.deepStrictEqual(response, { count: 2 });
+      Assert.deepStrictEqual(status.metadata.get('x-trailer'), ['yes']);
+
+      const result = await clientStream('trailer-object');
+
+      Assert.ifError(result.err);
+      Assert.deepStrictEqual(result.response, { count: 2 });
+      Assert.deepStrictEqual(result.status.metadata.get('x-trailer'), ['object']);
+    });
+
+    it('responds with the rejection as the status', async () => {
+      const { err } = await clientStream('reject');
+
+      Assert.strictEqual(err.code, Grpc.status.PERMISSION_DENIED);
+      Assert.strictEqual(err.details, 'rejected');
+
+      const result = await clientStream('throw');
+
+      Assert.strictEqual(result.err.code, Grpc.status.ABORTED);
+      Assert.strictEqual(result.err.details, 'thrown');
+    });
+  });
+
+  describe('streaming', () => {
+    it('sends errors thrown by server streaming handlers', () => {
+      const barrier = new Barrier();
+      const call = client.serverStream({ message: 'throw' });
+
+      call.on('error', (err) => {
+        Assert.strictEqual(err.code, Grpc.status.OUT_OF_RANGE);
+        Assert.strictEqual(err.details, 'thrown');
+        barrier.pass();
+      });
+
+      return barrier;
+    });
+
+    it('sends rejections from server streaming handlers', () => {
+      const barrier = new Barrier();
+      const call = client.serverStream({});
+
+      call.on('error', (err) => {
+        Assert.strictEqual(err.code, Grpc.status.UNKNOWN);
+        Assert.strictEqual(err.details, 'rejected stream');
+        barrier.pass();
+      });
+
+      return barrier;
+    });
+
+    it('sends errors thrown by bidi streaming handlers', () => {
+      const barrier = new Barrier();
+      const call = client.bidiStream();
+
+      call.on('error', (err) => {
+        Assert.strictEqual(err.code, Grpc.status.UNKNOWN);
+        Assert.strictEqual(err.details, 'thrown bidi');
+        barrier.pass();
+      });
+
+      return barrier;
+    });
+  });
+});
+
+
+describe('Async iteration', () => {
+  let server;
+  let client;
+  let port;
+  let onCancelled;
+
+  before(async () => {
+    server = new Server();
+    server.addService(TestService.service, {
+      async clientStream (stream) {
+        const messages = [];
+
+        try {
+          for await (const request of stream) {
+            messages.push(request.message);
+
+            if (request.message === 'break') {
+              break;
+            }
+          }
+        } catch (err) {
+          onCancelled(err);
+          throw err;
+        }
+
+        return { count: messages.length };
+      },
+
+      async *serverStream (stream) {
+        const { message } = stream.request;
+
+        if (message === 'forever') {
+          try {
+            for (let i = 0; ; i++) {
+              await new Promise((resolve) => { setImmediate(resolve); });
+              yield { count: i };
+            }
+          } finally {
+            onCancelled();
+          }
+        }
+
+        const total = message === 'many' ? 5000 : 100;
+
+        for (let i = 0; i < total; i++) {
+          yield { count: i };
+        }
+
+        if (message === 'throw') {
+          throw createError('thrown', Grpc.status.RESOURCE_EXHAUSTED);
+        }
+      },
+
+      async *bidiStream (stream) {
+        for await (const request of stream) {
+          if (request.message === 'return') {
+            return;
+          }
+
+          yield { count: request.message.length };
+        }
+      }
+    });
+
+    port = await server.bind('localhost:0', serverInsecureCreds);
+    client = new TestService(`localhost:${port}`, clientInsecureCreds);
+    server.start();
+  });
+
+  after(() => {
+    client.close();
+    server.forceShutdown();
+  });
+
+  afterEach(() => {
+    onCancelled = null;
+  });
+
+  function readAll (call) {
+    return new Promise((resolve) => {
+      const responses = [];
+
+      call.on('data', (response) => {
+        responses.push(response.count);
+      });
+
+      call.on('error', () => {});
+      call.on('status', (status) => {
+        resolve({ responses, status });
+      });
+    });
+  }
+
+  describe('for await', () => {
+    it('iterates over client streaming requests', () => {
+      const barrier = new Barrier();
+      const call = client.clientStream((err, response) => {
+        Assert.ifError(err);
+        Assert.deepStrictEqual(response, { count: 3 });
+        barrier.pass();
+      });
+
+      call.write({ message: 'a' });
+      call.write({ message: 'b' });
+      call.write({ message: 'c' });
+      call.end();
+      return barrier;
+    });
+
+    it('supports exiting the loop early', () => {
+      const barrier = new Barrier();
+      const call = client.clientStream((err, response) => {
+        Assert.ifError(err);
+        Assert.deepStrictEqual(response, { count: 2 });
+        barrier.pass();
+      });
+
+      call.write({ message: 'a' });
+      call.write({ message: 'break' });
+      return barrier;
+    });
+
+    // These tests use a raw HTTP2 client, so that the request stream is
+    // still open when the call fails.
+    function rawClientStream (headers, onTrailers) {
+      const http2Client = Http2.connect(`http://localhost:${port}`);
+      const req = http2Client.request({
+        ':method': 'POST',
+        ':path': '/TestService/ClientStream',
+        'content-type': 'application/grpc',
+        te: 'trailers',
+        ...headers
+      });
+
+      function onStatus (trailers) {
+        req.close();
+        http2Client.close(() => {
+          onTrailers(trailers);
+        });
+      }
+
+      // Errors that occur before any response is sent use a Trailers-Only
+      // response, which carries the status in the response headers.
+      req.on('response', (headers) => {
+        if ('grpc-status' in headers) {
+          onStatus(headers);
+        }
+      });
+      req.on('trailers', onStatus);
+      req.resume();
+      return req;
+    }
+
+    it('throws when the deadline is exceeded', () => {
+      const barrier = new Barrier();
+      let error = null;
+
+      onCancelled = (err) => {
+        error = err;
+      };
+
+      rawClientStream({ 'grpc-timeout': '50m' }, (trailers) => {
+        Assert.strictEqual(trailers['grpc-status'],
+          `${Grpc.status.DEADLINE_EXCEEDED}`);
+        setImmediate(() => {
+          Assert.strictEqual(error.code, Grpc.status.DEADLINE_EXCEEDED);
+          Assert.strictEqual(error.message, 'Deadline exceeded');
+          barrier.pass();
+        });
+      });
+
+      return barrier;
+    });
+
+    it('throws deserialization errors', () => {
+      const barrier = new Barrier();
+      let error = null;
+
+      onCancelled = (err) => {
+        error = err;
+      };
+
+      const req = rawClientStream({}, (trailers) => {
+        Assert.strictEqual(trailers['grpc-status'], `${Grpc.status.INTERNAL}`);
+        Assert.strictEqual(error.code, Grpc.status.INTERNAL);
+        barrier.pass();
+      });
+
+      // A single message containing an incomplete varint.
+      req.end(Buffer.from([0, 0, 0, 0, 1, 0xff]));
+      return barrier;
+    });
+  });
+
+  describe('async generators', () => {
+    it('writes yielded server streaming responses', async () => {
+      const call = client.serverStream({});
+      const { responses, status } = await readAll(call);
+
+      Assert.strictEqual(status.code, Grpc.status.OK);
+      Assert.strictEqual(responses.length, 100);
+      responses.forEach((count, i) => {
+        Assert.strictEqual(count, i);
+      });
+    });
+
+    it('waits for the stream to drain', async () => {
+      const call = client.serverStream({ message: 'many' });
+      const { responses, status } = await readAll(call);
+
+      Assert.strictEqual(status.code, Grpc.status.OK);
+      Assert.strictEqual(responses.length, 5000);
+      Assert.strictEqual(responses[4999], 4999);
+    });
+
+    it('ends the call with the thrown status', async () => {
+      const call = client.serverStream({ message: 'throw' });
+      const { responses, status } = await readAll(call);
+
+      Assert.strictEqual(status.code, Grpc.status.RESOURCE_EXHAUSTED);
+      Assert.strictEqual(status.details, 'thrown');
+      Assert.strictEqual(responses.length, 100);
+    });
+
+    it('stops the generator when the call is cancelled', () => {
+      const barrier = new Barrier();
+      const call = client.serverStream({ message: 'forever' });
+
+      onCancelled = barrier.pass;
+      call.on('error', () => {});
+      call.once('data', () => {
+        call.cancel();
+      });
+
+      return barrier;
+    });
+
+    it('supports bidi streaming generators', async () => {
+      const call = client.bidiStream();
+      const result = readAll(call);
+
+      call.write({ message: 'a' });
+      call.write({ message: 'abc' });
+      call.end();
+
+      const { responses, status } = await result;
+
+      Assert.strictEqual(status.code, Grpc.status.OK);
+      Assert.deepStrictEqual(responses, [1, 3]);
+    });
+
+    it('ends the call when a bidi generator returns', async () => {
+      const call = client.bidiStream();
+      const result = readAll(call);
+
+      call.write({ message: 'ab' });
+      call.write({ message: 'return' });
+
+      const { responses, status } = await result;
+
+      Assert.strictEqual(status.code, Grpc.status.OK);
+      Assert.deepStrictEqual(responses, [2]);
+      call.end();
+    });
+  });
+});
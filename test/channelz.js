@@ -0,0 +1,445 @@
+'use strict';
+const Assert = require('assert');
+const Fs = require('fs');
+const Http2 = require('http2');
+const Os = require('os');
+const Path = require('path');
+const { promisify } = require('util');
+const Lab = require('@hapi/lab');
+const Grpc = require('@grpc/grpc-js');
+const Loader = require('@grpc/proto-loader');
+const {
+  ChannelzService,
+  channelzServiceDefinition,
+  Server,
+  ServerCredentials
+} = require('../lib');
+const {
+  registerChannelzSocket,
+  unregisterChannelzSocket
+} = require('../lib/channelz');
+const { loadProtoFile } = require('./common');
+
+// Test shortcuts
+const lab = exports.lab = Lab.script();
+const { describe, it, before, after } = lab;
+
+
+const ChannelzClient =
+  Grpc.makeGenericClientConstructor(channelzServiceDefinition);
+const clientInsecureCreds = Grpc.credentials.createInsecure();
+const serverInsecureCreds = ServerCredentials.createInsecure();
+const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
+const { EchoService } = loadProtoFile(protoFile);
+const echoImplementation = {
+  echo (call, callback) {
+    if (call.request.value === 'error') {
+      callback(new Error('test error'));
+      return;
+    }
+
+    callback(null, call.request);
+  }
+};
+
+
+function callChannelz (client, method, request) {
+  return promisify(client[method]).call(client, request);
+}
+
+
+function delay (ms) {
+  return new Promise((resolve) => {
+    setTimeout(resolve, ms);
+  });
+}
+
+
+async function startServer (options, port = 'localhost:0',
+  creds = serverInsecureCreds) {
+  const server = new Server({ 'grpc.enable_channelz': 1, ...options });
+
+  server.addService(EchoService.service, echoImplementation);
+
+  const boundPort = await server.bind(port, creds);
+
+  server.start();
+  return { server, port: boundPort };
+}
+
+
+async function findServer (client, port, name = `:${port}`) {
+  const { server } = await callChannelz(client, 'getServers', {});
+
+  return server.find((server) => {
+    return server.listenSocket.some((ref) => {
+      return ref.name.endsWith(name);
+    });
+  });
+}
+
+
+describe('Channelz', () => {
+  let channelzServer;
+  let channelzPort;
+  let client;
+
+  before(async () => {
+    channelzServer = new Server();
+    channelzServer.addService(channelzServiceDefinition, new ChannelzService());
+
+    channelzPort =
+      await channelzServer.bind('localhost:0', serverInsecureCreds);
+    channelzServer.start();
+    client = new ChannelzClient(`localhost:${channelzPort}`,
+      clientInsecureCreds);
+  });
+
+  after(() => {
+    client.close();
+    channelzServer.forceShutdown();
+  });
+
+  describe('servers and sockets', () => {
+    let server;
+    let port;
+    let echoClient;
+
+    before(async () => {
+      ({ server, port } = await startServer());
+      echoClient = new EchoService(`localhost:${port}`, clientInsecureCreds);
+
+      await promisify(echoClient.echo).call(echoClient, { value: 'foo' });
+      await Assert.rejects(
+        promisify(echoClient.echo).call(echoClient, { value: 'error' }),
+        /test error/
+      );
+
+      // Call statistics are updated when the HTTP2 stream closes, which can
+      // happen after the client receives the response.
+      await delay(50);
+    });
+
+    after(() => {
+      echoClient.close();
+      server.forceShutdown();
+    });
+
+    it('lists servers and their call statistics', async () => {
+      const found = await findServer(client, port);
+
+      Assert(found);
+      Assert(found.ref.serverId > 0);
+      Assert.strictEqual(found.data.callsStarted, 2);
+      Assert.strictEqual(found.data.callsSucceeded, 1);
+      Assert.strictEqual(found.data.callsFailed, 1);
+      Assert(found.data.lastCallStartedTimestamp.seconds > 0);
+      Assert.strictEqual(found.listenSocket.length, 1);
+
+      const { server: single } = await callChannelz(client, 'getServer', {
+        serverId: found.ref.serverId
+      });
+
+      Assert.deepStrictEqual(single.ref, found.ref);
+      Assert.strictEqual(single.data.callsStarted, 2);
+    });
+
+    it('paginates servers', async () => {
+      const found = await findServer(client, port);
+      const response = await callChannelz(client, 'getServers', {
+        startServerId: found.ref.serverId,
+        maxResults: 1
+      });
+
+      Assert.strictEqual(response.server.length, 1);
+      Assert.deepStrictEqual(response.server[0].ref, found.ref);
+    });
+
+    it('reports connected sockets', async () => {
+      const found = await findServer(client, port);
+      const response = await callChannelz(client, 'getServerSockets', {
+        serverId: found.ref.serverId
+      });
+
+      Assert.strictEqual(response.end, true);
+      Assert.strictEqual(response.socketRef.length, 1);
+
+      const { socket } = await callChannelz(client, 'getSocket', {
+        socketId: response.socketRef[0].socketId
+      });
+
+      Assert.deepStrictEqual(socket.ref, response.socketRef[0]);
+      Assert.strictEqual(socket.data.streamsStarted, 2);
+      Assert.strictEqual(socket.data.streamsSucceeded, 2);
+      Assert.strictEqual(socket.data.streamsFailed, 0);
+      Assert.strictEqual(socket.data.messagesSent, 1);
+      Assert.strictEqual(socket.data.messagesReceived, 2);
+      Assert.strictEqual(socket.data.keepAlivesSent, 0);
+      Assert(socket.data.lastRemoteStreamCreatedTimestamp.seconds > 0);
+      Assert(socket.data.lastMessageSentTimestamp.seconds > 0);
+      Assert(socket.data.lastMessageReceivedTimestamp.seconds > 0);
+      Assert(socket.data.localFlowControlWindow.value > 0);
+      Assert(socket.data.remoteFlowControlWindow.value > 0);
+      Assert.strictEqual(socket.local.tcpipAddress.port, port);
+      Assert(socket.remote.tcpipAddress.port > 0);
+      Assert([4, 16].includes(socket.remote.tcpipAddress.ipAddress.length));
+      Assert.strictEqual(socket.security, null);
+    });
+
+    it('reports listen sockets', async () => {
+      const found = await findServer(client, port);
+      const { socket } = await callChannelz(client, 'getSocket', {
+        socketId: found.listenSocket[0].socketId
+      });
+
+      Assert.strictEqual(socket.data, null);
+      Assert.strictEqual(socket.local.tcpipAddress.port, port);
+      Assert.strictEqual(socket.remote, null);
+    });
+
+    it('interoperates with the channelz.proto definitions', async () => {
+      const packageDefinition = Loader.loadSync('channelz.proto', {
+        includeDirs: [
+          Path.dirname(require.resolve('@grpc/grpc-js/proto/channelz.proto'))
+        ],
+        longs: String,
+        oneofs: true
+      });
+      const { Channelz } =
+        Grpc.loadPackageDefinition(packageDefinition).grpc.channelz.v1;
+      const protoClient = new Channelz(`localhost:${channelzPort}`,
+        clientInsecureCreds);
+      const found = await findServer(client, port);
+
+      try {
+        const { server } = await callChannelz(protoClient, 'getServer', {
+          serverId: found.ref.serverId
+        });
+
+        Assert.strictEqual(server.ref.serverId, `${found.ref.serverId}`);
+        Assert.strictEqual(server.data.callsStarted, '2');
+        Assert.strictEqual(server.data.callsSucceeded, '1');
+        Assert.strictEqual(server.data.callsFailed, '1');
+        Assert.strictEqual(server.listenSocket.length, 1);
+
+        const { socketRef } = await callChannelz(protoClient,
+          'getServerSockets', { serverId: found.ref.serverId });
+        const { socket } = await callChannelz(protoClient, 'getSocket', {
+          socketId: socketRef[0].socketId
+        });
+
+        Assert.strictEqual(socket.ref.socketId, socketRef[0].socketId);
+        Assert.strictEqual(socket.data.streamsStarted, '2');
+        Assert.strictEqual(socket.data.streamsSucceeded, '2');
+        Assert.strictEqual(socket.data.messagesSent, '1');
+        Assert.strictEqual(socket.data.messagesReceived, '2');
+        Assert(Number(socket.data.lastMessageSentTimestamp.seconds) > 0);
+        Assert(Number(socket.data.localFlowControlWindow.value) > 0);
+        Assert.strictEqual(socket.local.address, 'tcpipAddress');
+        Assert.strictEqual(socket.local.tcpipAddress.port, port);
+        Assert.strictEqual(socket.remote.address, 'tcpipAddress');
+        Assert.strictEqual(socket.security, undefined);
+      } finally {
+        protoClient.close();
+      }
+    });
+  });
+
+  it('reports Unix domain socket addresses', async () => {
+    const socketPath = Path.join(Os.tmpdir(), `channelz-${process.pid}.sock`);
+    const { server } = await startServer({}, `unix:${socketPath}`);
+
+    try {
+      const found = await findServer(client, '', socketPath);
+      const { socket } = await callChannelz(client, 'getSocket', {
+        socketId: found.listenSocket[0].socketId
+      });
+
+      Assert.deepStrictEqual(socket.local, {
+        tcpipAddress: null,
+        udsAddress: { filename: socketPath }
+      });
+    } finally {
+      server.forceShutdown();
+    }
+  });
+
+  it('reports Unix domain socket connections', async () => {
+    const socketPath = Path.join(Os.tmpdir(),
+      `channelz-connection-${process.pid}.sock`);
+    const { server } = await startServer({}, `unix:${socketPath}`);
+    const echoClient = new EchoService(`unix:${socketPath}`,
+      clientInsecureCreds);
+
+    try {
+      await promisify(echoClient.echo).call(echoClient, { value: 'foo' });
+
+      const found = await findServer(client, '', socketPath);
+      const { socketRef } = await callChannelz(client, 'getServerSockets', {
+        serverId: found.ref.serverId
+      });
+      const { socket } = await callChannelz(client, 'getSocket', {
+        socketId: socketRef[0].socketId
+      });
+
+      Assert.strictEqual(socketRef.length, 1);
+      Assert.strictEqual(socket.data.streamsStarted, 1);
+      Assert.deepStrictEqual(socket.local, {
+        tcpipAddress: null,
+        udsAddress: { filename: socketPath }
+      });
+      Assert.strictEqual(socket.remote, null);
+    } finally {
+      echoClient.close();
+      server.forceShutdown();
+    }
+  });
+
+  it('reports IPv6 addresses', async () => {
+    const ref = registerChannelzSocket('ipv6', () => {
+      return {
+        local: { address: '::1', port: 1234 },
+        remote: { address: 'fe80::a:b%eth0', port: 5678 }
+      };
+    });
+    const mapped = registerChannelzSocket('ipv4-mapped', () => {
+      return { local: { address: '::ffff:127.0.0.1', port: 1234 } };
+    });
+
+    try {
+      const { socket } = await callChannelz(client, 'getSocket', {
+        socketId: ref.socketId
+      });
+
+      Assert.deepStrictEqual(socket.local.tcpipAddress, {
+        ipAddress: Buffer.from('00000000000000000000000000000001', 'hex'),
+        port: 1234
+      });
+      Assert.deepStrictEqual(socket.remote.tcpipAddress, {
+        ipAddress: Buffer.from('fe8000000000000000000000000a000b', 'hex'),
+        port: 5678
+      });
+
+      const { socket: mappedSocket } = await callChannelz(client, 'getSocket', {
+        socketId: mapped.socketId
+      });
+
+      Assert.deepStrictEqual(mappedSocket.local.tcpipAddress.ipAddress,
+        Buffer.from('00000000000000000000ffff7f000001', 'hex'));
+    } finally {
+      unregisterChannelzSocket(ref);
+      unregisterChannelzSocket(mapped);
+    }
+  });
+
+  it('reports TLS details', async () => {
+    const ca = Fs.readFileSync(Path.join(__dirname, 'fixtures', 'ca.pem'));
+    const key = Fs.readFileSync(Path.join(__dirname, 'fixtures',
+      'server1.key'));
+    const cert = Fs.readFileSync(Path.join(__dirname, 'fixtures',
+      'server1.pem'));
+    const creds = ServerCredentials.createSsl(ca, [
+      { private_key: key, cert_chain: cert }
+    ]);
+    const { server, port } = await startServer({}, 'localhost:0', creds);
+    const http2Client = Http2.connect(`https://localhost:${port}`, {
+      rejectUnauthorized: false
+    });
+
+    try {
+      await new Promise((resolve) => {
+        http2Client.once('connect', resolve);
+      });
+
+      const tlsSocket = http2Client.socket;
+
+      const found = await findServer(client, port);
+      const { socketRef } = await callChannelz(client, 'getServerSockets', {
+        serverId: found.ref.serverId
+      });
+      const { socket } = await callChannelz(client, 'getSocket', {
+        socketId: socketRef[0].socketId
+      });
+      const { tls } = socket.security;
+
+      Assert.strictEqual(tls.standardName,
+        tlsSocket.getCipher().standardName);
+      Assert.strictEqual(tls.otherName, '');
+      Assert.deepStrictEqual(tls.localCertificate,
+        tlsSocket.getPeerCertificate().raw);
+      Assert.strictEqual(tls.remoteCertificate.length, 0);
+    } finally {
+      http2Client.close();
+      server.forceShutdown();
+    }
+  });
+
+  it('removes servers after they shut down', async () => {
+    const { server, port } = await startServer();
+    const found = await findServer(client, port);
+
+    Assert(found);
+    await promisify(server.tryShutdown).call(server);
+    Assert.strictEqual(await findServer(client, port), undefined);
+    await Assert.rejects(callChannelz(client, 'getServer', {
+      serverId: found.ref.serverId
+    }), (err) => {
+      Assert.strictEqual(err.code, Grpc.status.NOT_FOUND);
+      Assert.strictEqual(err.details,
+        `No server data found for id ${found.ref.serverId}`);
+      return true;
+    });
+    await Assert.rejects(callChannelz(client, 'getServerSockets', {
+      serverId: found.ref.serverId
+    }), { code: Grpc.status.NOT_FOUND });
+    await Assert.rejects(callChannelz(client, 'getSocket', {
+      socketId: found.listenSocket[0].socketId
+    }), { code: Grpc.status.NOT_FOUND });
+  });
+
+  it('does not track servers by default', async () => {
+    const server = new Server();
+
+    server.addService(EchoService.service, echoImplementation);
+
+    const port = await server.bind('localhost:0', serverInsecureCreds);
+
+    server.start();
+
+    try {
+      Assert.strictEqual(await findServer(client, port), undefined);
+    } finally {
+      server.forceShutdown();
+    }
+  });
+
+  it('does not track servers when channelz is disabled', async () => {
+    const { server, port } = await startServer({ 'grpc.enable_channelz': 0 });
+
+    try {
+      Assert.strictEqual(await findServer(client, port), undefined);
+    } finally {
+      server.forceShutdown();
+    }
+  });
+
+  it('does not report any channels', async () => {
+    const response = await callChannelz(client, 'getTopChannels', {});
+
+    Assert.deepStrictEqual(response, { channel: [], end: true });
+    await Assert.rejects(callChannelz(client, 'getChannel', {
+      channelId: 1
+    }), (err) => {
+      Assert.strictEqual(err.code, Grpc.status.NOT_FOUND);
+      Assert.strictEqual(err.details, 'No channel data found for id 1');
+      return true;
+    });
+    await Assert.rejects(callChannelz(client, 'getSubchannel', {
+      subchannelId: 1
+    }), (err) => {
+      Assert.strictEqual(err.code, Grpc.status.NOT_FOUND);
+      Assert.strictEqual(err.details, 'No subchannel data found for id 1');
+      return true;
+    });
+  });
+});
@@ -0,0 +1,229 @@
+'use strict';
+const Assert = require('assert');
+const Http2 = require('http2');
+const Path = require('path');
+const Barrier = require('cb-barrier');
+const Lab = require('@hapi/lab');
+const Grpc = require('@grpc/grpc-js');
+const { jsonCodec, Server, ServerCredentials } = require('../lib');
+const { getContentSubtype } = require('../lib/codec');
+const { frame, loadProtoFile, parseBody } = require('./common');
+
+// Test shortcuts
+const lab = exports.lab = Lab.script();
+const { describe, it, before, after } = lab;
+
+
+const clientInsecureCreds = Grpc.credentials.createInsecure();
+const serverInsecureCreds = ServerCredentials.createInsecure();
+const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
+const { EchoService } = loadProtoFile(protoFile);
+
+
+describe('Codecs', () => {
+  let server;
+  let port;
+
+  before(async () => {
+    const reverseCodec = {
+      serialize (value) {
+        return Buffer.from(value.value.split('').reverse().join(''));
+      },
+      deserialize (bytes) {
+        return { value: bytes.toString().split('').reverse().join('') };
+      }
+    };
+
+    server = new Server();
+    server.addService(EchoService.service, {
+      echo (call, callback) {
+        callback(null, call.request);
+      },
+      echoClientStream (stream, callback) {
+        const values = [];
+
+        stream.on('data', (message) => {
+          values.push(message.value);
+        });
+
+        stream.on('end', () => {
+          callback(null, { value: values.join(','), value2: values.length });
+        });
+      },
+      echoServerStream (stream) {
+        stream.write({ value: stream.request.value, value2: 1 });
+        stream.write({ value: stream.request.value, value2: 2 });
+        stream.end();
+      }
+    }, {
+      codecs: { json: jsonCodec, Reverse: reverseCodec }
+    });
+    port = await server.bind('localhost:0', serverInsecureCreds);
+    server.start();
+  });
+
+  after(() => {
+    server.forceShutdown();
+  });
+
+  function makeRequest (path, contentType, messages) {
+    const barrier = new Barrier();
+    const client = Http2.connect(`http://localhost:${port}`);
+    const req = client.request({
+      ':method': 'POST',
+      ':path': path,
+      'content-type': contentType,
+      te: 'trailers'
+    });
+    const result = { headers: null, trailers: null, messages: [] };
+    const chunks = [];
+
+    req.on('response', (headers) => {
+      result.headers = headers;
+    });
+
+    req.on('trailers', (trailers) => {
+      result.trailers = trailers;
+    });
+
+    req.on('data', (chunk) => {
+      chunks.push(chunk);
+    });
+
+    req.on('close', () => {
+      result.messages = parseBody(Buffer.concat(chunks)).messages;
+      client.close();
+      barrier.pass(result);
+    });
+
+    req.end(Buffer.concat(messages.map((message) => {
+      return frame(message);
+    })));
+    return barrier;
+  }
+
+  function jsonMessage (value) {
+    return Buffer.from(JSON.stringify(value));
+  }
+
+  it('calls services using the JSON codec', async () => {
+    const { headers, trailers, messages } = await makeRequest(
+      '/EchoService/Echo', 'application/grpc+json',
+      [jsonMessage({ value: 'foo', value2: 5 })]);
+
+    Assert.strictEqual(headers['content-type'], 'application/grpc+json');
+    Assert.strictEqual(trailers['grpc-status'], `${Grpc.status.OK}`);
+    Assert.strictEqual(messages.length, 1);
+    Assert.deepStrictEqual(JSON.parse(messages[0]), { value: 'foo', value2: 5 });
+  });
+
+  it('uses codecs for streaming calls', async () => {
+    const clientStream = await makeRequest('/EchoService/EchoClientStream',
+      'application/grpc+json; charset=utf-8',
+      [jsonMessage({ value: 'a' }), jsonMessage({ value: 'b' })]);
+
+    Assert.strictEqual(clientStream.headers['content-type'],
+      'application/grpc+json');
+    Assert.deepStrictEqual(JSON.parse(clientStream.messages[0]),
+      { value: 'a,b', value2: 2 });
+
+    const serverStream = await makeRequest('/EchoService/EchoServerStream',
+      'application/grpc+JSON', [jsonMessage({ value: 'c' })]);
+
+    Assert.deepStrictEqual(serverStream.messages.map((message) => {
+      return JSON.parse(message);
+    }), [{ value: 'c', value2: 1 }, { value: 'c', value2: 2 }]);
+  });
+
+  it('uses custom codecs', async () => {
+    const { headers, messages } = await makeRequest('/EchoService/Echo',
+      'application/grpc+reverse', [Buffer.from('oof')]);
+
+    Assert.strictEqual(headers['content-type'], 'application/grpc+reverse');
+    Assert.strictEqual(messages[0].toString(), 'oof');
+  });
+
+  it('echoes the proto content-subtype', async () => {
+    const message = EchoService.service.Echo.requestSerialize({ value: 'foo' });
+
+    for (const contentType of ['application/grpc', 'application/grpc+proto']) {
+      const { headers, messages } = await makeRequest('/EchoService/Echo',
+        contentType, [message]);
+
+      Assert.strictEqual(headers['content-type'], 'application/grpc+proto');
+      Assert.deepStrictEqual(
+        EchoService.service.Echo.responseDeserialize(messages[0]),
+        { value: 'foo', value2: 0 });
+    }
+
+    const client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+
+    try {
+      await new Promise((resolve, reject) => {
+        client.echo({ value: 'foo' }, (err, response) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          Assert.strictEqual(response.value, 'foo');
+          resolve();
+        });
+      });
+    } finally {
+      client.close();
+    }
+  });
+
+  it('responds with HTTP status of 415 on unsupported content-subtypes', async () => {
+    const { headers, trailers } = await makeRequest('/EchoService/Echo',
+      'application/grpc+xml', [Buffer.from('<foo/>')]);
+
+    Assert.strictEqual(headers[':status'], 415);
+    Assert.strictEqual(trailers, null);
+  });
+
+  it('returns UNIMPLEMENTED for unknown methods with any content-subtype', async () => {
+    const { headers } = await makeRequest('/EchoService/Foo',
+      'application/grpc+xml', []);
+
+    Assert.strictEqual(headers['grpc-status'], `${Grpc.status.UNIMPLEMENTED}`);
+    Assert.strictEqual(headers['content-type'], 'application/grpc+xml');
+  });
+
+  it('returns INTERNAL for messages that cannot be decoded', async () => {
+    const { headers } = await makeRequest('/EchoService/Echo',
+      'application/grpc+json', [Buffer.from('{')]);
+
+    Assert.strictEqual(headers['grpc-status'], `${Grpc.status.INTERNAL}`);
+    Assert.strictEqual(headers['content-type'], 'application/grpc+json');
+  });
+
+  it('validates codecs', () => {
+    const server = new Server();
+
+    [null, 'foo'].forEach((options) => {
+      Assert.throws(() => {
+        server.addService(EchoService.service, {}, options);
+      }, /^TypeError: options must be an object$/);
+    });
+
+    Assert.throws(() => {
+      server.addService(EchoService.service, {}, { codecs: 'foo' });
+    }, /^TypeError: codecs must be an object$/);
+
+    [null, {}, { serialize () {} }].forEach((codec) => {
+      Assert.throws(() => {
+        server.addService(EchoService.service, {}, { codecs: { foo: codec } });
+      }, /^TypeError: codec for foo must be an object with serialize\(\) and deserialize\(\) methods$/);
+    });
+  });
+
+  it('parses content-subtypes', () => {
+    Assert.strictEqual(getContentSubtype('application/grpc'), 'proto');
+    Assert.strictEqual(getContentSubtype('application/grpc;x=y'), 'proto');
+    Assert.strictEqual(getContentSubtype('application/grpc+Json'), 'json');
+    Assert.strictEqual(getContentSubtype('application/grpc+json;x=y'), 'json');
+    Assert.strictEqual(getContentSubtype('application/grpc+'), 'proto');
+  });
+});
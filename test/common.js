@@ -1,6 +1,10 @@
 'use strict';
+const Http = require('http');
+const Http2 = require('http2');
+const Barrier = require('cb-barrier');
 const Grpc = require('@grpc/grpc-js');
 const Loader = require('@grpc/proto-loader');
+const { ServerCredentials } = require('../lib');
 const protoLoaderOptions = {
   keepCase: true,
   longs: String,
@@ -8,6 +12,24 @@ const protoLoaderOptions = {
   defaults: true,
   oneofs: true
 };
+// The server only accepts plaintext HTTP/1.1 connections on Node 16 and newer.
+const plaintextHttp1 = Number(process.versions.node.split('.')[0]) >= 16;
+
+
+function bindAsync (server, options) {
+  return new Promise((resolve, reject) => {
+    const creds = ServerCredentials.createInsecure();
+
+    server.bindAsync('localhost:0', creds, options, (err, port) => {
+      if (err) {
+        reject(err);
+        return;
+      }
+
+      resolve(port);
+    });
+  });
+}
 
 
 function loadProtoFile (file) {
@@ -18,4 +40,127 @@ function loadProtoFile (file) {
 }
 
 
-module.exports = { loadProtoFile };
+// Prepends the five byte length-prefixed message header to a message.
+function frame (message, flags = 0) {
+  const header = Buffer.alloc(5);
+
+  header.writeUInt8(flags, 0);
+  header.writeUInt32BE(message.length, 1);
+  return Buffer.concat([header, message]);
+}
+
+
+// Splits a response body into its messages. gRPC-Web trailers (flag 0x80) and
+// the Connect end-of-stream message (flag 0x02) are parsed separately.
+function parseBody (body) {
+  const result = { messages: [], trailers: null, endStream: null };
+  let offset = 0;
+
+  while (offset < body.length) {
+    const flags = body.readUInt8(offset);
+    const length = body.readUInt32BE(offset + 1);
+    const data = body.slice(offset + 5, offset + 5 + length);
+
+    if (flags === 0x80) {
+      result.trailers = parseTrailers(data);
+    } else if (flags === 0x02) {
+      result.endStream = JSON.parse(data);
+    } else {
+      result.messages.push(data);
+    }
+
+    offset += 5 + length;
+  }
+
+  return result;
+}
+
+
+// Sends an HTTP/1.1 request. The body can be an array of chunks, which are
+// written separately. Request errors are returned as the `error` property.
+function http1Request (port, method, path, headers, body, agent) {
+  const barrier = new Barrier();
+  const req = Http.request({ port, method, path, headers, agent }, (res) => {
+    const chunks = [];
+
+    res.on('data', (chunk) => {
+      chunks.push(chunk);
+    });
+
+    res.on('end', () => {
+      barrier.pass({
+        status: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks)
+      });
+    });
+  });
+
+  req.on('error', (err) => {
+    barrier.pass({ error: err });
+  });
+
+  if (Array.isArray(body)) {
+    body.forEach((chunk) => {
+      req.write(chunk);
+    });
+    req.end();
+  } else {
+    req.end(body);
+  }
+
+  return barrier;
+}
+
+
+function http2Request (port, method, path, headers, body) {
+  const barrier = new Barrier();
+  const client = Http2.connect(`http://localhost:${port}`);
+  const req = client.request({ ':method': method, ':path': path, ...headers });
+  const result = { status: 0, headers: null, body: null };
+  const chunks = [];
+
+  req.on('response', (headers) => {
+    result.status = headers[':status'];
+    result.headers = headers;
+  });
+
+  req.on('data', (chunk) => {
+    chunks.push(chunk);
+  });
+
+  req.on('close', () => {
+    result.body = Buffer.concat(chunks);
+    client.close();
+    barrier.pass(result);
+  });
+
+  req.end(body);
+  return barrier;
+}
+
+
+module.exports = {
+  bindAsync,
+  frame,
+  http1Request,
+  http2Request,
+  loadProtoFile,
+  parseBody,
+  plaintextHttp1
+};
+
+
+function parseTrailers (data) {
+  const trailers = {};
+
+  data.toString().split('\r\n').forEach((line) => {
+    if (line !== '') {
+      const [name, value] = line.split(': ');
+
+      trailers[name] = value;
+    }
+  });
+
+  return trailers;
+}
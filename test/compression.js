@@ -1,13 +1,161 @@
 'use strict';
 const Assert = require('assert');
+const Http2 = require('http2');
+const Path = require('path');
+const Util = require('util');
+const Zlib = require('zlib');
+const Barrier = require('cb-barrier');
 const Lab = require('@hapi/lab');
+const Grpc = require('@grpc/grpc-js');
+const {
+  compressionAlgorithms,
+  CompressionHandler,
+  compressionLevels,
+  CompressionMethodMap,
+  Metadata,
+  Server,
+  ServerCredentials,
+  writeFlags
+} = require('../lib');
 const Compression = require('../lib/compression-filter');
+const { decodeFields, ProtobufWriter } = require('../lib/protobuf');
+const { loadProtoFile } = require('./common');
 
 // Test shortcuts
 const lab = exports.lab = Lab.script();
 const { describe, it } = lab;
 
 
+const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
+const { EchoService } = loadProtoFile(protoFile);
+const clientInsecureCreds = Grpc.credentials.createInsecure();
+const serverInsecureCreds = ServerCredentials.createInsecure();
+
+
+class BrotliHandler extends CompressionHandler {
+  constructor (options) {
+    super(options);
+    this.name = 'br';
+  }
+
+  compressMessage (message) { // eslint-disable-line class-methods-use-this
+    return Util.promisify(Zlib.brotliCompress)(message);
+  }
+
+  decompressMessage (message) { // eslint-disable-line class-methods-use-this
+    return Util.promisify(Zlib.brotliDecompress)(message);
+  }
+}
+
+
+const value = 'abc'.repeat(100);
+const request = new ProtobufWriter().string(1, value).finish();
+
+
+function getValue (payload) {
+  return decodeFields(payload)[0].value.toString();
+}
+
+
+async function startServer (options) {
+  const server = new Server(options);
+
+  server.addService(EchoService.service, {
+    echo (call, callback) {
+      if (call.request.value2 === 1) {
+        callback(null, call.request, null, writeFlags.NO_COMPRESS);
+        return;
+      }
+
+      callback(null, call.request);
+    },
+    echoClientStream (stream, callback) {
+      const messages = [];
+
+      stream.on('data', (message) => {
+        messages.push(message.value);
+      });
+
+      stream.on('end', () => {
+        callback(null, { value: messages.join(',') });
+      });
+    },
+    echoServerStream (stream) {
+      stream.write(stream.request);
+      stream.write(stream.request, { compress: false });
+      stream.write(stream.request, writeFlags.NO_COMPRESS, () => {
+        stream.end();
+      });
+    }
+  });
+
+  const port = await server.bind('localhost:0', serverInsecureCreds);
+
+  server.start();
+  return { server, port };
+}
+
+
+function makeRequest (port, path, headers, message = request,
+  compressed = false) {
+  return new Promise((resolve, reject) => {
+    const client = Http2.connect(`http://localhost:${port}`);
+    const req = client.request({
+      ':method': 'POST',
+      ':path': path,
+      'content-type': 'application/grpc',
+      te: 'trailers',
+      ...headers
+    });
+    const chunks = [];
+    let responseHeaders;
+    let responseTrailers;
+
+    req.on('response', (headers) => {
+      responseHeaders = headers;
+    });
+
+    req.on('trailers', (trailers) => {
+      responseTrailers = trailers;
+    });
+
+    req.on('data', (chunk) => {
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const data = Buffer.concat(chunks);
+      const messages = [];
+
+      for (let offset = 0; offset < data.length;) {
+        const length = data.readUInt32BE(offset + 1);
+
+        messages.push({
+          compressed: data[offset] === 1,
+          payload: data.slice(offset + 5, offset + 5 + length)
+        });
+        offset += 5 + length;
+      }
+
+      client.close();
+      resolve({
+        headers: responseHeaders,
+        trailers: responseTrailers,
+        messages
+      });
+    });
+
+    req.on('error', reject);
+
+    const frame = Buffer.alloc(5);
+
+    frame.writeUInt8(compressed ? 1 : 0, 0);
+    frame.writeUInt32BE(message.length, 1);
+    req.end(Buffer.concat([frame, message]));
+  });
+}
+
+
 describe('Compression', () => {
   describe('IdentityHandler', () => {
     it('constructs an IdentityHandler instance', () => {
@@ -112,4 +260,421 @@ describe('Compression', () => {
       Assert.deepStrictEqual(await handler.readMessage(processed), data);
     });
   });
+
+  describe('decompression limits', () => {
+    const bomb = Buffer.alloc(8 * 1024 * 1024);
+
+    function frame (message) {
+      const header = Buffer.alloc(5);
+
+      header.writeUInt8(1, 0);
+      header.writeUInt32BE(message.length, 1);
+      return Buffer.concat([header, message]);
+    }
+
+    it('stops decompressing messages that exceed the limit', async () => {
+      const gzip = new Compression.GzipHandler();
+      const deflate = new Compression.DeflateHandler();
+      const brotli = new BrotliHandler();
+
+      await Assert.rejects(async () => {
+        await gzip.readMessage(frame(Zlib.gzipSync(bomb)), 1024);
+      }, (err) => {
+        Assert.strictEqual(err.message,
+          'Decompressed message larger than max (1024)');
+        Assert.strictEqual(err.code, Grpc.status.RESOURCE_EXHAUSTED);
+        return true;
+      });
+
+      await Assert.rejects(async () => {
+        await deflate.readMessage(frame(Zlib.deflateSync(bomb)), 1024);
+      }, /^Error: Decompressed message larger than max \(1024\)$/);
+
+      // Custom handlers are checked after decompressing.
+      await Assert.rejects(async () => {
+        await brotli.readMessage(frame(Zlib.brotliCompressSync(bomb)), 1024);
+      }, /^Error: Decompressed message larger than max \(1024\)$/);
+    });
+
+    it('decompresses messages within the limit', async () => {
+      const gzip = new Compression.GzipHandler();
+      const data = Buffer.alloc(1024, 'a');
+
+      Assert.deepStrictEqual(
+        await gzip.readMessage(frame(Zlib.gzipSync(data)), 1024), data);
+    });
+
+    it('rejects invalid compressed data', async () => {
+      const gzip = new Compression.GzipHandler();
+
+      await Assert.rejects(async () => {
+        await gzip.readMessage(frame(Buffer.from('abc')));
+      }, /incorrect header check/);
+    });
+
+    it('responds with RESOURCE_EXHAUSTED to unary calls', async () => {
+      const { server, port } = await startServer({
+        'grpc.max_receive_message_length': 1024 * 1024
+      });
+      const { headers, trailers, messages } = await makeRequest(port,
+        '/EchoService/Echo', { 'grpc-encoding': 'gzip' },
+        Zlib.gzipSync(bomb), true);
+
+      // The error is sent in a Trailers-Only response.
+      Assert.strictEqual(trailers, undefined);
+      Assert.strictEqual(headers['grpc-status'],
+        `${Grpc.status.RESOURCE_EXHAUSTED}`);
+      Assert.strictEqual(decodeURI(headers['grpc-message']),
+        'Decompressed message larger than max (1048576)');
+      Assert.strictEqual(messages.length, 0);
+      server.forceShutdown();
+    });
+
+    it('responds with RESOURCE_EXHAUSTED to streaming calls', async () => {
+      const { server, port } = await startServer();
+      const { headers, trailers, messages } = await makeRequest(port,
+        '/EchoService/EchoClientStream', { 'grpc-encoding': 'deflate' },
+        Zlib.deflateSync(bomb), true);
+
+      // The error is sent in a Trailers-Only response.
+      Assert.strictEqual(trailers, undefined);
+      Assert.strictEqual(headers['grpc-status'],
+        `${Grpc.status.RESOURCE_EXHAUSTED}`);
+      Assert.strictEqual(decodeURI(headers['grpc-message']),
+        'Decompressed message larger than max (4194304)');
+      Assert.strictEqual(messages.length, 0);
+      server.forceShutdown();
+    });
+
+    it('accepts compressed messages within the limit', async () => {
+      const { server, port } = await startServer();
+      const { trailers, messages } = await makeRequest(port,
+        '/EchoService/EchoClientStream', {
+          'grpc-encoding': 'gzip',
+          'grpc-accept-encoding': 'identity,gzip'
+        }, Zlib.gzipSync(request), true);
+
+      Assert.strictEqual(trailers['grpc-status'], `${Grpc.status.OK}`);
+      Assert.strictEqual(getValue(Zlib.gunzipSync(messages[0].payload)), value);
+      server.forceShutdown();
+    });
+  });
+
+  describe('CompressionMethodMap', () => {
+    it('registers the built in compression methods', () => {
+      const map = new Compression.CompressionMethodMap();
+
+      Assert.deepStrictEqual(map.accepts, ['identity', 'deflate', 'gzip']);
+      Assert.strictEqual(map.default, 'identity');
+      Assert(map.getInstance('gzip') instanceof Compression.GzipHandler);
+      Assert(map.getDefaultInstance() instanceof Compression.IdentityHandler);
+    });
+
+    it('registers and unregisters compression methods', () => {
+      const map = new Compression.CompressionMethodMap();
+
+      map.register('br', BrotliHandler);
+      Assert.strictEqual(map.has('br'), true);
+      Assert.deepStrictEqual(map.accepts, ['identity', 'deflate', 'gzip', 'br']);
+      Assert.strictEqual(map.getInstance('br', { level: 3 }).level, 3);
+
+      Assert.strictEqual(map.unregister('deflate'), true);
+      Assert.strictEqual(map.unregister('deflate'), false);
+      Assert.strictEqual(map.has('deflate'), false);
+      Assert.deepStrictEqual(map.accepts, ['identity', 'gzip', 'br']);
+    });
+
+    it('validates its inputs', () => {
+      const map = new Compression.CompressionMethodMap();
+
+      Assert.throws(() => {
+        map.register(5, BrotliHandler);
+      }, /^TypeError: Compression method must be a string$/);
+
+      Assert.throws(() => {
+        map.register('br', null);
+      }, /^TypeError: Compression method constructor must be a function$/);
+
+      Assert.throws(() => {
+        map.unregister(null);
+      }, /^TypeError: Compression method must be a string$/);
+
+      Assert.throws(() => {
+        map.unregister('identity');
+      }, /^Error: Cannot unregister the default compression method$/);
+
+      map.setDefault('gzip');
+      Assert.throws(() => {
+        map.unregister('identity');
+      }, /^Error: Cannot unregister the identity compression method$/);
+      Assert.strictEqual(map.has('identity'), true);
+
+      Assert.throws(() => {
+        map.setDefault(null);
+      }, /^TypeError: Compression method must be a string$/);
+
+      Assert.throws(() => {
+        map.getInstance(null);
+      }, /^TypeError: Compression method must be a string$/);
+    });
+
+    it('throws UNIMPLEMENTED errors for unsupported methods', () => {
+      const map = new Compression.CompressionMethodMap();
+
+      [
+        () => { map.setDefault('br'); },
+        () => { map.getInstance('br'); }
+      ].forEach((fn) => {
+        Assert.throws(fn, (err) => {
+          Assert.strictEqual(err.message, 'Compression method not supported: br');
+          Assert.strictEqual(err.code, Grpc.status.UNIMPLEMENTED);
+          return true;
+        });
+      });
+    });
+  });
+
+  describe('CompressionFilter', () => {
+    function createMetadata (encoding, acceptEncoding) {
+      const metadata = new Metadata();
+
+      if (encoding !== undefined) {
+        metadata.set('grpc-encoding', encoding);
+      }
+
+      if (acceptEncoding !== undefined) {
+        metadata.set('grpc-accept-encoding', acceptEncoding);
+      }
+
+      return metadata;
+    }
+
+    it('sends uncompressed data by default', () => {
+      const filter = new Compression.CompressionFilter();
+
+      filter.receiveMetadata(createMetadata());
+      Assert.strictEqual(filter.send.name, 'identity');
+      Assert.strictEqual(filter.receive.name, 'identity');
+    });
+
+    it('does not share compression methods between filters', () => {
+      const filter1 = new Compression.CompressionFilter();
+      const filter2 = new Compression.CompressionFilter();
+
+      filter1.supportedMethods.register('br', BrotliHandler);
+      Assert.notStrictEqual(filter1.supportedMethods, filter2.supportedMethods);
+      Assert.strictEqual(filter2.supportedMethods.has('br'), false);
+    });
+
+    it('responds with the request encoding if it is accepted', () => {
+      const filter = new Compression.CompressionFilter();
+      const metadata = createMetadata('gzip', 'identity, deflate,gzip');
+
+      filter.receiveMetadata(metadata);
+      Assert.strictEqual(filter.send.name, 'gzip');
+      Assert.strictEqual(filter.receive.name, 'gzip');
+      Assert.deepStrictEqual(filter.accepts, ['identity', 'deflate', 'gzip']);
+      Assert.deepStrictEqual(metadata.getMap(), {});
+    });
+
+    it('does not respond with encodings the client does not accept', () => {
+      const filter = new Compression.CompressionFilter({
+        defaultCompressionAlgorithm: 'deflate'
+      });
+
+      filter.receiveMetadata(createMetadata('gzip', 'identity'));
+      Assert.strictEqual(filter.send.name, 'identity');
+      Assert.strictEqual(filter.receive.name, 'gzip');
+    });
+
+    it('sends uncompressed data if the client does not accept encodings', () => {
+      const filter = new Compression.CompressionFilter({
+        defaultCompressionAlgorithm: 'deflate'
+      });
+
+      filter.receiveMetadata(createMetadata('gzip'));
+      Assert.strictEqual(filter.send.name, 'identity');
+      Assert.strictEqual(filter.receive.name, 'gzip');
+      Assert.deepStrictEqual(filter.accepts, ['identity']);
+    });
+
+    it('falls back to the default algorithm', () => {
+      const filter = new Compression.CompressionFilter({
+        defaultCompressionAlgorithm: 'deflate',
+        defaultCompressionLevel: compressionLevels.LOW
+      });
+
+      filter.receiveMetadata(createMetadata('identity', 'identity,deflate'));
+      Assert.strictEqual(filter.send.name, 'deflate');
+      Assert.strictEqual(filter.send.level, Zlib.constants.Z_BEST_SPEED);
+    });
+
+    it('supports per-message flags', () => {
+      const filter = new Compression.CompressionFilter();
+
+      Assert.strictEqual(filter.shouldCompress(), true);
+      Assert.strictEqual(filter.shouldCompress(0), true);
+      Assert.strictEqual(filter.shouldCompress(writeFlags.BUFFER_HINT), true);
+      Assert.strictEqual(filter.shouldCompress(writeFlags.NO_COMPRESS), false);
+      Assert.strictEqual(filter.shouldCompress({}), true);
+      Assert.strictEqual(filter.shouldCompress({ compress: true }), true);
+      Assert.strictEqual(filter.shouldCompress({ compress: false }), false);
+    });
+
+    it('does not compress when the level is NONE', () => {
+      const filter = new Compression.CompressionFilter({
+        defaultCompressionAlgorithm: 'gzip',
+        defaultCompressionLevel: compressionLevels.NONE
+      });
+
+      Assert.strictEqual(filter.shouldCompress(), false);
+    });
+  });
+
+  describe('response compression', () => {
+    it('does not compress responses by default', async () => {
+      const { server, port } = await startServer();
+      const { headers, messages } = await makeRequest(port, '/EchoService/Echo', {
+        'grpc-accept-encoding': 'identity,deflate,gzip'
+      });
+
+      Assert.strictEqual(headers['grpc-encoding'], 'identity');
+      Assert.strictEqual(headers['grpc-accept-encoding'], 'identity,deflate,gzip');
+      Assert.strictEqual(messages.length, 1);
+      Assert.strictEqual(messages[0].compressed, false);
+      Assert.strictEqual(getValue(messages[0].payload), value);
+      server.forceShutdown();
+    });
+
+    it('compresses responses using the request encoding', async () => {
+      const { server, port } = await startServer();
+      const { headers, messages } = await makeRequest(port, '/EchoService/Echo', {
+        'grpc-encoding': 'gzip',
+        'grpc-accept-encoding': 'identity,deflate,gzip'
+      });
+
+      Assert.strictEqual(headers['grpc-encoding'], 'gzip');
+      Assert.strictEqual(messages[0].compressed, true);
+      Assert(messages[0].payload.length < request.length);
+      Assert.strictEqual(getValue(Zlib.gunzipSync(messages[0].payload)), value);
+      server.forceShutdown();
+    });
+
+    it('compresses responses using the default algorithm', async () => {
+      const { server, port } = await startServer({
+        'grpc.default_compression_algorithm': compressionAlgorithms.deflate,
+        'grpc.default_compression_level': compressionLevels.HIGH
+      });
+      const { headers, messages } = await makeRequest(port, '/EchoService/Echo', {
+        'grpc-accept-encoding': 'identity,deflate'
+      });
+
+      Assert.strictEqual(headers['grpc-encoding'], 'deflate');
+      Assert.strictEqual(messages[0].compressed, true);
+      Assert.strictEqual(getValue(Zlib.inflateSync(messages[0].payload)), value);
+      server.forceShutdown();
+    });
+
+    it('does not compress messages written with compression disabled', async () => {
+      const { server, port } = await startServer({
+        'grpc.default_compression_algorithm': compressionAlgorithms.gzip
+      });
+      const headers = { 'grpc-accept-encoding': 'identity,gzip' };
+      const stream = await makeRequest(port, '/EchoService/EchoServerStream',
+        headers);
+
+      Assert.strictEqual(stream.headers['grpc-encoding'], 'gzip');
+      Assert.deepStrictEqual(stream.messages.map((message) => {
+        return message.compressed;
+      }), [true, false, false]);
+      Assert.strictEqual(getValue(stream.messages[1].payload), value);
+
+      const noCompressRequest = new ProtobufWriter()
+        .string(1, 'abc')
+        .uint(2, 1)
+        .finish();
+      const unary = await makeRequest(port, '/EchoService/Echo', headers,
+        noCompressRequest);
+
+      Assert.strictEqual(unary.messages[0].compressed, false);
+      Assert.strictEqual(getValue(unary.messages[0].payload), 'abc');
+      server.forceShutdown();
+    });
+
+    it('does not compress when the compression level is NONE', async () => {
+      const { server, port } = await startServer({
+        'grpc.default_compression_algorithm': compressionAlgorithms.gzip,
+        'grpc.default_compression_level': compressionLevels.NONE
+      });
+      const { messages } = await makeRequest(port, '/EchoService/Echo', {
+        'grpc-accept-encoding': 'identity,gzip'
+      });
+
+      Assert.strictEqual(messages[0].compressed, false);
+      Assert.strictEqual(getValue(messages[0].payload), value);
+      server.forceShutdown();
+    });
+
+    it('works with compressed responses in grpc-js clients', async () => {
+      const barrier = new Barrier();
+      const { server, port } = await startServer({
+        'grpc.default_compression_algorithm': compressionAlgorithms.gzip
+      });
+      const client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+
+      client.echo({ value: 'foo', value2: 5 }, (err, response) => {
+        Assert.ifError(err);
+        Assert.deepStrictEqual(response, { value: 'foo', value2: 5 });
+        client.close();
+        server.forceShutdown();
+        barrier.pass();
+      });
+
+      await barrier;
+    });
+
+    it('supports custom compression methods', async () => {
+      const compressionMethods = new CompressionMethodMap();
+
+      compressionMethods.register('br', BrotliHandler);
+      compressionMethods.unregister('deflate');
+
+      const { server, port } = await startServer({
+        'grpc-node.compression_methods': compressionMethods
+      });
+      const compressed = Zlib.brotliCompressSync(request);
+      const { headers, messages } = await makeRequest(port, '/EchoService/Echo', {
+        'grpc-encoding': 'br',
+        'grpc-accept-encoding': 'identity,br'
+      }, compressed, true);
+
+      Assert.strictEqual(headers['grpc-encoding'], 'br');
+      Assert.strictEqual(headers['grpc-accept-encoding'], 'identity,gzip,br');
+      Assert.strictEqual(messages[0].compressed, true);
+      Assert.strictEqual(
+        getValue(Zlib.brotliDecompressSync(messages[0].payload)), value);
+      server.forceShutdown();
+    });
+
+    it('responds with UNIMPLEMENTED for unsupported encodings', async () => {
+      const compressionMethods = new CompressionMethodMap();
+
+      compressionMethods.unregister('deflate');
+
+      const { server, port } = await startServer({
+        'grpc-node.compression_methods': compressionMethods
+      });
+      const { headers, trailers, messages } = await makeRequest(port,
+        '/EchoService/Echo', { 'grpc-encoding': 'deflate' },
+        Zlib.deflateSync(request), true);
+
+      Assert.strictEqual(headers['grpc-accept-encoding'], 'identity,gzip');
+      Assert.strictEqual(trailers, undefined);
+      Assert.strictEqual(headers['grpc-status'], `${Grpc.status.UNIMPLEMENTED}`);
+      Assert.strictEqual(decodeURI(headers['grpc-message']),
+        'Compression method not supported: deflate');
+      Assert.strictEqual(messages.length, 0);
+      server.forceShutdown();
+    });
+  });
 });
@@ -0,0 +1,501 @@
+'use strict';
+const Assert = require('assert');
+const Http2 = require('http2');
+const Path = require('path');
+const Zlib = require('zlib');
+const Barrier = require('cb-barrier');
+const Lab = require('@hapi/lab');
+const Grpc = require('@grpc/grpc-js');
+const {
+  jsonCodec,
+  Server,
+  ServerCredentials,
+  StatusErrorBuilder
+} = require('../lib');
+const {
+  bindAsync,
+  frame,
+  http1Request,
+  http2Request,
+  loadProtoFile,
+  parseBody,
+  plaintextHttp1
+} = require('./common');
+
+// Test shortcuts
+const lab = exports.lab = Lab.script();
+const { describe, it, before, after } = lab;
+
+
+const clientInsecureCreds = Grpc.credentials.createInsecure();
+const serverInsecureCreds = ServerCredentials.createInsecure();
+const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
+const { EchoService } = loadProtoFile(protoFile);
+const { Echo, EchoBidiStream } = EchoService.service;
+
+
+describe('Connect', () => {
+  let server;
+  let port;
+
+  before(async () => {
+    server = new Server();
+    server.addService(EchoService.service, {
+      echo (call, callback) {
+        const { value } = call.request;
+
+        if (value === 'error') {
+          const metadata = new Grpc.Metadata();
+
+          metadata.set('x-reason', 'bad');
+          callback({
+            code: Grpc.status.INVALID_ARGUMENT,
+            details: 'bad value',
+            metadata
+          });
+          return;
+        }
+
+        if (value === 'details') {
+          callback(new StatusErrorBuilder(Grpc.status.FAILED_PRECONDITION,
+            'not ready')
+            .addErrorInfo({ reason: 'NOT_READY', domain: 'example.com' })
+            .build());
+          return;
+        }
+
+        if (value === 'slow') {
+          setTimeout(() => {
+            callback(null, call.request);
+          }, 500);
+          return;
+        }
+
+        const metadata = new Grpc.Metadata();
+
+        metadata.set('x-timeout', String(call.getDeadline() !== Infinity));
+        call.sendMetadata(metadata);
+        callback(null, call.request);
+      },
+      echoServerStream (stream) {
+        if (stream.request.value === 'error') {
+          stream.emit('error', {
+            code: Grpc.status.NOT_FOUND,
+            details: 'not found'
+          });
+          return;
+        }
+
+        const metadata = new Grpc.Metadata();
+
+        metadata.set('x-trailer', 'foo');
+        stream.write({ value: stream.request.value, value2: 1 });
+        stream.write({ value: stream.request.value, value2: 2 });
+        stream.end(metadata);
+      },
+      echoBidiStream (stream) {
+        stream.on('data', (message) => {
+          stream.write(message);
+        });
+
+        stream.on('end', () => {
+          stream.end();
+        });
+      }
+    }, {
+      codecs: { json: jsonCodec }
+    });
+
+    port = await bindAsync(server, { connect: true });
+    server.start();
+  });
+
+  after(() => {
+    server.forceShutdown();
+  });
+
+  it('handles unary requests over HTTP/1.1 and HTTP/2',
+    { skip: !plaintextHttp1 }, async () => {
+      const body = Echo.requestSerialize({ value: 'foo', value2: 5 });
+      const headers = {
+        'content-type': 'application/proto',
+        'connect-protocol-version': '1'
+      };
+      const responses = [
+        await http1Request(port, 'POST', '/EchoService/Echo', headers, body),
+        await http2Request(port, 'POST', '/EchoService/Echo', headers, body)
+      ];
+
+      responses.forEach((response) => {
+        Assert.strictEqual(response.status, 200);
+        Assert.strictEqual(response.headers['content-type'], 'application/proto');
+        Assert.strictEqual(response.headers['x-timeout'], 'false');
+        Assert.strictEqual(response.headers['grpc-status'], undefined);
+        Assert.deepStrictEqual(Echo.responseDeserialize(response.body),
+          { value: 'foo', value2: 5 });
+      });
+    });
+
+  it('handles unary JSON requests', { skip: !plaintextHttp1 }, async () => {
+    // The protocol version header is optional for registered methods.
+    const response = await http1Request(port, 'POST', '/EchoService/Echo', {
+      'content-type': 'application/json'
+    }, JSON.stringify({ value: 'foo', value2: 5 }));
+
+    Assert.strictEqual(response.status, 200);
+    Assert.strictEqual(response.headers['content-type'], 'application/json');
+    Assert.deepStrictEqual(JSON.parse(response.body),
+      { value: 'foo', value2: 5 });
+  });
+
+  it('handles compressed unary requests', async () => {
+    const body = Zlib.gzipSync(Echo.requestSerialize({ value: 'foo' }));
+    const response = await http2Request(port, 'POST', '/EchoService/Echo', {
+      'content-type': 'application/proto',
+      'content-encoding': 'gzip',
+      'accept-encoding': 'gzip, identity'
+    }, body);
+
+    Assert.strictEqual(response.status, 200);
+    Assert.strictEqual(response.headers['content-encoding'], 'gzip');
+    Assert.strictEqual(response.headers['accept-encoding'],
+      'identity,deflate,gzip');
+    Assert.deepStrictEqual(
+      Echo.responseDeserialize(Zlib.gunzipSync(response.body)),
+      { value: 'foo', value2: 0 });
+  });
+
+  it('sends unary errors as JSON', { skip: !plaintextHttp1 }, async () => {
+    const response = await http1Request(port, 'POST', '/EchoService/Echo', {
+      'content-type': 'application/proto'
+    }, Echo.requestSerialize({ value: 'error' }));
+
+    Assert.strictEqual(response.status, 400);
+    Assert.strictEqual(response.headers['content-type'], 'application/json');
+    Assert.strictEqual(response.headers['trailer-x-reason'], 'bad');
+    Assert.deepStrictEqual(JSON.parse(response.body), {
+      code: 'invalid_argument',
+      message: 'bad value'
+    });
+
+    const details = await http2Request(port, 'POST', '/EchoService/Echo', {
+      'content-type': 'application/json'
+    }, JSON.stringify({ value: 'details' }));
+    const error = JSON.parse(details.body);
+
+    Assert.strictEqual(details.status, 400);
+    Assert.strictEqual(error.code, 'failed_precondition');
+    Assert.strictEqual(error.message, 'not ready');
+    Assert.strictEqual(error.details.length, 1);
+    Assert.strictEqual(error.details[0].type, 'google.rpc.ErrorInfo');
+    Assert.strictEqual(/^[A-Za-z0-9+/]+$/.test(error.details[0].value), true);
+  });
+
+  it('handles streaming requests', { skip: !plaintextHttp1 }, async () => {
+    const body = Buffer.concat(['a', 'b'].map((value) => {
+      return frame(EchoBidiStream.requestSerialize({ value }));
+    }));
+    const response = await http2Request(port, 'POST', '/EchoService/EchoBidiStream', {
+      'content-type': 'application/connect+proto'
+    }, body);
+    const { messages, endStream } = parseBody(response.body);
+
+    Assert.strictEqual(response.status, 200);
+    Assert.strictEqual(response.headers['content-type'],
+      'application/connect+proto');
+    Assert.deepStrictEqual(messages.map((message) => {
+      return EchoBidiStream.responseDeserialize(message).value;
+    }), ['a', 'b']);
+    Assert.deepStrictEqual(endStream, { metadata: {} });
+
+    const serverStream = await http1Request(port, 'POST',
+      '/EchoService/EchoServerStream',
+      { 'content-type': 'application/connect+json' },
+      frame(Buffer.from(JSON.stringify({ value: 'foo' }))));
+    const result = parseBody(serverStream.body);
+
+    Assert.strictEqual(serverStream.status, 200);
+    Assert.strictEqual(serverStream.headers['content-type'],
+      'application/connect+json');
+    Assert.deepStrictEqual(result.messages.map((message) => {
+      return JSON.parse(message);
+    }), [{ value: 'foo', value2: 1 }, { value: 'foo', value2: 2 }]);
+    Assert.deepStrictEqual(result.endStream,
+      { metadata: { 'x-trailer': ['foo'] } });
+  });
+
+  it('sends streaming errors in the end-stream message',
+    { skip: !plaintextHttp1 }, async () => {
+      const response = await http1Request(port, 'POST', '/EchoService/EchoServerStream',
+        { 'content-type': 'application/connect+proto' },
+        frame(EchoService.service.EchoServerStream.requestSerialize({
+          value: 'error'
+        })));
+      const { messages, endStream } = parseBody(response.body);
+
+      Assert.strictEqual(response.status, 200);
+      Assert.strictEqual(messages.length, 0);
+      Assert.deepStrictEqual(endStream, {
+        metadata: {},
+        error: { code: 'not_found', message: 'not found' }
+      });
+
+      const unimplemented = await http2Request(port, 'POST', '/EchoService/Foo', {
+        'content-type': 'application/connect+proto'
+      }, frame(Buffer.alloc(0)));
+
+      Assert.strictEqual(unimplemented.status, 200);
+      Assert.strictEqual(parseBody(unimplemented.body).endStream.error.code,
+        'unimplemented');
+    });
+
+  it('supports timeouts', { skip: !plaintextHttp1 }, async () => {
+    const response = await http1Request(port, 'POST', '/EchoService/Echo', {
+      'content-type': 'application/json',
+      'connect-timeout-ms': '50'
+    }, JSON.stringify({ value: 'slow' }));
+
+    Assert.strictEqual(response.status, 504);
+    Assert.strictEqual(JSON.parse(response.body).code, 'deadline_exceeded');
+
+    const longTimeout = await http2Request(port, 'POST', '/EchoService/Echo', {
+      'content-type': 'application/json',
+      'connect-timeout-ms': '9999999999'
+    }, JSON.stringify({ value: 'foo' }));
+
+    Assert.strictEqual(longTimeout.status, 200);
+    Assert.strictEqual(longTimeout.headers['x-timeout'], 'true');
+
+    const invalid = await http1Request(port, 'POST', '/EchoService/Echo', {
+      'content-type': 'application/json',
+      'connect-timeout-ms': 'foo'
+    }, JSON.stringify({ value: 'foo' }));
+
+    Assert.strictEqual(invalid.status, 400);
+    Assert.deepStrictEqual(JSON.parse(invalid.body), {
+      code: 'invalid_argument',
+      message: 'Invalid connect-timeout-ms: foo'
+    });
+  });
+
+  it('validates the protocol version', { skip: !plaintextHttp1 }, async () => {
+    const response = await http1Request(port, 'POST', '/EchoService/Echo', {
+      'content-type': 'application/json',
+      'connect-protocol-version': '2'
+    }, JSON.stringify({ value: 'foo' }));
+
+    Assert.strictEqual(response.status, 400);
+    Assert.deepStrictEqual(JSON.parse(response.body), {
+      code: 'invalid_argument',
+      message: 'Unsupported connect-protocol-version: 2'
+    });
+
+    const streaming = await http2Request(port, 'POST', '/EchoService/EchoBidiStream', {
+      'content-type': 'application/connect+proto',
+      'connect-protocol-version': '2'
+    }, frame(Buffer.alloc(0)));
+
+    Assert.strictEqual(streaming.status, 200);
+    Assert.strictEqual(parseBody(streaming.body).endStream.error.code,
+      'invalid_argument');
+  });
+
+  it('rejects unsupported HTTP/1.1 requests',
+    { skip: !plaintextHttp1 }, async () => {
+      const unknownMethod = await http1Request(port, 'POST', '/EchoService/Foo', {
+        'content-type': 'application/json'
+      }, '{}');
+
+      Assert.strictEqual(unknownMethod.status, 415);
+
+      const grpc = await http1Request(port, 'POST', '/EchoService/Echo', {
+        'content-type': 'application/grpc'
+      }, frame(Buffer.alloc(0)));
+
+      Assert.strictEqual(grpc.status, 415);
+    });
+
+  it('stops reading unary messages that are too large',
+    { skip: !plaintextHttp1 }, async () => {
+      const server = new Server({ 'grpc.max_receive_message_length': 16 });
+
+      server.addService(EchoService.service, {
+        echo (call, callback) {
+          callback(null, call.request);
+        }
+      });
+
+      const port = await bindAsync(server, { connect: true });
+
+      server.start();
+
+      // The request is not ended, so the response is only received if the
+      // server rejects the message before reading all of it.
+      const barrier = new Barrier();
+      const client = Http2.connect(`http://localhost:${port}`);
+      const req = client.request({
+        ':method': 'POST',
+        ':path': '/EchoService/Echo',
+        'content-type': 'application/proto',
+        'connect-protocol-version': '1'
+      });
+      const chunks = [];
+
+      req.on('response', (headers) => {
+        Assert.strictEqual(headers[':status'], 429);
+      });
+
+      req.on('data', (chunk) => {
+        chunks.push(chunk);
+      });
+
+      req.on('close', () => {
+        Assert.strictEqual(req.rstCode, Http2.constants.NGHTTP2_NO_ERROR);
+        Assert.deepStrictEqual(JSON.parse(Buffer.concat(chunks)), {
+          code: 'resource_exhausted',
+          message: 'Received message larger than max (32 vs. 16)'
+        });
+        client.close();
+        barrier.pass();
+      });
+
+      req.write(Echo.requestSerialize({ value: 'a'.repeat(30) }));
+      await barrier;
+
+      const response = await http1Request(port, 'POST', '/EchoService/Echo', {
+        'content-type': 'application/proto',
+        'connect-protocol-version': '1'
+      }, Buffer.alloc(64));
+
+      Assert.strictEqual(response.status, 429);
+      Assert.strictEqual(response.headers.connection, 'close');
+      Assert.strictEqual(JSON.parse(response.body).code, 'resource_exhausted');
+      server.forceShutdown();
+    });
+
+  it('sends a Connect error if the method does not support the codec',
+    { skip: !plaintextHttp1 }, async () => {
+      const server = new Server();
+
+      server.addService(EchoService.service, {
+        echo (call, callback) {
+          callback(null, call.request);
+        },
+        echoBidiStream (stream) {
+          stream.end();
+        }
+      });
+
+      const port = await bindAsync(server, { connect: true });
+
+      server.start();
+
+      const unary = await http1Request(port, 'POST', '/EchoService/Echo', {
+        'content-type': 'application/json',
+        'connect-protocol-version': '1'
+      }, JSON.stringify({ value: 'foo' }));
+
+      Assert.strictEqual(unary.status, 501);
+      Assert.strictEqual(unary.headers['content-type'], 'application/json');
+      Assert.deepStrictEqual(JSON.parse(unary.body), {
+        code: 'unimplemented',
+        message: 'Unsupported codec: json'
+      });
+
+      const streaming = await http2Request(port, 'POST', '/EchoService/EchoBidiStream', {
+        'content-type': 'application/connect+json'
+      }, frame(Buffer.from('{}')));
+
+      Assert.strictEqual(streaming.status, 200);
+      Assert.deepStrictEqual(parseBody(streaming.body).endStream, {
+        metadata: {},
+        error: { code: 'unimplemented', message: 'Unsupported codec: json' }
+      });
+      server.forceShutdown();
+    });
+
+  it('rejects unary requests for streaming methods', async () => {
+    const server = new Server();
+    let handlerCalls = 0;
+
+    server.addService(EchoService.service, {
+      echoServerStream (stream) {
+        handlerCalls++;
+
+        for (let i = 0; i < stream.request.value2; i++) {
+          stream.write(stream.request);
+        }
+
+        stream.end();
+      }
+    });
+
+    const port = await bindAsync(server, { connect: true });
+
+    server.start();
+
+    // Without the check, no messages would hang the call, and additional
+    // messages would be dropped.
+    for (const value2 of [0, 2]) {
+      const response = await http2Request(port, 'POST', '/EchoService/EchoServerStream', {
+        'content-type': 'application/proto',
+        'connect-protocol-version': '1'
+      }, Echo.requestSerialize({ value: 'foo', value2 }));
+
+      Assert.strictEqual(response.status, 501);
+      Assert.deepStrictEqual(JSON.parse(response.body), {
+        code: 'unimplemented',
+        message: '/EchoService/EchoServerStream is a streaming method and ' +
+          'requires application/connect+proto'
+      });
+    }
+
+    Assert.strictEqual(handlerCalls, 0);
+    server.forceShutdown();
+  });
+
+  it('continues to serve gRPC clients', () => {
+    const client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+
+    return new Promise((resolve) => {
+      client.echo({ value: 'foo' }, (err, response) => {
+        Assert.ifError(err);
+        Assert.deepStrictEqual(response, { value: 'foo', value2: 0 });
+        client.close();
+        resolve();
+      });
+    });
+  });
+
+  it('is disabled by default', async () => {
+    const server = new Server();
+
+    server.addService(EchoService.service, {
+      echo (call, callback) {
+        callback(null, call.request);
+      }
+    });
+
+    const port = await bindAsync(server, {});
+
+    server.start();
+
+    const response = await http2Request(port, 'POST', '/EchoService/Echo', {
+      'content-type': 'application/proto',
+      'connect-protocol-version': '1'
+    }, Echo.requestSerialize({ value: 'foo' }));
+
+    Assert.strictEqual(response.status, 415);
+    server.forceShutdown();
+  });
+
+  it('validates options', () => {
+    const server = new Server();
+
+    Assert.throws(() => {
+      server.bindAsync('localhost:0', serverInsecureCreds, {
+        connect: 'foo'
+      }, () => {});
+    }, /^TypeError: options.connect must be a boolean$/);
+  });
+});
@@ -0,0 +1,313 @@
+'use strict';
+const Assert = require('assert');
+const Path = require('path');
+const Lab = require('@hapi/lab');
+const Grpc = require('@grpc/grpc-js');
+const { Server, ServerCredentials, StatusErrorBuilder } = require('../lib');
+const { decodeMessage } = require('../lib/protobuf');
+const { loadProtoFile } = require('./common');
+
+// Test shortcuts
+const lab = exports.lab = Lab.script();
+const { describe, it, before, after } = lab;
+
+
+const clientInsecureCreds = Grpc.credentials.createInsecure();
+const serverInsecureCreds = ServerCredentials.createInsecure();
+const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
+const { EchoService } = loadProtoFile(protoFile);
+const typeUrlPrefix = 'type.googleapis.com/google.rpc.';
+const statusSchema = {
+  code: [1, 'int32'],
+  message: [2, 'string'],
+  details: [3, { typeUrl: [1, 'string'], value: [2, 'bytes'] }, true]
+};
+const detailSchemas = {
+  BadRequest: {
+    fieldViolations: [1, {
+      field: [1, 'string'],
+      description: [2, 'string']
+    }, true]
+  },
+  ErrorInfo: {
+    reason: [1, 'string'],
+    domain: [2, 'string'],
+    metadata: [3, { key: [1, 'string'], value: [2, 'string'] }, true]
+  },
+  RetryInfo: {
+    retryDelay: [1, { seconds: [1, 'int64'], nanos: [2, 'int32'] }]
+  },
+  QuotaFailure: {
+    violations: [1, {
+      subject: [1, 'string'],
+      description: [2, 'string']
+    }, true]
+  }
+};
+
+
+function decodeStatusDetails (err) {
+  const [bytes] = err.metadata.get('grpc-status-details-bin');
+
+  Assert(Buffer.isBuffer(bytes));
+  return decodeMessage(statusSchema, bytes);
+}
+
+
+function decodeDetail (detail) {
+  const type = detail.typeUrl.substring(typeUrlPrefix.length);
+
+  return decodeMessage(detailSchemas[type], detail.value);
+}
+
+
+describe('Rich Error Details', () => {
+  let server;
+  let client;
+
+  before(async () => {
+    server = new Server();
+    server.addInterceptor((context) => {
+      if (context.metadata.get('change-status').length === 0) {
+        return;
+      }
+
+      return {
+        onSendStatus (status) {
+          status.code = Grpc.status.UNAVAILABLE;
+          status.details = 'changed';
+        }
+      };
+    });
+    server.addService(EchoService.service, {
+      echo (call, callback) {
+        if (call.request.value === 'ok') {
+          callback(null, call.request);
+          return;
+        }
+
+        const err = new StatusErrorBuilder(Grpc.status.INVALID_ARGUMENT,
+          'invalid value')
+          .addBadRequest({
+            fieldViolations: [
+              { field: 'value', description: 'must be ok' },
+              { field: 'value2', description: 'must be set' }
+            ]
+          })
+          .addErrorInfo({
+            reason: 'INVALID_VALUE',
+            domain: 'example.com',
+            metadata: { foo: 'bar', baz: 'qux' }
+          })
+          .addRetryInfo({ retryDelay: { seconds: 1, nanos: 500000000 } })
+          .addQuotaFailure({
+            violations: [{ subject: 'user', description: 'quota exceeded' }]
+          })
+          .addDetail('type.googleapis.com/test.Custom', Buffer.from('abc'))
+          .build();
+
+        callback(err);
+      },
+      async echoClientStream (stream) {
+        for await (const message of stream) {} // eslint-disable-line no-unused-vars
+
+        throw new StatusErrorBuilder(Grpc.status.RESOURCE_EXHAUSTED)
+          .addHelp({
+            links: [{ description: 'docs', url: 'https://example.com' }]
+          })
+          .build();
+      },
+      echoServerStream (stream) {
+        const err = new StatusErrorBuilder(Grpc.status.FAILED_PRECONDITION,
+          'not ready')
+          .addPreconditionFailure({
+            violations: [{ type: 'TOS', subject: 'user', description: 'x' }]
+          })
+          .build();
+
+        stream.emit('error', err);
+      }
+    });
+
+    const port = await server.bind('localhost:0', serverInsecureCreds);
+
+    server.start();
+    client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+  });
+
+  after(() => {
+    client.close();
+    server.forceShutdown();
+  });
+
+  it('sends typed details in grpc-status-details-bin', () => {
+    return new Promise((resolve) => {
+      client.echo({ value: 'foo' }, (err) => {
+        Assert.strictEqual(err.code, Grpc.status.INVALID_ARGUMENT);
+        Assert.strictEqual(err.details, 'invalid value');
+
+        const status = decodeStatusDetails(err);
+
+        Assert.strictEqual(status.code, Grpc.status.INVALID_ARGUMENT);
+        Assert.strictEqual(status.message, 'invalid value');
+        Assert.deepStrictEqual(status.details.map((detail) => {
+          return detail.typeUrl;
+        }), [
+          `${typeUrlPrefix}BadRequest`,
+          `${typeUrlPrefix}ErrorInfo`,
+          `${typeUrlPrefix}RetryInfo`,
+          `${typeUrlPrefix}QuotaFailure`,
+          'type.googleapis.com/test.Custom'
+        ]);
+        Assert.deepStrictEqual(decodeDetail(status.details[0]), {
+          fieldViolations: [
+            { field: 'value', description: 'must be ok' },
+            { field: 'value2', description: 'must be set' }
+          ]
+        });
+        Assert.deepStrictEqual(decodeDetail(status.details[1]), {
+          reason: 'INVALID_VALUE',
+          domain: 'example.com',
+          metadata: [
+            { key: 'foo', value: 'bar' },
+            { key: 'baz', value: 'qux' }
+          ]
+        });
+        Assert.deepStrictEqual(decodeDetail(status.details[2]), {
+          retryDelay: { seconds: 1, nanos: 500000000 }
+        });
+        Assert.deepStrictEqual(decodeDetail(status.details[3]), {
+          violations: [{ subject: 'user', description: 'quota exceeded' }]
+        });
+        Assert.deepStrictEqual(status.details[4].value, Buffer.from('abc'));
+        resolve();
+      });
+    });
+  });
+
+  it('keeps the details consistent with the final status', () => {
+    const metadata = new Grpc.Metadata();
+
+    metadata.set('change-status', '1');
+
+    return new Promise((resolve) => {
+      client.echo({ value: 'foo' }, metadata, (err) => {
+        Assert.strictEqual(err.code, Grpc.status.UNAVAILABLE);
+        Assert.strictEqual(err.details, 'changed');
+
+        const status = decodeStatusDetails(err);
+
+        Assert.strictEqual(status.code, Grpc.status.UNAVAILABLE);
+        Assert.strictEqual(status.message, 'changed');
+        Assert.strictEqual(status.details.length, 5);
+        resolve();
+      });
+    });
+  });
+
+  it('sends details from streaming and async handlers', async () => {
+    await new Promise((resolve) => {
+      const call = client.echoClientStream((err) => {
+        Assert.strictEqual(err.code, Grpc.status.RESOURCE_EXHAUSTED);
+
+        const status = decodeStatusDetails(err);
+
+        Assert.strictEqual(status.code, Grpc.status.RESOURCE_EXHAUSTED);
+        Assert.strictEqual(status.message, '');
+        Assert.strictEqual(status.details[0].typeUrl, `${typeUrlPrefix}Help`);
+        resolve();
+      });
+
+      call.end();
+    });
+
+    await new Promise((resolve) => {
+      const call = client.echoServerStream({ value: 'foo' });
+
+      call.on('data', () => {});
+      call.on('error', (err) => {
+        Assert.strictEqual(err.code, Grpc.status.FAILED_PRECONDITION);
+
+        const status = decodeStatusDetails(err);
+
+        Assert.strictEqual(status.message, 'not ready');
+        Assert.strictEqual(status.details[0].typeUrl,
+          `${typeUrlPrefix}PreconditionFailure`);
+        resolve();
+      });
+    });
+  });
+
+  it('does not send details for successful calls', () => {
+    return new Promise((resolve) => {
+      const call = client.echo({ value: 'ok' }, (err) => {
+        Assert.ifError(err);
+      });
+
+      call.on('status', (status) => {
+        Assert.deepStrictEqual(
+          status.metadata.get('grpc-status-details-bin'), []);
+        resolve();
+      });
+    });
+  });
+
+  it('builds errors', () => {
+    const builder = new StatusErrorBuilder(Grpc.status.NOT_FOUND, 'missing')
+      .addDebugInfo({ stackEntries: ['a', 'b'], detail: 'c' })
+      .addErrorInfo({ reason: 'r', domain: 'd' })
+      .addLocalizedMessage({ locale: 'en-US', message: 'Not found' })
+      .addRequestInfo({ requestId: '123' })
+      .addResourceInfo({ resourceType: 'book', resourceName: 'foo' });
+    const err = builder.build();
+
+    Assert(err instanceof Error);
+    Assert.strictEqual(err.message, 'missing');
+    Assert.strictEqual(err.code, Grpc.status.NOT_FOUND);
+    Assert.strictEqual(err.details, 'missing');
+    Assert.deepStrictEqual(err.statusDetails.map((detail) => {
+      return detail.typeUrl;
+    }), [
+      `${typeUrlPrefix}DebugInfo`,
+      `${typeUrlPrefix}ErrorInfo`,
+      `${typeUrlPrefix}LocalizedMessage`,
+      `${typeUrlPrefix}RequestInfo`,
+      `${typeUrlPrefix}ResourceInfo`
+    ]);
+
+    // Building again does not share the details array.
+    builder.addHelp({ links: [] });
+    Assert.strictEqual(err.statusDetails.length, 5);
+    Assert.strictEqual(builder.build().statusDetails.length, 6);
+  });
+
+  it('validates its inputs', () => {
+    [undefined, 'foo', -1, 17, 1.5, Grpc.status.OK].forEach((code) => {
+      Assert.throws(() => {
+        new StatusErrorBuilder(code); // eslint-disable-line no-new
+      }, /^TypeError: code must be a non-OK status code$/);
+    });
+
+    Assert.throws(() => {
+      new StatusErrorBuilder(Grpc.status.UNKNOWN, 5); // eslint-disable-line no-new
+    }, /^TypeError: message must be a string$/);
+
+    const builder = new StatusErrorBuilder(Grpc.status.UNKNOWN);
+
+    [null, 'foo'].forEach((detail) => {
+      Assert.throws(() => {
+        builder.addBadRequest(detail);
+      }, /^TypeError: detail must be an object$/);
+      Assert.throws(() => {
+        builder.addErrorInfo(detail);
+      }, /^TypeError: detail must be an object$/);
+    });
+
+    Assert.throws(() => {
+      builder.addDetail(null, Buffer.alloc(0));
+    }, /^TypeError: typeUrl must be a string$/);
+    Assert.throws(() => {
+      builder.addDetail('foo', 'bar');
+    }, /^TypeError: value must be a Buffer$/);
+  });
+});
@@ -757,6 +757,58 @@ describe('Other conditions', () => {
 
       return barrier;
     });
+
+    it('for error messages containing arbitrary UTF-8', async () => {
+      const messages = [
+        '100% done',
+        '%41 is not decoded',
+        'line 1\nline 2\ttabbed\r',
+        'emoji 😀 and 測試',
+        'reserved chars ;/?:@&=+$,#',
+        'control \u0000\u001f\u007f chars',
+        '\u00e9\u0301 combining',
+        ' leading and trailing ',
+        'percent at the end %'
+      ];
+
+      for (const message of messages) {
+        await new Promise((resolve) => {
+          client.unary({ error: true, message }, (err, data) => {
+            Assert.strictEqual(err.code, Grpc.status.UNKNOWN);
+            Assert.strictEqual(err.details, message);
+            resolve();
+          });
+        });
+      }
+    });
+
+    it('for an error message containing invalid Unicode', async () => {
+      // Strings with invalid Unicode can't be sent in the request, so a
+      // separate server is used.
+      const barrier = new Barrier();
+      const server = new Server();
+
+      server.addService(TestServiceClient.service, {
+        unary (call, cb) {
+          cb({ code: Grpc.status.UNKNOWN, details: 'bad \ud800 surrogate' });
+        }
+      });
+
+      const port = await server.bind('localhost:0', serverInsecureCreds);
+      const client = new TestServiceClient(`localhost:${port}`,
+        clientInsecureCreds);
+
+      server.start();
+      client.unary({}, (err) => {
+        Assert.strictEqual(err.code, Grpc.status.UNKNOWN);
+        Assert.strictEqual(err.details, 'bad \ufffd surrogate');
+        client.close();
+        server.forceShutdown();
+        barrier.pass();
+      });
+
+      return barrier;
+    });
   });
 });
 
@@ -0,0 +1,421 @@
+'use strict';
+const Assert = require('assert');
+const Http = require('http');
+const Path = require('path');
+const Barrier = require('cb-barrier');
+const Lab = require('@hapi/lab');
+const Grpc = require('@grpc/grpc-js');
+const { Server, ServerCredentials } = require('../lib');
+const {
+  bindAsync,
+  frame,
+  http1Request,
+  http2Request,
+  loadProtoFile,
+  parseBody,
+  plaintextHttp1
+} = require('./common');
+
+// Test shortcuts
+const lab = exports.lab = Lab.script();
+const { describe, it, before, after } = lab;
+
+
+const clientInsecureCreds = Grpc.credentials.createInsecure();
+const serverInsecureCreds = ServerCredentials.createInsecure();
+const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
+const { EchoService } = loadProtoFile(protoFile);
+const { Echo } = EchoService.service;
+const origin = 'https://example.com';
+
+
+// Each chunk of a text response is encoded separately, so padding can appear
+// in the middle of the body.
+function decodeText (body) {
+  return Buffer.concat(body.toString().match(/[^=]+=*/g).map((segment) => {
+    return Buffer.from(segment, 'base64');
+  }));
+}
+
+
+describe('gRPC-Web', () => {
+  let server;
+  let port;
+  let cancelled;
+
+  before(async () => {
+    server = new Server();
+    server.addService(EchoService.service, {
+      echo (call, callback) {
+        if (call.request.value === 'error') {
+          callback({ code: Grpc.status.INVALID_ARGUMENT, details: 'bad value' });
+          return;
+        }
+
+        callback(null, call.request);
+      },
+      echoClientStream (stream, callback) {
+        const values = [];
+
+        stream.on('data', (message) => {
+          values.push(message.value);
+        });
+
+        stream.on('end', () => {
+          callback(null, { value: values.join(','), value2: values.length });
+        });
+      },
+      echoServerStream (stream) {
+        stream.write({ value: stream.request.value, value2: 1 });
+        stream.write({ value: stream.request.value, value2: 2 });
+        stream.end();
+      },
+      echoBidiStream (stream) {
+        stream.on('data', (message) => {
+          stream.write(message);
+        });
+
+        stream.on('cancelled', () => {
+          cancelled.pass();
+        });
+      }
+    });
+
+    port = await bindAsync(server, {
+      grpcWeb: true,
+      cors: { origins: [origin] }
+    });
+    server.start();
+  });
+
+  after(() => {
+    server.forceShutdown();
+  });
+
+  it('handles binary requests over HTTP/1.1 and HTTP/2',
+    { skip: !plaintextHttp1 }, async () => {
+      const body = frame(Echo.requestSerialize({ value: 'foo', value2: 5 }));
+      const headers = { 'content-type': 'application/grpc-web+proto' };
+      const responses = [
+        await http1Request(port, 'POST', '/EchoService/Echo', headers, body),
+        await http2Request(port, 'POST', '/EchoService/Echo', headers, body)
+      ];
+
+      responses.forEach((response) => {
+        const { messages, trailers } = parseBody(response.body);
+
+        Assert.strictEqual(response.status, 200);
+        Assert.strictEqual(response.headers['content-type'],
+          'application/grpc-web+proto');
+        Assert.strictEqual(response.headers['access-control-allow-origin'],
+          undefined);
+        Assert.strictEqual(messages.length, 1);
+        Assert.deepStrictEqual(Echo.responseDeserialize(messages[0]),
+          { value: 'foo', value2: 5 });
+        Assert.strictEqual(trailers['grpc-status'], `${Grpc.status.OK}`);
+        Assert.strictEqual(trailers['grpc-message'], 'OK');
+      });
+    });
+
+  it('handles text requests', { skip: !plaintextHttp1 }, async () => {
+    const body = frame(Echo.requestSerialize({ value: 'foo' }));
+    const response = await http1Request(port, 'POST', '/EchoService/Echo', {
+      'content-type': 'application/grpc-web-text'
+    }, body.toString('base64'));
+
+    Assert.strictEqual(response.status, 200);
+    Assert.strictEqual(response.headers['content-type'],
+      'application/grpc-web-text+proto');
+
+    const { messages, trailers } =
+      parseBody(decodeText(response.body));
+
+    Assert.deepStrictEqual(Echo.responseDeserialize(messages[0]),
+      { value: 'foo', value2: 0 });
+    Assert.strictEqual(trailers['grpc-status'], `${Grpc.status.OK}`);
+  });
+
+  it('decodes text requests that are encoded in chunks', async () => {
+    const messages = ['a', 'bc', 'def'].map((value) => {
+      return frame(EchoService.service.EchoClientStream.requestSerialize({
+        value
+      })).toString('base64');
+    });
+    const response = await http2Request(port, 'POST', '/EchoService/Echo', {
+      ':path': '/EchoService/EchoClientStream',
+      'content-type': 'application/grpc-web-text'
+    }, messages.join(''));
+    const body = parseBody(decodeText(response.body));
+
+    Assert.deepStrictEqual(
+      EchoService.service.EchoClientStream.responseDeserialize(
+        body.messages[0]),
+      { value: 'a,bc,def', value2: 3 });
+  });
+
+  it('handles streaming responses', { skip: !plaintextHttp1 }, async () => {
+    const body = frame(EchoService.service.EchoServerStream.requestSerialize({
+      value: 'foo'
+    }));
+    const response = await http1Request(port, 'POST',
+      '/EchoService/EchoServerStream', {
+        'content-type': 'application/grpc-web'
+      }, [body.slice(0, 3), body.slice(3)]);
+    const { messages, trailers } = parseBody(response.body);
+
+    Assert.deepStrictEqual(messages.map((message) => {
+      return EchoService.service.EchoServerStream.responseDeserialize(message);
+    }), [{ value: 'foo', value2: 1 }, { value: 'foo', value2: 2 }]);
+    Assert.strictEqual(trailers['grpc-status'], `${Grpc.status.OK}`);
+  });
+
+  it('sends errors in a Trailers-Only response',
+    { skip: !plaintextHttp1 }, async () => {
+      const response = await http1Request(port, 'POST', '/EchoService/Echo', {
+        'content-type': 'application/grpc-web+proto',
+        origin
+      }, frame(Echo.requestSerialize({ value: 'error' })));
+
+      Assert.strictEqual(response.status, 200);
+      Assert.strictEqual(response.headers['grpc-status'],
+        `${Grpc.status.INVALID_ARGUMENT}`);
+      Assert.strictEqual(response.headers['grpc-message'], 'bad value');
+      Assert.strictEqual(response.body.length, 0);
+      Assert.strictEqual(response.headers['access-control-allow-origin'], origin);
+      Assert(response.headers['access-control-expose-headers'].split(',')
+        .includes('grpc-status'));
+    });
+
+  it('adds CORS headers for allowed origins', async () => {
+    const body = frame(Echo.requestSerialize({ value: 'foo' }));
+    const allowed = await http2Request(port, 'POST', '/EchoService/Echo', {
+      'content-type': 'application/grpc-web',
+      origin
+    }, body);
+
+    Assert.strictEqual(allowed.headers['access-control-allow-origin'], origin);
+    Assert.strictEqual(allowed.headers.vary, 'origin');
+    Assert(allowed.headers['access-control-expose-headers'].split(',')
+      .includes('grpc-encoding'));
+
+    const forbidden = await http2Request(port, 'POST', '/EchoService/Echo', {
+      'content-type': 'application/grpc-web',
+      origin: 'https://example.org'
+    }, body);
+
+    Assert.strictEqual(forbidden.status, 200);
+    Assert.strictEqual(forbidden.headers['access-control-allow-origin'],
+      undefined);
+  });
+
+  it('responds to CORS preflight requests', async () => {
+    const preflightHeaders = {
+      ':method': 'OPTIONS',
+      'access-control-request-method': 'POST',
+      'access-control-request-headers': 'content-type,x-grpc-web'
+    };
+    const allowed = await http2Request(port, 'POST', '/EchoService/Echo', {
+      ...preflightHeaders,
+      origin
+    });
+
+    Assert.strictEqual(allowed.status, 204);
+    Assert.strictEqual(allowed.headers['access-control-allow-origin'], origin);
+    Assert.strictEqual(allowed.headers['access-control-allow-methods'], 'POST');
+    Assert.strictEqual(allowed.headers['access-control-allow-headers'],
+      'content-type,x-grpc-web');
+    Assert.strictEqual(allowed.headers['access-control-max-age'], '600');
+
+    const forbidden = await http2Request(port, 'POST', '/EchoService/Echo', {
+      ...preflightHeaders,
+      origin: 'https://example.org'
+    });
+
+    Assert.strictEqual(forbidden.status, 403);
+    Assert.strictEqual(forbidden.headers['access-control-allow-origin'],
+      undefined);
+  });
+
+  it('cancels calls when HTTP/1.1 requests are aborted',
+    { skip: !plaintextHttp1 }, async () => {
+      const barrier = new Barrier();
+      const req = Http.request({
+        port,
+        method: 'POST',
+        path: '/EchoService/EchoBidiStream',
+        headers: { 'content-type': 'application/grpc-web' }
+      }, (res) => {
+        res.once('data', () => {
+          req.destroy();
+        });
+      });
+
+      cancelled = barrier;
+      req.on('error', () => {});
+      req.write(frame(EchoService.service.EchoBidiStream.requestSerialize({
+        value: 'foo'
+      })));
+      await barrier;
+    });
+
+  it('only accepts gRPC-Web requests over HTTP/1.1',
+    { skip: !plaintextHttp1 }, async () => {
+      const response = await http1Request(port, 'POST', '/EchoService/Echo', {
+        'content-type': 'application/grpc',
+        te: 'trailers'
+      }, frame(Echo.requestSerialize({ value: 'foo' })));
+
+      Assert.strictEqual(response.status, 415);
+    });
+
+  it('continues to serve gRPC clients', () => {
+    const client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+
+    return new Promise((resolve) => {
+      client.echo({ value: 'foo' }, (err, response) => {
+        Assert.ifError(err);
+        Assert.deepStrictEqual(response, { value: 'foo', value2: 0 });
+        client.close();
+        resolve();
+      });
+    });
+  });
+
+  it('is disabled by default', async () => {
+    const server = new Server();
+
+    server.addService(EchoService.service, {
+      echo (call, callback) {
+        callback(null, call.request);
+      }
+    });
+
+    const port = await bindAsync(server, {});
+
+    server.start();
+
+    const response = await http2Request(port, 'POST', '/EchoService/Echo', {
+      'content-type': 'application/grpc-web'
+    }, frame(Echo.requestSerialize({ value: 'foo' })));
+
+    // The content-type starts with application/grpc, so the request is
+    // handled as a regular gRPC request.
+    Assert.strictEqual(response.status, 200);
+    Assert.strictEqual(response.headers['content-type'], 'application/grpc+proto');
+    server.forceShutdown();
+  });
+
+  it('can be used without HTTP/1.1', async () => {
+    const server = new Server();
+
+    server.addService(EchoService.service, {
+      echo (call, callback) {
+        callback(null, call.request);
+      }
+    });
+
+    const port = await bindAsync(server, { grpcWeb: true, allowHTTP1: false });
+    const body = frame(Echo.requestSerialize({ value: 'foo' }));
+
+    server.start();
+
+    const http2Response = await http2Request(port, 'POST', '/EchoService/Echo', {
+      'content-type': 'application/grpc-web'
+    }, body);
+
+    Assert.strictEqual(http2Response.status, 200);
+
+    const http1Response = await http1Request(port, 'POST', '/EchoService/Echo', {
+      'content-type': 'application/grpc-web'
+    }, body);
+
+    Assert(http1Response.error instanceof Error);
+    server.forceShutdown();
+  });
+
+  it('closes HTTP/1.1 connections on shutdown',
+    { skip: !plaintextHttp1 }, async () => {
+      const body = frame(Echo.requestSerialize({ value: 'foo' }));
+      const headers = { 'content-type': 'application/grpc-web' };
+
+      for (const graceful of [true, false]) {
+        const server = new Server();
+        const agent = new Http.Agent({ keepAlive: true });
+
+        server.addService(EchoService.service, {
+          echo (call, callback) {
+            callback(null, call.request);
+          }
+        });
+
+        const port = await bindAsync(server, { grpcWeb: true });
+
+        server.start();
+
+        const response = await http1Request(port, 'POST', '/EchoService/Echo', headers, body,
+          agent);
+
+        const [socket] = Object.values(agent.freeSockets)[0];
+        const barrier = new Barrier();
+
+        Assert.strictEqual(response.status, 200);
+        socket.once('close', barrier.pass);
+
+        // Idle keep-alive connections would otherwise keep the server open.
+        if (graceful === true) {
+          server.tryShutdown(Assert.ifError);
+        } else {
+          server.forceShutdown();
+        }
+
+        await barrier;
+        agent.destroy();
+      }
+    });
+
+  it('validates bind options', () => {
+    const server = new Server();
+
+    function bind (options) {
+      server.bindAsync('localhost:0', serverInsecureCreds, options, () => {});
+    }
+
+    [null, 'foo'].forEach((options) => {
+      Assert.throws(() => {
+        bind(options);
+      }, /^TypeError: options must be an object$/);
+    });
+
+    Assert.throws(() => {
+      bind({ grpcWeb: 'foo' });
+    }, /^TypeError: options.grpcWeb must be a boolean$/);
+
+    Assert.throws(() => {
+      bind({ grpcWeb: true, allowHTTP1: 1 });
+    }, /^TypeError: options.allowHTTP1 must be a boolean$/);
+
+    Assert.throws(() => {
+      bind({ allowHTTP1: true });
+    }, /^Error: options.allowHTTP1 requires options.connect, options.grpcWeb, or options.transcoding$/);
+
+    Assert.throws(() => {
+      bind({ transcoding: true, cors: { origins: ['*'] } });
+    }, /^Error: options.cors requires options.grpcWeb$/);
+
+    Assert.throws(() => {
+      bind({ grpcWeb: true, cors: null });
+    }, /^TypeError: options.cors must be an object$/);
+
+    [undefined, '*', [1]].forEach((origins) => {
+      Assert.throws(() => {
+        bind({ grpcWeb: true, cors: { origins } });
+      }, /^TypeError: options.cors.origins must be an array of strings$/);
+    });
+
+    [-1, 1.5, '1'].forEach((maxAge) => {
+      Assert.throws(() => {
+        bind({ grpcWeb: true, cors: { origins: ['*'], maxAge } });
+      }, /^TypeError: options.cors.maxAge must be a non-negative integer$/);
+    });
+  });
+});
@@ -0,0 +1,231 @@
+'use strict';
+const Assert = require('assert');
+const Barrier = require('cb-barrier');
+const Lab = require('@hapi/lab');
+const Grpc = require('@grpc/grpc-js');
+const {
+  HealthImplementation,
+  healthServiceDefinition,
+  Server,
+  ServerCredentials
+} = require('../lib');
+
+// Test shortcuts
+const lab = exports.lab = Lab.script();
+const { describe, it, beforeEach, afterEach } = lab;
+
+
+const HealthClient = Grpc.makeGenericClientConstructor(healthServiceDefinition);
+const clientInsecureCreds = Grpc.credentials.createInsecure();
+const serverInsecureCreds = ServerCredentials.createInsecure();
+
+
+describe('Health', () => {
+  describe('HealthImplementation', () => {
+    it('defaults the overall server status to SERVING', () => {
+      const health = new HealthImplementation();
+
+      Assert.strictEqual(health.statuses.get(''), 'SERVING');
+      Assert.deepStrictEqual(HealthImplementation.ServingStatus, {
+        UNKNOWN: 0,
+        SERVING: 1,
+        NOT_SERVING: 2,
+        SERVICE_UNKNOWN: 3
+      });
+    });
+
+    it('accepts an initial status map', () => {
+      const health = new HealthImplementation({
+        '': 'NOT_SERVING',
+        foo: 'SERVING'
+      });
+
+      Assert.strictEqual(health.statuses.get(''), 'NOT_SERVING');
+      Assert.strictEqual(health.statuses.get('foo'), 'SERVING');
+    });
+
+    it('throws on invalid inputs', () => {
+      Assert.throws(() => {
+        new HealthImplementation(null); // eslint-disable-line no-new
+      }, /^TypeError: statusMap must be an object$/);
+
+      const health = new HealthImplementation();
+
+      Assert.throws(() => {
+        health.setStatus(5, 'SERVING');
+      }, /^TypeError: service must be a string$/);
+
+      ['foo', 'SERVICE_UNKNOWN', 1, undefined].forEach((status) => {
+        Assert.throws(() => {
+          health.setStatus('foo', status);
+        }, /^TypeError: invalid serving status/);
+      });
+    });
+
+    it('ignores status changes after shutdown begins', () => {
+      const health = new HealthImplementation({ foo: 'SERVING' });
+
+      health.enterShutdown();
+      health.enterShutdown();
+      health.setStatus('foo', 'SERVING');
+      health.setStatus('bar', 'SERVING');
+      Assert.strictEqual(health.statuses.get(''), 'NOT_SERVING');
+      Assert.strictEqual(health.statuses.get('foo'), 'NOT_SERVING');
+      Assert.strictEqual(health.statuses.has('bar'), false);
+    });
+  });
+
+  describe('Health service', () => {
+    let server;
+    let client;
+    let health;
+
+    beforeEach(async () => {
+      health = new HealthImplementation({ 'test.Service': 'SERVING' });
+      server = new Server();
+      server.addService(healthServiceDefinition, health);
+
+      const port = await server.bind('localhost:0', serverInsecureCreds);
+      client = new HealthClient(`localhost:${port}`, clientInsecureCreds);
+      server.start();
+    });
+
+    afterEach(() => {
+      client.close();
+      server.forceShutdown();
+    });
+
+    it('checks the status of a service', () => {
+      const barrier = new Barrier();
+
+      client.check({ service: 'test.Service' }, (err, response) => {
+        Assert.ifError(err);
+        Assert.deepStrictEqual(response, { status: 'SERVING' });
+        health.setStatus('test.Service', 'NOT_SERVING');
+        client.check({ service: 'test.Service' }, (err, response) => {
+          Assert.ifError(err);
+          Assert.deepStrictEqual(response, { status: 'NOT_SERVING' });
+          client.check({}, (err, response) => {
+            Assert.ifError(err);
+            Assert.deepStrictEqual(response, { status: 'SERVING' });
+            barrier.pass();
+          });
+        });
+      });
+
+      return barrier;
+    });
+
+    it('returns NOT_FOUND for unknown services', () => {
+      const barrier = new Barrier();
+
+      client.check({ service: 'unknown' }, (err, response) => {
+        Assert.strictEqual(err.code, Grpc.status.NOT_FOUND);
+        Assert.strictEqual(err.details, 'Health status unknown for service unknown');
+        Assert.strictEqual(response, undefined);
+        barrier.pass();
+      });
+
+      return barrier;
+    });
+
+    it('streams status changes to watchers', () => {
+      const barrier = new Barrier();
+      const call = client.watch({ service: 'test.Service' });
+      const statuses = [];
+
+      call.on('data', (response) => {
+        statuses.push(response.status);
+
+        if (statuses.length === 1) {
+          health.setStatus('test.Service', 'SERVING');
+          health.setStatus('test.Service', 'NOT_SERVING');
+        } else if (statuses.length === 2) {
+          health.clearStatus('test.Service');
+          health.clearStatus('test.Service');
+        } else if (statuses.length === 3) {
+          Assert.deepStrictEqual(statuses, [
+            'SERVING',
+            'NOT_SERVING',
+            'SERVICE_UNKNOWN'
+          ]);
+          call.cancel();
+        }
+      });
+
+      call.on('error', (err) => {
+        Assert.strictEqual(err.code, Grpc.status.CANCELLED);
+
+        // The server side of the stream closes asynchronously.
+        (function waitForCleanup () {
+          if (health.watchers.size === 0) {
+            barrier.pass();
+            return;
+          }
+
+          setTimeout(waitForCleanup, 5);
+        })();
+      });
+
+      return barrier;
+    });
+
+    it('reports SERVICE_UNKNOWN to watchers of unknown services', () => {
+      const barrier = new Barrier();
+      const call = client.watch({ service: 'unknown' });
+      const statuses = [];
+
+      call.on('data', (response) => {
+        statuses.push(response.status);
+
+        if (statuses.length === 1) {
+          health.setStatus('unknown', 'SERVING');
+        } else {
+          Assert.deepStrictEqual(statuses, ['SERVICE_UNKNOWN', 'SERVING']);
+          call.cancel();
+          barrier.pass();
+        }
+      });
+
+      call.on('error', () => {});
+      return barrier;
+    });
+
+    it('reports NOT_SERVING when the server shuts down', () => {
+      const barrier = new Barrier(2);
+      const call = client.watch({ service: 'test.Service' });
+      const statuses = [];
+
+      // Depending on the version of Node, the call either ends normally or
+      // fails when the server closes the connection.
+      call.on('error', (err) => {
+        Assert.strictEqual(err.code, Grpc.status.UNAVAILABLE);
+      });
+
+      call.on('close', () => {
+        barrier.pass();
+      });
+
+      call.on('data', (response) => {
+        statuses.push(response.status);
+
+        if (statuses.length === 1) {
+          server.tryShutdown((err) => {
+            Assert.ifError(err);
+            Assert.deepStrictEqual(statuses, ['SERVING', 'NOT_SERVING']);
+            Assert.strictEqual(health.statuses.get(''), 'NOT_SERVING');
+            barrier.pass();
+          });
+        }
+      });
+
+      return barrier;
+    });
+
+    it('is no longer notified of shutdown once removed', () => {
+      server.removeService(healthServiceDefinition);
+      server.forceShutdown();
+      Assert.strictEqual(health.statuses.get('test.Service'), 'SERVING');
+    });
+  });
+});
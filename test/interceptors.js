@@ -0,0 +1,404 @@
+'use strict';
+const Assert = require('assert');
+const Path = require('path');
+const Barrier = require('cb-barrier');
+const Lab = require('@hapi/lab');
+const Grpc = require('@grpc/grpc-js');
+const { Metadata, Server, ServerCredentials } = require('../lib');
+const { loadProtoFile } = require('./common');
+
+// Test shortcuts
+const lab = exports.lab = Lab.script();
+const { describe, it, before, after, afterEach } = lab;
+
+
+const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
+const { EchoService } = loadProtoFile(protoFile);
+const clientInsecureCreds = Grpc.credentials.createInsecure();
+const serverInsecureCreds = ServerCredentials.createInsecure();
+
+
+describe('Interceptors', () => {
+  describe('Server.prototype.addInterceptor', () => {
+    it('throws if the interceptor is not a function', () => {
+      const server = new Server();
+
+      [undefined, null, 'foo', 5, {}].forEach((value) => {
+        Assert.throws(() => {
+          server.addInterceptor(value);
+        }, /^TypeError: interceptor must be a function$/);
+      });
+    });
+  });
+
+  describe('all handler types', () => {
+    let server;
+    let client;
+    let events;
+
+    before(async () => {
+      server = new Server();
+      server.addService(EchoService.service, {
+        echo (call, callback) {
+          callback(null, call.request);
+        },
+        echoClientStream (stream, callback) {
+          const messages = [];
+
+          stream.on('data', (message) => {
+            messages.push(message.value);
+          });
+
+          stream.on('end', () => {
+            callback(null, { value: messages.join(',') });
+          });
+        },
+        echoServerStream (stream) {
+          stream.write(stream.request);
+          stream.write(stream.request);
+          stream.end();
+        },
+        echoBidiStream (stream) {
+          stream.on('data', (message) => {
+            stream.write(message);
+          });
+
+          stream.on('end', () => {
+            stream.end();
+          });
+        }
+      });
+
+      server.addInterceptor((context) => {
+        events.push(['start', context.path, context.type,
+          context.metadata.get('x-test')[0]]);
+        Assert.strictEqual(typeof context.getPeer(), 'string');
+        Assert.strictEqual(context.getDeadline(), Infinity);
+
+        return {
+          onReceiveMessage (message) {
+            events.push(['receive', message.value]);
+            return { ...message, value: message.value.toUpperCase() };
+          },
+          onSendMessage (message) {
+            events.push(['send', message.value]);
+          },
+          onSendStatus (status) {
+            events.push(['status', status.code]);
+          }
+        };
+      });
+
+      const port = await server.bind('localhost:0', serverInsecureCreds);
+      client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+      server.start();
+    });
+
+    after(() => {
+      client.close();
+      server.forceShutdown();
+    });
+
+    afterEach(() => {
+      events = [];
+    });
+
+    function createMetadata () {
+      const metadata = new Grpc.Metadata();
+
+      metadata.set('x-test', 'abc');
+      return metadata;
+    }
+
+    it('intercepts unary calls', () => {
+      const barrier = new Barrier();
+
+      events = [];
+      client.echo({ value: 'foo' }, createMetadata(), (err, response) => {
+        Assert.ifError(err);
+        Assert.strictEqual(response.value, 'FOO');
+        setImmediate(() => {
+          Assert.deepStrictEqual(events, [
+            ['start', '/EchoService/Echo', 'unary', 'abc'],
+            ['receive', 'foo'],
+            ['send', 'FOO'],
+            ['status', Grpc.status.OK]
+          ]);
+          barrier.pass();
+        });
+      });
+
+      return barrier;
+    });
+
+    it('intercepts client streaming calls', () => {
+      const barrier = new Barrier();
+
+      events = [];
+      const call = client.echoClientStream(createMetadata(), (err, response) => {
+        Assert.ifError(err);
+        Assert.strictEqual(response.value, 'A,B');
+        setImmediate(() => {
+          Assert.deepStrictEqual(events, [
+            ['start', '/EchoService/EchoClientStream', 'clientStream', 'abc'],
+            ['receive', 'a'],
+            ['receive', 'b'],
+            ['send', 'A,B'],
+            ['status', Grpc.status.OK]
+          ]);
+          barrier.pass();
+        });
+      });
+
+      call.write({ value: 'a' });
+      call.write({ value: 'b' });
+      call.end();
+      return barrier;
+    });
+
+    it('intercepts server streaming calls', () => {
+      const barrier = new Barrier();
+      const received = [];
+
+      events = [];
+      const call = client.echoServerStream({ value: 'x' }, createMetadata());
+
+      call.on('data', (message) => {
+        received.push(message.value);
+      });
+
+      call.on('status', (status) => {
+        Assert.strictEqual(status.code, Grpc.status.OK);
+        Assert.deepStrictEqual(received, ['X', 'X']);
+        Assert.deepStrictEqual(events, [
+          ['start', '/EchoService/EchoServerStream', 'serverStream', 'abc'],
+          ['receive', 'x'],
+          ['send', 'X'],
+          ['send', 'X'],
+          ['status', Grpc.status.OK]
+        ]);
+        barrier.pass();
+      });
+
+      return barrier;
+    });
+
+    it('intercepts bidi streaming calls', () => {
+      const barrier = new Barrier();
+      const received = [];
+
+      events = [];
+      const call = client.echoBidiStream(createMetadata());
+
+      call.on('data', (message) => {
+        received.push(message.value);
+      });
+
+      call.on('status', (status) => {
+        Assert.strictEqual(status.code, Grpc.status.OK);
+        Assert.deepStrictEqual(received, ['Q']);
+        Assert.deepStrictEqual(events, [
+          ['start', '/EchoService/EchoBidiStream', 'bidi', 'abc'],
+          ['receive', 'q'],
+          ['send', 'Q'],
+          ['status', Grpc.status.OK]
+        ]);
+        barrier.pass();
+      });
+
+      call.write({ value: 'q' });
+      call.end();
+      return barrier;
+    });
+  });
+
+  describe('short-circuiting', () => {
+    let server;
+    let client;
+    let handlerCalls;
+    let statuses;
+
+    before(async () => {
+      server = new Server();
+      server.addService(EchoService.service, {
+        echo (call, callback) {
+          handlerCalls++;
+          callback(null, call.request);
+        },
+        echoBidiStream (stream) {
+          handlerCalls++;
+          stream.on('data', (message) => {
+            stream.write(message);
+          });
+        }
+      });
+
+      server.addInterceptor((context) => {
+        return {
+          onSendStatus (status) {
+            statuses.push([context.path, status.code]);
+          }
+        };
+      });
+
+      server.addInterceptor((context) => {
+        const token = context.metadata.get('authorization');
+
+        if (token.length === 0) {
+          const err = new Error('missing token');
+
+          err.code = Grpc.status.UNAUTHENTICATED;
+          err.metadata = new Metadata();
+          err.metadata.set('x-reason', 'no-token');
+          return Promise.reject(err);
+        }
+
+        return Promise.resolve({
+          onReceiveMessage (message) {
+            if (message.value === 'reject') {
+              const err = new Error('rejected message');
+
+              err.code = Grpc.status.INVALID_ARGUMENT;
+              throw err;
+            }
+          },
+          onSendStatus (status) {
+            if (status.code === Grpc.status.UNIMPLEMENTED) {
+              status.details = 'rewritten';
+            }
+          }
+        });
+      });
+
+      const port = await server.bind('localhost:0', serverInsecureCreds);
+      client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+      server.start();
+    });
+
+    after(() => {
+      client.close();
+      server.forceShutdown();
+    });
+
+    function authorized () {
+      const metadata = new Grpc.Metadata();
+
+      metadata.set('authorization', 'token');
+      return metadata;
+    }
+
+    it('ends the call with the thrown status', () => {
+      const barrier = new Barrier();
+
+      handlerCalls = 0;
+      statuses = [];
+      client.echo({ value: 'foo' }, (err, response) => {
+        Assert.strictEqual(err.code, Grpc.status.UNAUTHENTICATED);
+        Assert.strictEqual(err.details, 'missing token');
+        Assert.deepStrictEqual(err.metadata.get('x-reason'), ['no-token']);
+        Assert.strictEqual(response, undefined);
+        Assert.strictEqual(handlerCalls, 0);
+        Assert.deepStrictEqual(statuses, [
+          ['/EchoService/Echo', Grpc.status.UNAUTHENTICATED]
+        ]);
+        barrier.pass();
+      });
+
+      return barrier;
+    });
+
+    it('can reject individual messages', () => {
+      const barrier = new Barrier();
+
+      handlerCalls = 0;
+      statuses = [];
+      const call = client.echoBidiStream(authorized());
+
+      call.on('error', (err) => {
+        Assert.strictEqual(err.code, Grpc.status.INVALID_ARGUMENT);
+        Assert.strictEqual(err.details, 'rejected message');
+        Assert.strictEqual(handlerCalls, 1);
+        barrier.pass();
+      });
+
+      call.write({ value: 'reject' });
+      return barrier;
+    });
+
+    it('intercepts calls to unimplemented methods', () => {
+      const barrier = new Barrier();
+
+      handlerCalls = 0;
+      statuses = [];
+      client.echoServerStream({}, authorized()).on('error', (err) => {
+        Assert.strictEqual(err.code, Grpc.status.UNIMPLEMENTED);
+        Assert.strictEqual(err.details, 'rewritten');
+        Assert.strictEqual(handlerCalls, 0);
+        Assert.deepStrictEqual(statuses, [
+          ['/EchoService/EchoServerStream', Grpc.status.UNIMPLEMENTED]
+        ]);
+        barrier.pass();
+      });
+
+      return barrier;
+    });
+
+    it('intercepts calls to unknown paths', async () => {
+      const barrier = new Barrier();
+      const unknownServer = new Server();
+      let context = null;
+
+      unknownServer.addInterceptor((ctx) => {
+        context = ctx;
+      });
+
+      const port = await unknownServer.bind('localhost:0', serverInsecureCreds);
+      const unknownClient = new EchoService(`localhost:${port}`, clientInsecureCreds);
+
+      unknownServer.start();
+      unknownClient.echo({}, (err) => {
+        Assert.strictEqual(err.code, Grpc.status.UNIMPLEMENTED);
+        Assert.strictEqual(context.path, '/EchoService/Echo');
+        Assert.strictEqual(context.type, null);
+        unknownClient.close();
+        unknownServer.forceShutdown();
+        barrier.pass();
+      });
+
+      return barrier;
+    });
+
+    it('reports errors thrown from status hooks as INTERNAL', async () => {
+      const barrier = new Barrier();
+      const badServer = new Server();
+
+      badServer.addService(EchoService.service, {
+        echo (call, callback) {
+          callback(null, call.request);
+        }
+      });
+
+      badServer.addInterceptor(() => {
+        return {
+          onSendStatus () {
+            throw new Error('status hook failed');
+          }
+        };
+      });
+
+      const port = await badServer.bind('localhost:0', serverInsecureCreds);
+      const badClient = new EchoService(`localhost:${port}`, clientInsecureCreds);
+
+      badServer.start();
+      badClient.echo({ value: 'foo' }, (err) => {
+        Assert.strictEqual(err.code, Grpc.status.INTERNAL);
+        Assert.strictEqual(err.details, 'status hook failed');
+        badClient.close();
+        badServer.forceShutdown();
+        barrier.pass();
+      });
+
+      return barrier;
+    });
+  });
+});
@@ -1,8 +1,11 @@
 'use strict';
 const Assert = require('assert');
+const Path = require('path');
 const Lab = require('@hapi/lab');
+const GrpcClient = require('@grpc/grpc-js');
 const Grpc = require('../lib');
 const Logging = require('../lib/logging');
+const { loadProtoFile } = require('./common');
 
 // Test shortcuts
 const lab = exports.lab = Lab.script();
@@ -14,6 +17,7 @@ describe('Logging', () => {
     // Ensure that the logger is restored to its defaults after each test.
     Grpc.setLogger(console);
     Grpc.setLogVerbosity(Grpc.logVerbosity.ERROR);
+    Grpc.setTrace('');
   });
 
   it('logger defaults to console', () => {
@@ -70,4 +74,118 @@ describe('Logging', () => {
     Grpc.setLogger(logger);
     Logging.log(Grpc.logVerbosity.ERROR, 'foo');
   });
+
+  it('enables tracers by name', () => {
+    Assert.strictEqual(Logging.isTracerEnabled('server'), false);
+
+    Grpc.setTrace('server, keepalive,,');
+    Assert.strictEqual(Logging.isTracerEnabled('server'), true);
+    Assert.strictEqual(Logging.isTracerEnabled('keepalive'), true);
+    Assert.strictEqual(Logging.isTracerEnabled('compression'), false);
+
+    Grpc.setTrace('all,-compression');
+    Assert.strictEqual(Logging.isTracerEnabled('server'), true);
+    Assert.strictEqual(Logging.isTracerEnabled('foo'), true);
+    Assert.strictEqual(Logging.isTracerEnabled('compression'), false);
+
+    Grpc.setTrace('server,-server');
+    Assert.strictEqual(Logging.isTracerEnabled('server'), false);
+
+    Grpc.setTrace(undefined);
+    Assert.strictEqual(Logging.isTracerEnabled('server'), false);
+  });
+
+  it('writes trace output regardless of verbosity', () => {
+    const output = [];
+    const logger = {
+      error (...args) {
+        output.push(args);
+      }
+    };
+
+    Grpc.setLogger(logger);
+    Grpc.setTrace('server');
+    Logging.trace('server', 'foo');
+    Logging.trace('keepalive', 'bar');
+
+    Assert.strictEqual(output.length, 1);
+    Assert.strictEqual(output[0].length, 1);
+    Assert(/^D \d{4}-\d\d-\d\dT[\d:.]+Z \| server \| foo$/.test(output[0][0]));
+
+    Grpc.setLogger({});
+    Logging.trace('server', 'baz');
+  });
+
+  it('traces server activity', async () => {
+    const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
+    const { EchoService } = loadProtoFile(protoFile);
+    const server = new Grpc.Server();
+    const output = [];
+
+    Grpc.setLogger({
+      error (text) {
+        output.push(text.split(' | ').slice(1));
+      }
+    });
+    Grpc.setTrace('all');
+    server.addService(EchoService.service, {
+      echo (call, callback) {
+        callback(null, call.request);
+      }
+    });
+
+    const port = await server.bind('localhost:0',
+      Grpc.ServerCredentials.createInsecure());
+    const client = new EchoService(`localhost:${port}`,
+      GrpcClient.credentials.createInsecure(),
+      { 'grpc.default_compression_algorithm': 2 });
+    const metadata = new GrpcClient.Metadata();
+
+    metadata.set('foo', 'bar');
+    server.start();
+
+    try {
+      await new Promise((resolve, reject) => {
+        client.echo({ value: 'foo' }, metadata, {
+          deadline: Date.now() + 10000
+        }, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          resolve();
+        });
+      });
+    } finally {
+      client.close();
+      server.forceShutdown();
+    }
+
+    const categories = new Set(output.map(([category]) => {
+      return category;
+    }));
+
+    ['server', 'server_call', 'compression', 'metadata'].forEach((name) => {
+      Assert(categories.has(name), `missing ${name} output`);
+    });
+
+    const callOutput = output.filter(([category]) => {
+      return category === 'server_call';
+    }).map(([, text]) => {
+      return text;
+    });
+
+    Assert(/^\[\d+\] Received call to \/EchoService\/Echo from /.test(
+      callOutput[0]));
+    Assert(callOutput.some((text) => {
+      return /^\[\d+\] Deadline set to \d+ms$/.test(text);
+    }));
+    Assert(callOutput.some((text) => {
+      return /^\[\d+\] Sending status 0: OK$/.test(text);
+    }));
+    Assert(output.some(([category, text]) => {
+      return category === 'metadata' && text.includes('"foo":["bar"]');
+    }));
+  });
 });
@@ -0,0 +1,264 @@
+'use strict';
+const Assert = require('assert');
+const Http = require('http');
+const Http2 = require('http2');
+const Path = require('path');
+const { promisify } = require('util');
+const Barrier = require('cb-barrier');
+const Lab = require('@hapi/lab');
+const Grpc = require('@grpc/grpc-js');
+const { Server, ServerCredentials, ServerMetrics } = require('../lib');
+const { loadProtoFile } = require('./common');
+
+// Test shortcuts
+const lab = exports.lab = Lab.script();
+const { describe, it, before, after } = lab;
+
+
+const clientInsecureCreds = Grpc.credentials.createInsecure();
+const serverInsecureCreds = ServerCredentials.createInsecure();
+const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
+const { EchoService } = loadProtoFile(protoFile);
+const echoLabels =
+  'grpc_type="unary",grpc_service="EchoService",grpc_method="Echo"';
+const streamLabels = 'grpc_type="server_stream",grpc_service="EchoService",' +
+  'grpc_method="EchoServerStream"';
+const unknownLabels =
+  'grpc_type="unknown",grpc_service="unknown",grpc_method="unknown"';
+
+
+function getLines (metrics) {
+  return metrics.render().split('\n');
+}
+
+
+function request (port, path) {
+  return new Promise((resolve, reject) => {
+    Http.get(`http://localhost:${port}${path}`, (res) => {
+      let body = '';
+
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        body += chunk;
+      });
+      res.on('end', () => {
+        resolve({ res, body });
+      });
+    }).on('error', reject);
+  });
+}
+
+
+describe('Metrics', () => {
+  it('validates its options', () => {
+    [null, 'foo'].forEach((options) => {
+      Assert.throws(() => {
+        new ServerMetrics(options); // eslint-disable-line no-new
+      }, /^TypeError: options must be an object$/);
+    });
+
+    [null, [1, 1], [2, 1], ['1'], [Infinity]].forEach((buckets) => {
+      Assert.throws(() => {
+        new ServerMetrics({ buckets }); // eslint-disable-line no-new
+      }, /^TypeError: buckets must be an array of increasing numbers$/);
+    });
+  });
+
+  it('renders gauges before any calls are made', () => {
+    const metrics = new ServerMetrics();
+    const lines = getLines(metrics);
+
+    Assert(lines.includes('# TYPE grpc_server_started_total counter'));
+    Assert(lines.includes('# TYPE grpc_server_handling_seconds histogram'));
+    Assert(lines.includes('grpc_server_open_sessions 0'));
+    Assert(lines.includes('grpc_server_inflight_calls 0'));
+    Assert.strictEqual(lines.pop(), '');
+  });
+
+  describe('server', () => {
+    const metrics = new ServerMetrics({ buckets: [0.5, 30] });
+    let server;
+    let port;
+    let client;
+
+    before(async () => {
+      server = new Server({ 'grpc-node.metrics': metrics });
+      server.addService(EchoService.service, {
+        echo (call, callback) {
+          if (call.request.value === 'error') {
+            const err = new Error('test error');
+
+            err.code = Grpc.status.NOT_FOUND;
+            callback(err);
+            return;
+          }
+
+          if (call.request.value === 'hang') {
+            return;
+          }
+
+          callback(null, call.request);
+        },
+        echoServerStream (stream) {
+          stream.write(stream.request);
+          stream.write(stream.request);
+          stream.end();
+        }
+      });
+      port = await server.bind('localhost:0', serverInsecureCreds);
+      server.start();
+      client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+    });
+
+    after(() => {
+      client.close();
+      server.forceShutdown();
+    });
+
+    it('counts calls by method and status code', async () => {
+      const echo = promisify(client.echo).bind(client);
+
+      await echo({ value: 'foo' });
+      await echo({ value: 'bar' });
+      await Assert.rejects(echo({ value: 'error' }), /test error/);
+
+      const lines = getLines(metrics);
+
+      Assert(lines.includes(`grpc_server_started_total{${echoLabels}} 3`));
+      Assert(lines.includes(
+        `grpc_server_handled_total{${echoLabels},grpc_code="OK"} 2`));
+      Assert(lines.includes(
+        `grpc_server_handled_total{${echoLabels},grpc_code="NOT_FOUND"} 1`));
+      Assert(lines.includes(`grpc_server_msg_received_total{${echoLabels}} 3`));
+      Assert(lines.includes(`grpc_server_msg_sent_total{${echoLabels}} 2`));
+      Assert(lines.some((line) => {
+        return /^grpc_server_received_bytes_total\{.+\} \d+$/.test(line);
+      }));
+      Assert(lines.some((line) => {
+        return /^grpc_server_sent_bytes_total\{.+\} \d+$/.test(line);
+      }));
+      Assert(lines.includes(
+        `grpc_server_handling_seconds_bucket{${echoLabels},le="30"} 3`));
+      Assert(lines.includes(
+        `grpc_server_handling_seconds_bucket{${echoLabels},le="+Inf"} 3`));
+      Assert(lines.includes(
+        `grpc_server_handling_seconds_count{${echoLabels}} 3`));
+      Assert(lines.some((line) => {
+        return line.startsWith(`grpc_server_handling_seconds_sum{${echoLabels}} `);
+      }));
+      Assert(lines.includes('grpc_server_open_sessions 1'));
+    });
+
+    it('counts streamed messages', () => {
+      const barrier = new Barrier();
+      const call = client.echoServerStream({ value: 'foo' });
+
+      call.on('data', () => {});
+      call.on('status', () => {
+        // Let the server observe the stream closing.
+        setImmediate(() => {
+          const lines = getLines(metrics);
+
+          Assert(lines.includes(
+            `grpc_server_handled_total{${streamLabels},grpc_code="OK"} 1`));
+          Assert(lines.includes(
+            `grpc_server_msg_sent_total{${streamLabels}} 2`));
+          barrier.pass();
+        });
+      });
+
+      return barrier;
+    });
+
+    it('counts unimplemented and malformed calls', async () => {
+      const http2Client = Http2.connect(`http://localhost:${port}`);
+
+      function makeRequest (headers) {
+        return new Promise((resolve) => {
+          const req = http2Client.request({
+            ':method': 'POST',
+            te: 'trailers',
+            ...headers
+          });
+
+          req.on('close', resolve);
+          req.resume();
+          req.end();
+        });
+      }
+
+      await makeRequest({
+        ':path': '/EchoService/Foo',
+        'content-type': 'application/grpc'
+      });
+      await makeRequest({
+        ':path': '/EchoService/Echo',
+        'content-type': 'text/plain'
+      });
+      await makeRequest({
+        ':path': '/EchoService/Echo',
+        'content-type': 'application/grpc',
+        'grpc-timeout': 'foo'
+      });
+      http2Client.close();
+
+      const lines = getLines(metrics);
+
+      Assert(lines.includes(`grpc_server_started_total{${unknownLabels}} 2`));
+      Assert(lines.includes(
+        `grpc_server_handled_total{${unknownLabels},grpc_code="UNIMPLEMENTED"} 1`));
+      Assert(lines.includes(
+        `grpc_server_handled_total{${unknownLabels},grpc_code="UNKNOWN"} 1`));
+      Assert(lines.includes(
+        `grpc_server_handled_total{${echoLabels},grpc_code="OUT_OF_RANGE"} 1`));
+    });
+
+    it('counts cancelled calls and tracks in-flight calls', () => {
+      const barrier = new Barrier();
+      const call = client.echo({ value: 'hang' }, () => {
+        // Let the server observe the stream closing.
+        setTimeout(() => {
+          const lines = getLines(metrics);
+
+          Assert(lines.includes(
+            `grpc_server_handled_total{${echoLabels},grpc_code="CANCELLED"} 1`));
+          Assert(lines.includes('grpc_server_inflight_calls 0'));
+          barrier.pass();
+        }, 50);
+      });
+
+      setTimeout(() => {
+        Assert(getLines(metrics).includes('grpc_server_inflight_calls 1'));
+        call.cancel();
+      }, 50);
+
+      return barrier;
+    });
+  });
+
+  it('serves metrics over HTTP', async () => {
+    const metrics = new ServerMetrics();
+    const httpServer = metrics.createServer();
+
+    await new Promise((resolve) => {
+      httpServer.listen(0, 'localhost', resolve);
+    });
+
+    const { port } = httpServer.address();
+
+    try {
+      const { res, body } = await request(port, '/metrics?foo=bar');
+
+      Assert.strictEqual(res.statusCode, 200);
+      Assert.strictEqual(res.headers['content-type'],
+        'text/plain; version=0.0.4; charset=utf-8');
+      Assert.strictEqual(body, metrics.render());
+
+      const { res: notFound } = await request(port, '/foo');
+
+      Assert.strictEqual(notFound.statusCode, 404);
+    } finally {
+      httpServer.close();
+    }
+  });
+});
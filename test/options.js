@@ -2,6 +2,8 @@
 const Assert = require('assert');
 const Http2 = require('http2');
 const Lab = require('@hapi/lab');
+const { CompressionMethodMap } = require('../lib/compression-filter');
+const { ServerMetrics } = require('../lib/metrics');
 const { parseOptions } = require('../lib/options');
 const { describe, it } = exports.lab = Lab.script();
 
@@ -10,12 +12,30 @@ describe('Options', () => {
   describe('parseOptions()', () => {
     it('parses default options', () => {
       Assert.deepStrictEqual(parseOptions(), {
+        compressionMethods: new CompressionMethodMap(),
+        defaultCompressionAlgorithm: 'identity',
+        defaultCompressionLevel: undefined,
         maxConcurrentStreams: undefined,
         maxFrameSize: Http2.getDefaultSettings().maxFrameSize,
         keepaliveTimeMs: 7200000,
         keepaliveTimeoutMs: 20000,
+        keepalivePermitWithoutCalls: false,
+        maxPingStrikes: 2,
+        minPingIntervalWithoutDataMs: 300000,
         maxSendMessageLength: Infinity,
-        maxReceiveMessageLength: 4 * 1024 * 1024
+        maxReceiveMessageLength: 4 * 1024 * 1024,
+        maxConnectionIdleMs: Infinity,
+        maxConnectionAgeMs: Infinity,
+        maxConnectionAgeGraceMs: Infinity,
+        maxSessionRejectedStreams: 100,
+        maxSessionShortLivedStreams: 200,
+        maxSessionStreamResets: 100,
+        streamAbuseWindowMs: 1000,
+        enableChannelz: false,
+        metrics: undefined,
+        tracer: undefined,
+        accessLog: false,
+        strictRequestValidation: false
       });
     });
 
@@ -25,6 +45,85 @@ describe('Options', () => {
       }, /^Error: unknown option: foo$/);
     });
 
+    it('maps grpc.default_compression_algorithm to a name', () => {
+      const options = parseOptions({
+        'grpc.default_compression_algorithm': 2,
+        'grpc.default_compression_level': 3
+      });
+
+      Assert.strictEqual(options.defaultCompressionAlgorithm, 'gzip');
+      Assert.strictEqual(options.defaultCompressionLevel, 3);
+    });
+
+    it('supports custom compression methods', () => {
+      const compressionMethods = new CompressionMethodMap();
+
+      compressionMethods.register('foo', class {});
+
+      const options = parseOptions({
+        'grpc-node.compression_methods': compressionMethods,
+        'grpc.default_compression_algorithm': 'foo'
+      });
+
+      Assert.strictEqual(options.compressionMethods, compressionMethods);
+      Assert.strictEqual(options.defaultCompressionAlgorithm, 'foo');
+    });
+
+    it('throws on invalid compression options', () => {
+      const compressionMethods = new CompressionMethodMap();
+
+      compressionMethods.unregister('gzip');
+
+      Assert.throws(() => {
+        parseOptions({ 'grpc.default_compression_algorithm': 'foo' });
+      }, /^Error: invalid compression algorithm: foo$/);
+
+      Assert.throws(() => {
+        parseOptions({ 'grpc.default_compression_algorithm': 5 });
+      }, /^Error: invalid compression algorithm: 5$/);
+
+      Assert.throws(() => {
+        parseOptions({
+          'grpc-node.compression_methods': compressionMethods,
+          'grpc.default_compression_algorithm': 2
+        });
+      }, /^Error: invalid compression algorithm: 2$/);
+
+      Assert.throws(() => {
+        parseOptions({ 'grpc-node.compression_methods': {} });
+      }, /^TypeError: grpc-node.compression_methods must be a CompressionMethodMap$/);
+
+      Assert.throws(() => {
+        parseOptions({ 'grpc.default_compression_level': 4 });
+      }, /^Error: invalid compression level: 4$/);
+    });
+
+    it('validates grpc-node.metrics', () => {
+      const metrics = new ServerMetrics();
+
+      Assert.strictEqual(parseOptions({
+        'grpc-node.metrics': metrics
+      }).metrics, metrics);
+
+      Assert.throws(() => {
+        parseOptions({ 'grpc-node.metrics': {} });
+      }, /^TypeError: grpc-node.metrics must be a ServerMetrics$/);
+    });
+
+    it('validates grpc-node.tracer', () => {
+      const tracer = { startSpan () {} };
+
+      Assert.strictEqual(parseOptions({
+        'grpc-node.tracer': tracer
+      }).tracer, tracer);
+
+      [null, 'foo', {}].forEach((value) => {
+        Assert.throws(() => {
+          parseOptions({ 'grpc-node.tracer': value });
+        }, /^TypeError: grpc-node.tracer must be an object with a startSpan\(\) method$/);
+      });
+    });
+
     it('grpc.max_{send,receive}_message_length maps -1 to Infinity', () => {
       const options = parseOptions({
         'grpc.max_send_message_length': -1,
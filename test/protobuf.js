@@ -0,0 +1,117 @@
+'use strict';
+const Assert = require('assert');
+const Lab = require('@hapi/lab');
+const {
+  decodeFields,
+  decodeMessage,
+  encodeMessage,
+  ProtobufWriter
+} = require('../lib/protobuf');
+const { describe, it } = exports.lab = Lab.script();
+
+
+describe('Protobuf', () => {
+  describe('ProtobufWriter', () => {
+    it('encodes scalar and embedded message fields', () => {
+      const embedded = new ProtobufWriter().uint(1, 300);
+      const bytes = new ProtobufWriter()
+        .uint(1, 2 ** 40)
+        .bool(2, true)
+        .string(3, 'abc')
+        .bytes(4, Buffer.from([1, 2]))
+        .message(5, embedded)
+        .message(6, Buffer.alloc(0))
+        .finish();
+
+      Assert.deepStrictEqual(decodeFields(bytes), [
+        { field: 1, wireType: 0, value: 2 ** 40 },
+        { field: 2, wireType: 0, value: 1 },
+        { field: 3, wireType: 2, value: Buffer.from('abc') },
+        { field: 4, wireType: 2, value: Buffer.from([1, 2]) },
+        { field: 5, wireType: 2, value: Buffer.from([0x08, 0xac, 0x02]) },
+        { field: 6, wireType: 2, value: Buffer.alloc(0) }
+      ]);
+    });
+
+    it('encodes negative integers as ten byte varints', () => {
+      const bytes = new ProtobufWriter()
+        .int(1, -1)
+        .int(2, -(2 ** 31))
+        .int(3, -(2 ** 40) - 5)
+        .int(4, 2 ** 31)
+        .finish();
+
+      Assert.deepStrictEqual(bytes.slice(0, 11), Buffer.from([
+        0x08, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0x01
+      ]));
+      Assert.deepStrictEqual(decodeFields(bytes), [
+        { field: 1, wireType: 0, value: -1 },
+        { field: 2, wireType: 0, value: -(2 ** 31) },
+        { field: 3, wireType: 0, value: -(2 ** 40) - 5 },
+        { field: 4, wireType: 0, value: 2 ** 31 }
+      ]);
+    });
+
+    it('encodes negative message fields', () => {
+      const schema = { seconds: [1, 'int64'], nanos: [2, 'int32'] };
+      const value = { seconds: -5, nanos: -500 };
+      const bytes = encodeMessage(schema, value).finish();
+
+      Assert.strictEqual(bytes.length, 22);
+      Assert.deepStrictEqual(decodeMessage(schema, bytes), value);
+    });
+
+    it('rejects negative unsigned integers', () => {
+      Assert.throws(() => {
+        new ProtobufWriter().uint(1, -1);
+      }, /^TypeError: field 1 must not be negative$/);
+    });
+
+    it('omits scalar fields set to default values', () => {
+      const bytes = new ProtobufWriter()
+        .uint(1, 0)
+        .uint(1, undefined)
+        .uint(1, null)
+        .bool(2, false)
+        .string(3, '')
+        .string(3, undefined)
+        .bytes(4, Buffer.alloc(0))
+        .bytes(4, null)
+        .finish();
+
+      Assert.strictEqual(bytes.length, 0);
+    });
+  });
+
+  describe('decodeFields()', () => {
+    it('decodes fixed width fields', () => {
+      const bytes = Buffer.from([
+        0x09, 1, 2, 3, 4, 5, 6, 7, 8,   // Field 1, fixed64.
+        0x15, 1, 2, 3, 4                // Field 2, fixed32.
+      ]);
+
+      Assert.deepStrictEqual(decodeFields(bytes), [
+        { field: 1, wireType: 1, value: Buffer.from([1, 2, 3, 4, 5, 6, 7, 8]) },
+        { field: 2, wireType: 5, value: Buffer.from([1, 2, 3, 4]) }
+      ]);
+    });
+
+    it('throws on malformed input', () => {
+      Assert.throws(() => {
+        decodeFields(Buffer.from([0x08, 0x80]));
+      }, /^Error: Invalid protobuf: truncated varint$/);
+
+      Assert.throws(() => {
+        decodeFields(Buffer.from([0x08, ...new Array(10).fill(0xff), 0x01]));
+      }, /^Error: Invalid protobuf: varint is too long$/);
+
+      Assert.throws(() => {
+        decodeFields(Buffer.from([0x0a, 0x05, 0x01]));
+      }, /^Error: Invalid protobuf: truncated field$/);
+
+      Assert.throws(() => {
+        decodeFields(Buffer.from([0x0b]));
+      }, /^Error: Invalid protobuf: unsupported wire type 3$/);
+    });
+  });
+});
@@ -0,0 +1,292 @@
+'use strict';
+const Assert = require('assert');
+const Path = require('path');
+const Lab = require('@hapi/lab');
+const Grpc = require('@grpc/grpc-js');
+const Loader = require('@grpc/proto-loader');
+const {
+  HealthImplementation,
+  healthServiceDefinition,
+  ReflectionService,
+  reflectionServiceDefinitions,
+  Server,
+  ServerCredentials
+} = require('../lib');
+const { decodeFields } = require('../lib/protobuf');
+
+// Test shortcuts
+const lab = exports.lab = Lab.script();
+const { describe, it, before, after } = lab;
+
+
+const clientInsecureCreds = Grpc.credentials.createInsecure();
+const serverInsecureCreds = ServerCredentials.createInsecure();
+const packageDefinition = Loader.loadSync('reflection_test.proto', {
+  includeDirs: [Path.join(__dirname, 'proto')]
+});
+const testServiceDef = packageDefinition['reflection.test.ReflectionTest'];
+
+
+function getFileNames (response) {
+  return response.fileDescriptorResponse.fileDescriptorProto.map((bytes) => {
+    return decodeFields(bytes)[0].value.toString();
+  });
+}
+
+
+describe('Reflection', () => {
+  it('throws if the server is invalid', () => {
+    [undefined, null, 'foo', {}].forEach((server) => {
+      Assert.throws(() => {
+        new ReflectionService(server); // eslint-disable-line no-new
+      }, /^TypeError: server must be a Server instance$/);
+    });
+  });
+
+  ['v1', 'v1alpha'].forEach((version) => {
+    describe(version, () => {
+      const definition = reflectionServiceDefinitions[version];
+      const ReflectionClient = Grpc.makeGenericClientConstructor(definition);
+      let server;
+      let client;
+
+      before(async () => {
+        server = new Server();
+        server.addService(definition, new ReflectionService(server));
+        server.addService(testServiceDef, {});
+        server.addService(healthServiceDefinition, new HealthImplementation());
+        server.register('/raw.Service/Method', () => {}, null, null, 0);
+        server.register('invalid-path', () => {}, null, null, 0);
+
+        const port = await server.bind('localhost:0', serverInsecureCreds);
+        client = new ReflectionClient(`localhost:${port}`, clientInsecureCreds);
+        server.start();
+      });
+
+      after(() => {
+        client.close();
+        server.forceShutdown();
+      });
+
+      function reflect (request) {
+        return new Promise((resolve, reject) => {
+          const call = client.serverReflectionInfo();
+
+          call.on('data', (response) => {
+            call.end();
+            resolve(response);
+          });
+
+          call.on('error', reject);
+          call.write({ host: 'localhost', ...request });
+        });
+      }
+
+      it('lists services', async () => {
+        const response = await reflect({
+          messageRequest: 'listServices',
+          listServices: ''
+        });
+
+        Assert.strictEqual(response.validHost, 'localhost');
+        Assert.deepStrictEqual(response.originalRequest, {
+          host: 'localhost',
+          messageRequest: 'listServices',
+          listServices: ''
+        });
+        Assert.strictEqual(response.messageResponse, 'listServicesResponse');
+        Assert.deepStrictEqual(response.listServicesResponse.service, [
+          { name: 'grpc.health.v1.Health' },
+          { name: `grpc.reflection.${version}.ServerReflection` },
+          { name: 'raw.Service' },
+          { name: 'reflection.test.ReflectionTest' }
+        ]);
+      });
+
+      it('tracks services that are added and removed', async () => {
+        server.removeService(testServiceDef);
+
+        const response = await reflect({
+          messageRequest: 'fileContainingSymbol',
+          fileContainingSymbol: 'reflection.test.ReflectionTest'
+        });
+
+        Assert.strictEqual(response.messageResponse, 'errorResponse');
+        Assert.deepStrictEqual(response.errorResponse, {
+          errorCode: Grpc.status.NOT_FOUND,
+          errorMessage: 'Symbol not found: reflection.test.ReflectionTest'
+        });
+
+        server.addService(testServiceDef, {});
+        const response2 = await reflect({
+          messageRequest: 'fileContainingSymbol',
+          fileContainingSymbol: 'reflection.test.ReflectionTest'
+        });
+
+        Assert.strictEqual(response2.messageResponse, 'fileDescriptorResponse');
+      });
+
+      it('resolves symbols to files and their dependencies', async () => {
+        const symbols = [
+          'reflection.test.Request',
+          'reflection.test.Request.Nested',
+          'reflection.test.Request.Kind',
+          'reflection.test.TopLevelEnum',
+          'reflection.test.ReflectionTest',
+          'reflection.test.ReflectionTest.Call',
+          'reflection.test.extra'
+        ];
+
+        for (let i = 0; i < symbols.length; i++) {
+          const response = await reflect({
+            messageRequest: 'fileContainingSymbol',
+            fileContainingSymbol: symbols[i]
+          });
+
+          Assert.deepStrictEqual(getFileNames(response), [
+            'reflection_test.proto',
+            'reflection_dependency.proto'
+          ]);
+        }
+
+        const response = await reflect({
+          messageRequest: 'fileContainingSymbol',
+          fileContainingSymbol: 'grpc.health.v1.Health.Watch'
+        });
+
+        Assert.deepStrictEqual(getFileNames(response), [
+          'grpc/health/v1/health.proto'
+        ]);
+      });
+
+      it('returns files by name', async () => {
+        const response = await reflect({
+          messageRequest: 'fileByFilename',
+          fileByFilename: 'reflection_dependency.proto'
+        });
+
+        Assert.deepStrictEqual(getFileNames(response), [
+          'reflection_dependency.proto'
+        ]);
+
+        const response2 = await reflect({
+          messageRequest: 'fileByFilename',
+          fileByFilename: 'missing.proto'
+        });
+
+        Assert.deepStrictEqual(response2.errorResponse, {
+          errorCode: Grpc.status.NOT_FOUND,
+          errorMessage: 'File not found: missing.proto'
+        });
+      });
+
+      it('resolves extensions', async () => {
+        const response = await reflect({
+          messageRequest: 'fileContainingExtension',
+          fileContainingExtension: {
+            containingType: 'reflection.dependency.Extendable',
+            extensionNumber: 150
+          }
+        });
+
+        Assert.deepStrictEqual(response.originalRequest.fileContainingExtension, {
+          containingType: 'reflection.dependency.Extendable',
+          extensionNumber: 150
+        });
+        Assert.deepStrictEqual(getFileNames(response), [
+          'reflection_test.proto',
+          'reflection_dependency.proto'
+        ]);
+
+        const response2 = await reflect({
+          messageRequest: 'fileContainingExtension',
+          fileContainingExtension: {
+            containingType: 'reflection.dependency.Extendable',
+            extensionNumber: 199
+          }
+        });
+
+        Assert.deepStrictEqual(response2.errorResponse, {
+          errorCode: Grpc.status.NOT_FOUND,
+          errorMessage: 'Extension not found: reflection.dependency.Extendable(199)'
+        });
+
+        const response3 = await reflect({
+          messageRequest: 'fileContainingExtension',
+          fileContainingExtension: {
+            containingType: 'reflection.test.Request',
+            extensionNumber: 1
+          }
+        });
+
+        Assert.strictEqual(response3.errorResponse.errorCode, Grpc.status.NOT_FOUND);
+      });
+
+      it('lists extension numbers of a type', async () => {
+        const response = await reflect({
+          messageRequest: 'allExtensionNumbersOfType',
+          allExtensionNumbersOfType: 'reflection.dependency.Extendable'
+        });
+
+        Assert.deepStrictEqual(response.allExtensionNumbersResponse, {
+          baseTypeName: 'reflection.dependency.Extendable',
+          extensionNumber: [101, 150]
+        });
+
+        const response2 = await reflect({
+          messageRequest: 'allExtensionNumbersOfType',
+          allExtensionNumbersOfType: 'reflection.test.Request'
+        });
+
+        Assert.deepStrictEqual(response2.allExtensionNumbersResponse, {
+          baseTypeName: 'reflection.test.Request',
+          extensionNumber: []
+        });
+
+        const response3 = await reflect({
+          messageRequest: 'allExtensionNumbersOfType',
+          allExtensionNumbersOfType: 'missing.Type'
+        });
+
+        Assert.deepStrictEqual(response3.errorResponse, {
+          errorCode: Grpc.status.NOT_FOUND,
+          errorMessage: 'Type not found: missing.Type'
+        });
+      });
+
+      it('returns an error for malformed file descriptors', async () => {
+        const { Call } = testServiceDef;
+        const malformedServiceDef = {
+          Call: {
+            ...Call,
+            path: '/malformed.Service/Call',
+            requestType: { fileDescriptorProtos: [Buffer.from([0x0b])] }
+          }
+        };
+
+        server.addService(malformedServiceDef, {});
+
+        const response = await reflect({
+          messageRequest: 'listServices',
+          listServices: ''
+        });
+
+        server.removeService(malformedServiceDef);
+        Assert.strictEqual(response.messageResponse, 'errorResponse');
+        Assert.deepStrictEqual(response.errorResponse, {
+          errorCode: Grpc.status.INTERNAL,
+          errorMessage: 'Invalid protobuf: unsupported wire type 3'
+        });
+      });
+
+      it('rejects invalid requests', async () => {
+        const response = await reflect({});
+
+        Assert.deepStrictEqual(response.errorResponse, {
+          errorCode: Grpc.status.INVALID_ARGUMENT,
+          errorMessage: 'Invalid reflection request'
+        });
+      });
+    });
+  });
+});
@@ -526,6 +526,116 @@ describe('Server', () => {
     });
   });
 
+  describe('Server.prototype.shutdown', () => {
+    const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
+    const { EchoService } = loadProtoFile(protoFile);
+
+    it('throws on invalid inputs', () => {
+      const server = new Server();
+
+      [null, 'foo', 5].forEach((options) => {
+        Assert.throws(() => {
+          server.shutdown(options);
+        }, /^TypeError: options must be an object$/);
+      });
+
+      [null, '5', -1, NaN].forEach((gracePeriodMs) => {
+        Assert.throws(() => {
+          server.shutdown({ gracePeriodMs });
+        }, /^TypeError: gracePeriodMs must be a non-negative number$/);
+      });
+    });
+
+    it('resolves if the server is not bound', async () => {
+      const server = new Server();
+
+      Assert.deepStrictEqual(await server.shutdown(), { abortedCalls: 0 });
+    });
+
+    it('waits for in-flight calls to finish', async () => {
+      const barrier = new Barrier();
+      const server = new Server();
+      let shutdownPromise = null;
+
+      server.addService(EchoService.service, {
+        echo (call, callback) {
+          shutdownPromise = server.shutdown({ gracePeriodMs: 5000 });
+
+          setTimeout(() => {
+            callback(null, call.request);
+          }, 100);
+        }
+      });
+
+      const port = await server.bind('localhost:0', serverInsecureCreds);
+      const client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+
+      server.start();
+      client.echo({ value: 'foo' }, (err, response) => {
+        Assert.ifError(err);
+        Assert.strictEqual(response.value, 'foo');
+
+        // New calls are not accepted once shutdown has begun.
+        client.echo({ value: 'bar' }, async (err) => {
+          Assert.strictEqual(err.code, Grpc.status.UNAVAILABLE);
+          Assert.deepStrictEqual(await shutdownPromise, { abortedCalls: 0 });
+          client.close();
+          barrier.pass();
+        });
+      });
+
+      return barrier;
+    });
+
+    it('aborts calls that outlive the grace period', async () => {
+      const barrier = new Barrier();
+      const server = new Server();
+      let cancelledReason = null;
+
+      server.addService(EchoService.service, {
+        echoBidiStream (stream) {
+          stream.on('cancelled', (reason) => {
+            cancelledReason = reason;
+          });
+
+          stream.write({ value: 'started' });
+        }
+      });
+
+      const port = await server.bind('localhost:0', serverInsecureCreds);
+      const client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+
+      server.start();
+
+      const calls = [client.echoBidiStream(), client.echoBidiStream()];
+      let pending = calls.length;
+
+      calls.forEach((call) => {
+        call.once('data', async () => {
+          pending--;
+
+          if (pending > 0) {
+            return;
+          }
+
+          const result = await server.shutdown({ gracePeriodMs: 50 });
+
+          Assert.deepStrictEqual(result, { abortedCalls: 2 });
+          Assert.strictEqual(cancelledReason, 'aborted');
+          client.close();
+          barrier.pass();
+        });
+
+        call.on('error', (err) => {
+          Assert.strictEqual(err.code, Grpc.status.UNAVAILABLE);
+          Assert.strictEqual(err.details, 'Server shutting down');
+        });
+      });
+
+      return barrier;
+    });
+  });
+
   describe('Server.prototype.forceShutdown', () => {
     it('does not throw if the server is not bound', () => {
       const server = new Server();
@@ -823,6 +933,434 @@ describe('Server', () => {
     return barrier;
   });
 
+  describe('Connection management', () => {
+    const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
+    const { EchoService } = loadProtoFile(protoFile);
+
+    async function startServer (options) {
+      const server = new Server(options);
+
+      server.addService(EchoService.service, {
+        echo (call, callback) {
+          setTimeout(callback, 100, null, call.request);
+        },
+        echoServerStream (stream) {
+          stream.sendMetadata();
+        },
+        echoBidiStream (stream) {}
+      });
+
+      const port = await server.bind('localhost:0', serverInsecureCreds);
+
+      server.start();
+      return { server, port };
+    }
+
+    function makeRequest (client, path) {
+      const req = client.request({
+        ':method': 'POST',
+        ':path': path,
+        'content-type': 'application/grpc',
+        te: 'trailers'
+      });
+
+      req.on('error', () => {});
+      req.resume();
+      return req;
+    }
+
+    it('closes idle connections', async () => {
+      const barrier = new Barrier();
+      const { server, port } = await startServer({
+        'grpc.max_connection_idle_ms': 50
+      });
+      const client = Http2.connect(`http://localhost:${port}`);
+      const start = Date.now();
+
+      client.on('goaway', (errorCode) => {
+        Assert.strictEqual(errorCode, Http2.constants.NGHTTP2_NO_ERROR);
+        Assert(Date.now() - start >= 40);
+      });
+
+      client.on('close', () => {
+        server.forceShutdown();
+        barrier.pass();
+      });
+
+      return barrier;
+    });
+
+    it('does not close connections with active calls', async () => {
+      const barrier = new Barrier();
+      const { server, port } = await startServer({
+        'grpc.max_connection_idle_ms': 50
+      });
+      const client = Http2.connect(`http://localhost:${port}`);
+      let callEnded = false;
+
+      client.on('goaway', () => {
+        Assert.strictEqual(callEnded, true);
+      });
+
+      client.on('close', () => {
+        server.forceShutdown();
+        barrier.pass();
+      });
+
+      // This call takes longer than the idle time to finish.
+      const req = makeRequest(client, '/EchoService/Echo');
+
+      req.on('trailers', (trailers) => {
+        Assert.strictEqual(trailers['grpc-status'], `${Grpc.status.OK}`);
+        callEnded = true;
+      });
+
+      req.end(Buffer.alloc(5));
+      return barrier;
+    });
+
+    it('closes connections after the max age and grace period', async () => {
+      const barrier = new Barrier();
+      const { server, port } = await startServer({
+        'grpc.max_connection_age_ms': 50,
+        'grpc.max_connection_age_grace_ms': 50
+      });
+      const client = Http2.connect(`http://localhost:${port}`);
+      let goawayReceived = false;
+
+      client.on('error', () => {});
+      client.on('goaway', (errorCode) => {
+        Assert.strictEqual(errorCode, Http2.constants.NGHTTP2_NO_ERROR);
+        goawayReceived = true;
+      });
+
+      // The bidi call never ends, so the session is destroyed after the
+      // grace period.
+      const req = makeRequest(client, '/EchoService/EchoBidiStream');
+
+      req.on('close', () => {
+        Assert.strictEqual(goawayReceived, true);
+        server.forceShutdown();
+        barrier.pass();
+      });
+
+      return barrier;
+    });
+
+    function sendPings (client, count, callback) {
+      if (client.connecting) {
+        client.once('connect', () => {
+          sendPings(client, count, callback);
+        });
+        return;
+      }
+
+      client.ping((err) => {
+        if (err || count === 1) {
+          callback(err);
+          return;
+        }
+
+        sendPings(client, count - 1, callback);
+      });
+    }
+
+    it('sends GOAWAY to clients that ping too often', async () => {
+      const barrier = new Barrier();
+      const { server, port } = await startServer();
+      const client = Http2.connect(`http://localhost:${port}`);
+      let goawayReceived = false;
+
+      client.on('error', () => {});
+      client.on('goaway', (errorCode, lastStreamID, opaqueData) => {
+        Assert.strictEqual(errorCode,
+          Http2.constants.NGHTTP2_ENHANCE_YOUR_CALM);
+        Assert.strictEqual(opaqueData.toString(), 'too_many_pings');
+        goawayReceived = true;
+      });
+
+      client.on('close', () => {
+        Assert.strictEqual(goawayReceived, true);
+        server.forceShutdown();
+        barrier.pass();
+      });
+
+      // The first ping is allowed, and the next two are strikes.
+      sendPings(client, 10, (err) => {
+        Assert(err instanceof Error);
+      });
+
+      return barrier;
+    });
+
+    it('allows pings that respect the keepalive policy', async () => {
+      const barrier = new Barrier();
+      const { server, port } = await startServer({
+        'grpc.keepalive_permit_without_calls': 1,
+        'grpc.http2.min_ping_interval_without_data_ms': 0
+      });
+      const client = Http2.connect(`http://localhost:${port}`);
+
+      client.on('goaway', Assert.fail);
+
+      sendPings(client, 10, (err) => {
+        Assert.ifError(err);
+        client.close(() => {
+          server.forceShutdown();
+          barrier.pass();
+        });
+      });
+
+      return barrier;
+    });
+
+    it('allows unlimited ping strikes', async () => {
+      const barrier = new Barrier();
+      const { server, port } = await startServer({
+        'grpc.http2.max_ping_strikes': 0
+      });
+      const client = Http2.connect(`http://localhost:${port}`);
+
+      client.on('goaway', Assert.fail);
+
+      sendPings(client, 10, (err) => {
+        Assert.ifError(err);
+        client.close(() => {
+          server.forceShutdown();
+          barrier.pass();
+        });
+      });
+
+      return barrier;
+    });
+
+    it('resets ping strikes when data is sent', async () => {
+      const barrier = new Barrier();
+      const { server, port } = await startServer({
+        'grpc.http2.max_ping_strikes': 1
+      });
+      const client = Http2.connect(`http://localhost:${port}`);
+
+      client.on('goaway', Assert.fail);
+
+      sendPings(client, 2, (err) => {
+        Assert.ifError(err);
+
+        const req = makeRequest(client, '/EchoService/Echo');
+
+        req.on('trailers', () => {
+          sendPings(client, 2, (err) => {
+            Assert.ifError(err);
+            client.close(() => {
+              server.forceShutdown();
+              barrier.pass();
+            });
+          });
+        });
+
+        req.end(Buffer.alloc(5));
+      });
+
+      return barrier;
+    });
+
+    function resetStreams (client, path, count) {
+      for (let i = 0; i < count; i++) {
+        const req = makeRequest(client, path);
+
+        req.close(Http2.constants.NGHTTP2_CANCEL);
+      }
+    }
+
+    it('closes sessions that reset too many streams', async () => {
+      const barrier = new Barrier(3);
+      const { server, port } = await startServer({
+        'grpc-node.max_session_stream_resets': 5
+      });
+      const client = Http2.connect(`http://localhost:${port}`);
+
+      server.on('sessionAbuse', (event) => {
+        Assert.strictEqual(typeof event.peer, 'string');
+        Assert.strictEqual(event.reason, 'resets');
+        Assert.strictEqual(event.count, 6);
+        barrier.pass();
+      });
+
+      client.on('error', () => {});
+      client.on('goaway', (errorCode, lastStreamID, opaqueData) => {
+        Assert.strictEqual(errorCode,
+          Http2.constants.NGHTTP2_ENHANCE_YOUR_CALM);
+        Assert.strictEqual(opaqueData.toString(), 'too_many_resets');
+        barrier.pass();
+      });
+
+      client.on('close', () => {
+        server.forceShutdown();
+        barrier.pass();
+      });
+
+      resetStreams(client, '/EchoService/EchoBidiStream', 10);
+      return barrier;
+    });
+
+    it('does not count streams cancelled after a response as resets', async () => {
+      const barrier = new Barrier();
+      const { server, port } = await startServer({
+        'grpc-node.max_session_stream_resets': 1
+      });
+      const client = Http2.connect(`http://localhost:${port}`);
+      let cancelled = 0;
+
+      server.on('sessionAbuse', Assert.fail);
+      client.on('goaway', Assert.fail);
+
+      function makeCall () {
+        const req = makeRequest(client, '/EchoService/Echo');
+
+        req.on('trailers', (trailers) => {
+          Assert.strictEqual(trailers['grpc-status'], `${Grpc.status.OK}`);
+          client.close(() => {
+            server.forceShutdown();
+            barrier.pass();
+          });
+        });
+
+        req.end(Buffer.alloc(5));
+      }
+
+      for (let i = 0; i < 5; i++) {
+        const req = makeRequest(client, '/EchoService/EchoServerStream');
+
+        req.on('response', () => {
+          req.close(Http2.constants.NGHTTP2_CANCEL);
+        });
+
+        req.on('close', () => {
+          cancelled++;
+
+          if (cancelled === 5) {
+            // Make a normal call after the cancellations to verify the
+            // session is usable.
+            makeCall();
+          }
+        });
+
+        req.end(Buffer.alloc(5));
+      }
+
+      return barrier;
+    });
+
+    it('closes sessions that cancel too many streams after a response', async () => {
+      const barrier = new Barrier(3);
+      const { server, port } = await startServer({
+        'grpc-node.max_session_short_lived_streams': 3
+      });
+      const client = Http2.connect(`http://localhost:${port}`);
+
+      server.on('sessionAbuse', (event) => {
+        Assert.strictEqual(event.reason, 'shortLived');
+        Assert.strictEqual(event.count, 4);
+        barrier.pass();
+      });
+
+      client.on('error', () => {});
+      client.on('goaway', (errorCode, lastStreamID, opaqueData) => {
+        Assert.strictEqual(errorCode,
+          Http2.constants.NGHTTP2_ENHANCE_YOUR_CALM);
+        Assert.strictEqual(opaqueData.toString(),
+          'too_many_short_lived_streams');
+        barrier.pass();
+      });
+
+      client.on('close', () => {
+        server.forceShutdown();
+        barrier.pass();
+      });
+
+      for (let i = 0; i < 10; i++) {
+        const req = makeRequest(client, '/EchoService/EchoServerStream');
+
+        req.on('error', () => {});
+        req.on('response', () => {
+          req.close(Http2.constants.NGHTTP2_CANCEL);
+        });
+
+        req.end(Buffer.alloc(5));
+      }
+
+      return barrier;
+    });
+
+    it('closes sessions that send too many rejected streams', async () => {
+      const barrier = new Barrier(3);
+      const { server, port } = await startServer({
+        'grpc-node.max_session_rejected_streams': 3
+      });
+      const client = Http2.connect(`http://localhost:${port}`);
+
+      server.on('sessionAbuse', (event) => {
+        Assert.strictEqual(event.reason, 'rejected');
+        Assert.strictEqual(event.count, 4);
+        barrier.pass();
+      });
+
+      client.on('error', () => {});
+      client.on('goaway', (errorCode, lastStreamID, opaqueData) => {
+        Assert.strictEqual(opaqueData.toString(),
+          'too_many_rejected_streams');
+        barrier.pass();
+      });
+
+      client.on('close', () => {
+        server.forceShutdown();
+        barrier.pass();
+      });
+
+      for (let i = 0; i < 10; i++) {
+        const req = client.request({
+          ':method': 'POST',
+          ':path': '/EchoService/Echo',
+          'content-type': 'text/plain'
+        });
+
+        req.on('error', () => {});
+        req.resume();
+        req.end();
+      }
+
+      return barrier;
+    });
+
+    it('starts counting stream resets over after each window', async () => {
+      const barrier = new Barrier();
+      const { server, port } = await startServer({
+        'grpc-node.max_session_stream_resets': 1,
+        'grpc-node.stream_abuse_window_ms': 0
+      });
+      const client = Http2.connect(`http://localhost:${port}`);
+
+      server.on('sessionAbuse', Assert.fail);
+      client.on('goaway', Assert.fail);
+
+      resetStreams(client, '/EchoService/EchoBidiStream', 10);
+
+      // Make a normal call after the resets to verify the session is usable.
+      const req = makeRequest(client, '/EchoService/Echo');
+
+      req.on('trailers', (trailers) => {
+        Assert.strictEqual(trailers['grpc-status'], `${Grpc.status.OK}`);
+        client.close(() => {
+          server.forceShutdown();
+          barrier.pass();
+        });
+      });
+
+      req.end(Buffer.alloc(5));
+      return barrier;
+    });
+  });
+
   it('handles multiple messages in a single frame', async () => {
     const barrier = new Barrier();
     const server = new Server();
@@ -1113,6 +1651,362 @@ describe('Server', () => {
   });
 
 
+  describe('Trailers-Only responses', () => {
+    const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
+    const { EchoService } = loadProtoFile(protoFile);
+    let server;
+    let port;
+
+    before(async () => {
+      server = new Server({ 'grpc.max_receive_message_length': 10 });
+      server.addService(EchoService.service, {
+        echo (call, callback) {
+          if (call.request.value === 'ok') {
+            callback(null, call.request);
+            return;
+          }
+
+          const metadata = new Grpc.Metadata();
+          const err = new Error('test error');
+
+          metadata.set('foo', 'bar');
+          err.code = Grpc.status.NOT_FOUND;
+          err.metadata = metadata;
+          callback(err);
+        }
+      });
+      port = await server.bind('localhost:0', serverInsecureCreds);
+      server.start();
+    });
+
+    after(() => {
+      server.forceShutdown();
+    });
+
+    function makeRequest (path, headers, body) {
+      const barrier = new Barrier();
+      const client = Http2.connect(`http://localhost:${port}`);
+      const req = client.request({
+        ':method': 'POST',
+        ':path': path,
+        'content-type': 'application/grpc',
+        te: 'trailers',
+        ...headers
+      });
+      const result = { headers: null, trailers: null };
+
+      req.on('response', (headers) => {
+        result.headers = headers;
+      });
+
+      req.on('trailers', (trailers) => {
+        result.trailers = trailers;
+      });
+
+      req.on('close', () => {
+        client.close();
+        barrier.pass(result);
+      });
+
+      req.resume();
+      req.end(body);
+      return barrier;
+    }
+
+    function encodeMessage (value) {
+      const message = EchoService.service.Echo.requestSerialize({ value });
+      const header = Buffer.alloc(5);
+
+      header.writeUInt32BE(message.length, 1);
+      return Buffer.concat([header, message]);
+    }
+
+    it('sends unimplemented errors in the response headers', async () => {
+      const { headers, trailers } = await makeRequest('/EchoService/Foo');
+
+      Assert.strictEqual(headers[':status'], 200);
+      Assert.strictEqual(headers['content-type'], 'application/grpc+proto');
+      Assert.strictEqual(headers['grpc-status'], `${Grpc.status.UNIMPLEMENTED}`);
+      Assert.strictEqual(headers['grpc-message'],
+        'The server does not implement the method /EchoService/Foo');
+      Assert.strictEqual(trailers, null);
+    });
+
+    it('sends deadline errors in the response headers', async () => {
+      const { headers, trailers } = await makeRequest('/EchoService/Echo', {
+        'grpc-timeout': 'foo'
+      });
+
+      Assert.strictEqual(headers['grpc-status'], `${Grpc.status.OUT_OF_RANGE}`);
+      Assert.strictEqual(trailers, null);
+    });
+
+    it('sends message size errors in the response headers', async () => {
+      const { headers, trailers } = await makeRequest('/EchoService/Echo', {},
+        encodeMessage('too long to receive'));
+
+      Assert.strictEqual(headers['grpc-status'],
+        `${Grpc.status.RESOURCE_EXHAUSTED}`);
+      Assert.strictEqual(trailers, null);
+    });
+
+    it('includes error metadata in the response headers', async () => {
+      const { headers, trailers } = await makeRequest('/EchoService/Echo', {},
+        encodeMessage('a'));
+
+      Assert.strictEqual(headers['grpc-status'], `${Grpc.status.NOT_FOUND}`);
+      Assert.strictEqual(headers['grpc-message'], 'test error');
+      Assert.strictEqual(headers.foo, 'bar');
+      Assert.strictEqual(trailers, null);
+    });
+
+    it('sends separate trailers after a message', async () => {
+      const { headers, trailers } = await makeRequest('/EchoService/Echo', {},
+        encodeMessage('ok'));
+
+      Assert.strictEqual(headers[':status'], 200);
+      Assert.strictEqual(headers['grpc-status'], undefined);
+      Assert.strictEqual(trailers['grpc-status'], `${Grpc.status.OK}`);
+    });
+  });
+
+
+  describe('Request validation', () => {
+    const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
+    const { EchoService } = loadProtoFile(protoFile);
+    const validHeaders = {
+      ':method': 'POST',
+      ':path': '/EchoService/Echo',
+      'content-type': 'application/grpc',
+      te: 'trailers'
+    };
+    let strictServer;
+    let lenientServer;
+    let strictPort;
+    let lenientPort;
+
+    async function startServer (options) {
+      const server = new Server(options);
+
+      server.addService(EchoService.service, {
+        echo (call, callback) {
+          callback(null, call.request);
+        },
+        async echoClientStream (stream) {
+          let count = 0;
+
+          for await (const message of stream) { // eslint-disable-line no-unused-vars
+            count++;
+          }
+
+          return { value2: count };
+        }
+      });
+
+      const port = await server.bind('localhost:0', serverInsecureCreds);
+
+      server.start();
+      return { server, port };
+    }
+
+    before(async () => {
+      ({ server: strictServer, port: strictPort } = await startServer({
+        'grpc-node.strict_request_validation': 1
+      }));
+      ({ server: lenientServer, port: lenientPort } = await startServer());
+    });
+
+    after(() => {
+      strictServer.forceShutdown();
+      lenientServer.forceShutdown();
+    });
+
+    function makeRequest (port, headers, body) {
+      const barrier = new Barrier();
+      const client = Http2.connect(`http://localhost:${port}`);
+      const requestHeaders = { ...validHeaders, ...headers };
+
+      // Headers set to undefined are omitted from the request.
+      Object.keys(requestHeaders).forEach((name) => {
+        if (requestHeaders[name] === undefined) {
+          delete requestHeaders[name];
+        }
+      });
+
+      const req = client.request(requestHeaders);
+      const result = { headers: null, trailers: null };
+
+      req.on('response', (headers) => {
+        result.headers = headers;
+      });
+
+      req.on('trailers', (trailers) => {
+        result.trailers = trailers;
+      });
+
+      req.on('close', () => {
+        client.close();
+        barrier.pass(result);
+      });
+
+      req.resume();
+      req.end(body);
+      return barrier;
+    }
+
+    function getStatus (result) {
+      const headers = result.trailers === null ? result.headers : result.trailers;
+
+      return {
+        code: +headers['grpc-status'],
+        details: headers['grpc-message']
+      };
+    }
+
+    function encodeMessage (value, compressed = 0) {
+      const message = EchoService.service.Echo.requestSerialize({ value });
+      const header = Buffer.alloc(5);
+
+      header.writeUInt8(compressed, 0);
+      header.writeUInt32BE(message.length, 1);
+      return Buffer.concat([header, message]);
+    }
+
+    it('responds with HTTP status of 405 on non-POST methods', async () => {
+      const { headers } = await makeRequest(strictPort, { ':method': 'GET' });
+
+      Assert.strictEqual(headers[':status'], 405);
+      Assert.strictEqual(headers.allow, 'POST');
+      Assert.strictEqual(headers['grpc-status'], undefined);
+    });
+
+    it('responds with HTTP status of 415 on malformed content-types', async () => {
+      const { headers } = await makeRequest(strictPort, {
+        'content-type': 'application/grpcfoo'
+      });
+
+      Assert.strictEqual(headers[':status'], 415);
+
+      for (const contentType of ['application/grpc+proto', 'application/grpc;x=y']) {
+        const result = await makeRequest(strictPort, {
+          'content-type': contentType
+        }, encodeMessage('foo'));
+
+        Assert.strictEqual(getStatus(result).code, Grpc.status.OK);
+      }
+    });
+
+    it('requires the te header', async () => {
+      const result = await makeRequest(strictPort, { te: undefined },
+        encodeMessage('foo'));
+
+      Assert.deepStrictEqual(getStatus(result), {
+        code: Grpc.status.INTERNAL,
+        details: 'Expected header te: trailers'
+      });
+    });
+
+    it('requires well-formed method paths', async () => {
+      for (const path of ['/EchoService', '/EchoService/', '//Echo', '/a/b/c']) {
+        const result = await makeRequest(strictPort, { ':path': path });
+
+        Assert.deepStrictEqual(getStatus(result), {
+          code: Grpc.status.UNIMPLEMENTED,
+          details: `The server does not implement the method ${path}`
+        });
+      }
+    });
+
+    it('responds with UNIMPLEMENTED to unknown methods with invalid headers', async () => {
+      const result = await makeRequest(strictPort, {
+        ':path': '/EchoService/Unknown',
+        te: undefined,
+        'grpc-timeout': '1s'
+      });
+
+      Assert.deepStrictEqual(getStatus(result), {
+        code: Grpc.status.UNIMPLEMENTED,
+        details: 'The server does not implement the method /EchoService/Unknown'
+      });
+    });
+
+    it('requires well-formed grpc-timeout values', async () => {
+      for (const timeout of ['123456789S', '1 S', '1s', 'S', '10Sx']) {
+        const result = await makeRequest(strictPort, {
+          'grpc-timeout': timeout
+        });
+
+        Assert.deepStrictEqual(getStatus(result), {
+          code: Grpc.status.OUT_OF_RANGE,
+          details: 'Invalid deadline'
+        });
+      }
+
+      const result = await makeRequest(strictPort, {
+        'grpc-timeout': '99999999m'
+      }, encodeMessage('foo'));
+
+      Assert.strictEqual(getStatus(result).code, Grpc.status.OK);
+    });
+
+    it('requires a single framed message for unary requests', async () => {
+      const message = encodeMessage('foo');
+      const bodies = [
+        Buffer.alloc(0),
+        message.slice(0, 3),
+        message.slice(0, message.length - 1),
+        Buffer.concat([message, message]),
+        encodeMessage('foo', 2)
+      ];
+
+      for (const body of bodies) {
+        const result = await makeRequest(strictPort, {}, body);
+
+        Assert.deepStrictEqual(getStatus(result), {
+          code: Grpc.status.INTERNAL,
+          details: 'Malformed request message framing'
+        });
+      }
+    });
+
+    it('rejects malformed framing in streaming requests', async () => {
+      const message = encodeMessage('foo');
+      const bodies = [
+        Buffer.concat([message, message.slice(0, 3)]),
+        Buffer.concat([message, encodeMessage('foo', 2)])
+      ];
+
+      for (const body of bodies) {
+        const result = await makeRequest(strictPort, {
+          ':path': '/EchoService/EchoClientStream'
+        }, body);
+
+        Assert.deepStrictEqual(getStatus(result), {
+          code: Grpc.status.INTERNAL,
+          details: 'Malformed request message framing'
+        });
+      }
+
+      const result = await makeRequest(strictPort, {
+        ':path': '/EchoService/EchoClientStream'
+      }, Buffer.concat([message, message]));
+
+      Assert.strictEqual(getStatus(result).code, Grpc.status.OK);
+    });
+
+    it('can be disabled', async () => {
+      const result = await makeRequest(lenientPort, {
+        ':method': 'PUT',
+        'content-type': 'application/grpcfoo',
+        'grpc-timeout': '1 S',
+        te: undefined
+      }, encodeMessage('foo'));
+
+      Assert.strictEqual(getStatus(result).code, Grpc.status.OK);
+    });
+  });
+
+
   describe('No stream end events on error', () => {
     const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
     const { EchoService } = loadProtoFile(protoFile);
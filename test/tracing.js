@@ -0,0 +1,439 @@
+'use strict';
+const Assert = require('assert');
+const Path = require('path');
+const Barrier = require('cb-barrier');
+const Lab = require('@hapi/lab');
+const Grpc = require('@grpc/grpc-js');
+const { Server, ServerCredentials } = require('../lib');
+const { loadProtoFile } = require('./common');
+
+// Test shortcuts
+const lab = exports.lab = Lab.script();
+const { describe, it, before, after, beforeEach } = lab;
+
+
+const clientInsecureCreds = Grpc.credentials.createInsecure();
+const serverInsecureCreds = ServerCredentials.createInsecure();
+const protoFile = Path.join(__dirname, 'proto', 'echo_service.proto');
+const { EchoService } = loadProtoFile(protoFile);
+const traceId = '0af7651916cd43dd8448eb211c80319c';
+const spanId = 'b7ad6b7169203331';
+
+
+class TestSpan {
+  constructor (name, options) {
+    this.name = name;
+    this.parent = options.parent;
+    this.attributes = options.attributes;
+    this.events = [];
+    this.status = null;
+    this.endCount = 0;
+  }
+
+  addEvent (name, attributes) {
+    this.events.push({ name, attributes });
+  }
+
+  end (status) {
+    this.status = status;
+    this.endCount++;
+  }
+}
+
+
+function createTracer () {
+  const tracer = {
+    spans: [],
+    activeSpan: null,
+    startSpan (name, options) {
+      const span = new TestSpan(name, options);
+
+      tracer.spans.push(span);
+      return span;
+    },
+    withSpan (span, fn) {
+      const previous = tracer.activeSpan;
+
+      tracer.activeSpan = span;
+
+      try {
+        return fn();
+      } finally {
+        tracer.activeSpan = previous;
+      }
+    }
+  };
+
+  return tracer;
+}
+
+
+function createTraceBin (traceId, spanId, traceOptions) {
+  return Buffer.concat([
+    Buffer.from([0, 0]),
+    Buffer.from(traceId, 'hex'),
+    Buffer.from([1]),
+    Buffer.from(spanId, 'hex'),
+    Buffer.from([2, traceOptions])
+  ]);
+}
+
+
+describe('Tracing', () => {
+  const tracer = createTracer();
+  let server;
+  let client;
+  let handlerSpans;
+  let interceptorSpans;
+
+  function echo (request, metadata = new Grpc.Metadata()) {
+    return new Promise((resolve, reject) => {
+      client.echo(request, metadata, (err, response) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve(response);
+      });
+    });
+  }
+
+  before(async () => {
+    server = new Server({ 'grpc-node.tracer': tracer });
+    server.addInterceptor((context) => {
+      interceptorSpans.push(context.getSpan(), tracer.activeSpan);
+    });
+    server.addService(EchoService.service, {
+      echo (call, callback) {
+        handlerSpans.push(call.getSpan());
+
+        if (call.request.value === 'error') {
+          const err = new Error('test error');
+
+          err.code = Grpc.status.NOT_FOUND;
+          callback(err);
+          return;
+        }
+
+        if (call.request.value === 'hang') {
+          return;
+        }
+
+        callback(null, call.request);
+      },
+      echoServerStream (stream) {
+        stream.write(stream.request);
+        stream.write(stream.request);
+        stream.end();
+      }
+    });
+
+    const port = await server.bind('localhost:0', serverInsecureCreds);
+
+    server.start();
+    client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+  });
+
+  after(() => {
+    client.close();
+    server.forceShutdown();
+  });
+
+  beforeEach(() => {
+    tracer.spans.length = 0;
+    handlerSpans = [];
+    interceptorSpans = [];
+  });
+
+  it('creates a span for each call', async () => {
+    await echo({ value: 'foo' });
+
+    Assert.strictEqual(tracer.spans.length, 1);
+
+    const [span] = tracer.spans;
+
+    Assert.strictEqual(span.name, 'EchoService/Echo');
+    Assert.strictEqual(span.parent, null);
+    Assert.deepStrictEqual(span.attributes, {
+      'rpc.system': 'grpc',
+      'rpc.service': 'EchoService',
+      'rpc.method': 'Echo'
+    });
+    Assert.deepStrictEqual(span.events.map((event) => {
+      return event.attributes['message.type'];
+    }), ['RECEIVED', 'SENT']);
+    Assert.strictEqual(span.events[0].name, 'message');
+    Assert.strictEqual(span.events[0].attributes['message.id'], 1);
+    Assert(span.events[0].attributes['message.compressed_size'] > 0);
+    Assert.deepStrictEqual(span.status, { code: Grpc.status.OK, details: 'OK' });
+    Assert.strictEqual(span.endCount, 1);
+  });
+
+  it('exposes the span to handlers and interceptors', async () => {
+    await echo({ value: 'foo' });
+
+    const [span] = tracer.spans;
+
+    Assert.strictEqual(handlerSpans[0], span);
+    Assert.strictEqual(interceptorSpans[0], span);
+    Assert.strictEqual(interceptorSpans[1], span);
+    Assert.strictEqual(tracer.activeSpan, null);
+  });
+
+  it('extracts the parent from traceparent and tracestate', async () => {
+    const metadata = new Grpc.Metadata();
+
+    metadata.set('traceparent', `00-${traceId}-${spanId}-01`);
+    metadata.set('tracestate', 'foo=bar');
+    metadata.set('grpc-trace-bin', createTraceBin(traceId, '1'.repeat(16), 0));
+    await echo({ value: 'foo' }, metadata);
+
+    Assert.deepStrictEqual(tracer.spans[0].parent, {
+      traceId,
+      spanId,
+      traceFlags: 1,
+      traceState: 'foo=bar',
+      isRemote: true
+    });
+  });
+
+  it('extracts the parent from grpc-trace-bin', async () => {
+    const metadata = new Grpc.Metadata();
+
+    metadata.set('traceparent', 'invalid');
+    metadata.set('grpc-trace-bin', createTraceBin(traceId, spanId, 1));
+    await echo({ value: 'foo' }, metadata);
+
+    Assert.deepStrictEqual(tracer.spans[0].parent, {
+      traceId,
+      spanId,
+      traceFlags: 1,
+      isRemote: true
+    });
+  });
+
+  it('ignores invalid trace contexts', async () => {
+    const traceparents = [
+      `00-${'0'.repeat(32)}-${spanId}-01`,
+      `00-${traceId}-${'0'.repeat(16)}-01`,
+      `ff-${traceId}-${spanId}-01`,
+      `00-${traceId}-${spanId}-01-foo`,
+      `00-${traceId.toUpperCase()}-${spanId}-01`
+    ];
+    const traceBins = [
+      Buffer.alloc(0),
+      Buffer.from([1, 0]),
+      createTraceBin('0'.repeat(32), spanId, 1),
+      createTraceBin(traceId, spanId, 1).slice(0, 20),
+      Buffer.concat([Buffer.from([0, 5]), createTraceBin(traceId, spanId, 1)])
+    ];
+
+    for (const traceparent of traceparents) {
+      const metadata = new Grpc.Metadata();
+
+      metadata.set('traceparent', traceparent);
+      await echo({ value: 'foo' }, metadata);
+    }
+
+    for (const traceBin of traceBins) {
+      const metadata = new Grpc.Metadata();
+
+      metadata.set('grpc-trace-bin', traceBin);
+      await echo({ value: 'foo' }, metadata);
+    }
+
+    Assert.strictEqual(tracer.spans.length, 10);
+    tracer.spans.forEach((span) => {
+      Assert.strictEqual(span.parent, null);
+    });
+  });
+
+  it('accepts future traceparent versions', async () => {
+    const metadata = new Grpc.Metadata();
+
+    metadata.set('traceparent', `01-${traceId}-${spanId}-00-foo`);
+    await echo({ value: 'foo' }, metadata);
+
+    Assert.strictEqual(tracer.spans[0].parent.traceId, traceId);
+    Assert.strictEqual(tracer.spans[0].parent.traceFlags, 0);
+  });
+
+  it('ends spans with the error status', async () => {
+    await Assert.rejects(echo({ value: 'error' }), /test error/);
+
+    const [span] = tracer.spans;
+
+    Assert.deepStrictEqual(span.status, {
+      code: Grpc.status.NOT_FOUND,
+      details: 'test error'
+    });
+    Assert.strictEqual(span.endCount, 1);
+  });
+
+  it('numbers streamed message events', () => {
+    const barrier = new Barrier();
+    const call = client.echoServerStream({ value: 'foo' });
+
+    call.on('data', () => {});
+    call.on('status', () => {
+      const [span] = tracer.spans;
+      const sent = span.events.filter((event) => {
+        return event.attributes['message.type'] === 'SENT';
+      });
+
+      Assert.deepStrictEqual(sent.map((event) => {
+        return event.attributes['message.id'];
+      }), [1, 2]);
+      Assert.strictEqual(span.status.code, Grpc.status.OK);
+      barrier.pass();
+    });
+
+    return barrier;
+  });
+
+  it('ends cancelled calls with CANCELLED', () => {
+    const barrier = new Barrier();
+    const call = client.echo({ value: 'hang' }, () => {
+      // Let the server observe the stream closing.
+      setTimeout(() => {
+        const [span] = tracer.spans;
+
+        Assert.deepStrictEqual(span.status, {
+          code: Grpc.status.CANCELLED,
+          details: 'Cancelled'
+        });
+        Assert.strictEqual(span.endCount, 1);
+        barrier.pass();
+      }, 50);
+    });
+
+    setTimeout(() => {
+      call.cancel();
+    }, 50);
+
+    return barrier;
+  });
+
+  it('supports tracers without withSpan()', async () => {
+    const tracer = createTracer();
+    const server = new Server({
+      'grpc-node.tracer': { startSpan: tracer.startSpan }
+    });
+    let handlerSpan;
+
+    server.addService(EchoService.service, {
+      echo (call, callback) {
+        handlerSpan = call.getSpan();
+        callback(null, call.request);
+      }
+    });
+
+    const port = await server.bind('localhost:0', serverInsecureCreds);
+    const client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+
+    server.start();
+
+    try {
+      await new Promise((resolve, reject) => {
+        client.echo({ value: 'foo' }, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          resolve();
+        });
+      });
+
+      Assert.strictEqual(handlerSpan, tracer.spans[0]);
+    } finally {
+      client.close();
+      server.forceShutdown();
+    }
+  });
+
+  it('supports withSpan() implementations that do not return a value', async () => {
+    const tracer = createTracer();
+    const server = new Server({
+      'grpc-node.tracer': {
+        startSpan: tracer.startSpan,
+        withSpan (span, fn) {
+          tracer.withSpan(span, fn);
+        }
+      }
+    });
+    const activeSpans = [];
+
+    server.addInterceptor(() => {
+      activeSpans.push(tracer.activeSpan);
+    });
+    server.addService(EchoService.service, {
+      echo (call, callback) {
+        activeSpans.push(call.getSpan());
+        callback(null, call.request);
+      }
+    });
+
+    const port = await server.bind('localhost:0', serverInsecureCreds);
+    const client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+
+    server.start();
+
+    try {
+      const response = await new Promise((resolve, reject) => {
+        client.echo({ value: 'foo' }, (err, response) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          resolve(response);
+        });
+      });
+
+      Assert.strictEqual(response.value, 'foo');
+      Assert.strictEqual(activeSpans.length, 2);
+      Assert.strictEqual(activeSpans[0], tracer.spans[0]);
+      Assert.strictEqual(activeSpans[1], tracer.spans[0]);
+    } finally {
+      client.close();
+      server.forceShutdown();
+    }
+  });
+
+  it('does not create spans without a tracer', async () => {
+    const server = new Server();
+    let handlerSpan;
+
+    server.addService(EchoService.service, {
+      echo (call, callback) {
+        handlerSpan = call.getSpan();
+        callback(null, call.request);
+      }
+    });
+
+    const port = await server.bind('localhost:0', serverInsecureCreds);
+    const client = new EchoService(`localhost:${port}`, clientInsecureCreds);
+
+    server.start();
+
+    try {
+      await new Promise((resolve, reject) => {
+        client.echo({ value: 'foo' }, (err) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+
+          resolve();
+        });
+      });
+
+      Assert.strictEqual(handlerSpan, null);
+    } finally {
+      client.close();
+      server.forceShutdown();
+    }
+  });
+});
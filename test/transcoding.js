@@ -0,0 +1,616 @@
+'use strict';
+const Assert = require('assert');
+const Http2 = require('http2');
+const Path = require('path');
+const Barrier = require('cb-barrier');
+const Lab = require('@hapi/lab');
+const Grpc = require('@grpc/grpc-js');
+const { Server, ServerCredentials } = require('../lib');
+const {
+  bindAsync,
+  http1Request,
+  http2Request,
+  loadProtoFile,
+  plaintextHttp1
+} = require('./common');
+
+// Test shortcuts
+const lab = exports.lab = Lab.script();
+const { describe, it, before, after } = lab;
+
+
+const clientInsecureCreds = Grpc.credentials.createInsecure();
+const serverInsecureCreds = ServerCredentials.createInsecure();
+const protoFile = Path.join(__dirname, 'proto', 'library.proto');
+const { Library } = loadProtoFile(protoFile);
+const httpRules = {
+  GetBook: {
+    get: '/v1/{name=shelves/*/books/*}',
+    additional_bindings: [
+      { get: '/v1/titles/{name=**}:get', response_body: 'title' }
+    ]
+  },
+  ListBooks: { get: '/v1/shelves/{shelf}/books' },
+  CreateBook: {
+    post: '/v1/shelves/{shelf}/books',
+    body: 'book',
+    additionalBindings: [{ custom: { kind: 'PUT', path: '/v1/books' }, body: '*' }]
+  }
+};
+
+
+// Only JSON responses are parsed, since requests that are not transcoded
+// receive an empty HTTP response.
+describe('HTTP/JSON Transcoding', () => {
+  let server;
+  let port;
+
+  before(async () => {
+    server = new Server();
+    server.addService(Library.service, {
+      getBook (call, callback) {
+        const { name, include_cover: includeCover } = call.request;
+
+        if (name.endsWith('/missing')) {
+          const metadata = new Grpc.Metadata();
+
+          metadata.set('x-reason', 'missing');
+          callback({
+            code: Grpc.status.NOT_FOUND,
+            details: `${name} not found`,
+            metadata
+          });
+          return;
+        }
+
+        const metadata = new Grpc.Metadata();
+
+        metadata.set('x-request-id', call.metadata.get('x-request-id')[0] || '');
+        call.sendMetadata(metadata);
+        callback(null, {
+          name,
+          title: `Title of ${name}`,
+          tags: ['a', 'b'],
+          read: includeCover,
+          cover: includeCover ? Buffer.from('cover') : Buffer.alloc(0),
+          author: { name: 'Author', born: 1900 }
+        });
+      },
+      listBooks (stream) {
+        const { shelf, author, tags } = stream.request;
+
+        tags.forEach((tag) => {
+          stream.write({
+            name: `shelves/${shelf}/books/${tag}`,
+            author
+          });
+        });
+        stream.end();
+      },
+      createBook (call, callback) {
+        callback(null, {
+          ...call.request.book,
+          name: `shelves/${call.request.shelf}/books/1`
+        });
+      }
+    }, { httpRules });
+
+    port = await bindAsync(server, { transcoding: true });
+    server.start();
+  });
+
+  after(() => {
+    server.forceShutdown();
+  });
+
+  it('binds path parameters', { skip: !plaintextHttp1 }, async () => {
+    const response = await http1Request(port, 'GET', '/v1/shelves/1/books/2',
+      { 'x-request-id': 'abc' });
+
+    Assert.strictEqual(response.status, 200);
+    Assert.strictEqual(response.headers['content-type'], 'application/json');
+    Assert.strictEqual(response.headers['x-request-id'], 'abc');
+    Assert.strictEqual(response.headers['grpc-encoding'], undefined);
+    Assert.deepStrictEqual(JSON.parse(response.body), {
+      name: 'shelves/1/books/2',
+      title: 'Title of shelves/1/books/2',
+      tags: ['a', 'b'],
+      read: false,
+      cover: '',
+      author: { name: 'Author', born: 1900 }
+    });
+  });
+
+  it('binds query parameters', { skip: !plaintextHttp1 }, async () => {
+    const response = await http2Request(port, 'GET',
+      '/v1/shelves/1/books/2?include_cover=true&name=ignored&foo=bar');
+
+    Assert.strictEqual(response.status, 200);
+    const book = JSON.parse(response.body);
+
+    Assert.strictEqual(book.name, 'shelves/1/books/2');
+    Assert.strictEqual(book.read, true);
+    Assert.strictEqual(book.cover, Buffer.from('cover').toString('base64'));
+
+    const list = await http1Request(port, 'GET',
+      '/v1/shelves/1/books?tags=x&tags=y&author.name=Foo&author.born=1950');
+
+    Assert.deepStrictEqual(JSON.parse(list.body).map((book) => {
+      return [book.name, book.author];
+    }), [
+      ['shelves/1/books/x', { name: 'Foo', born: 1950 }],
+      ['shelves/1/books/y', { name: 'Foo', born: 1950 }]
+    ]);
+  });
+
+  it('binds the request body', { skip: !plaintextHttp1 }, async () => {
+    const book = { title: 'Foo', tags: ['x'], read: true };
+    const created = await http1Request(port, 'POST', '/v1/shelves/5/books',
+      { 'content-type': 'application/json' }, JSON.stringify(book));
+
+    Assert.strictEqual(created.status, 200);
+    const createdBook = JSON.parse(created.body);
+
+    Assert.strictEqual(createdBook.name, 'shelves/5/books/1');
+    Assert.strictEqual(createdBook.title, 'Foo');
+    Assert.deepStrictEqual(createdBook.tags, ['x']);
+
+    const replaced = await http2Request(port, 'PUT', '/v1/books',
+      { 'content-type': 'application/json' },
+      JSON.stringify({ shelf: '6', book }));
+
+    Assert.strictEqual(replaced.status, 200);
+    Assert.strictEqual(JSON.parse(replaced.body).name, 'shelves/6/books/1');
+  });
+
+  it('supports verbs, multi-segment variables, and response bodies',
+    { skip: !plaintextHttp1 }, async () => {
+      const response = await http1Request(port, 'GET',
+        '/v1/titles/shelves/1/books/a%20b:get');
+
+      Assert.strictEqual(response.status, 200);
+      Assert.strictEqual(JSON.parse(response.body), 'Title of shelves/1/books/a b');
+    });
+
+  it('maps gRPC status codes to HTTP status codes',
+    { skip: !plaintextHttp1 }, async () => {
+      const response = await http1Request(port, 'GET',
+        '/v1/shelves/1/books/missing');
+
+      Assert.strictEqual(response.status, 404);
+      Assert.strictEqual(response.headers['x-reason'], 'missing');
+      Assert.strictEqual(response.headers['grpc-status'], undefined);
+      Assert.deepStrictEqual(JSON.parse(response.body), {
+        code: Grpc.status.NOT_FOUND,
+        message: 'shelves/1/books/missing not found',
+        details: []
+      });
+    });
+
+  it('rejects requests that cannot be transcoded',
+    { skip: !plaintextHttp1 }, async () => {
+      // Requests that do not match an HTTP rule are handled as gRPC requests.
+      const unknown = await http1Request(port, 'GET', '/v1/foo');
+
+      Assert.strictEqual(unknown.status, 415);
+      Assert.strictEqual(unknown.body.toString(), '');
+
+      const wrongMethod = await http2Request(port, 'DELETE', '/v1/books');
+
+      Assert.strictEqual(wrongMethod.status, 415);
+
+      const notJson = await http2Request(port, 'PUT', '/v1/books',
+        { 'content-type': 'text/plain' }, '{}');
+
+      Assert.strictEqual(notJson.status, 415);
+
+      const grpc = await http2Request(port, 'PUT', '/v1/books',
+        { 'content-type': 'application/grpc' });
+
+      Assert.strictEqual(grpc.status, 200);
+      Assert.strictEqual(grpc.headers['grpc-status'], `${Grpc.status.UNIMPLEMENTED}`);
+
+      const jsonWithParameters = await http2Request(port, 'PUT', '/v1/books',
+        { 'content-type': 'application/json; charset=utf-8' },
+        JSON.stringify({ shelf: '7' }));
+
+      Assert.strictEqual(jsonWithParameters.status, 200);
+      Assert.strictEqual(JSON.parse(jsonWithParameters.body).name,
+        'shelves/7/books/1');
+
+      const invalidJson = await http1Request(port, 'PUT', '/v1/books', {}, '{');
+
+      Assert.strictEqual(invalidJson.status, 400);
+      Assert.strictEqual(JSON.parse(invalidJson.body).code,
+        Grpc.status.INVALID_ARGUMENT);
+
+      const notObject = await http1Request(port, 'PUT', '/v1/books', {}, '[]');
+
+      Assert.strictEqual(notObject.status, 400);
+      Assert.strictEqual(JSON.parse(notObject.body).message,
+        'Request body must be a JSON object');
+
+      const invalidPath = await http1Request(port, 'GET',
+        '/v1/shelves/1/books/%E0%A4%A');
+
+      Assert.strictEqual(invalidPath.status, 415);
+    });
+
+  it('does not bind fields on object prototypes',
+    { skip: !plaintextHttp1 }, async () => {
+      const paths = [
+        '/v1/shelves/1/books?__proto__.polluted=yes',
+        '/v1/shelves/1/books?author.__proto__.polluted=yes',
+        '/v1/shelves/1/books?constructor.prototype.polluted=yes'
+      ];
+
+      for (const path of paths) {
+        const response = await http1Request(port, 'GET', path);
+
+        Assert.strictEqual(response.status, 200);
+        Assert.strictEqual(({}).polluted, undefined);
+      }
+    });
+
+  it('handles CONNECT requests without a path', async () => {
+    const barrier = new Barrier();
+    const client = Http2.connect(`http://localhost:${port}`);
+    const req = client.request({
+      ':method': 'CONNECT',
+      ':authority': `localhost:${port}`
+    });
+
+    req.on('response', (headers) => {
+      Assert.strictEqual(headers[':status'], 415);
+    });
+
+    req.on('close', () => {
+      client.close();
+      barrier.pass();
+    });
+
+    req.resume();
+    await barrier;
+  });
+
+  it('counts requests that do not match an HTTP rule as rejected streams', async () => {
+    const barrier = new Barrier(2);
+    const server = new Server({ 'grpc-node.max_session_rejected_streams': 1 });
+
+    server.addService(Library.service, {}, { httpRules });
+
+    const port = await bindAsync(server, { transcoding: true });
+    const client = Http2.connect(`http://localhost:${port}`);
+
+    server.start();
+    server.on('sessionAbuse', (event) => {
+      Assert.strictEqual(event.reason, 'rejected');
+      barrier.pass();
+    });
+
+    client.on('error', () => {});
+    client.on('close', () => {
+      server.forceShutdown();
+      barrier.pass();
+    });
+
+    for (let i = 0; i < 2; i++) {
+      const req = client.request({ ':method': 'GET', ':path': '/v1/foo' });
+
+      req.on('error', () => {});
+      req.resume();
+      req.end();
+    }
+
+    await barrier;
+  });
+
+  it('stops reading request bodies that are too large',
+    { skip: !plaintextHttp1 }, async () => {
+      const server = new Server({ 'grpc.max_receive_message_length': 16 });
+
+      server.addService(Library.service, {
+        createBook (call, callback) {
+          callback(null, call.request.book);
+        }
+      }, { httpRules });
+
+      const port = await bindAsync(server, { transcoding: true });
+
+      server.start();
+
+      // The request is not ended, so the response is only received if the
+      // server rejects the body before reading all of it.
+      const barrier = new Barrier();
+      const client = Http2.connect(`http://localhost:${port}`);
+      const req = client.request({
+        ':method': 'PUT',
+        ':path': '/v1/books',
+        'content-type': 'application/json'
+      });
+      const chunks = [];
+
+      req.on('response', (headers) => {
+        Assert.strictEqual(headers[':status'], 429);
+      });
+
+      req.on('data', (chunk) => {
+        chunks.push(chunk);
+      });
+
+      req.on('close', () => {
+        Assert.strictEqual(req.rstCode, Http2.constants.NGHTTP2_NO_ERROR);
+        Assert.deepStrictEqual(JSON.parse(Buffer.concat(chunks)), {
+          code: Grpc.status.RESOURCE_EXHAUSTED,
+          message: 'Received message larger than max (32 vs. 16)',
+          details: []
+        });
+        client.close();
+        barrier.pass();
+      });
+
+      req.write(Buffer.from(JSON.stringify({ shelf: 'a'.repeat(20) })));
+      await barrier;
+
+      const response = await http1Request(port, 'PUT', '/v1/books',
+        { 'content-type': 'application/json' }, 'x'.repeat(64));
+
+      Assert.strictEqual(response.status, 429);
+      Assert.strictEqual(response.headers.connection, 'close');
+      Assert.strictEqual(JSON.parse(response.body).code,
+        Grpc.status.RESOURCE_EXHAUSTED);
+      server.forceShutdown();
+    });
+
+  describe('server streaming responses', () => {
+    let server;
+    let port;
+    let listBooks;
+
+    before(async () => {
+      server = new Server();
+      server.addService(Library.service, {
+        listBooks (stream) {
+          listBooks(stream);
+        }
+      }, { httpRules });
+
+      port = await bindAsync(server, { transcoding: true });
+      server.start();
+    });
+
+    after(() => {
+      server.forceShutdown();
+    });
+
+    function makeRequest () {
+      const client = Http2.connect(`http://localhost:${port}`);
+      const req = client.request({
+        ':method': 'GET',
+        ':path': '/v1/shelves/1/books'
+      });
+
+      req.on('close', () => {
+        client.close();
+      });
+
+      req.end();
+      return req;
+    }
+
+    it('writes each message as it is produced', async () => {
+      const barrier = new Barrier();
+      const chunks = [];
+      let call = null;
+
+      listBooks = (stream) => {
+        call = stream;
+        stream.write({ name: 'a' });
+      };
+
+      const req = makeRequest();
+
+      req.on('response', (headers) => {
+        Assert.strictEqual(headers[':status'], 200);
+        Assert.strictEqual(headers['content-type'], 'application/json');
+      });
+
+      req.on('data', (chunk) => {
+        // The first message is received before the handler finishes.
+        if (chunks.length === 0) {
+          Assert.strictEqual(JSON.parse(`${chunk}]`)[0].name, 'a');
+          call.write({ name: 'b' });
+          call.end();
+        }
+
+        chunks.push(chunk);
+      });
+
+      req.on('end', () => {
+        Assert.deepStrictEqual(JSON.parse(Buffer.concat(chunks)).map((book) => {
+          return book.name;
+        }), ['a', 'b']);
+        barrier.pass();
+      });
+
+      await barrier;
+    });
+
+    it('sends an empty array if there are no messages',
+      { skip: !plaintextHttp1 }, async () => {
+        listBooks = (stream) => {
+          stream.end();
+        };
+
+        const response = await http1Request(port, 'GET', '/v1/shelves/1/books');
+
+        Assert.strictEqual(response.status, 200);
+        Assert.deepStrictEqual(JSON.parse(response.body), []);
+      });
+
+    it('sends errors that occur before the first message',
+      { skip: !plaintextHttp1 }, async () => {
+        listBooks = (stream) => {
+          stream.emit('error', {
+            code: Grpc.status.NOT_FOUND,
+            details: 'shelf not found'
+          });
+        };
+
+        const response = await http1Request(port, 'GET', '/v1/shelves/1/books');
+
+        Assert.strictEqual(response.status, 404);
+        Assert.strictEqual(JSON.parse(response.body).message, 'shelf not found');
+      });
+
+    it('aborts the response if an error occurs after the first message', async () => {
+      const barrier = new Barrier();
+      let call = null;
+
+      listBooks = (stream) => {
+        call = stream;
+        stream.write({ name: 'a' });
+      };
+
+      const req = makeRequest();
+
+      req.on('error', () => {});
+      req.once('data', () => {
+        call.emit('error', { code: Grpc.status.INTERNAL });
+      });
+
+      req.on('close', () => {
+        Assert.strictEqual(req.rstCode, Http2.constants.NGHTTP2_INTERNAL_ERROR);
+        barrier.pass();
+      });
+
+      await barrier;
+    });
+  });
+
+  it('continues to serve gRPC clients', () => {
+    const client = new Library(`localhost:${port}`, clientInsecureCreds);
+
+    return new Promise((resolve) => {
+      client.getBook({ name: 'foo' }, (err, response) => {
+        Assert.ifError(err);
+        Assert.strictEqual(response.title, 'Title of foo');
+        client.close();
+        resolve();
+      });
+    });
+  });
+
+  it('uses google.api.http annotations from the service definition', async () => {
+    const service = {
+      ...Library.service,
+      GetBook: {
+        ...Library.service.GetBook,
+        options: {
+          '(google.api.http)': {
+            get: '/v2/books/{name}',
+            responseBody: 'author.name'
+          }
+        }
+      }
+    };
+    const server = new Server();
+
+    server.addService(service, {
+      getBook (call, callback) {
+        callback(null, { author: { name: call.request.name } });
+      }
+    });
+
+    const port = await bindAsync(server, { transcoding: true, allowHTTP1: false });
+
+    server.start();
+
+    const response = await http2Request(port, 'GET', '/v2/books/foo');
+
+    Assert.strictEqual(response.status, 200);
+    Assert.strictEqual(JSON.parse(response.body), 'foo');
+    server.forceShutdown();
+  });
+
+  it('is disabled by default', async () => {
+    const server = new Server();
+
+    server.addService(Library.service, {}, { httpRules });
+
+    const port = await bindAsync(server, {});
+
+    server.start();
+
+    const barrier = new Barrier();
+    const client = Http2.connect(`http://localhost:${port}`);
+    const req = client.request({
+      ':method': 'GET',
+      ':path': '/v1/shelves/1/books/2'
+    });
+
+    req.on('response', (headers) => {
+      Assert.strictEqual(headers[':status'], 415);
+      client.close();
+      barrier.pass();
+    });
+
+    req.end();
+    await barrier;
+    server.forceShutdown();
+  });
+
+  it('validates HTTP rules', () => {
+    const server = new Server();
+
+    function addService (httpRules) {
+      server.addService(Library.service, {}, { httpRules });
+    }
+
+    Assert.throws(() => {
+      addService(null);
+    }, /^TypeError: httpRules must be an object$/);
+
+    Assert.throws(() => {
+      addService({ GetBook: 'foo' });
+    }, /^TypeError: HTTP rule for \/Library\/GetBook must be an object$/);
+
+    [{}, { get: 5 }, { custom: null }, { custom: { kind: 'GET' } }].forEach((rule) => {
+      Assert.throws(() => {
+        addService({ GetBook: rule });
+      }, /^TypeError: HTTP rule for \/Library\/GetBook must specify a method and path template$/);
+    });
+
+    ['v1/books', '/v1/{na-me}', '/v1/{name', '/v1/}'].forEach((get) => {
+      Assert.throws(() => {
+        addService({ GetBook: { get } });
+      }, /^TypeError: invalid path template for \/Library\/GetBook/);
+    });
+
+    Assert.throws(() => {
+      addService({ GetBook: { post: '/v1/books', body: 'a b' } });
+    }, /^TypeError: invalid body in HTTP rule for \/Library\/GetBook: a b$/);
+
+    Assert.throws(() => {
+      addService({ GetBook: { post: '/v1/books', body: 'book.__proto__' } });
+    }, /^TypeError: invalid body in HTTP rule for \/Library\/GetBook: book.__proto__$/);
+
+    Assert.throws(() => {
+      addService({ GetBook: { get: '/v1/books', response_body: '*' } });
+    }, /^TypeError: invalid response body in HTTP rule for \/Library\/GetBook: \*$/);
+
+    Assert.throws(() => {
+      addService({ GetBook: { get: '/v1/books', additionalBindings: {} } });
+    }, /^TypeError: additional bindings for \/Library\/GetBook must be an array$/);
+
+    Assert.throws(() => {
+      addService({ UpdateBooks: { post: '/v1/books', body: '*' } });
+    }, /^Error: HTTP rules are not supported for client streaming method \/Library\/UpdateBooks$/);
+
+    Assert.throws(() => {
+      server.bindAsync('localhost:0', serverInsecureCreds, {
+        transcoding: 'foo'
+      }, () => {});
+    }, /^TypeError: options.transcoding must be a boolean$/);
+  });
+});
@@ -1,7 +1,11 @@
 'use strict';
 const Assert = require('assert');
 const Lab = require('@hapi/lab');
-const { hasGrpcStatusCode } = require('../lib/utils');
+const {
+  decodeGrpcMessage,
+  encodeGrpcMessage,
+  hasGrpcStatusCode
+} = require('../lib/utils');
 const Status = require('../lib/status');
 const { describe, it } = exports.lab = Lab.script();
 
@@ -24,4 +28,69 @@ describe('Utils', () => {
       });
     });
   });
+
+  describe('encodeGrpcMessage()', () => {
+    it('does not encode printable ASCII other than %', () => {
+      const printable = Array.from({ length: 0x7f - 0x20 }, (_, i) => {
+        return String.fromCharCode(0x20 + i);
+      }).join('');
+
+      Assert.strictEqual(encodeGrpcMessage(printable),
+        printable.replace('%', '%25').replace(/^ /, '%20'));
+    });
+
+    it('percent-encodes UTF-8 bytes with uppercase hex', () => {
+      Assert.strictEqual(encodeGrpcMessage('50% off'), '50%25 off');
+      Assert.strictEqual(encodeGrpcMessage('a\nb\u0000\u007f'), 'a%0Ab%00%7F');
+      Assert.strictEqual(encodeGrpcMessage('héllo 😀'),
+        'h%C3%A9llo %F0%9F%98%80');
+      Assert.strictEqual(encodeGrpcMessage(''), '');
+      Assert.strictEqual(encodeGrpcMessage(undefined), 'undefined');
+    });
+
+    it('encodes leading and trailing spaces', () => {
+      Assert.strictEqual(encodeGrpcMessage('  a b  '), '%20%20a b%20%20');
+      Assert.strictEqual(encodeGrpcMessage(' é '), '%20%C3%A9%20');
+      Assert.strictEqual(encodeGrpcMessage(' '), '%20');
+    });
+
+    it('replaces invalid Unicode', () => {
+      Assert.strictEqual(encodeGrpcMessage('\ud800'), '%EF%BF%BD');
+      Assert.strictEqual(encodeGrpcMessage('x\udc00y'), 'x%EF%BF%BDy');
+    });
+  });
+
+  describe('decodeGrpcMessage()', () => {
+    it('round trips arbitrary UTF-8', () => {
+      const messages = ['', ' ', 'plain', '100%', '%25', 'a\r\nb', '測試字符串',
+        '😀😀', '\u0000\u0001', String.fromCodePoint(0x10ffff)];
+
+      messages.forEach((message) => {
+        Assert.strictEqual(decodeGrpcMessage(encodeGrpcMessage(message)),
+          message);
+      });
+
+      for (let codePoint = 0; codePoint < 0x800; codePoint++) {
+        const message = String.fromCodePoint(codePoint);
+
+        Assert.strictEqual(decodeGrpcMessage(encodeGrpcMessage(message)),
+          message);
+      }
+    });
+
+    it('accepts lowercase hex and unencoded characters', () => {
+      Assert.strictEqual(decodeGrpcMessage('%c3%a9 and é'), 'é and é');
+    });
+
+    it('keeps malformed percent-encodings', () => {
+      Assert.strictEqual(decodeGrpcMessage('100%'), '100%');
+      Assert.strictEqual(decodeGrpcMessage('%zz%4'), '%zz%4');
+      Assert.strictEqual(decodeGrpcMessage('%41%'), 'A%');
+    });
+
+    it('replaces invalid UTF-8', () => {
+      Assert.strictEqual(decodeGrpcMessage('%E2%28%A1'), '\ufffd(\ufffd');
+      Assert.strictEqual(decodeGrpcMessage('%FF'), '\ufffd');
+    });
+  });
 });